@@ -0,0 +1,247 @@
+/**
+ * Article text for the /api/extract route - the body text of an article page, for
+ * checking generated sections against what the source says and for writing from more
+ * than the feed's 500-character summary
+ *
+ * Readability-style: the page is cut into blocks (paragraphs, headings, list items) and
+ * each one is scored on its own - long, sentence-like blocks with few links are the story;
+ * link lists, share bars, newsletter pitches and "Related" rails are dropped, and so is
+ * everything before the story's first paragraph and after its last. The byline, publish
+ * time and canonical URL come from the page's metadata (meta tags, then JSON-LD).
+ * Keeps each page in memory for a few hours; articles don't change once published.
+ */
+
+import { decodeEntities, stripTags, readMeta, findPublished } from './html.js';
+import { fetchPublic, readLimited } from './publicFetch.js';
+
+const ARTICLE_TIMEOUT_MS = 15000;
+
+// News pages run 100-800KB of HTML - the article is in there somewhere
+const MAX_BODY_BYTES = 1.5 * 1024 * 1024;
+
+// More than any article we'd cite
+const MAX_TEXT_CHARS = 100000;
+
+const CACHE_FOR_MS = 6 * 60 * 60 * 1000;
+
+// A full build reads 30-40 pages - keep a few issues' worth
+const MAX_CACHED_PAGES = 200;
+
+const USER_AGENT = 'RenewalWeekly/1.0 (+https://renewalweekly.com; source reader)';
+
+// Page furniture that never holds the article
+const NOISE_BLOCKS = /<(script|style|noscript|svg|template|iframe|nav|header|footer|aside|form|button|figcaption)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+// Elements whose class or id says they're around the story, not part of it
+const BOILERPLATE_ELEMENTS = /<(div|section|ul|ol|p|span|figure)\b[^>]*\b(?:class|id)\s*=\s*["'][^"']*\b(?:share|sharing|social|related|recommend|newsletter|subscribe|signup|promo|advert|sponsor|cookie|consent|paywall|comments?|breadcrumbs?|author-bio|most-popular|trending|read-more|more-stories)[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi;
+
+// Short blocks that are page chrome, whatever element they're in
+const BOILERPLATE_TEXT = /^(advertisement|sponsored|share (this|on)|subscribe|sign up|read more|related|recommended|more from|follow us|click here|download the|listen to|all rights reserved|copyright|©|we use cookies|this (article|story) (was|is) (originally|republished))/i;
+
+// Block-level tags - where one block of text ends and the next begins
+const BLOCK_BREAKS = /<\/?(p|div|section|article|main|ul|ol|li|dl|dt|dd|blockquote|pre|table|thead|tbody|tr|td|th|figure|br|hr)\b[^>]*>/gi;
+
+// A paragraph of the story: this long, ends a sentence somewhere, and is mostly not links
+const MIN_PARAGRAPH_CHARS = 80;
+const MAX_PARAGRAPH_LINK_DENSITY = 0.25;
+// Above this, a block is navigation
+const MAX_LINK_DENSITY = 0.5;
+
+// JSON-LD types that describe the article itself
+const ARTICLE_TYPES = /Article|BlogPosting|Report|NewsArticle/;
+
+// Markers that survive tag stripping - link text and headings
+const LINK_START = '\u0001';
+const LINK_END = '\u0002';
+const HEADING = '\u0003';
+
+// url → { result, fetchedAt }
+const cache = new Map();
+
+// Cut the page into blocks, marking link text and headings so each block can be scored
+const toBlocks = (html) => decodeEntities(html
+  .replace(/<a\b[^>]*>([\s\S]*?)<\/a>/gi, (match, inner) => `${LINK_START}${inner}${LINK_END}`)
+  .replace(/<h[1-6]\b[^>]*>/gi, `\n\n${HEADING}`)
+  .replace(/<\/h[1-6]>/gi, '\n\n')
+  .replace(BLOCK_BREAKS, '\n\n')
+  .replace(/<[^>]+>/g, ' '))
+  .split(/\n\s*\n/)
+  .map(raw => {
+    const linked = raw.split(LINK_START).slice(1)
+      .reduce((total, part) => total + part.split(LINK_END)[0].replace(/\s+/g, ' ').trim().length, 0);
+    const text = [LINK_START, LINK_END, HEADING].reduce((stripped, marker) => stripped.replaceAll(marker, ''), raw).replace(/\s+/g, ' ').trim();
+    return { text, heading: raw.trimStart().startsWith(HEADING), linkDensity: text ? linked / text.length : 0 };
+  })
+  .filter(block => block.text);
+
+const isBoilerplate = (block) => block.linkDensity > MAX_LINK_DENSITY || (block.text.length < 200 && BOILERPLATE_TEXT.test(block.text));
+
+const isParagraph = (block) => !block.heading
+  && block.text.length >= MIN_PARAGRAPH_CHARS
+  && block.linkDensity <= MAX_PARAGRAPH_LINK_DENSITY
+  && /[.!?]["”’)]?(\s|$)/.test(block.text);
+
+/**
+ * Turn an HTML page into its readable article text - one paragraph or heading per line
+ * Reads the longest <article> (or <main>, or <body>) and keeps the run of blocks from the
+ * story's first paragraph to its last, minus boilerplate in between.
+ * @param {string} html - Page HTML
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html) => {
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(NOISE_BLOCKS, ' ')
+    .replace(BOILERPLATE_ELEMENTS, ' ');
+
+  // Longest <article> wins - pages often have small "related story" articles too
+  const articles = [...cleaned.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi)].map(match => match[1]);
+  const main = cleaned.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i)?.[1];
+  const body = cleaned.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i)?.[1];
+  const content = articles.sort((a, b) => b.length - a.length)[0] || main || body || cleaned;
+
+  const blocks = toBlocks(content).filter(block => !isBoilerplate(block));
+  const first = blocks.findIndex(isParagraph);
+  const last = blocks.findLastIndex(isParagraph);
+  // No paragraph-like block (a short page, a listing) - keep whatever isn't boilerplate
+  const story = first === -1 ? blocks : blocks.slice(first, last + 1);
+
+  return story
+    .map(block => block.text)
+    .filter((text, i, texts) => text !== texts[i - 1])
+    .join('\n')
+    .slice(0, MAX_TEXT_CHARS);
+};
+
+// The page's JSON-LD node for the article itself (NewsArticle, ScholarlyArticle...), if it has one
+const findArticleJsonLd = (html) => {
+  const nodes = [];
+  for (const [, json] of html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const parsed = JSON.parse(json.trim());
+      [parsed].flat().forEach(node => nodes.push(node, ...(Array.isArray(node?.['@graph']) ? node['@graph'] : [])));
+    } catch {
+      // Publishers ship broken JSON-LD now and then - the meta tags still work
+    }
+  }
+  return nodes.find(node => node && ARTICLE_TYPES.test([node['@type']].flat().join(' '))) || null;
+};
+
+// "By Jane Doe and John Roe" → ['Jane Doe', 'John Roe']; profile URLs aren't names
+const toNames = (value) => [value].flat()
+  .map(author => (typeof author === 'string' ? author : author?.name) || '')
+  .flatMap(name => stripTags(String(name)).replace(/^by\s+/i, '').split(/\s*(?:,|\band\b|&)\s*/i))
+  .map(name => name.trim())
+  .filter(name => name && !/^https?:\/\//.test(name) && name.length <= 60);
+
+// Byline, first source that has one - JSON-LD, journal tags, then meta and rel="author" links
+const findAuthor = (html, meta, jsonLd) => {
+  const candidates = [
+    jsonLd?.author,
+    meta.all.citation_author,
+    meta.first.author,
+    meta.first['article:author'],
+    meta.first['parsely-author'],
+    meta.first['dc.creator'],
+    html.match(/<a\b[^>]*rel\s*=\s*["']author["'][^>]*>([\s\S]*?)<\/a>/i)?.[1]
+  ];
+  for (const candidate of candidates) {
+    const names = [...new Set(toNames(candidate))];
+    if (names.length > 0) return names.slice(0, 3).join(', ') + (names.length > 3 ? ' et al.' : '');
+  }
+  return null;
+};
+
+// <link rel="canonical">, else og:url - resolved against the page's own URL
+const findCanonical = (html, meta, baseUrl) => {
+  const link = [...html.matchAll(/<link\s[^>]*>/gi)]
+    .map(([tag]) => tag)
+    .find(tag => /rel\s*=\s*["']canonical["']/i.test(tag));
+  const href = link?.match(/href\s*=\s*["']([^"']+)["']/i)?.[1] || meta.first['og:url'];
+  if (!href) return null;
+  try {
+    const canonical = new URL(decodeEntities(href), baseUrl);
+    return /^https?:$/.test(canonical.protocol) ? canonical.href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read an article page - its text and what the page says about itself
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL the page was served from (relative canonical links resolve against it)
+ * @returns {Object} { title, author, published, canonicalUrl, siteName, description, text }
+ *   - author: up to three names, comma-separated; published: ISO date; any of them null when the page doesn't say
+ */
+export const extractArticle = (html, baseUrl) => {
+  const meta = readMeta(html);
+  const jsonLd = findArticleJsonLd(html);
+  const title = jsonLd?.headline || meta.first['og:title'] || html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1];
+
+  let text = htmlToText(html);
+  // Some pages render the story client-side but ship it whole in JSON-LD
+  const articleBody = typeof jsonLd?.articleBody === 'string' ? jsonLd.articleBody.trim() : '';
+  if (articleBody.length > 2 * text.length) text = articleBody.slice(0, MAX_TEXT_CHARS);
+
+  return {
+    title: title ? stripTags(String(title)) : null,
+    author: findAuthor(html, meta, jsonLd),
+    published: findPublished(html, meta.first),
+    canonicalUrl: findCanonical(html, meta, baseUrl),
+    siteName: meta.first['og:site_name'] || null,
+    description: meta.first.description || meta.first['og:description'] || null,
+    text
+  };
+};
+
+const emptyResult = (url, finalUrl, error) => ({
+  url, finalUrl, canonicalUrl: null, title: null, author: null, published: null, siteName: null, description: null, text: null, error
+});
+
+/**
+ * Fetch a page and read its article
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} { url, finalUrl, canonicalUrl, title, author, published, siteName, description, text, error }
+ *   - text is null when the page couldn't be read; metadata fields are null when the page doesn't have them
+ */
+export const fetchArticleText = async (url) => {
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_FOR_MS) return cached.result;
+
+  let result;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ARTICLE_TIMEOUT_MS);
+  try {
+    const response = await fetchPublic(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      signal: controller.signal
+    });
+    const finalUrl = response.url || url;
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok) {
+      await response.body?.cancel();
+      result = emptyResult(url, finalUrl, `HTTP ${response.status}`);
+    } else if (!contentType.includes('html') && !contentType.startsWith('text/')) {
+      await response.body?.cancel();
+      result = emptyResult(url, finalUrl, `Can't read ${contentType.split(';')[0] || 'this file type'}`);
+    } else {
+      const body = await readLimited(response, MAX_BODY_BYTES);
+      const article = contentType.includes('html')
+        ? extractArticle(body, finalUrl)
+        : { ...emptyResult(url, finalUrl, null), text: body.slice(0, MAX_TEXT_CHARS) };
+      result = { ...emptyResult(url, finalUrl, null), ...article, error: article.text ? null : 'No text found on the page' };
+    }
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? `no response after ${ARTICLE_TIMEOUT_MS / 1000}s` : (error.cause?.code || error.cause?.message || error.message);
+    // Connection failures aren't cached - the next check retries
+    return emptyResult(url, null, `Could not connect (${reason})`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  cache.set(url, { result, fetchedAt: Date.now() });
+  // Oldest page out first - Maps keep insertion order
+  if (cache.size > MAX_CACHED_PAGES) cache.delete(cache.keys().next().value);
+  return result;
+};
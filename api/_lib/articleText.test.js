@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { extractArticle, fetchArticleText, htmlToText } from './articleText.js';
+
+const STORY = [
+  'Adults with type 1 diabetes who received lab-grown islet cells were still off insulin a year later, researchers reported this week.',
+  'Ten of the twelve people in the phase 1/2 trial stopped daily injections, and none had a serious reaction to the cells.',
+  'The team now plans a larger study to see whether the effect lasts, and whether patients can stop taking immune-suppressing drugs.'
+];
+
+const ARTICLE_PAGE = `<!doctype html>
+<html><head>
+  <title>Islet cells free patients from insulin | Example Health</title>
+  <meta property="og:site_name" content="Example Health">
+  <meta name="description" content="A year without insulin shots.">
+  <link rel="canonical" href="/news/islet-trial">
+  <script type="application/ld+json">{"@type":"NewsArticle","headline":"Islet cells free patients from insulin","author":[{"@type":"Person","name":"Dana Ruiz"}],"datePublished":"2026-10-16T09:30:00Z"}</script>
+</head><body>
+  <nav><a href="/">Home</a> <a href="/news">News</a></nav>
+  <article>
+    <h1>Islet cells free patients from insulin</h1>
+    <div class="share-bar"><a href="#">Share on Facebook</a> <a href="#">Share on X</a></div>
+    <p>${STORY[0]}</p>
+    <p>${STORY[1]}</p>
+    <div class="newsletter-signup"><p>Sign up for our weekly health newsletter and never miss a story like this one again.</p></div>
+    <p>${STORY[2]}</p>
+    <section class="related-stories"><h2>Related</h2><ul><li><a href="/a">Another story</a></li><li><a href="/b">And another</a></li></ul></section>
+  </article>
+  <footer><p>© 2026 Example Health. All rights reserved.</p></footer>
+</body></html>`;
+
+let server;
+let origin;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/news/islet-trial') {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      return res.end(ARTICLE_PAGE);
+    }
+    if (req.url === '/report.pdf') {
+      res.writeHead(200, { 'content-type': 'application/pdf' });
+      return res.end('%PDF-1.7');
+    }
+    res.writeHead(404, { 'content-type': 'text/html' });
+    res.end('<title>Not found</title>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  process.env.FETCH_ALLOW_PRIVATE_HOSTS = '127.0.0.1';
+});
+
+after(() => {
+  server.close();
+  delete process.env.FETCH_ALLOW_PRIVATE_HOSTS;
+});
+
+test('the story paragraphs are kept and share bars, sign-ups, related rails and footers dropped', () => {
+  assert.equal(htmlToText(ARTICLE_PAGE), STORY.join('\n'));
+});
+
+test('byline, publish time, canonical URL and site name come from the page metadata', () => {
+  const article = extractArticle(ARTICLE_PAGE, 'https://example.org/news/islet-trial?utm_source=feed');
+  assert.equal(article.title, 'Islet cells free patients from insulin');
+  assert.equal(article.author, 'Dana Ruiz');
+  assert.equal(article.published, '2026-10-16T09:30:00.000Z');
+  assert.equal(article.canonicalUrl, 'https://example.org/news/islet-trial');
+  assert.equal(article.siteName, 'Example Health');
+  assert.equal(article.description, 'A year without insulin shots.');
+});
+
+test('a fetched page is read into its article text', async () => {
+  const result = await fetchArticleText(`${origin}/news/islet-trial`);
+  assert.equal(result.error, null);
+  assert.equal(result.finalUrl, `${origin}/news/islet-trial`);
+  assert.equal(result.text, STORY.join('\n'));
+  assert.equal(result.author, 'Dana Ruiz');
+});
+
+test('pages that can\'t be read say why', async () => {
+  const missing = await fetchArticleText(`${origin}/news/gone`);
+  assert.deepEqual([missing.text, missing.error], [null, 'HTTP 404']);
+
+  const pdf = await fetchArticleText(`${origin}/report.pdf`);
+  assert.deepEqual([pdf.text, pdf.error], [null, 'Can\'t read application/pdf']);
+});
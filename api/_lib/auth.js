@@ -0,0 +1,43 @@
+/**
+ * Access token for the API routes that spend money or fetch pages for the caller
+ * (/api/generate, /api/extract, /api/links, custom sources on /api/feeds).
+ *
+ * The token is a shared secret in the API_ACCESS_TOKEN environment variable; the app sends
+ * it as `Authorization: Bearer <token>` (entered once in Settings → AI). Without it set on
+ * the server those routes refuse every request rather than running open.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { sendError } from './http.js';
+
+/**
+ * Whether a request carries the access token
+ * @param {Object} req - Node IncomingMessage
+ * @returns {Object|null} { status, type, message } for the error to send, or null if the caller may go ahead
+ */
+export const checkAccess = (req) => {
+  const expected = process.env.API_ACCESS_TOKEN;
+  if (!expected) {
+    return { status: 500, type: 'configuration_error', message: 'API_ACCESS_TOKEN is not set on the server' };
+  }
+
+  const token = (req.headers?.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1].trim() || '';
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !timingSafeEqual(given, wanted)) {
+    return { status: 401, type: 'authentication_error', message: 'Missing or wrong access token - enter it in Settings → AI' };
+  }
+  return null;
+};
+
+/**
+ * Refuse a request without the access token
+ * @param {Object} req - Node IncomingMessage
+ * @param {Object} res - Node ServerResponse (the error is sent here)
+ * @returns {boolean} true if the caller may go ahead
+ */
+export const requireAccess = (req, res) => {
+  const denied = checkAccess(req);
+  if (denied) sendError(res, denied.status, denied.type, denied.message);
+  return !denied;
+};
@@ -0,0 +1,83 @@
+/**
+ * Spending budgets for /api/generate
+ * Counts requests, output tokens and web searches per issue number and per UTC day across
+ * every issue, and refuses new calls once any limit in models.json (`issueBudget`, `dailyBudget`)
+ * is reached. A request is counted when it starts, so concurrent calls can't all slip under
+ * the limit; its tokens and searches are added when it finishes. Kept in memory, so limits
+ * apply per warm server instance - a guard against runaway loops, not an invoice.
+ */
+
+import models from '../../src/config/models.json' with { type: 'json' };
+
+// issue -> { requests, outputTokens, webSearches }
+const usageByIssue = new Map();
+
+// Every issue together, for the current UTC day
+let daily = { day: null, usage: null };
+
+const emptyUsage = () => ({ requests: 0, outputTokens: 0, webSearches: 0 });
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const dailyUsage = () => {
+  if (daily.day !== today()) daily = { day: today(), usage: emptyUsage() };
+  return daily.usage;
+};
+
+// The first limit the usage has reached, as a message ("Issue #13 has used...", "Today has used...")
+const exhaustedBy = (usage, limits, who) => {
+  if (usage.requests >= limits.maxRequests) {
+    return `${who} used all ${limits.maxRequests} AI requests`;
+  }
+  if (usage.outputTokens >= limits.maxOutputTokens) {
+    return `${who} used its ${limits.maxOutputTokens.toLocaleString()} output-token budget`;
+  }
+  if (usage.webSearches >= limits.maxWebSearches) {
+    return `${who} used all ${limits.maxWebSearches} web searches`;
+  }
+  return null;
+};
+
+/**
+ * Current usage and limits for an issue and for today
+ * @param {string} issue - Issue number
+ * @returns {Object} { issue, usage, limits, daily: { day, usage, limits } }
+ */
+export const getBudget = (issue) => ({
+  issue,
+  usage: { ...(usageByIssue.get(issue) || emptyUsage()) },
+  limits: models.issueBudget,
+  daily: { day: today(), usage: { ...dailyUsage() }, limits: models.dailyBudget }
+});
+
+/**
+ * Check both budgets and, if there's room, count the request against them
+ * @param {string} issue - Issue number
+ * @returns {string|null} Reason a budget is exhausted, or null if the call can go ahead (and was counted)
+ */
+export const reserveRequest = (issue) => {
+  const usage = usageByIssue.get(issue) || emptyUsage();
+  const day = dailyUsage();
+  const exhausted = exhaustedBy(day, models.dailyBudget, 'Today has')
+    || exhaustedBy(usage, models.issueBudget, `Issue #${issue} has`);
+  if (exhausted) return exhausted;
+
+  usage.requests += 1;
+  day.requests += 1;
+  usageByIssue.set(issue, usage);
+  return null;
+};
+
+/**
+ * Add a finished request's tokens and searches to both budgets (the request itself was counted by reserveRequest)
+ * @param {string} issue - Issue number
+ * @param {Object} usage - `usage` object from the Anthropic response
+ */
+export const recordUsage = (issue, usage = {}) => {
+  const outputTokens = usage.output_tokens || 0;
+  const webSearches = usage.server_tool_use?.web_search_requests || 0;
+  [usageByIssue.get(issue) || emptyUsage(), dailyUsage()].forEach(current => {
+    current.outputTokens += outputTokens;
+    current.webSearches += webSearches;
+  });
+};
@@ -0,0 +1,299 @@
+/**
+ * Custom sources from Settings - the editor pastes a URL, we work out how to read it
+ *
+ * - feed:    RSS / Atom / JSON Feed, through the feed cache (feedCache.js)
+ * - sitemap: a (news) sitemap - <url> entries with their news:title and dates; a sitemap
+ *            index is followed to its newest sitemaps
+ * - page:    a news or listing page - its article links, dated from the URL when it has one
+ * - auto:    fetched once and sniffed - a feed, a sitemap, or a page (a page that advertises a
+ *            feed with <link rel="alternate"> is read through the feed instead)
+ *
+ * Entries come back in parseFeed's shape ({ id, title, url, date, content }) so the browser
+ * normalizes them like any feed item. With fixturesDir set, <fixturesDir>/<slug>.xml|.json|.html
+ * is read instead of the network - same names as feed fixtures.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { detectFeedFormat, parseFeed } from '../../src/services/feedParser.js';
+import { fetchFeed, feedSlug } from './feedCache.js';
+import { decodeEntities, stripTags } from './html.js';
+import { fetchPublic, readLimited } from './publicFetch.js';
+
+export const SOURCE_TYPES = ['auto', 'feed', 'sitemap', 'page'];
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// A news sitemap's 1,000 URLs or a busy front page fit easily - the rest of a bigger document is dropped
+const MAX_BODY_BYTES = 3 * 1024 * 1024;
+
+// Same window as the feed cache - sitemaps and news pages change about as often as feeds
+const FRESH_FOR_MS = 10 * 60 * 1000;
+
+// Bodies run to a few megabytes - enough for every source on a research run, not every page ever fetched
+const MAX_CACHED_BODIES = 50;
+
+// A sitemap can list thousands of URLs - the newest are the ones that can make an issue
+const MAX_ENTRIES = 50;
+const MAX_CHILD_SITEMAPS = 2;
+
+// A link's text has to read like a headline
+const MIN_HEADLINE_CHARS = 25;
+const MIN_HEADLINE_WORDS = 4;
+
+// Listing and account pages every site links to - never articles
+const NON_ARTICLE_PATHS = /\/(tags?|topics?|category|categories|authors?|about|contact|subscribe|newsletters?|login|sign-?in|register|search|privacy|terms|careers|events|page\/\d+)(\/|$)/i;
+
+const USER_AGENT = 'RenewalWeekly/1.0 (+https://renewalweekly.com; source reader)';
+
+// url → { body, fetchedAt }
+const cache = new Map();
+
+/**
+ * What kind of document a source returned
+ * @param {string} body - Response body
+ * @returns {'sitemap'|'feed'|'page'}
+ */
+export const detectSourceType = (body) => {
+  const head = (body || '').slice(0, 4000);
+  if (/<(urlset|sitemapindex)[\s>]/i.test(head)) return 'sitemap';
+  if (!/<html[\s>]/i.test(head) && detectFeedFormat(body)) return 'feed';
+  return 'page';
+};
+
+/**
+ * The feed a page advertises - <link rel="alternate" type="application/rss+xml" href="...">
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, to resolve a relative href
+ * @returns {string|null} Absolute feed URL
+ */
+export const findFeedLink = (html, baseUrl) => {
+  for (const [tag] of html.matchAll(/<link\s[^>]*>/gi)) {
+    if (!/rel\s*=\s*["']?alternate/i.test(tag)) continue;
+    if (!/type\s*=\s*["']?application\/(rss\+xml|atom\+xml|feed\+json)/i.test(tag)) continue;
+    const href = tag.match(/href\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (!href) continue;
+    try {
+      return new URL(decodeEntities(href), baseUrl).href;
+    } catch {
+      // Broken href - try the next one
+    }
+  }
+  return null;
+};
+
+// A date in the URL path - /2026/10/14/ or 2026-10-14 - at noon UTC so the day doesn't shift
+const dateFromUrl = (url) => {
+  const match = url.match(/\/(20\d{2})[/-](0[1-9]|1[0-2])[/-](0[1-9]|[12]\d|3[01])(?=[/-]|$)/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T12:00:00.000Z` : null;
+};
+
+const parseDate = (value) => {
+  const parsed = value ? Date.parse(value) : NaN;
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+};
+
+// "stem-cell-patch-repairs-heart-tissue" → "Stem cell patch repairs heart tissue"
+const titleFromUrl = (url) => {
+  const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+  const words = slug.replace(/\.\w+$/, '').split(/[-_]+/).filter(word => word && !/^\d+$/.test(word));
+  if (words.length < MIN_HEADLINE_WORDS) return null;
+  const text = words.join(' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const tagText = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeEntities(match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim() : '';
+};
+
+const newestFirst = (a, b) => (b.date ? Date.parse(b.date) : 0) - (a.date ? Date.parse(a.date) : 0);
+
+/**
+ * Read a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} { entries: parseFeed-shaped, newest first; sitemaps: child sitemaps of an index, newest first }
+ */
+export const parseSitemap = (xml) => {
+  const sitemaps = [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi)]
+    .map(([, block]) => ({ url: tagText(block, 'loc'), date: parseDate(tagText(block, 'lastmod')) }))
+    .filter(sitemap => sitemap.url)
+    .sort(newestFirst);
+
+  const entries = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)]
+    .map(([, block]) => {
+      const url = tagText(block, 'loc');
+      if (!/^https?:\/\//.test(url)) return null;
+      // News sitemaps carry the headline; plain ones only the URL
+      const title = tagText(block, 'news:title') || tagText(block, 'image:title') || titleFromUrl(url);
+      if (!title) return null;
+      return {
+        id: url,
+        title,
+        url,
+        date: parseDate(tagText(block, 'news:publication_date')) || parseDate(tagText(block, 'lastmod')) || dateFromUrl(url),
+        content: tagText(block, 'news:keywords')
+      };
+    })
+    .filter(Boolean)
+    .sort(newestFirst)
+    .slice(0, MAX_ENTRIES);
+
+  return { entries, sitemaps };
+};
+
+const sameSite = (a, b) => a.replace(/^www\./, '') === b.replace(/^www\./, '');
+
+/**
+ * The article links on a news or listing page
+ * Links to the same site whose text (or URL slug) reads like a headline; section, tag and
+ * account pages are skipped. Dated from the URL, or a <time datetime> between the link and
+ * the next one, otherwise undated.
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL
+ * @returns {Array} parseFeed-shaped entries, in page order
+ */
+export const parseNewsPage = (html, baseUrl) => {
+  const base = new URL(baseUrl);
+  const body = html
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(nav|header|footer)[\s>][\s\S]*?<\/\1>/gi, ' ');
+
+  const byUrl = new Map();
+  for (const match of body.matchAll(/<a\s([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    const [anchor, attributes, inner] = match;
+    const href = attributes.match(/href\s*=\s*["']([^"'#]+)/i)?.[1];
+    if (!href) continue;
+    let url;
+    try {
+      url = new URL(decodeEntities(href), base);
+    } catch {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || !sameSite(url.hostname, base.hostname)) continue;
+    url.hash = '';
+    if (url.href === base.href || url.pathname === '/' || NON_ARTICLE_PATHS.test(url.pathname)) continue;
+
+    const text = stripTags(inner) || decodeEntities(attributes.match(/title\s*=\s*["']([^"']+)["']/i)?.[1] || '');
+    const title = text.length >= MIN_HEADLINE_CHARS && text.split(' ').length >= MIN_HEADLINE_WORDS ? text : titleFromUrl(url.href);
+    if (!title) continue;
+
+    // The same story is often linked from its image and its headline - keep the longer text
+    const existing = byUrl.get(url.href);
+    if (!existing || title.length > existing.title.length) {
+      const after = body.slice(match.index + anchor.length).split(/<a\s/i)[0];
+      const date = dateFromUrl(url.href) || parseDate(after.match(/<time[^>]*datetime\s*=\s*["']([^"']+)/i)?.[1]) || existing?.date || null;
+      byUrl.set(url.href, { id: url.href, title, url: url.href, date, content: '' });
+    }
+  }
+
+  return [...byUrl.values()].slice(0, MAX_ENTRIES);
+};
+
+const fetchBody = async (url) => {
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < FRESH_FOR_MS) return { ...cached, status: 'cached' };
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetchPublic(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml, text/html, */*' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const entry = { body: await readLimited(response, MAX_BODY_BYTES), fetchedAt: Date.now() };
+    // Re-inserted so the oldest fetch goes first when the cache is full - Maps keep insertion order
+    cache.delete(url);
+    cache.set(url, entry);
+    if (cache.size > MAX_CACHED_BODIES) cache.delete(cache.keys().next().value);
+    return { ...entry, status: 'fetched' };
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`no response after ${REQUEST_TIMEOUT_MS / 1000}s`);
+    throw new Error(error.cause?.code || error.cause?.message || error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const readFixture = async (source, fixturesDir) => {
+  const base = path.resolve(fixturesDir, feedSlug(source));
+  for (const ext of ['.xml', '.json', '.html']) {
+    try {
+      return await readFile(base + ext, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+};
+
+const readSitemap = async (body, fixturesDir) => {
+  const { entries, sitemaps } = parseSitemap(body);
+  if (entries.length > 0 || sitemaps.length === 0 || fixturesDir) return entries;
+
+  // A sitemap index - the newest child sitemaps have this week's URLs
+  const children = await Promise.all(sitemaps.slice(0, MAX_CHILD_SITEMAPS).map(async (sitemap) => {
+    try {
+      return parseSitemap((await fetchBody(sitemap.url)).body).entries;
+    } catch {
+      return [];
+    }
+  }));
+  return children.flat().sort(newestFirst).slice(0, MAX_ENTRIES);
+};
+
+/**
+ * Fetch one custom source
+ * @param {Object} source - { url, name, type: 'auto'|'feed'|'sitemap'|'page' }
+ * @param {Object} options - { fixturesDir } reads <fixturesDir>/<slug>.xml|.json|.html instead of the network
+ * @returns {Promise<Object>} { status: 'fetched'|'cached'|'not-modified'|'stale'|'fixture'|'no-fixture', type (as read), feedUrl?, entries, fetchedAt, error? }
+ */
+export const fetchCustomSource = async (source, { fixturesDir = process.env.FEED_FIXTURES_DIR } = {}) => {
+  const requested = SOURCE_TYPES.includes(source.type) ? source.type : 'auto';
+
+  // Feeds keep the feed cache's ETag / Last-Modified revalidation
+  if (requested === 'feed') {
+    return { type: 'feed', ...(await fetchFeed(source, { fixturesDir })) };
+  }
+
+  let body;
+  let status;
+  let fetchedAt;
+  if (fixturesDir) {
+    body = await readFixture(source, fixturesDir);
+    if (body === null) return { status: 'no-fixture', type: requested, entries: [], fetchedAt: Date.now() };
+    status = 'fixture';
+    fetchedAt = Date.now();
+  } else {
+    ({ body, status, fetchedAt } = await fetchBody(source.url));
+  }
+
+  const type = requested === 'auto' ? detectSourceType(body) : requested;
+  if (type === 'sitemap') {
+    return { status, type, entries: await readSitemap(body, fixturesDir), fetchedAt };
+  }
+  if (type === 'feed') {
+    return { status, type, entries: parseFeed(body), fetchedAt };
+  }
+
+  // A page that advertises its feed is better read through the feed - it has dates and summaries
+  const feedUrl = requested === 'auto' && !fixturesDir ? findFeedLink(body, source.url) : null;
+  if (feedUrl) {
+    try {
+      const feed = await fetchFeed({ ...source, url: feedUrl }, { fixturesDir });
+      if (feed.entries.length > 0) return { type: 'feed', feedUrl, ...feed };
+    } catch {
+      // Fall back to the page's own links
+    }
+  }
+  return { status, type: 'page', entries: parseNewsPage(body, source.url), fetchedAt };
+};
+
+/**
+ * Drop every cached sitemap and page
+ */
+export const clearCustomSourceCache = () => cache.clear();
@@ -0,0 +1,87 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { clearFeedCache, feedSlug, fetchFeed } from './feedCache.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../../fixtures/feeds', import.meta.url));
+const ELEVEN_MINUTES = 11 * 60 * 1000;
+
+let server;
+let feed;
+let requests = [];
+let failing = false;
+
+before(async () => {
+  const body = await readFile(`${FIXTURES_DIR}/lifespan-io.xml`, 'utf8');
+  server = createServer((req, res) => {
+    requests.push(req.headers);
+    if (failing) {
+      res.writeHead(503);
+      return res.end();
+    }
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'application/rss+xml', etag: '"v1"' });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  feed = { name: 'Lifespan.io', url: `http://127.0.0.1:${server.address().port}/feed` };
+  process.env.FETCH_ALLOW_PRIVATE_HOSTS = '127.0.0.1';
+});
+
+after(() => {
+  server.close();
+  delete process.env.FETCH_ALLOW_PRIVATE_HOSTS;
+});
+
+beforeEach(() => {
+  clearFeedCache();
+  requests = [];
+  failing = false;
+});
+
+test('feed names become fixture slugs', () => {
+  assert.equal(feedSlug({ name: 'Nature Stem Cells' }), 'nature-stem-cells');
+  assert.equal(feedSlug({ name: 'Lifespan.io' }), 'lifespan-io');
+});
+
+test('fixture mode reads <slug>.xml and returns nothing for feeds without one', async () => {
+  const fixture = await fetchFeed({ name: 'Lifespan.io', url: 'https://www.lifespan.io/feed/' }, { fixturesDir: FIXTURES_DIR });
+  assert.equal(fixture.status, 'fixture');
+  assert.equal(fixture.entries.length, 2);
+
+  const missing = await fetchFeed({ name: 'No Such Feed', url: 'https://example.org/feed' }, { fixturesDir: FIXTURES_DIR });
+  assert.deepEqual([missing.status, missing.entries], ['no-fixture', []]);
+});
+
+test('a feed is served from memory, then revalidated with its ETag, then served stale when the site fails', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+
+  const fetched = await fetchFeed(feed, { fixturesDir: null });
+  assert.equal(fetched.status, 'fetched');
+  assert.equal(fetched.entries[0].title, 'Daily walking pace linked to slower biological aging');
+
+  const cached = await fetchFeed(feed, { fixturesDir: null });
+  assert.equal(cached.status, 'cached');
+  assert.equal(requests.length, 1);
+
+  t.mock.timers.tick(ELEVEN_MINUTES);
+  const revalidated = await fetchFeed(feed, { fixturesDir: null });
+  assert.equal(revalidated.status, 'not-modified');
+  assert.equal(requests[1]['if-none-match'], '"v1"');
+  assert.equal(revalidated.entries.length, 2);
+
+  t.mock.timers.tick(ELEVEN_MINUTES);
+  failing = true;
+  const stale = await fetchFeed(feed, { fixturesDir: null });
+  assert.deepEqual([stale.status, stale.error, stale.entries.length], ['stale', 'HTTP 503', 2]);
+});
+
+test('a failing feed with nothing cached is an error', async () => {
+  failing = true;
+  await assert.rejects(fetchFeed(feed, { fixturesDir: null }), /HTTP 503/);
+});
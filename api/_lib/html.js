@@ -0,0 +1,79 @@
+/**
+ * HTML helpers shared by the link checker and the article text extractor
+ * Regex-based on purpose - pages are only read for titles, metadata and body text, never rendered.
+ */
+
+/**
+ * Decode the HTML entities that show up in titles and article text
+ * @param {string} value - HTML text
+ * @returns {string}
+ */
+export const decodeEntities = (value) => value
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;|&apos;|&rsquo;|&#8217;/g, '\'')
+  .replace(/&lsquo;|&#8216;/g, '\'')
+  .replace(/&ldquo;|&#8220;|&rdquo;|&#8221;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)));
+
+/**
+ * Strip tags and collapse whitespace
+ * @param {string} value - HTML fragment
+ * @returns {string} Plain text on one line
+ */
+export const stripTags = (value) => decodeEntities(value.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+// Publish date metadata, most specific first - Open Graph articles, journal (Highwire) tags, then generic ones
+const PUBLISHED_META = [
+  'article:published_time',
+  'og:published_time',
+  'citation_publication_date',
+  'citation_online_date',
+  'citation_date',
+  'dc.date',
+  'date',
+  'pubdate',
+  'parsely-pub-date'
+];
+
+/**
+ * Read a page's <meta property|name|itemprop="..." content="..."> tags, in either attribute order
+ * Repeated tags (citation_author) are kept in `all`.
+ * @param {string} html - Page HTML
+ * @returns {Object} { first: { key: content }, all: { key: [contents] } } - keys are lowercased
+ */
+export const readMeta = (html) => {
+  const first = {};
+  const all = {};
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const key = tag.match(/(?:property|name|itemprop)\s*=\s*["']([^"']+)["']/i)?.[1]?.toLowerCase();
+    const content = tag.match(/content\s*=\s*"([^"]*)"/i)?.[1] ?? tag.match(/content\s*=\s*'([^']*)'/i)?.[1];
+    if (!key || !content?.trim()) continue;
+    const value = decodeEntities(content.trim());
+    if (!first[key]) first[key] = value;
+    (all[key] ||= []).push(value);
+  }
+  return { first, all };
+};
+
+/**
+ * Find when a page was published - meta tags, then JSON-LD datePublished
+ * @param {string} html - Page HTML
+ * @param {Object} meta - readMeta(html).first, if already read
+ * @returns {string|null} ISO date
+ */
+export const findPublished = (html, meta = readMeta(html).first) => {
+  const candidates = [
+    ...PUBLISHED_META.map(key => meta[key]),
+    meta.datepublished,
+    html.match(/"datePublished"\s*:\s*"([^"]+)"/)?.[1]
+  ];
+  for (const candidate of candidates) {
+    const parsed = candidate ? Date.parse(candidate.replace(/^(\d{4})\/(\d{2})\/(\d{2})$/, '$1-$2-$3')) : NaN;
+    if (!Number.isNaN(parsed)) return new Date(parsed).toISOString();
+  }
+  return null;
+};
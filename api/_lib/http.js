@@ -0,0 +1,79 @@
+/**
+ * Small request/response helpers shared by the Vercel functions in api/
+ * Written against the plain Node req/res API so the same handlers run under `vite dev`.
+ */
+
+/**
+ * Send a JSON response
+ * @param {Object} res - Node ServerResponse
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+export const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Send an error in the same shape the Anthropic API uses, so clients only handle one format
+ * @param {Object} res - Node ServerResponse
+ * @param {number} status - HTTP status code
+ * @param {string} type - Error type (e.g. 'invalid_request_error', 'budget_exceeded')
+ * @param {string} message - Human-readable message
+ */
+export const sendError = (res, status, type, message) => {
+  sendJson(res, status, { type: 'error', error: { type, message } });
+};
+
+// Far past any issue's prompts, links or custom sources
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const bodyTooLarge = () => {
+  const error = new Error(`Request body is over ${MAX_BODY_BYTES / 1024 / 1024} MB`);
+  error.status = 413;
+  return error;
+};
+
+/**
+ * Read a JSON request body
+ * Vercel has already parsed it into req.body; the dev server hands us the raw stream.
+ * @param {Object} req - Node IncomingMessage
+ * @returns {Promise<Object>} Parsed body (empty object if there is none)
+ *   - rejects with error.status 413 when the body is over MAX_BODY_BYTES, otherwise a JSON parse error
+ */
+export const readJsonBody = async (req) => {
+  if (Number(req.headers?.['content-length']) > MAX_BODY_BYTES) throw bodyTooLarge();
+  if (req.body && typeof req.body === 'object') return req.body;
+  if (typeof req.body === 'string') {
+    if (Buffer.byteLength(req.body) > MAX_BODY_BYTES) throw bodyTooLarge();
+    return JSON.parse(req.body || '{}');
+  }
+
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of req) {
+    bytes += chunk.length;
+    if (bytes > MAX_BODY_BYTES) throw bodyTooLarge();
+    chunks.push(Buffer.from(chunk));
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+};
+
+/**
+ * Answer a request whose body readJsonBody couldn't read - 413 when it's too large, 400 when it isn't JSON
+ * @param {Object} res - Node ServerResponse
+ * @param {Error} error - From readJsonBody
+ */
+export const sendBodyError = (res, error) => {
+  if (error.status === 413) return sendError(res, 413, 'request_too_large', error.message);
+  sendError(res, 400, 'invalid_request_error', 'Request body must be JSON');
+};
+
+/**
+ * Query string parameters for a request
+ * @param {Object} req - Node IncomingMessage
+ * @returns {URLSearchParams} Parsed query
+ */
+export const getQuery = (req) => new URL(req.url, 'http://localhost').searchParams;
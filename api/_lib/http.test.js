@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { readJsonBody, sendBodyError } from './http.js';
+
+// The raw request stream the dev server hands the handlers
+const streamRequest = (chunks, headers = {}) => Object.assign(Readable.from(chunks.map(chunk => Buffer.from(chunk))), { headers });
+
+const fakeResponse = () => ({
+  headers: {},
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  end(body) {
+    this.body = JSON.parse(body);
+  }
+});
+
+test('a streamed body is parsed, multi-byte characters split across chunks included', async () => {
+  const json = Buffer.from(JSON.stringify({ text: 'café' }));
+  const body = await readJsonBody(streamRequest([json.subarray(0, json.length - 3), json.subarray(json.length - 3)]));
+  assert.deepEqual(body, { text: 'café' });
+  assert.deepEqual(await readJsonBody(streamRequest([])), {});
+});
+
+test('bodies over 1 MB are refused with 413, streamed or declared', async () => {
+  const megabyte = 'x'.repeat(1024 * 1024);
+  await assert.rejects(readJsonBody(streamRequest([`{"a":"${megabyte}`, '"}'])), { status: 413 });
+  await assert.rejects(readJsonBody({ headers: { 'content-length': String(2 * 1024 * 1024) }, body: {} }), { status: 413 });
+  await assert.rejects(readJsonBody({ headers: {}, body: `{"a":"${megabyte}"}` }), { status: 413 });
+});
+
+test('the handlers answer 413 for a large body and 400 for one that isn\'t JSON', async () => {
+  const tooLarge = fakeResponse();
+  await readJsonBody({ headers: { 'content-length': '5000000' } }).catch(error => sendBodyError(tooLarge, error));
+  assert.equal(tooLarge.statusCode, 413);
+  assert.equal(tooLarge.body.error.type, 'request_too_large');
+
+  const notJson = fakeResponse();
+  await readJsonBody(streamRequest(['{not json'])).catch(error => sendBodyError(notJson, error));
+  assert.equal(notJson.statusCode, 400);
+  assert.equal(notJson.body.error.message, 'Request body must be JSON');
+});
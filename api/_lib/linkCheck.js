@@ -0,0 +1,185 @@
+/**
+ * Link checker for the /api/links route and the CLI's --check-links
+ * Fetches each URL and looks for the ways a link goes bad without a plain 404:
+ * redirects to the homepage, "page not found" pages served with a 200, and pages
+ * whose title has nothing to do with the link text (usually a recycled URL).
+ * Also reads the page's publish date, for the freshness check (src/engine/freshness.js).
+ */
+
+import { stripTags, findPublished } from './html.js';
+import { fetchPublic, readLimited } from './publicFetch.js';
+
+const LINK_TIMEOUT_MS = 10000;
+
+// Enough of the page to find <title> and the first heading
+const MAX_BODY_BYTES = 200 * 1024;
+
+// Re-use a page fetch inside this window (the title match is redone each time - link text can change)
+const CACHE_FOR_MS = 60 * 60 * 1000;
+
+// An issue has 40-60 links - keep several checks' worth
+const MAX_CACHED_PAGES = 500;
+
+const USER_AGENT = 'RenewalWeekly/1.0 (+https://renewalweekly.com; link checker)';
+
+// Publishers that block bots answer with these - the page may well be fine for readers
+const BLOCKED_STATUSES = [401, 403, 429];
+
+const SOFT_404_PATTERN = /page not found|not be found|couldn[’']t find|could not find|no longer (available|exists)|doesn[’']t exist|does not exist|page you (requested|were looking for)|\b404\b|error 404/i;
+
+// Words too generic to say whether a page matches its link text
+const STOPWORDS = new Set([
+  'this', 'that', 'with', 'from', 'have', 'been', 'were', 'what', 'when', 'where', 'which', 'their', 'there',
+  'about', 'into', 'more', 'most', 'than', 'then', 'they', 'them', 'your', 'just', 'also', 'over', 'after',
+  'study', 'studies', 'research', 'researchers', 'scientists', 'report', 'read', 'full', 'here', 'news',
+  'article', 'story', 'source', 'link', 'click', 'guide', 'update', 'latest', 'website'
+]);
+
+// url → { page, fetchedAt }
+const cache = new Map();
+
+/**
+ * Check one link
+ * @param {Object} link - { url, text } - text is matched against the page title ('' skips the match)
+ * @returns {Promise<Object>} { url, text, status: 'ok'|'warning'|'broken', httpStatus, finalUrl, title, published, problems }
+ *   - published is the page's publish date (ISO) when its metadata has one, else null
+ */
+export const checkLink = async ({ url, text = '' }) => {
+  const base = { url, text, httpStatus: null, finalUrl: null, title: null, published: null };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ...base, status: 'broken', problems: ['Not a valid URL'] };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { ...base, status: 'broken', problems: [`Not a web link (${parsed.protocol})`] };
+  }
+
+  let page;
+  try {
+    page = await fetchPage(url);
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? `no response after ${LINK_TIMEOUT_MS / 1000}s` : (error.cause?.code || error.cause?.message || error.message);
+    return { ...base, status: 'broken', problems: [`Could not connect (${reason})`] };
+  }
+
+  const result = { ...base, httpStatus: page.status, finalUrl: page.finalUrl, title: page.title, published: page.published };
+  const broken = [];
+  const warnings = [];
+
+  if (BLOCKED_STATUSES.includes(page.status)) {
+    warnings.push(`Site blocked the checker (HTTP ${page.status}) - open it by hand`);
+  } else if (page.status >= 400) {
+    broken.push(`HTTP ${page.status}`);
+  }
+
+  const linksToHomepage = isHomepagePath(parsed.pathname);
+  if (page.finalUrl !== url && isHomepagePath(new URL(page.finalUrl).pathname) && !linksToHomepage) {
+    broken.push(`Redirects to the homepage (${new URL(page.finalUrl).host})`);
+  } else if (linksToHomepage) {
+    warnings.push('Links to a homepage, not an article');
+  }
+
+  if (page.status < 400 && page.softNotFound) {
+    broken.push(`Looks like a "page not found" page${page.title ? ` ("${page.title}")` : ''}`);
+  }
+
+  if (broken.length === 0 && page.status < 400 && page.isHtml && !linksToHomepage && text && !titleMatches(text, page.title, page.finalUrl)) {
+    warnings.push(page.title ? `Page title "${page.title}" doesn't mention "${text}"` : 'Page has no title to match the link text against');
+  }
+
+  return {
+    ...result,
+    status: broken.length > 0 ? 'broken' : warnings.length > 0 ? 'warning' : 'ok',
+    problems: [...broken, ...warnings]
+  };
+};
+
+/**
+ * Check many links, a few at a time
+ * @param {Array} links - { url, text }
+ * @param {Object} options - { concurrency } (default 6)
+ * @returns {Promise<Array>} Results in the same order as links
+ */
+export const checkLinks = async (links, { concurrency = 6 } = {}) => {
+  const results = new Array(links.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < links.length) {
+      const index = next++;
+      results[index] = await checkLink(links[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, links.length) }, worker));
+  return results;
+};
+
+/**
+ * Drop every cached page fetch
+ */
+export const clearLinkCache = () => cache.clear();
+
+const isHomepagePath = (pathname) => pathname === '/' || pathname === '' || /^\/(index\.html?|home)?\/?$/i.test(pathname);
+
+const meaningfulWords = (text) => (text.toLowerCase().match(/[a-z]{4,}/g) || []).filter(word => !STOPWORDS.has(word));
+
+// Any meaningful word of the link text (or its first five letters, for plurals and -ing forms)
+// in the page title or URL path counts as a match
+const titleMatches = (text, title, finalUrl) => {
+  const words = meaningfulWords(text);
+  if (words.length === 0) return true;
+
+  let path = '';
+  try {
+    path = decodeURIComponent(new URL(finalUrl).pathname);
+  } catch {
+    // Keep an empty path
+  }
+  const haystack = `${title || ''} ${path}`.toLowerCase();
+  return words.some(word => haystack.includes(word.slice(0, 5)));
+};
+
+const fetchPage = async (url) => {
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_FOR_MS) return cached.page;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LINK_TIMEOUT_MS);
+  let page;
+  try {
+    const response = await fetchPublic(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      signal: controller.signal
+    });
+    const contentType = response.headers.get('content-type') || '';
+    const isHtml = contentType.includes('html');
+    const body = isHtml ? await readLimited(response, MAX_BODY_BYTES) : '';
+    if (!isHtml) await response.body?.cancel();
+
+    const titleMatch = body.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const headingMatch = body.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+    const title = titleMatch ? stripTags(titleMatch[1]) : null;
+    const heading = headingMatch ? stripTags(headingMatch[1]) : '';
+
+    page = {
+      status: response.status,
+      finalUrl: response.url || url,
+      isHtml,
+      title,
+      published: body ? findPublished(body) : null,
+      softNotFound: SOFT_404_PATTERN.test(`${title || ''} ${heading}`)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Re-inserted so the oldest check goes first when the cache is full - Maps keep insertion order
+  cache.delete(url);
+  cache.set(url, { page, fetchedAt: Date.now() });
+  if (cache.size > MAX_CACHED_PAGES) cache.delete(cache.keys().next().value);
+  return page;
+};
@@ -0,0 +1,68 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { checkLink, clearLinkCache } from './linkCheck.js';
+
+const PAGES = {
+  '/health/walking-study': { status: 200, html: '<title>Walking study links daily steps to lower dementia risk</title>' },
+  '/health/old-story': { status: 200, html: '<title>Page not found | Example News</title>' },
+  '/health/missing': { status: 404, html: '<title>Not here</title>' },
+  '/': { status: 200, html: '<title>Example News</title>' }
+};
+
+let server;
+let origin;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/health/moved') {
+      res.writeHead(301, { location: '/' });
+      return res.end();
+    }
+    const page = PAGES[req.url] || PAGES['/health/missing'];
+    res.writeHead(page.status, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(`<html><head>${page.html}</head><body></body></html>`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  clearLinkCache();
+  process.env.FETCH_ALLOW_PRIVATE_HOSTS = '127.0.0.1';
+});
+
+test('a live page whose title matches the link text is ok', async () => {
+  const result = await checkLink({ url: `${origin}/health/walking-study`, text: 'walking and dementia risk' });
+  assert.equal(result.status, 'ok');
+  assert.equal(result.httpStatus, 200);
+  assert.deepEqual(result.problems, []);
+});
+
+test('a 404 is broken', async () => {
+  const result = await checkLink({ url: `${origin}/health/missing`, text: 'walking study' });
+  assert.equal(result.status, 'broken');
+  assert.deepEqual(result.problems, ['HTTP 404']);
+});
+
+test('a redirect to the homepage is broken', async () => {
+  const result = await checkLink({ url: `${origin}/health/moved`, text: 'walking study' });
+  assert.equal(result.status, 'broken');
+  assert.equal(result.finalUrl, `${origin}/`);
+  assert.match(result.problems[0], /Redirects to the homepage/);
+});
+
+test('a "page not found" page served with a 200 is broken', async () => {
+  const result = await checkLink({ url: `${origin}/health/old-story`, text: 'walking study' });
+  assert.equal(result.status, 'broken');
+  assert.match(result.problems[0], /page not found/);
+});
+
+test('loopback is refused unless FETCH_ALLOW_PRIVATE_HOSTS lets it through', async () => {
+  delete process.env.FETCH_ALLOW_PRIVATE_HOSTS;
+  const result = await checkLink({ url: `${origin}/health/walking-study`, text: 'walking study' });
+  assert.equal(result.status, 'broken');
+  assert.match(result.problems[0], /127\.0\.0\.1 is not a public address/);
+});
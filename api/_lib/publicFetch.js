@@ -0,0 +1,145 @@
+/**
+ * Fetching URLs the caller names - cited articles, links to check, custom sources - without
+ * letting the server be pointed at itself or the network it runs in
+ *
+ * The URL and every redirect it follows are resolved first, and refused if any address is
+ * loopback, private, link-local (cloud metadata at 169.254.169.254), carrier-grade NAT or
+ * otherwise not on the public internet. The connection itself goes through the same check, so
+ * a host can't resolve to a public address for the check and a private one for the request.
+ * Bodies are read up to a byte limit.
+ *
+ * FETCH_ALLOW_PRIVATE_HOSTS (comma-separated hostnames or addresses, e.g. "localhost,127.0.0.1")
+ * lets tests and local development reach a server on a non-public address.
+ */
+
+import { lookup } from 'node:dns/promises';
+import { lookup as lookupCallback } from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+import { Agent, fetch } from 'undici';
+
+// Enough for any redirect chain a real article sits behind
+const MAX_REDIRECTS = 5;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const NON_PUBLIC = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+// Unspecified and loopback, unique local, link-local, multicast - IPv4-mapped addresses
+// (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const family = isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Hosts and addresses FETCH_ALLOW_PRIVATE_HOSTS lets through - read on every call so tests can set it
+ * @returns {Set<string>}
+ */
+const getAllowedPrivateHosts = () => new Set(
+  (process.env.FETCH_ALLOW_PRIVATE_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+);
+
+/**
+ * Whether a host may be reached at these addresses
+ * @param {string} host - Hostname from the URL
+ * @param {Array<{address: string}>} addresses - What it resolved to
+ * @returns {boolean}
+ */
+const isReachable = (host, addresses) => {
+  if (addresses.length === 0) return false;
+  const allowed = getAllowedPrivateHosts();
+  if (allowed.has(host.toLowerCase())) return true;
+  return addresses.every(({ address }) => isPublicAddress(address) || allowed.has(address.toLowerCase()));
+};
+
+/**
+ * Refuse a URL that isn't http(s) or whose host resolves to a non-public address
+ * @param {string} url - URL about to be fetched
+ * @returns {Promise<void>} Rejects with the reason
+ */
+export const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Not a web link (${protocol})`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  if (!isReachable(host, addresses)) {
+    throw new Error(`${host} is not a public address`);
+  }
+};
+
+/**
+ * DNS lookup for the connection - the addresses are checked again here and the socket connects
+ * to exactly these, so a second answer after assertPublicUrl can't point the request elsewhere
+ * (IP literals skip lookup and are covered by assertPublicUrl alone)
+ * @param {string} hostname - Host being connected to
+ * @param {Object} options - dns.lookup options from net.connect
+ * @param {Function} callback - dns.lookup callback
+ */
+const checkedLookup = (hostname, options, callback) => {
+  lookupCallback(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!isReachable(hostname, addresses)) {
+      return callback(new Error(`${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const dispatcher = new Agent({ connect: { lookup: checkedLookup } });
+
+/**
+ * fetch() for a caller-supplied URL - each hop is checked with assertPublicUrl before it's requested
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options (redirects are always followed here, hop by hop)
+ * @returns {Promise<Response>} The last response - its url is the final URL
+ */
+export const fetchPublic = async (url, options = {}) => {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+    const response = await fetch(current, { ...options, redirect: 'manual', dispatcher });
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) return response;
+    await response.body?.cancel();
+    current = new URL(location, current).href;
+  }
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+};
+
+/**
+ * Read a response body up to a size limit - the rest is dropped
+ * @param {Response} response - fetch response
+ * @param {number} maxBytes - Bytes to read at most
+ * @returns {Promise<string>} Body text (cut off at about maxBytes)
+ */
+export const readLimited = async (response, maxBytes) => {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+
+  while (bytes < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+    bytes += value.length;
+    text += decoder.decode(value, { stream: true });
+  }
+  await reader.cancel();
+  return text;
+};
@@ -0,0 +1,303 @@
+/**
+ * PubMed and ClinicalTrials.gov adapters for the /api/research route and the CLI
+ *
+ * Both are free, keyless JSON APIs, but neither sends CORS headers for every endpoint and
+ * NCBI asks for no more than three requests a second - so they're called from here:
+ *
+ * - PubMed (E-utilities): esearch for papers added in the window on our topic and the readers'
+ *   conditions, then esummary for their titles, journals and dates. esearch's count is the
+ *   "new studies" number on the metrics dashboard.
+ * - ClinicalTrials.gov (API v2): studies first posted in the window, plus a count of the ones
+ *   recruiting now, and the recruiting studies with a US site for the Trials Recruiting Now section.
+ *
+ * Queries come from src/config/research-sources.json and audience.json. Responses stay in
+ * memory for an hour. With fixturesDir set, recorded responses are read from
+ * <fixturesDir>/<request>.json instead (pubmed-esearch, pubmed-esummary, clinicaltrials-new,
+ * clinicaltrials-recruiting, clinicaltrials-recruiting-us) - a missing file is an empty result, like a feed without a fixture.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import audience from '../../src/config/audience.json' with { type: 'json' };
+import researchSources from '../../src/config/research-sources.json' with { type: 'json' };
+
+const PUBMED_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+const CLINICAL_TRIALS_URL = 'https://clinicaltrials.gov/api/v2/studies';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Publications and trial registrations trickle in through the day - an hour old is fine
+const FRESH_FOR_MS = 60 * 60 * 1000;
+
+// NCBI's limit without an API key is 3 requests/second
+const PUBMED_SPACING_MS = 350;
+
+const USER_AGENT = 'RenewalWeekly/1.0 (+https://renewalweekly.com; research reader)';
+
+// url → { data, fetchedAt }
+const cache = new Map();
+
+let lastPubMedRequest = 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar day, the same one the issue date is on
+const formatDay = (date, separator) => [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())].join(separator);
+
+/**
+ * The date window a query covers - the daysBack days up to the issue date
+ * @param {number} daysBack - Window length in days
+ * @param {Date} now - End of the window
+ * @returns {Object} { from, to } as Dates
+ */
+export const getResearchWindow = (daysBack = 7, now = new Date()) => ({
+  from: new Date(now.getTime() - daysBack * DAY_MS),
+  to: now
+});
+
+// Terms for the audience.json conditions that have an entry for this API
+const conditionTerms = (api) => (audience.conditions || [])
+  .map(condition => researchSources.conditions?.[condition]?.[api])
+  .filter(Boolean);
+
+/**
+ * PubMed search term: topic AND any of the conditions, minus animal-only studies (research-sources.json → pubmed.filters)
+ * @returns {string|null} null when no condition has PubMed terms
+ */
+export const buildPubMedTerm = () => {
+  const conditions = conditionTerms('pubmed');
+  const topic = researchSources.topic?.pubmed;
+  if (!topic || conditions.length === 0) return null;
+  const query = `(${topic}) AND (${conditions.map(terms => `(${terms})`).join(' OR ')})`;
+  return researchSources.pubmed?.filters ? `${query} ${researchSources.pubmed.filters}` : query;
+};
+
+/**
+ * ClinicalTrials.gov condition and intervention expressions
+ * @returns {Object|null} { cond, intr } - null when no condition has ClinicalTrials.gov terms
+ */
+export const buildClinicalTrialsQuery = () => {
+  const conditions = conditionTerms('clinicalTrials');
+  const topic = researchSources.topic?.clinicalTrials;
+  if (!topic || conditions.length === 0) return null;
+  return { cond: conditions.map(terms => `(${terms})`).join(' OR '), intr: topic };
+};
+
+// E-utilities asks callers to identify themselves; an API key raises the limit to 10 requests/second
+const pubMedParams = (params) => {
+  const search = new URLSearchParams({ ...params, retmode: 'json', tool: 'renewalweekly' });
+  if (process.env.NCBI_API_KEY) search.set('api_key', process.env.NCBI_API_KEY);
+  return search.toString();
+};
+
+/**
+ * esearch URL for papers added to PubMed in the window (Entrez date)
+ * @param {Object} window - From getResearchWindow
+ * @param {string} term - From buildPubMedTerm
+ * @returns {string} URL
+ */
+export const buildPubMedSearchUrl = ({ from, to }, term) => `${PUBMED_BASE_URL}/esearch.fcgi?${pubMedParams({
+  db: 'pubmed',
+  term,
+  datetype: 'edat',
+  mindate: formatDay(from, '/'),
+  maxdate: formatDay(to, '/'),
+  sort: 'pub_date',
+  retmax: String(researchSources.pubmed?.maxArticles || 15)
+})}`;
+
+/**
+ * esummary URL for a list of PubMed IDs
+ * @param {Array<string>} ids - PMIDs from esearch
+ * @returns {string} URL
+ */
+export const buildPubMedSummaryUrl = (ids) => `${PUBMED_BASE_URL}/esummary.fcgi?${pubMedParams({ db: 'pubmed', id: ids.join(',') })}`;
+
+/**
+ * ClinicalTrials.gov v2 studies URL
+ * @param {Object} window - From getResearchWindow
+ * @param {Object} query - From buildClinicalTrialsQuery
+ * @param {Object} options - { recruiting: count the studies recruiting now (any posting date) instead of listing new ones }
+ * @returns {string} URL
+ */
+export const buildClinicalTrialsUrl = ({ from, to }, query, { recruiting = false } = {}) => {
+  const params = new URLSearchParams({
+    'query.cond': query.cond,
+    'query.intr': query.intr,
+    countTotal: 'true',
+    format: 'json'
+  });
+  if (recruiting) {
+    params.set('filter.overallStatus', 'RECRUITING');
+    params.set('pageSize', '1');
+  } else {
+    params.set('filter.advanced', `AREA[StudyFirstPostDate]RANGE[${formatDay(from, '-')},${formatDay(to, '-')}]`);
+    params.set('sort', 'StudyFirstPostDate:desc');
+    params.set('pageSize', String(researchSources.clinicalTrials?.maxArticles || 10));
+  }
+  return `${CLINICAL_TRIALS_URL}?${params}`;
+};
+
+/**
+ * ClinicalTrials.gov v2 URL for the studies recruiting now in a country, most recently updated first
+ * @param {Object} query - From buildClinicalTrialsQuery
+ * @param {Object} options - { country, pageSize } (research-sources.json → trialsRecruiting)
+ * @returns {string} URL
+ */
+export const buildRecruitingTrialsUrl = (query, { country = 'United States', pageSize = 50 } = {}) => `${CLINICAL_TRIALS_URL}?${new URLSearchParams({
+  'query.cond': query.cond,
+  'query.intr': query.intr,
+  'query.locn': country,
+  'filter.overallStatus': 'RECRUITING',
+  sort: 'LastUpdatePostDate:desc',
+  pageSize: String(pageSize),
+  countTotal: 'true',
+  format: 'json'
+})}`;
+
+const readFixture = async (fixturesDir, name) => {
+  try {
+    return JSON.parse(await readFile(path.resolve(fixturesDir, `${name}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const fetchJson = async (url, { fixture, fixturesDir }) => {
+  if (fixturesDir) return readFixture(fixturesDir, fixture);
+
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < FRESH_FOR_MS) return cached.data;
+
+  if (url.startsWith(PUBMED_BASE_URL)) {
+    const wait = lastPubMedRequest + PUBMED_SPACING_MS - Date.now();
+    lastPubMedRequest = Date.now() + Math.max(0, wait);
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    cache.set(url, { data, fetchedAt: Date.now() });
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`no response after ${REQUEST_TIMEOUT_MS / 1000}s`);
+    throw new Error(error.cause?.code || error.cause?.message || error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Papers added to PubMed in the window on our topic and the readers' conditions
+ * @param {Object} options - { daysBack, now, fixturesDir }
+ * @returns {Promise<Object>} { status: 'fetched'|'fixture'|'error'|'not-configured', term, count, records: esummary docs, error? }
+ *   - count: every matching paper in the window, not just the records returned
+ */
+export const fetchPubMed = async ({ daysBack = 7, now = new Date(), fixturesDir = process.env.RESEARCH_FIXTURES_DIR } = {}) => {
+  const term = buildPubMedTerm();
+  if (!term) return { status: 'not-configured', term: null, count: null, records: [] };
+
+  const window = getResearchWindow(daysBack, now);
+  try {
+    const search = await fetchJson(buildPubMedSearchUrl(window, term), { fixture: 'pubmed-esearch', fixturesDir });
+    const result = search?.esearchresult;
+    if (result?.ERROR) throw new Error(result.ERROR);
+    const ids = result?.idlist || [];
+    const count = result ? Number(result.count) : null;
+
+    let records = [];
+    if (ids.length > 0) {
+      const summary = await fetchJson(buildPubMedSummaryUrl(ids), { fixture: 'pubmed-esummary', fixturesDir });
+      // esummary keys docs by PMID; uids keeps esearch's order
+      records = (summary?.result?.uids || []).map(uid => summary.result[uid]).filter(doc => doc && !doc.error);
+    }
+    return { status: fixturesDir ? 'fixture' : 'fetched', term, count, records };
+  } catch (error) {
+    return { status: 'error', term, count: null, records: [], error: error.message };
+  }
+};
+
+/**
+ * Trials first posted to ClinicalTrials.gov in the window, and how many are recruiting now
+ * @param {Object} options - { daysBack, now, fixturesDir }
+ * @returns {Promise<Object>} { status: 'fetched'|'fixture'|'error'|'not-configured', query, newCount, recruitingCount, records: v2 study objects, error? }
+ */
+export const fetchClinicalTrials = async ({ daysBack = 7, now = new Date(), fixturesDir = process.env.RESEARCH_FIXTURES_DIR } = {}) => {
+  const query = buildClinicalTrialsQuery();
+  if (!query) return { status: 'not-configured', query: null, newCount: null, recruitingCount: null, records: [] };
+
+  const window = getResearchWindow(daysBack, now);
+  try {
+    const [posted, recruiting] = await Promise.all([
+      fetchJson(buildClinicalTrialsUrl(window, query), { fixture: 'clinicaltrials-new', fixturesDir }),
+      fetchJson(buildClinicalTrialsUrl(window, query, { recruiting: true }), { fixture: 'clinicaltrials-recruiting', fixturesDir })
+    ]);
+    return {
+      status: fixturesDir ? 'fixture' : 'fetched',
+      query,
+      newCount: posted?.totalCount ?? null,
+      recruitingCount: recruiting?.totalCount ?? null,
+      records: posted?.studies || []
+    };
+  } catch (error) {
+    return { status: 'error', query, newCount: null, recruitingCount: null, records: [], error: error.message };
+  }
+};
+
+/**
+ * Studies recruiting now with a site in the configured country - not limited to the window,
+ * a trial that opened in spring is still news to a reader who qualifies
+ * @param {Object} options - { fixturesDir }
+ * @returns {Promise<Object>} { status: 'fetched'|'fixture'|'error'|'not-configured', query, count, records: v2 study objects, error? }
+ */
+export const fetchRecruitingTrials = async ({ fixturesDir = process.env.RESEARCH_FIXTURES_DIR } = {}) => {
+  const query = buildClinicalTrialsQuery();
+  if (!query) return { status: 'not-configured', query: null, count: null, records: [] };
+
+  try {
+    const recruiting = await fetchJson(buildRecruitingTrialsUrl(query, researchSources.trialsRecruiting), { fixture: 'clinicaltrials-recruiting-us', fixturesDir });
+    return {
+      status: fixturesDir ? 'fixture' : 'fetched',
+      query,
+      count: recruiting?.totalCount ?? null,
+      records: recruiting?.studies || []
+    };
+  } catch (error) {
+    return { status: 'error', query, count: null, records: [], error: error.message };
+  }
+};
+
+/**
+ * Every source at once - the /api/research response body
+ * @param {Object} options - { daysBack, now, fixturesDir }
+ * @returns {Promise<Object>} { fetchedAt, window: { from, to } (ISO), pubmed, clinicalTrials, recruitingTrials }
+ */
+export const fetchResearch = async (options = {}) => {
+  const { from, to } = getResearchWindow(options.daysBack, options.now);
+  const [pubmed, clinicalTrials, recruitingTrials] = await Promise.all([fetchPubMed(options), fetchClinicalTrials(options), fetchRecruitingTrials(options)]);
+  return {
+    fetchedAt: new Date().toISOString(),
+    window: { from: from.toISOString(), to: to.toISOString() },
+    pubmed,
+    clinicalTrials,
+    recruitingTrials
+  };
+};
+
+/**
+ * Drop every cached response
+ */
+export const clearResearchCache = () => cache.clear();
@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import {
+  buildClinicalTrialsQuery,
+  buildClinicalTrialsUrl,
+  buildPubMedSearchUrl,
+  buildPubMedTerm,
+  clearResearchCache,
+  fetchResearch,
+  getResearchWindow
+} from './researchApis.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../../fixtures/research', import.meta.url));
+const ISSUE_DATE = new Date('2026-10-23T12:00:00');
+
+beforeEach(() => clearResearchCache());
+
+test('queries cover the days before the issue date', () => {
+  const window = getResearchWindow(14, ISSUE_DATE);
+  assert.equal(window.to, ISSUE_DATE);
+  assert.equal(window.from.toISOString(), new Date('2026-10-09T12:00:00').toISOString());
+
+  const pubmed = new URL(buildPubMedSearchUrl(window, buildPubMedTerm()));
+  assert.equal(pubmed.searchParams.get('mindate'), '2026/10/09');
+  assert.equal(pubmed.searchParams.get('maxdate'), '2026/10/23');
+  assert.match(pubmed.searchParams.get('term'), /\) AND \(/);
+
+  const trials = new URL(buildClinicalTrialsUrl(window, buildClinicalTrialsQuery()));
+  assert.equal(trials.searchParams.get('filter.advanced'), 'AREA[StudyFirstPostDate]RANGE[2026-10-09,2026-10-23]');
+  const recruiting = new URL(buildClinicalTrialsUrl(window, buildClinicalTrialsQuery(), { recruiting: true }));
+  assert.equal(recruiting.searchParams.get('filter.overallStatus'), 'RECRUITING');
+  assert.equal(recruiting.searchParams.get('filter.advanced'), null);
+});
+
+test('recorded responses give the papers, trials and counts', async () => {
+  const research = await fetchResearch({ daysBack: 14, now: ISSUE_DATE, fixturesDir: FIXTURES_DIR });
+
+  assert.equal(research.pubmed.status, 'fixture');
+  assert.equal(research.pubmed.count, 186);
+  // esummary keys docs by PMID - they come back in esearch's order
+  assert.deepEqual(research.pubmed.records.map(doc => doc.uid), ['99000001', '99000002', '99000003', '99000004']);
+
+  assert.equal(research.clinicalTrials.status, 'fixture');
+  assert.deepEqual([research.clinicalTrials.newCount, research.clinicalTrials.recruitingCount, research.clinicalTrials.records.length], [17, 1342, 3]);
+
+  assert.equal(research.recruitingTrials.count, 214);
+  assert.equal(research.recruitingTrials.records.length, 8);
+});
+
+test('a fixtures directory without the files is an empty result, not an error', async () => {
+  const research = await fetchResearch({ daysBack: 14, now: ISSUE_DATE, fixturesDir: fileURLToPath(new URL('../../fixtures/feeds', import.meta.url)) });
+  assert.deepEqual([research.pubmed.status, research.pubmed.count, research.pubmed.records], ['fixture', null, []]);
+  assert.deepEqual([research.clinicalTrials.status, research.clinicalTrials.newCount], ['fixture', null]);
+});
+
+test('a failing API is reported on its own source and leaves the others alone', async (t) => {
+  t.mock.method(globalThis, 'fetch', async (url) => url.startsWith('https://eutils.ncbi.nlm.nih.gov/')
+    ? new Response('Service Unavailable', { status: 503 })
+    : Response.json({ totalCount: 2, studies: [] }));
+
+  const research = await fetchResearch({ daysBack: 7, now: ISSUE_DATE, fixturesDir: null });
+  assert.deepEqual([research.pubmed.status, research.pubmed.error, research.pubmed.records], ['error', 'HTTP 503', []]);
+  assert.deepEqual([research.clinicalTrials.status, research.clinicalTrials.newCount], ['fetched', 2]);
+  assert.deepEqual([research.recruitingTrials.status, research.recruitingTrials.count], ['fetched', 2]);
+});
@@ -0,0 +1,60 @@
+/**
+ * POST /api/extract - Article text for cited pages
+ *
+ * The fact-grounding check (src/engine/grounding.js) needs the text of every article a
+ * section links to, and the writer works from an excerpt of each article it's given
+ * (src/engine/fullText.js). Browsers can't read other sites' pages, so they're fetched here:
+ *
+ *   POST /api/extract { urls: [...] } → { fetchedAt, results: [{ url, finalUrl, canonicalUrl, title, author, published, siteName, description, text, error }] }
+ *
+ * text is the article body with the page boilerplate stripped (api/_lib/articleText.js) -
+ * null (with an error) for pages that couldn't be read. Metadata fields are null when the page doesn't have them.
+ * Needs the access token (api/_lib/auth.js); URLs on private or local addresses are refused (api/_lib/publicFetch.js).
+ */
+
+import { fetchArticleText } from './_lib/articleText.js';
+import { requireAccess } from './_lib/auth.js';
+import { sendJson, sendError, readJsonBody, sendBodyError } from './_lib/http.js';
+
+// One issue cites 20-40 articles
+const MAX_URLS = 50;
+
+// Pages read at once
+const CONCURRENCY = 4;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return sendError(res, 405, 'invalid_request_error', 'Method not allowed');
+  }
+  if (!requireAccess(req, res)) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendBodyError(res, error);
+  }
+
+  const urls = body.urls;
+  if (!Array.isArray(urls) || urls.some(url => typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+    return sendError(res, 400, 'invalid_request_error', 'urls must be an array of http(s) URLs');
+  }
+  if (urls.length > MAX_URLS) {
+    return sendError(res, 400, 'invalid_request_error', `At most ${MAX_URLS} URLs per request`);
+  }
+
+  const results = new Array(urls.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      results[index] = await fetchArticleText(urls[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, urls.length) }, worker));
+
+  return sendJson(res, 200, {
+    fetchedAt: new Date().toISOString(),
+    results
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * GET / POST /api/feeds - Feed proxy for the article pool
+ *
+ * Browsers can only fetch feeds that send CORS headers, and most publishers don't.
+ * This route fetches the curated feeds server-side and returns them as JSON:
+ *
+ *   GET /api/feeds            → every feed in rss-sources.json
+ *   GET /api/feeds?url=<feed> → one configured feed
+ *   POST /api/feeds { sources: [{ url, name, type, category }] } → the custom sources from Settings,
+ *     each read as a feed, sitemap or news page (api/_lib/customSources.js)
+ *     → { fetchedAt, sources: [{ url, name, category, type, feedUrl?, status, entries, fetchedAt, error? }] }
+ *     Needs the access token (api/_lib/auth.js) - the URLs are the caller's, not ours. Sources on
+ *     private or local addresses come back with an error (api/_lib/publicFetch.js).
+ *
+ * Set FEED_FIXTURES_DIR (e.g. fixtures/feeds) to serve local XML files instead of the network.
+ */
+
+import rssSources from '../src/config/rss-sources.json' with { type: 'json' };
+import { fetchFeed } from './_lib/feedCache.js';
+import { fetchCustomSource, SOURCE_TYPES } from './_lib/customSources.js';
+import { requireAccess } from './_lib/auth.js';
+import { sendJson, sendError, getQuery, readJsonBody, sendBodyError } from './_lib/http.js';
+
+// Settings holds a handful of custom sources - anything far past that isn't from the app
+const MAX_CUSTOM_SOURCES = 30;
+
+const isCustomSource = (source) => typeof source?.url === 'string' && /^https?:\/\//.test(source.url)
+  && (source.type === undefined || SOURCE_TYPES.includes(source.type));
+
+const handleCustomSources = async (req, res) => {
+  if (!requireAccess(req, res)) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendBodyError(res, error);
+  }
+
+  const sources = body.sources;
+  if (!Array.isArray(sources) || !sources.every(isCustomSource)) {
+    return sendError(res, 400, 'invalid_request_error', `sources must be an array of { url (http/https), name, type (${SOURCE_TYPES.join(' | ')}), category }`);
+  }
+  if (sources.length > MAX_CUSTOM_SOURCES) {
+    return sendError(res, 400, 'invalid_request_error', `At most ${MAX_CUSTOM_SOURCES} sources per request`);
+  }
+
+  const results = await Promise.all(sources.map(async (source) => {
+    const base = { url: source.url, name: source.name || source.url, category: source.category || null };
+    try {
+      return { ...base, ...(await fetchCustomSource(source)) };
+    } catch (error) {
+      return { ...base, type: source.type || 'auto', status: 'error', error: error.message, entries: [] };
+    }
+  }));
+
+  return sendJson(res, 200, {
+    fetchedAt: new Date().toISOString(),
+    sources: results
+  });
+};
+
+export default async function handler(req, res) {
+  if (req.method === 'POST') {
+    return handleCustomSources(req, res);
+  }
+  if (req.method !== 'GET') {
+    return sendError(res, 405, 'invalid_request_error', 'Method not allowed');
+  }
+
+  const requestedUrl = getQuery(req).get('url');
+
+  let feeds = rssSources.feeds;
+  if (requestedUrl) {
+    feeds = feeds.filter(feed => feed.url === requestedUrl);
+    if (feeds.length === 0) {
+      return sendError(res, 404, 'not_found_error', 'Feed is not in rss-sources.json');
+    }
+  }
+
+  const results = await Promise.all(feeds.map(async (feed) => {
+    try {
+      const result = await fetchFeed(feed);
+      return { url: feed.url, name: feed.name, category: feed.category, ...result };
+    } catch (error) {
+      return { url: feed.url, name: feed.name, category: feed.category, status: 'error', error: error.message, entries: [] };
+    }
+  }));
+
+  // Let the CDN hold the response briefly - feeds don't change minute to minute
+  res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=3600');
+  return sendJson(res, 200, {
+    fetchedAt: new Date().toISOString(),
+    feeds: results
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * /api/generate - Server-side proxy for the Anthropic Messages API
+ *
+ * The API key lives in the ANTHROPIC_API_KEY environment variable and never reaches the browser.
+ * Calls need the access token (API_ACCESS_TOKEN, api/_lib/auth.js). Every request is checked
+ * against the model allow-list and per-request limits in src/config/models.json, and counted
+ * against its issue's budget and the daily budget for all issues.
+ *
+ *   GET  /api/generate?issue=13 → { configured, authorized, production, test, allowedModels, budget }
+ *   POST /api/generate          → Messages API body plus `issue`; returns the Anthropic response
+ */
+
+import models from '../src/config/models.json' with { type: 'json' };
+import { sendJson, sendError, readJsonBody, sendBodyError, getQuery } from './_lib/http.js';
+import { getBudget, reserveRequest, recordUsage } from './_lib/budget.js';
+import { checkAccess, requireAccess } from './_lib/auth.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Server tools allowed in requests - client-defined tools are only output schemas (nothing runs them)
+const ALLOWED_TOOL_TYPES = ['web_search_20250305'];
+
+// Client-defined tools per request (the section's output schema)
+const MAX_OUTPUT_TOOLS = 1;
+
+// Issue numbers the app bills calls to - anything else would open a fresh per-issue budget
+const ISSUE_PATTERN = /^(\d{1,6}|unassigned)$/;
+
+// Upstream headers the client needs to pace itself
+const PASSTHROUGH_HEADERS = /^(retry-after|anthropic-ratelimit-.*|request-id)$/i;
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    const issue = getQuery(req).get('issue') || 'unassigned';
+    if (!ISSUE_PATTERN.test(issue)) {
+      return sendError(res, 400, 'invalid_request_error', 'issue must be an issue number');
+    }
+    return sendJson(res, 200, {
+      configured: Boolean(process.env.ANTHROPIC_API_KEY),
+      // Whether this caller's token is accepted (false when the server has none set)
+      authorized: checkAccess(req) === null,
+      production: models.production,
+      test: models.test,
+      allowedModels: models.allowedModels,
+      budget: getBudget(issue)
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return sendError(res, 405, 'invalid_request_error', 'Method not allowed');
+  }
+
+  if (!requireAccess(req, res)) return;
+
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    return sendError(res, 500, 'configuration_error', 'ANTHROPIC_API_KEY is not set on the server');
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendBodyError(res, error);
+  }
+
+  const { issue = 'unassigned', ...request } = body;
+  if (!ISSUE_PATTERN.test(String(issue))) {
+    return sendError(res, 400, 'invalid_request_error', 'issue must be an issue number');
+  }
+
+  const invalid = validateRequest(request);
+  if (invalid) {
+    return sendError(res, 400, 'invalid_request_error', invalid);
+  }
+
+  // Counted now, not when the response arrives - parallel calls can't all pass the check
+  const exhausted = reserveRequest(String(issue));
+  if (exhausted) {
+    return sendError(res, 403, 'budget_exceeded', exhausted);
+  }
+
+  const usesWebSearch = (request.tools || []).some(tool => tool.type === 'web_search_20250305');
+
+  let upstream;
+  try {
+    upstream = await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-beta': usesWebSearch
+          ? 'web-search-2025-03-05,prompt-caching-2024-07-31'
+          : 'prompt-caching-2024-07-31'
+      },
+      body: JSON.stringify(request)
+    });
+  } catch (error) {
+    return sendError(res, 502, 'api_error', `Could not reach Anthropic: ${error.message}`);
+  }
+
+  upstream.headers.forEach((value, name) => {
+    if (PASSTHROUGH_HEADERS.test(name)) res.setHeader(name, value);
+  });
+
+  const data = await upstream.json().catch(() => ({
+    type: 'error',
+    error: { type: 'api_error', message: `Anthropic returned ${upstream.status}` }
+  }));
+
+  if (upstream.ok) {
+    recordUsage(String(issue), data.usage);
+  }
+
+  return sendJson(res, upstream.status, data);
+}
+
+/**
+ * Check a Messages API body against the allow-list and limits
+ * @returns {string|null} Problem with the request, or null if it's acceptable
+ */
+const validateRequest = (request) => {
+  const { limits } = models;
+
+  if (!models.allowedModels.includes(request.model)) {
+    return `Model "${request.model}" is not allowed. Use one of: ${models.allowedModels.join(', ')}`;
+  }
+  if (!Array.isArray(request.messages) || request.messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+  if (!Number.isInteger(request.max_tokens) || request.max_tokens < 1 || request.max_tokens > limits.maxTokensPerRequest) {
+    return `max_tokens must be between 1 and ${limits.maxTokensPerRequest}`;
+  }
+  if (request.stream) {
+    return 'Streaming is not supported';
+  }
+
+  const outputTools = (request.tools || []).filter(tool => !tool.type || tool.type === 'custom');
+  if (outputTools.length > MAX_OUTPUT_TOOLS) {
+    return `At most ${MAX_OUTPUT_TOOLS} output schema tool per request`;
+  }
+  for (const tool of outputTools) {
+    if (!tool.name || tool.input_schema?.type !== 'object') {
+      return 'Output schema tools need a name and an object input_schema';
+    }
+  }
+
+  for (const tool of request.tools || []) {
+    if (outputTools.includes(tool)) continue;
+    if (!ALLOWED_TOOL_TYPES.includes(tool.type)) {
+      return `Tool "${tool.type || tool.name}" is not allowed`;
+    }
+    if ((tool.max_uses || 0) > limits.maxWebSearchesPerRequest) {
+      return `Web search max_uses cannot exceed ${limits.maxWebSearchesPerRequest}`;
+    }
+  }
+
+  return null;
+};
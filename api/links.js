@@ -0,0 +1,47 @@
+/**
+ * POST /api/links - Check an issue's links before export
+ *
+ * Browsers can't read cross-origin pages, so the checking happens here:
+ *
+ *   POST /api/links { links: [{ url, text }] } → { checkedAt, results: [{ url, text, status, httpStatus, finalUrl, title, published, problems }] }
+ *
+ * status is 'ok', 'warning' (blocked by the site, homepage link, title doesn't match the text)
+ * or 'broken' (error status, redirect to the homepage, "page not found" page, no connection).
+ * Needs the access token (api/_lib/auth.js); links to private or local addresses come back broken (api/_lib/publicFetch.js).
+ */
+
+import { checkLinks } from './_lib/linkCheck.js';
+import { requireAccess } from './_lib/auth.js';
+import { sendJson, sendError, readJsonBody, sendBodyError } from './_lib/http.js';
+
+// An issue has 30-50 links - anything far past that isn't an issue
+const MAX_LINKS = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return sendError(res, 405, 'invalid_request_error', 'Method not allowed');
+  }
+  if (!requireAccess(req, res)) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendBodyError(res, error);
+  }
+
+  const links = body.links;
+  if (!Array.isArray(links) || links.some(link => typeof link?.url !== 'string')) {
+    return sendError(res, 400, 'invalid_request_error', 'links must be an array of { url, text }');
+  }
+  if (links.length > MAX_LINKS) {
+    return sendError(res, 400, 'invalid_request_error', `At most ${MAX_LINKS} links per request`);
+  }
+
+  const results = await checkLinks(links.map(link => ({ url: link.url, text: typeof link.text === 'string' ? link.text : '' })));
+
+  return sendJson(res, 200, {
+    checkedAt: new Date().toISOString(),
+    results
+  });
+}
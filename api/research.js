@@ -0,0 +1,46 @@
+/**
+ * GET /api/research - New PubMed papers and ClinicalTrials.gov trials for the article pool
+ *
+ * Queries both for our topic and the readers' conditions (src/config/research-sources.json)
+ * over the article window, and returns the raw records for the browser to normalize
+ * (src/services/researchSources.js), the counts for the metrics dashboard and the US trials
+ * recruiting now for the Trials Recruiting Now section:
+ *
+ *   GET /api/research?daysBack=7&date=2026-10-23
+ *     → { fetchedAt, window: { from, to }, pubmed: { status, term, count, records }, clinicalTrials: { status, query, newCount, recruitingCount, records },
+ *         recruitingTrials: { status, query, count, records } }
+ *
+ * A source that fails has status 'error' and an error message - the others are still returned.
+ * Set RESEARCH_FIXTURES_DIR (e.g. fixtures/research) to serve recorded responses instead of the network.
+ */
+
+import { fetchResearch } from './_lib/researchApis.js';
+import { sendJson, sendError, getQuery } from './_lib/http.js';
+
+// Longer than any issue's article window
+const MAX_DAYS_BACK = 31;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return sendError(res, 405, 'invalid_request_error', 'Method not allowed');
+  }
+
+  const query = getQuery(req);
+  const daysBack = Number(query.get('daysBack') || 7);
+  if (!Number.isInteger(daysBack) || daysBack < 1 || daysBack > MAX_DAYS_BACK) {
+    return sendError(res, 400, 'invalid_request_error', `daysBack must be a whole number from 1 to ${MAX_DAYS_BACK}`);
+  }
+
+  // The issue date, as a local calendar day like the CLI's --date
+  const dateMatch = (query.get('date') || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (query.get('date') && !dateMatch) {
+    return sendError(res, 400, 'invalid_request_error', 'date must be YYYY-MM-DD');
+  }
+  const now = dateMatch ? new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]), 12) : new Date();
+
+  const research = await fetchResearch({ daysBack, now });
+
+  // Let the CDN hold the response for a while - new papers and trials are posted a few times a day
+  res.setHeader('Cache-Control', 's-maxage=1800, stale-while-revalidate=3600');
+  return sendJson(res, 200, research);
+}
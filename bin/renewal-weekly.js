@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+/**
+ * Renewal Weekly CLI - build a full issue without opening the browser
+ *
+ *   renewal-weekly build --date 2026-10-23 --out issue-13/
+ *   renewal-weekly build --resume --out issue-13/   (re-run sections that failed last time)
+ *   renewal-weekly classify                         (check the category rules against labeled articles)
+ *
+ * Runs the same engine as the app (src/engine) and writes:
+ * - newsletter.json → { issueNumber, date, subjectLine, newsletterData, currentGame, usedStories, usedUrls, coveredStories, checkpoint, usage, usageRecords, articleDates, freshness, style, sourceMix, safety, links?, grounding? }
+ * - newsletter.html → Beehiiv HTML (same as Export → Copy HTML)
+ * - newsletter.txt  → plain-text version
+ * - with --variants: newsletter-<segment tag>.html / .txt per audience segment, and variants.json
+ *   → { issueNumber, builtAt, variants: [{ segment, label, tags, picks, failed, files, held, safety }], comparison }
+ * The HTML and text exports are held back while the safety review has high-risk findings, unless --ack-safety
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import rssSources from '../src/config/rss-sources.json' with { type: 'json' };
+import { fetchFeed } from '../api/_lib/feedCache.js';
+import { checkLinks } from '../api/_lib/linkCheck.js';
+import { fetchArticleText } from '../api/_lib/articleText.js';
+import { fetchResearch } from '../api/_lib/researchApis.js';
+import { buildArticlePool, fetchBundleArticles, normalizeFeedEntry, normalizeResearchResults } from '../src/services/rss.js';
+import { getResearchCounts, pickRecruitingTrials } from '../src/services/researchSources.js';
+import { classifyArticle, getClassifierCategories } from '../src/services/classifier.js';
+import { createProvider, formatCost, PROVIDERS, summarizeUsage } from '../src/services/llm/index.js';
+import { createEngine, getStepLabel, renderHTML, renderPlainText, collectIssueLinks, linksToCheck, summarizeLinkResults, getArticleDates, checkFreshness, getGroundingUrls, checkGrounding, lintIssue, reviewSafety, collectCoveredStories, checkIssueDuplicates, checkSourceMix, compareVariants, renderVariantHTML } from '../src/engine/index.js';
+
+const USAGE = `Usage: renewal-weekly build [options]
+       renewal-weekly classify [--labels <file>]
+
+Options:
+  --date <YYYY-MM-DD>     Issue date (default: today)
+  --out <dir>             Output directory (default: issue-<number>/)
+  --previous <file>       newsletter.json of the previous issue - continues numbering and skips used stories
+  --resume                Finish the issue already in --out: re-run only sections that failed or never ran
+  --provider <name>       LLM provider: ${Object.keys(PROVIDERS).join(' | ')} (default: anthropic)
+  --feeds <source>        Feed source: live | fixtures (default: live)
+  --fixtures-dir <dir>    Feed fixtures for --feeds fixtures (default: fixtures/feeds)
+  --research-fixtures-dir <dir>
+                          PubMed / ClinicalTrials.gov responses for --feeds fixtures (default: fixtures/research)
+  --days-back <n>         Article window in days (default: 7)
+  --test                  Use the test model tier (Haiku)
+  --rate-relevance        Also have the model rate pool articles for audience relevance (blended with keyword scores)
+  --full-text             Read each article's page and write its section from an excerpt of the story, not just the feed summary
+  --check-links           Check every link in the issue (status, homepage redirects, "not found" pages, titles)
+  --check-facts           Look up every number, name and quote in the articles its section cites
+  --variants              Also write a version per audience segment (own Research Roundup, Deep Dive and Worth Knowing)
+  --ack-safety            Write the HTML and text exports even with high-risk medical claims in the safety review
+                          (you've read the report - like "I've reviewed this report" in the app)
+  --labels <file>         classify: hand-labeled articles to check src/config/classifier.json against
+                          (default: fixtures/classifier/labeled-articles.json)
+  -h, --help              Show this help
+
+The anthropic provider reads ANTHROPIC_API_KEY from the environment, .env.local or .env.`;
+
+// Same limits the app keeps in localStorage
+const MAX_USED_STORIES = 20;
+const MAX_USED_URLS = 50;
+// Stories from past issues, newest first - about a dozen issues' worth
+const MAX_COVERED_STORIES = 150;
+
+const fail = (message) => {
+  console.error(`Error: ${message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+};
+
+/**
+ * Parse --date as a local calendar day (new Date('2026-10-23') would be UTC midnight)
+ */
+const parseIssueDate = (value) => {
+  if (!value) return new Date();
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) fail(`--date must be YYYY-MM-DD, got "${value}"`);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+};
+
+/**
+ * Print the pool's best-scoring articles and what they matched in audience.json
+ */
+const logTopRelevance = (pool, count = 5) => {
+  const scored = pool.filter(article => article.audienceRelevance && !article.duplicate);
+  if (scored.length === 0) return;
+  console.log(`⭐ Top ${Math.min(count, scored.length)} of ${scored.length} articles for the audience:`);
+  [...scored].sort((a, b) => b.audienceScore - a.audienceScore).slice(0, count).forEach(article => {
+    const { factors, llm } = article.audienceRelevance;
+    const matched = Object.entries(factors)
+      .filter(([, factor]) => factor.matches.length > 0)
+      .map(([name, factor]) => `${name} ${factor.points > 0 ? '+' : ''}${factor.points} (${factor.matches.join(', ')})`);
+    console.log(`  ${article.audienceScore.toFixed(1)}  ${article.title}${llm === null ? '' : ` · AI ${llm}/10`}${matched.length ? ` - ${matched.join('; ')}` : ''}`);
+  });
+};
+
+/**
+ * Load ANTHROPIC_API_KEY the same way `npm run dev` does (.env.local, then .env)
+ */
+const loadApiKey = () => {
+  for (const file of ['.env.local', '.env']) {
+    if (!process.env.ANTHROPIC_API_KEY && existsSync(file)) {
+      process.loadEnvFile(file);
+    }
+  }
+  return process.env.ANTHROPIC_API_KEY || null;
+};
+
+/**
+ * Article fetcher for the engine - curated feeds go through the server-side feed cache
+ * (fixture files when fixturesDir is set), the RSS.app bundle is only used for live runs.
+ * PubMed and ClinicalTrials.gov are queried directly (recorded responses when researchFixturesDir is set)
+ */
+const createArticleFetcher = (fixturesDir, researchFixturesDir) => async (daysBack, date) => {
+  const [feedResults, bundleArticles, research] = await Promise.all([
+    Promise.all(rssSources.feeds.map(async (feed) => {
+      try {
+        const result = await fetchFeed(feed, { fixturesDir });
+        return result.entries.map(entry => normalizeFeedEntry(entry, feed));
+      } catch (error) {
+        console.warn(`RSS: ${feed.name} failed - ${error.message}`);
+        return [];
+      }
+    })),
+    fixturesDir ? [] : fetchBundleArticles(),
+    fetchResearch({ daysBack, now: date, fixturesDir: researchFixturesDir })
+  ]);
+
+  [['PubMed', research.pubmed], ['ClinicalTrials.gov', research.clinicalTrials]]
+    .filter(([, result]) => result.status === 'error')
+    .forEach(([name, result]) => console.warn(`Research: ${name} failed - ${result.error}`));
+
+  return buildArticlePool([...feedResults.flat(), ...normalizeResearchResults(research)], bundleArticles, daysBack, date);
+};
+
+// Metrics dashboard counts and Trials Recruiting Now cards - the same queries as the article fetcher,
+// answered from the adapters' cache or fixtures
+const createStatsFetcher = (researchFixturesDir) => async (daysBack, date) =>
+  getResearchCounts(await fetchResearch({ daysBack, now: date, fixturesDir: researchFixturesDir }), daysBack);
+
+const createTrialsFetcher = (researchFixturesDir) => async (daysBack, date) => {
+  const research = await fetchResearch({ daysBack, now: date, fixturesDir: researchFixturesDir });
+  if (research.recruitingTrials.status === 'error') throw new Error(research.recruitingTrials.error);
+  return pickRecruitingTrials(research);
+};
+
+const build = async (options) => {
+  const date = parseIssueDate(options.date);
+
+  if (!PROVIDERS[options.provider]) {
+    fail(`Unknown provider "${options.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!['live', 'fixtures'].includes(options.feeds)) {
+    fail(`--feeds must be "live" or "fixtures", got "${options.feeds}"`);
+  }
+
+  const daysBack = Number(options['days-back']);
+  if (!Number.isInteger(daysBack) || daysBack < 1) {
+    fail(`--days-back must be a positive whole number, got "${options['days-back']}"`);
+  }
+
+  if (options.resume) {
+    if (!options.out) fail('--resume needs --out pointing at the issue to finish');
+    if (options.previous) fail('--resume and --previous can\'t be combined');
+  }
+
+  let previous = {};
+  if (options.resume) {
+    previous = JSON.parse(await readFile(path.join(options.out, 'newsletter.json'), 'utf8'));
+  } else if (options.previous) {
+    previous = JSON.parse(await readFile(options.previous, 'utf8'));
+    if (!previous.newsletterData) fail(`${options.previous} has no newsletterData - pass a newsletter.json written by this CLI`);
+  }
+
+  let providerOptions = {};
+  if (options.provider === 'anthropic') {
+    const apiKey = loadApiKey();
+    if (!apiKey) fail('ANTHROPIC_API_KEY is not set (use --provider mock for an offline run)');
+    providerOptions = { apiKey };
+  }
+
+  const fixturesDir = options.feeds === 'fixtures' ? path.resolve(options['fixtures-dir']) : null;
+  const researchFixturesDir = options.feeds === 'fixtures' ? path.resolve(options['research-fixtures-dir']) : null;
+
+  const engine = createEngine({
+    provider: createProvider(options.provider, providerOptions),
+    tier: options.test ? 'test' : 'production',
+    fetchArticles: createArticleFetcher(fixturesDir, researchFixturesDir),
+    fetchStats: createStatsFetcher(researchFixturesDir),
+    fetchTrials: createTrialsFetcher(researchFixturesDir),
+    daysBack,
+    rateRelevance: options['rate-relevance'],
+    fetchFullText: options['full-text'] ? (urls) => Promise.all(urls.map(fetchArticleText)) : null
+  });
+  // A resumed issue keeps adding to the usage it already has
+  const usageRecords = options.resume ? [...(previous.usageRecords || [])] : [];
+  // Pool publish dates for the freshness check - a resume reuses the checkpoint's research, so keep the old ones
+  let articleDates = options.resume ? previous.articleDates || {} : {};
+  // Segment variants pick from the pool - a resume only has the articles the first run selected
+  let pool = options.resume ? previous.checkpoint?.articles || [] : [];
+  engine.on(event => {
+    if (event.type === 'status') console.log(event.message);
+    if (event.type === 'usage') usageRecords.push(event.record);
+    if (event.type === 'articles') {
+      articleDates = getArticleDates(event.pool);
+      pool = event.pool;
+      logTopRelevance(event.pool);
+    }
+  });
+
+  // The CLI has no History - each newsletter.json carries the stories of the issues before it
+  const pastStories = options.resume
+    ? previous.coveredStories || []
+    : [...collectCoveredStories(previous.newsletterData ? [previous] : []), ...(previous.coveredStories || [])].slice(0, MAX_COVERED_STORIES);
+  const covered = [...pastStories, ...collectCoveredStories([], previous.usedStories || [])];
+
+  const result = options.resume
+    ? await engine.resumeIssue({
+      current: previous.newsletterData,
+      game: previous.currentGame,
+      checkpoint: previous.checkpoint,
+      usedStories: previous.usedStories || [],
+      usedUrls: previous.usedUrls || [],
+      covered
+    })
+    : await engine.buildIssue({
+      previous: previous.newsletterData,
+      usedStories: previous.usedStories || [],
+      usedUrls: previous.usedUrls || [],
+      covered,
+      date
+    });
+
+  const { newsletterData, game } = result;
+  const issueNumber = newsletterData.preHeader.issueNumber;
+  const outDir = path.resolve(options.out || `issue-${issueNumber}`);
+
+  const issue = {
+    issueNumber,
+    date: newsletterData.preHeader.date,
+    subjectLine: newsletterData.preHeader.subjectLine,
+    builtAt: new Date().toISOString(),
+    provider: options.provider,
+    newsletterData,
+    currentGame: game,
+    usedStories: [...(previous.usedStories || []), ...result.usedStories].slice(-MAX_USED_STORIES),
+    usedUrls: [...new Set([...(previous.usedUrls || []), ...result.usedUrls])].slice(-MAX_USED_URLS),
+    coveredStories: pastStories,
+    // The issue and game are already above - keep only progress and research for --resume
+    checkpoint: result.checkpoint && { ...result.checkpoint, newsletterData: undefined, game: undefined },
+    usage: summarizeUsage(usageRecords),
+    usageRecords,
+    articleDates
+  };
+
+  if (options['check-links']) {
+    const links = collectIssueLinks(newsletterData);
+    console.log(`\nChecking ${links.length} links...`);
+    const results = await checkLinks(linksToCheck(links));
+    const resultsByUrl = Object.fromEntries(results.map(linkResult => [linkResult.url, linkResult]));
+    issue.links = { checkedAt: new Date().toISOString(), results: resultsByUrl };
+
+    const summary = summarizeLinkResults(links, resultsByUrl);
+    console.log(`Links: ${summary.ok} ok · ${summary.warning} to check by hand · ${summary.broken} broken`);
+    Object.values(summary.bySection).forEach(section => section.links
+      .filter(link => link.status !== 'ok')
+      .forEach(link => console.log(`  ${link.status === 'broken' ? '✗' : '⚠'} ${link.section}: ${link.url} - ${link.problems.join('; ')}`)));
+    if (summary.broken > 0) process.exitCode = 2;
+  }
+
+  const freshness = checkFreshness(newsletterData, { articleDates, linkResults: issue.links?.results });
+  issue.freshness = { fresh: freshness.fresh, stale: freshness.stale, undated: freshness.undated };
+  console.log(`\nFreshness: ${freshness.fresh} in window · ${freshness.stale} too old · ${freshness.undated} without a date${options['check-links'] ? '' : ' (--check-links reads dates from the pages)'}`);
+  Object.values(freshness.bySection).forEach(section => section.links
+    .filter(link => link.status === 'stale')
+    .forEach(link => console.log(`  🕒 ${link.section}: ${link.url} - ${link.ageDays} days old, limit ${section.maxAgeDays}`)));
+  if (freshness.stale > 0) process.exitCode = 2;
+
+  const style = lintIssue(newsletterData);
+  issue.style = { score: style.score, bySection: Object.fromEntries(Object.entries(style.bySection).map(([section, result]) => [section, result.score])) };
+  console.log(`\nStyle: ${style.score}/100 · ${style.violations} warning${style.violations === 1 ? '' : 's'}`);
+  Object.entries(style.bySection).forEach(([section, result]) => result.violations
+    .forEach(violation => console.log(`  ✎ ${section}${violation.index === null ? '' : ` #${violation.index + 1}`}: ${violation.message}`)));
+
+  const duplicates = checkIssueDuplicates(newsletterData, covered);
+  console.log(`\nDuplicates: ${duplicates.count} section${duplicates.count === 1 ? '' : 's'} repeat${duplicates.count === 1 ? 's' : ''} a past story`);
+  Object.entries(duplicates.bySection).forEach(([section, matches]) => matches
+    .forEach(match => console.log(`  🔁 ${section}${match.index === null ? '' : ` #${match.index + 1}`}: "${match.title}" - ${match.issueNumber ? `issue #${match.issueNumber}` : 'used stories'} "${match.pastTitle}" (${match.kind}, ${Math.round(match.score * 100)}%)`)));
+
+  const sourceMix = checkSourceMix(newsletterData);
+  issue.sourceMix = { tiers: sourceMix.tiers, preprints: sourceMix.preprints, paywalled: sourceMix.paywalled, problems: sourceMix.problems };
+  console.log(`\nSource mix: ${Object.entries(sourceMix.tiers).filter(([, count]) => count > 0).map(([tier, count]) => `${count} ${tier}`).join(' · ') || 'no articles cited'}${sourceMix.preprints ? ` · ${sourceMix.preprints} preprint${sourceMix.preprints === 1 ? '' : 's'}` : ''}${sourceMix.paywalled ? ` · ${sourceMix.paywalled} paywalled` : ''}`);
+  sourceMix.problems.forEach(problem => console.log(`  ⚖ ${problem.message}${problem.urls.length ? `: ${problem.urls.join(', ')}` : ''}`));
+
+  const sourceTexts = {};
+  if (options['check-facts']) {
+    const urls = getGroundingUrls(newsletterData);
+    console.log(`\nReading ${urls.length} cited articles...`);
+    for (const url of urls) sourceTexts[url] = (await fetchArticleText(url)).text;
+    const grounding = checkGrounding(newsletterData, sourceTexts);
+    issue.grounding = { supported: grounding.supported, unsupported: grounding.unsupported, unchecked: grounding.unchecked };
+    console.log(`Facts: ${grounding.supported} found in their sources · ${grounding.unsupported} not found · ${grounding.unchecked} couldn't be checked`);
+    grounding.claims
+      .filter(claim => claim.status === 'unsupported')
+      .forEach(claim => console.log(`  🔎 ${claim.section}${claim.index === null ? '' : ` #${claim.index + 1}`} ${claim.field}: ${claim.type} "${claim.text}"`));
+  }
+
+  // The app won't export until an editor acknowledges this report - here high-risk claims hold back
+  // the exports and fail the build unless --ack-safety says the report was read
+  const safety = reviewSafety(newsletterData, { sourceTexts });
+  issue.safety = { high: safety.high, medium: safety.medium, fingerprint: safety.fingerprint, findings: safety.findings };
+  console.log(`\nSafety review: ${safety.high} high-risk · ${safety.medium} medium-risk medical claims${options['check-facts'] ? '' : ' (--check-facts also checks for animal studies reported as human results)'}`);
+  safety.findings.forEach(finding => console.log(`  ${finding.severity === 'high' ? '✗' : '⚠'} ${finding.section}${finding.index === null ? '' : ` #${finding.index + 1}`}: ${finding.message}`));
+  const holdExports = safety.high > 0 && !options['ack-safety'];
+  if (holdExports) process.exitCode = 2;
+
+  await mkdir(outDir, { recursive: true });
+
+  let variantFiles = [];
+  if (options.variants) {
+    console.log('');
+    const variants = await engine.buildVariants({ newsletterData, pool, usedUrls: issue.usedUrls });
+    const summaries = await Promise.all(variants.map(async (variant) => {
+      const [tag] = variant.tags;
+      const variantSafety = reviewSafety(variant.newsletterData);
+      // A version goes out with the main issue's sections too - its exports wait on both reviews
+      const held = (safety.high > 0 || variantSafety.high > 0) && !options['ack-safety'];
+      const files = held ? [] : [`newsletter-${tag}.html`, `newsletter-${tag}.txt`];
+      await Promise.all(held
+        ? [`newsletter-${tag}.html`, `newsletter-${tag}.txt`].map(file => rm(path.join(outDir, file), { force: true }))
+        : [
+          writeFile(path.join(outDir, files[0]), renderVariantHTML(variant, game)),
+          writeFile(path.join(outDir, files[1]), renderPlainText(variant.newsletterData, game))
+        ]);
+      return { segment: variant.segment, label: variant.label, tags: variant.tags, picks: variant.picks, failed: variant.failed, files, held, safety: { high: variantSafety.high, medium: variantSafety.medium, findings: variantSafety.findings } };
+    }));
+    const comparison = compareVariants(newsletterData, variants);
+    await writeFile(path.join(outDir, 'variants.json'), JSON.stringify({ issueNumber, builtAt: new Date().toISOString(), variants: summaries, comparison }, null, 2) + '\n');
+    variantFiles = ['variants.json', ...summaries.flatMap(summary => summary.files)];
+
+    // Variant links are sent too - keep them out of the next issue
+    const variantUrls = variants.flatMap(variant => Object.values(variant.picks).flat().map(article => article.url));
+    issue.usedUrls = [...new Set([...issue.usedUrls, ...variantUrls])].slice(-MAX_USED_URLS);
+
+    console.log(`\nSegment variants: ${variants.length}`);
+    comparison.forEach(row => console.log(`  ${row.label}: ${row.variants.filter(variant => variant.changed).length} of ${row.variants.length} differ from the main issue`));
+    summaries.forEach(summary => {
+      console.log(`  👥 ${summary.label} [${summary.tags.join(', ')}]: ${summary.picks.researchRoundup[0]?.title || '-'} · ${summary.picks.deepDive[0]?.title || '-'}${summary.failed.length ? ` · kept main issue ${summary.failed.join(', ')}` : ''}`);
+      if (summary.safety.high > 0) console.log(`     ✗ ${summary.safety.high} high-risk medical claim(s) in this version`);
+      if (summary.held) process.exitCode = 2;
+    });
+  }
+
+  // Held exports are removed, so a resumed issue doesn't leave the last run's HTML behind
+  const exportFiles = holdExports ? [] : ['newsletter.html', 'newsletter.txt'];
+  await Promise.all([
+    writeFile(path.join(outDir, 'newsletter.json'), JSON.stringify(issue, null, 2) + '\n'),
+    ...(holdExports
+      ? ['newsletter.html', 'newsletter.txt'].map(file => rm(path.join(outDir, file), { force: true }))
+      : [
+        writeFile(path.join(outDir, 'newsletter.html'), renderHTML(newsletterData, game)),
+        writeFile(path.join(outDir, 'newsletter.txt'), renderPlainText(newsletterData, game))
+      ])
+  ]);
+
+  console.log(`\nIssue #${issueNumber} written to ${outDir} (${['newsletter.json', ...exportFiles, ...variantFiles].join(', ')})`);
+  if (holdExports) {
+    console.log(`✗ HTML and text not written: ${safety.high} high-risk medical claim(s). Once you've read the report above, write them with --resume --out ${options.out || outDir} --ack-safety`);
+  }
+  console.log(`AI usage: ${issue.usage.calls} calls · ${issue.usage.inputTokens} in / ${issue.usage.outputTokens} out · ${issue.usage.webSearches} web searches · ${formatCost(issue.usage.cost)}`);
+
+  const failed = result.checkpoint?.failed || [];
+  if (failed.length > 0) {
+    console.log(`${failed.length} section(s) failed: ${failed.map(getStepLabel).join(', ')} - run again with --resume --out ${options.out || outDir}`);
+    process.exitCode = 2;
+  }
+};
+
+/**
+ * Run the category classifier over hand-labeled articles and report precision / recall per category
+ * - check classifier.json changes against it before relying on them. Exits with code 2 if any article
+ * is labeled differently, so a rules change that breaks the suite fails in CI
+ */
+const classify = async (options) => {
+  const { articles } = JSON.parse(await readFile(options.labels, 'utf8'));
+  const categories = getClassifierCategories();
+  const counts = Object.fromEntries(categories.map(category => [category, { tp: 0, fp: 0, fn: 0 }]));
+  const mismatches = [];
+
+  articles.forEach(article => {
+    const result = classifyArticle(article, { feedCategory: article.feedCategory });
+    const expected = new Set(article.labels);
+    const extra = result.categories.filter(category => !expected.has(category));
+    const missing = article.labels.filter(category => !result.categories.includes(category));
+    result.categories.filter(category => expected.has(category)).forEach(category => counts[category].tp++);
+    extra.forEach(category => counts[category].fp++);
+    missing.forEach(category => counts[category] && counts[category].fn++);
+    if (extra.length > 0 || missing.length > 0) mismatches.push({ article, result, extra, missing });
+  });
+
+  const ratio = (part, total) => total === 0 ? '  -  ' : (part / total).toFixed(2).padStart(5);
+  console.log(`${articles.length} labeled articles (${options.labels})\n`);
+  console.log(`${'Category'.padEnd(22)} Precision  Recall  Labels`);
+  categories.forEach(category => {
+    const { tp, fp, fn } = counts[category];
+    console.log(`${category.padEnd(22)} ${ratio(tp, tp + fp)}      ${ratio(tp, tp + fn)}   ${tp + fn}`);
+  });
+  const total = Object.values(counts).reduce((sum, { tp, fp, fn }) => ({ tp: sum.tp + tp, fp: sum.fp + fp, fn: sum.fn + fn }), { tp: 0, fp: 0, fn: 0 });
+  console.log(`${'All'.padEnd(22)} ${ratio(total.tp, total.tp + total.fp)}      ${ratio(total.tp, total.tp + total.fn)}   ${total.tp + total.fn}`);
+
+  if (mismatches.length > 0) {
+    console.log(`\n${mismatches.length} article${mismatches.length === 1 ? '' : 's'} labeled differently:`);
+    mismatches.forEach(({ article, result, extra, missing }) => {
+      const describe = (list, sign) => list.map(category => `${sign}${category} (${result.confidence[category] ?? 0})`);
+      console.log(`  ${article.title}\n    ${[...describe(extra, '+'), ...describe(missing, '-')].join(' · ')}`);
+    });
+    process.exitCode = 2;
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        date: { type: 'string' },
+        out: { type: 'string' },
+        previous: { type: 'string' },
+        resume: { type: 'boolean', default: false },
+        provider: { type: 'string', default: 'anthropic' },
+        feeds: { type: 'string', default: 'live' },
+        'fixtures-dir': { type: 'string', default: 'fixtures/feeds' },
+        'research-fixtures-dir': { type: 'string', default: 'fixtures/research' },
+        'days-back': { type: 'string', default: '7' },
+        test: { type: 'boolean', default: false },
+        'rate-relevance': { type: 'boolean', default: false },
+        'full-text': { type: 'boolean', default: false },
+        'check-links': { type: 'boolean', default: false },
+        'check-facts': { type: 'boolean', default: false },
+        variants: { type: 'boolean', default: false },
+        'ack-safety': { type: 'boolean', default: false },
+        labels: { type: 'string', default: 'fixtures/classifier/labeled-articles.json' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const [command] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (command === 'classify') return classify(parsed.values);
+  if (command !== 'build') fail(`Unknown command "${command}"`);
+
+  await build(parsed.values);
+};
+
+main().catch(error => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
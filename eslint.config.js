@@ -35,4 +35,11 @@ export default [
       ],
     },
   },
+  {
+    // Vercel functions, the CLI and build config run in Node
+    files: ['api/**/*.js', 'bin/**/*.js', 'vite.config.js'],
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
 ]
@@ -1,6 +1,12 @@
-import React, { useState, useEffect, useRef, Component } from 'react';
-import { getStyleRules, getAudienceContext, getSourceGuidance, getWordLimits, sources, audience } from './config';
-import { fetchArticlePool, buildMatchingPrompt, CONTENT_TO_AVOID } from './services/rss';
+import React, { useState, useEffect, useRef, useMemo, Component } from 'react';
+import { getGenerateStatus } from './services/generateApi';
+import { getAccessToken, setAccessToken } from './services/apiAccess';
+import { escapeRegex } from './services/termMatch';
+import { checkLinks } from './services/linkCheckApi';
+import { fetchArticleTexts, fetchArticleDetails } from './services/extractApi';
+import { createProvider, summarizeUsage, formatCost } from './services/llm';
+import { FEED_CATEGORIES, CUSTOM_SOURCE_TYPES, fetchArticlePool, fetchCustomSources, updateSourceHealth, getBuiltInSource } from './services/rss';
+import { createEngine, createDefaultNewsletter, extractSourcesFromContent, generateMidjourneyPrompt, renderHTML, stripLinkSyntax, formatTrialSites, colors, getPendingSteps, getStepLabel, collectIssueLinks, linksToCheck, summarizeLinkResults, getArticleDates, checkFreshness, getGroundingUrls, checkGrounding, getTrustTest, lintIssue, reviewSafety, usedStoryTitle, collectCoveredStories, checkIssueDuplicates, checkSourceMix, DISTRIBUTION_SLOTS, PICK_MIN_SCORE, distributeArticles, compareVariants, renderVariantHTML } from './engine';
 
 // Error Boundary Component to catch rendering errors and prevent white screen
 class ErrorBoundary extends Component {
@@ -47,31 +53,27 @@ class ErrorBoundary extends Component {
   }
 }
 
-// Rate limiting helper - delays between API calls to avoid hitting rate limits
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Article Pool: the model's picks by URL, and a distribution as URLs per slot
+const getPoolPicks = (selected = []) => Object.fromEntries(selected.map(article => [article.url, { slot: article.suggestedSection, reason: article.reason || null }]));
 
-// Retry helper with exponential backoff for rate limits
-const retryWithBackoff = async (fn, maxRetries = 3, initialDelay = 15000, setStatus = null) => {
-  let lastError;
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      if (error.message?.includes('rate limit') || error.message?.includes('429') || error.message?.includes('overloaded')) {
-        const waitTime = initialDelay * Math.pow(2, i); // 15s, 30s, 60s
-        console.log(`Rate limit hit, waiting ${waitTime/1000}s before retry ${i + 1}/${maxRetries}`);
-        if (setStatus) {
-          setStatus(`⏳ Rate limit - waiting ${Math.round(waitTime/1000)}s then retrying (${i + 1}/${maxRetries})...`);
-        }
-        await delay(waitTime);
-      } else {
-        throw error; // Don't retry non-rate-limit errors
-      }
-    }
-  }
-  throw lastError;
-};
+// Why an article scored what it did - one line per audience.json factor, for the ⭐ tooltip
+const RELEVANCE_FACTOR_LABELS = { conditions: 'Conditions', highEngagement: 'High-engagement topics', segments: 'Audience segments', dontWant: "Don't want" };
+const describeRelevance = (relevance) => [
+  `Keyword score ${relevance.local.toFixed(1)}/10`,
+  ...Object.entries(relevance.factors).map(([name, factor]) => `${RELEVANCE_FACTOR_LABELS[name] || name}: ${factor.points > 0 ? '+' : ''}${factor.points}${factor.matches.length ? ` (${factor.matches.join(', ')})` : ''}`),
+  ...(relevance.llm === null ? [] : [`AI rating ${relevance.llm}/10${relevance.reason ? ` - ${relevance.reason}` : ''}`])
+].join('\n');
+
+// Classifier confidence per category, most confident first - for the category tooltip
+const describeCategories = (article) => article.categoryConfidence
+  ? Object.entries(article.categoryConfidence)
+    .filter(([, confidence]) => confidence > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, confidence]) => `${FEED_CATEGORIES[category]?.name || category}: ${Math.round(confidence * 100)}%`)
+    .join('\n') || 'No category terms matched'
+  : 'Category from the feed';
+
+const getSlotUrls = (distribution) => Object.fromEntries(DISTRIBUTION_SLOTS.map(({ key }) => [key, [distribution?.[key]].flat().filter(Boolean).map(article => article.url)]));
 
 // Local state input component to prevent focus loss on every keystroke
 const PromptInput = ({ value, onChange, placeholder, disabled }) => {
@@ -131,995 +133,117 @@ const RenewalWeeklyCompiler = () => {
   const [section4Format, setSection4Format] = useState('treatment_spotlight');
 
   // ===== AI INTEGRATION =====
-  const [anthropicApiKey, setAnthropicApiKey] = useState(() => {
-    return localStorage.getItem('renewalWeekly_anthropicKey') || '';
-  });
+  // Claude calls go through /api/generate - the key lives in the server's ANTHROPIC_API_KEY
+  const [aiServer, setAiServer] = useState(null); // { configured, authorized, production, test, budget } or null while loading
+  const [accessTokenInput, setAccessTokenInput] = useState(getAccessToken);
+  const issueRef = useRef(null); // Issue number AI calls are billed to (kept in sync with preHeader.issueNumber)
+  const customSourcesRef = useRef([]); // Custom sources the next research run reads (kept in sync with customSources)
   const [testMode, setTestMode] = useState(() => {
     return localStorage.getItem('renewalWeekly_testMode') === 'true';
   });
+  // 'anthropic' for real generation, 'mock' for offline runs with canned fixture output
+  const [llmProviderName, setLlmProviderName] = useState(() => {
+    return localStorage.getItem('renewalWeekly_llmProvider') || 'anthropic';
+  });
+  // Also have the model rate pool articles for audience relevance (keyword scores are always on)
+  const [rateRelevance, setRateRelevance] = useState(() => {
+    return localStorage.getItem('renewalWeekly_rateRelevance') === 'true';
+  });
+  // Read each article's page before writing from it (/api/extract) instead of only its feed summary
+  const [readFullText, setReadFullText] = useState(() => {
+    return localStorage.getItem('renewalWeekly_fullText') !== 'false';
+  });
   const [aiStatus, setAiStatus] = useState('');
+  const [requestQueue, setRequestQueue] = useState({}); // section → { position, waitMs } while waiting on rate limits
+  // Usage records (src/services/llm/usage.js) for the issue being worked on - summarized into its history entry
+  const [issueUsage, setIssueUsage] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_usage');
+    return saved ? JSON.parse(saved) : { issueNumber: null, records: [] };
+  });
 
   useEffect(() => {
     localStorage.setItem('renewalWeekly_testMode', testMode);
   }, [testMode]);
 
   useEffect(() => {
-    if (anthropicApiKey) {
-      localStorage.setItem('renewalWeekly_anthropicKey', anthropicApiKey);
-    }
-  }, [anthropicApiKey]);
+    localStorage.setItem('renewalWeekly_rateRelevance', rateRelevance);
+  }, [rateRelevance]);
 
-  // ===== NEW 3-PHASE ARCHITECTURE =====
-
-  // PHASE 1: Research - Fetch articles from curated RSS feeds (no web search!)
-  // This replaces unreliable web search with guaranteed real URLs from RSS.app
-  const researchArticles = async () => {
-    if (!anthropicApiKey) return null;
-
-    setAiStatus('📡 Phase 1: Fetching articles from RSS feeds...');
-
-    try {
-      // Step 1: Fetch articles from RSS feed (real URLs guaranteed!)
-      const articlePool = await fetchArticlePool(7); // Last 7 days
-
-      if (!articlePool || articlePool.length === 0) {
-        setAiStatus('⚠️ No articles found in RSS feed');
-        return null;
-      }
-
-      setAiStatus(`📰 Found ${articlePool.length} articles, AI is selecting best matches...`);
-
-      // Filter out previously used URLs
-      const freshArticles = articlePool.filter(a => !usedUrls.includes(a.url));
-
-      if (freshArticles.length < 5) {
-        setAiStatus('⚠️ Not enough fresh articles (most already used)');
-        // Fall back to all articles if too few fresh ones
-      }
-
-      const articlesToUse = freshArticles.length >= 5 ? freshArticles : articlePool;
-
-      // Step 2: AI matches articles to newsletter sections (no web search needed)
-      const matchingPrompt = buildMatchingPrompt(articlesToUse, audience);
-
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': anthropicApiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true',
-          'anthropic-beta': 'prompt-caching-2024-07-31'
-        },
-        body: JSON.stringify({
-          model: testMode ? 'claude-3-5-haiku-20241022' : 'claude-sonnet-4-20250514',
-          max_tokens: 2000,
-          system: [{
-            type: 'text',
-            text: 'You are selecting articles for a health newsletter. Match articles to sections based on audience relevance. Return ONLY valid JSON.',
-            cache_control: { type: 'ephemeral' }
-          }],
-          // NO web search tool - just reasoning!
-          messages: [{ role: 'user', content: matchingPrompt }]
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || 'AI matching failed');
-      }
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_fullText', readFullText);
+  }, [readFullText]);
 
-      const data = await response.json();
-      let content = '';
-      for (const block of data.content) {
-        if (block.type === 'text') content += block.text;
-      }
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_llmProvider', llmProviderName);
+  }, [llmProviderName]);
 
-      // Parse the AI's selection
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const selections = JSON.parse(jsonMatch[0]);
-
-        // Convert selections to article objects with real data
-        const selectedArticles = [];
-
-        // Helper to get article by index
-        const getArticle = (sel) => {
-          if (!sel || !sel.index) return null;
-          const article = articlesToUse[sel.index - 1]; // 1-indexed in prompt
-          if (article) {
-            return {
-              ...article,
-              suggestedSection: sel.reason,
-              audienceScore: 9 // AI selected it, so high score
-            };
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_usage', JSON.stringify(issueUsage));
+  }, [issueUsage]);
+
+  const llm = useMemo(() => createProvider(llmProviderName, { issue: () => issueRef.current }), [llmProviderName]);
+  const engine = useMemo(() => createEngine({
+    provider: llm,
+    tier: testMode ? 'test' : 'production',
+    rateRelevance,
+    fetchFullText: readFullText ? fetchArticleDetails : null,
+    // Read through a ref so toggling a source doesn't swap the engine out from under a running build
+    fetchArticles: (daysBack, date) => fetchArticlePool(daysBack, date, {
+      customSources: customSourcesRef.current,
+      onSourceHealth: results => setSourceHealth(prev => updateSourceHealth(prev, results))
+    })
+  }), [llm, testMode, rateRelevance, readFullText]);
+
+  // Status and per-section loading come from the engine for both full builds and single-section regeneration
+  useEffect(() => {
+    return engine.on(event => {
+      if (event.type === 'status') setAiStatus(event.message);
+      if (event.type === 'loading') setIsLoading(prev => ({ ...prev, [event.section]: event.loading }));
+      if (event.type === 'queue') {
+        setRequestQueue(prev => {
+          const next = { ...prev };
+          if (event.position > 0) {
+            next[event.section] = { position: event.position, waitMs: event.waitMs };
+          } else {
+            delete next[event.section];
           }
-          return null;
-        };
-
-        // Lead Story
-        if (selections.leadStory) {
-          const a = getArticle(selections.leadStory);
-          if (a) selectedArticles.push({ ...a, suggestedSection: 'leadStory' });
-        }
-
-        // Research Roundup
-        if (selections.researchRoundup) {
-          const a = getArticle(selections.researchRoundup);
-          if (a) selectedArticles.push({ ...a, suggestedSection: 'researchRoundup' });
-        }
-
-        // On Our Radar (3 articles)
-        if (selections.onOurRadar && Array.isArray(selections.onOurRadar)) {
-          selections.onOurRadar.forEach(sel => {
-            const a = getArticle(sel);
-            if (a) selectedArticles.push({ ...a, suggestedSection: 'onOurRadar' });
-          });
-        }
-
-        // Deep Dive
-        if (selections.deepDive) {
-          const a = getArticle(selections.deepDive);
-          if (a) selectedArticles.push({ ...a, suggestedSection: 'deepDive' });
-        }
-
-        // Stat of Week
-        if (selections.statOfWeek) {
-          const a = getArticle(selections.statOfWeek);
-          if (a) selectedArticles.push({ ...a, suggestedSection: 'statOfWeek' });
-        }
-
-        // Quick Hits (5-7 articles)
-        if (selections.quickHits && Array.isArray(selections.quickHits)) {
-          selections.quickHits.forEach(sel => {
-            const a = getArticle(sel);
-            if (a) selectedArticles.push({ ...a, suggestedSection: 'quickHits' });
-          });
-        }
-
-        setAiStatus(`✓ Selected ${selectedArticles.length} articles for newsletter`);
-
-        // Store the full article pool for reference
-        window.__rssArticlePool = articlesToUse;
-
-        return selectedArticles;
+          return next;
+        });
+      }
+      if (event.type === 'usage') {
+        // Billed to the issue the call was made for - a new issue number starts a fresh tally
+        const issueNumber = issueRef.current;
+        setIssueUsage(prev => prev.issueNumber === issueNumber
+          ? { issueNumber, records: [...prev.records, event.record] }
+          : { issueNumber, records: [event.record] });
       }
-
-      return null;
-    } catch (error) {
-      console.error('RSS research error:', error);
-      setAiStatus(`RSS error: ${error.message}`);
-      return null;
-    }
-  };
-
-  // PHASE 2: Distribute - Assign articles to newsletter sections
-  const distributeArticles = (articles) => {
-    if (!articles || articles.length === 0) return null;
-
-    setAiStatus('📋 Phase 2: Distributing articles to sections...');
-
-    // Sort by audience score
-    const sorted = [...articles].sort((a, b) => (b.audienceScore || 5) - (a.audienceScore || 5));
-
-    // Distribute to sections
-    const distribution = {
-      leadStory: null,
-      researchRoundup: null,
-      livingWell: null,
-      onOurRadar: [],
-      deepDive: null,
-      worthKnowing: [],
-      quickHits: [],
-      statOfWeek: null
-    };
-
-    // Lead Story: Highest scoring stem cell, regenerative medicine, or clinical trial article
-    const leadCandidates = sorted.filter(a =>
-      ['stemCells', 'regenerativeMedicine', 'clinicalTrials', 'chronicDisease'].includes(a.category) || a.audienceScore >= 8
-    );
-    distribution.leadStory = leadCandidates[0] || sorted[0];
-
-    // Research Roundup: Best scientific/stem cell article
-    const researchCandidates = sorted.filter(a =>
-      ['stemCells', 'regenerativeMedicine', 'longevity', 'clinicalTrials'].includes(a.category)
-    ).filter(a => a !== distribution.leadStory);
-    distribution.researchRoundup = researchCandidates[0] || sorted.filter(a => a !== distribution.leadStory)[0];
-
-    // Living Well: Lifestyle/nutrition article (lighthearted)
-    const livingWellCandidates = sorted.filter(a =>
-      ['nutrition', 'longevity', 'supplements'].includes(a.category)
-    ).filter(a => a !== distribution.leadStory && a !== distribution.researchRoundup);
-    distribution.livingWell = livingWellCandidates[0];
-
-    // On Our Radar: 3 diverse articles
-    const radarCandidates = sorted.filter(a =>
-      a !== distribution.leadStory && a !== distribution.researchRoundup && a !== distribution.livingWell
-    );
-    distribution.onOurRadar = radarCandidates.slice(0, 3);
-
-    // Deep Dive: Best wellness/nutrition/supplements article (different from Living Well)
-    const deepDiveCandidates = sorted.filter(a =>
-      ['nutrition', 'supplements', 'longevity', 'chronicDisease'].includes(a.category)
-    ).filter(a => !distribution.onOurRadar.includes(a) && a !== distribution.leadStory && a !== distribution.researchRoundup && a !== distribution.livingWell);
-    distribution.deepDive = deepDiveCandidates[0] || radarCandidates[3];
-
-    // Worth Knowing: 4 diverse articles for brief mentions
-    const usedSoFar = [
-      distribution.leadStory,
-      distribution.researchRoundup,
-      distribution.livingWell,
-      ...distribution.onOurRadar,
-      distribution.deepDive
-    ].filter(Boolean);
-    const worthKnowingCandidates = sorted.filter(a => !usedSoFar.includes(a));
-    distribution.worthKnowing = worthKnowingCandidates.slice(0, 4);
-
-    // Quick Hits / The Pulse: 7 remaining diverse articles
-    const usedArticles = [...usedSoFar, ...distribution.worthKnowing].filter(Boolean);
-    const quickHitCandidates = sorted.filter(a => !usedArticles.includes(a));
-    distribution.quickHits = quickHitCandidates.slice(0, 7);
-
-    // Stat of Week: Look for article with compelling number or clinical trials
-    const statCandidates = sorted.filter(a =>
-      a.category === 'clinicalTrials' || /\$|\%|billion|million|[0-9]{3,}/.test(a.summary || '')
-    ).filter(a => !usedArticles.includes(a));
-    distribution.statOfWeek = statCandidates[0] || quickHitCandidates[0] || sorted[sorted.length - 1];
-
-    console.log('Article distribution:', {
-      leadStory: distribution.leadStory?.title,
-      researchRoundup: distribution.researchRoundup?.title,
-      livingWell: distribution.livingWell?.title,
-      onOurRadar: distribution.onOurRadar.map(a => a?.title),
-      deepDive: distribution.deepDive?.title,
-      worthKnowing: distribution.worthKnowing.map(a => a?.title),
-      statOfWeek: distribution.statOfWeek?.title,
-      quickHits: distribution.quickHits.length
     });
+  }, [engine]);
 
-    setAiStatus('✓ Articles distributed to sections');
-    return distribution;
-  };
-
-  // PHASE 3: Write section content using pre-researched articles
-  const writeSection = async (sectionType, articleData, additionalContext = '') => {
-    if (!anthropicApiKey || !articleData) return null;
-
-    setAiStatus(`✍️ Phase 3: Writing ${sectionType}...`);
-
-    const today = new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-
-    // Build article context
-    const articleContext = Array.isArray(articleData)
-      ? articleData.map(a => `- "${a.title}" (${a.source}, ${a.date}): ${a.summary} [${a.url}]`).join('\n')
-      : `"${articleData.title}" (${articleData.source}, ${articleData.date}): ${articleData.summary} [${articleData.url}]`;
-
-    const writePrompt = `Write the ${sectionType} section using this pre-researched article(s):
-
-=== ARTICLE(S) TO USE ===
-${articleContext}
-
-=== AUDIENCE REMINDER ===
-${getAudienceContext()}
-
-=== WRITING STYLE ===
-${getStyleRules()}
-
-${additionalContext}
-
-Write the section NOW. Start immediately with the content - no preamble.`;
-
-    try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': anthropicApiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true',
-          'anthropic-beta': 'prompt-caching-2024-07-31'
-        },
-        body: JSON.stringify({
-          model: testMode ? 'claude-3-5-haiku-20241022' : 'claude-sonnet-4-20250514',
-          max_tokens: 1500,
-          system: [{
-            type: 'text',
-            text: `You write for Renewal Weekly. Date: ${today}. Output ONLY the requested content. No preamble. No "Based on..." or "I found...". Start immediately with the headline or content.`,
-            cache_control: { type: 'ephemeral' }
-          }],
-          messages: [{ role: 'user', content: writePrompt }]
-        })
-      });
-
-      const data = await response.json();
-      let content = '';
-      for (const block of data.content) {
-        if (block.type === 'text') content += block.text;
-      }
+  // Keys saved by older versions must not linger in the browser
+  useEffect(() => {
+    localStorage.removeItem('renewalWeekly_anthropicKey');
+  }, []);
 
-      return cleanAIOutput(content);
-    } catch (error) {
-      return null;
+  // Stop early with a clear message when the server has no key configured
+  const requireAiServer = () => {
+    if (llm.name === 'anthropic' && aiServer && !aiServer.configured) {
+      setAiStatus('Please set ANTHROPIC_API_KEY on the server (see README) to enable AI generation');
+      return false;
     }
+    return true;
   };
 
-  // ===== END 3-PHASE ARCHITECTURE =====
-
-  // AI Content Generation Function with Web Search - Optimized for rate limits and cost
+  // AI Content Generation - prompts and retry logic live in the engine (src/engine/prompts.js)
   const generateWithAI = async (sectionType, customPrompt = '', useWebSearch = true) => {
-    if (!anthropicApiKey) {
-      setAiStatus('Please add your Anthropic API key in Settings → AI tab');
-      return null;
-    }
-
-    setIsLoading(prev => ({ ...prev, [sectionType]: true }));
-    setAiStatus(`🔍 Researching ${sectionType}...`);
-
-    const today = new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
-    const currentMonth = new Date().toLocaleDateString('en-US', { month: 'long' });
-    const currentDay = new Date().getDate();
-    const currentYear = new Date().getFullYear();
-
-    // Major holidays - HIGHEST PRIORITY (check these first)
-    const majorHolidays = {
-      January: { 1: "New Year's Day" },
-      February: { 14: "Valentine's Day" },
-      March: { 17: "St. Patrick's Day" },
-      May: { /* Memorial Day - last Monday */ },
-      July: { 4: "Independence Day" },
-      September: { /* Labor Day - first Monday */ },
-      October: { 31: "Halloween" },
-      November: { 11: "Veterans Day", 28: "Thanksgiving" }, // Thanksgiving varies - update yearly
-      December: { 25: "Christmas Day", 31: "New Year's Eve" }
-    };
-
-    // Health awareness calendar - SECOND PRIORITY
-    const healthCalendar = {
-      January: { month: ['Cervical Health Awareness', 'Glaucoma Awareness', 'Thyroid Awareness', 'Blood Donor Month'], days: {} },
-      February: { month: ['American Heart Month', 'Cancer Prevention Month'], days: { 2: 'National Wear Red Day', 4: 'World Cancer Day', 14: 'National Donor Day', 28: 'Rare Disease Day' } },
-      March: { month: ['National Kidney Month', 'National Nutrition Month', 'Colorectal Cancer Awareness', 'MS Awareness'], days: { 13: 'World Kidney Day', 14: 'World Sleep Day', 21: 'World Down Syndrome Day', 24: 'World Tuberculosis Day', 26: 'Epilepsy Awareness Day' } },
-      April: { month: ['Parkinson\'s Awareness', 'Autism Acceptance', 'Donate Life Month', 'Stress Awareness'], days: { 2: 'World Autism Awareness Day', 7: 'World Health Day', 11: 'World Parkinson\'s Day', 22: 'Earth Day', 25: 'World Malaria Day' } },
-      May: { month: ['Mental Health Awareness', 'Skin Cancer Awareness', 'Stroke Awareness', 'Lupus Awareness'], days: { 6: 'World Asthma Day', 12: 'International Nurses Day', 17: 'World Hypertension Day', 30: 'World MS Day' } },
-      June: { month: ['Men\'s Health Month', 'Alzheimer\'s & Brain Awareness', 'PTSD Awareness'], days: { 1: 'National Cancer Survivors Day', 14: 'World Blood Donor Day', 19: 'World Sickle Cell Day', 27: 'National HIV Testing Day' } },
-      July: { month: ['UV Safety Month', 'Juvenile Arthritis Awareness'], days: { 11: 'World Brain Day', 28: 'World Hepatitis Day' } },
-      August: { month: ['National Immunization Awareness', 'Psoriasis Action Month'], days: { 1: 'World Lung Cancer Day', 31: 'International Overdose Awareness Day' } },
-      September: { month: ['Suicide Prevention Month', 'Healthy Aging Month', 'Prostate Cancer Awareness', 'Childhood Cancer Awareness'], days: { 10: 'World Suicide Prevention Day', 21: 'World Alzheimer\'s Day', 29: 'World Heart Day' } },
-      October: { month: ['Breast Cancer Awareness', 'Mental Health Awareness', 'Down Syndrome Awareness'], days: { 10: 'World Mental Health Day', 12: 'World Arthritis Day', 17: 'National Mammography Day', 22: 'World Stroke Day' } },
-      November: { month: ['American Diabetes Month', 'Lung Cancer Awareness', 'Alzheimer\'s Awareness', 'Movember'], days: { 14: 'World Diabetes Day', 17: 'World Prematurity Day', 20: 'Great American Smokeout' } },
-      December: { month: ['Impaired Driving Prevention Month'], days: { 1: 'World AIDS Day', 3: 'International Day of Persons with Disabilities' } }
-    };
-
-    // Check for major holidays first (highest priority)
-    const holidayEvents = majorHolidays[currentMonth] || {};
-    const todayHoliday = holidayEvents[currentDay] || null;
-    const upcomingHolidays = Object.entries(holidayEvents)
-      .filter(([day]) => parseInt(day) > currentDay && parseInt(day) <= currentDay + 7)
-      .map(([day, event]) => `${event} (${currentMonth} ${day})`)
-      .slice(0, 1);
-
-    // Then check health events
-    const monthEvents = healthCalendar[currentMonth] || { month: [], days: {} };
-    const todayHealthEvent = monthEvents.days[currentDay] || null;
-    const upcomingHealthEvents = Object.entries(monthEvents.days)
-      .filter(([day]) => parseInt(day) > currentDay && parseInt(day) <= currentDay + 7)
-      .map(([day, event]) => `${event} (${currentMonth} ${day})`)
-      .slice(0, 2);
-
-    // Build context with correct priority: Holidays > Health Events > Seasonal
-    let hookContext;
-    if (todayHoliday) {
-      hookContext = `TODAY IS: ${todayHoliday}. This is the TOP PRIORITY for your hook.`;
-    } else if (upcomingHolidays.length > 0) {
-      hookContext = `UPCOMING HOLIDAY: ${upcomingHolidays[0]}. Prioritize this.`;
-    } else if (todayHealthEvent) {
-      hookContext = `TODAY IS: ${todayHealthEvent}. Feature this health awareness day.`;
-    } else if (upcomingHealthEvents.length > 0) {
-      hookContext = `UPCOMING: ${upcomingHealthEvents.join(', ')}. Consider mentioning.`;
-    } else {
-      hookContext = `This month: ${monthEvents.month[0] || 'seasonal content'}. Focus on timely, relatable observations.`;
-    }
-
-    // System message - built from config files (edit src/config/*.json to customize)
-    const systemMessage = `You write for Renewal Weekly, a health newsletter about stem cells, regenerative medicine, AND general health/wellness.
-Date: ${today}.
-
-${getAudienceContext()}
-
-⚠️ CRITICAL OUTPUT RULES - FOLLOW EXACTLY:
-1. Output ONLY the final newsletter content. NOTHING ELSE.
-2. NO preamble like "Based on my search...", "I found a story...", "Let me write...", "Perfect!", "Great!"
-3. NO thinking out loud. NO commentary. NO meta-discussion about what you found.
-4. Start IMMEDIATELY with the headline or requested content.
-5. JSON requests return ONLY valid JSON - no explanation, no markdown code blocks.
-6. NEVER include citation artifacts like <cite index="..."> or [AI Generated, ...]
-7. Content must be READER-READY - as if going directly into the newsletter.
-
-⚠️ DATE REQUIREMENT - STRICTLY ENFORCED:
-- ONLY use sources from the PAST 14 DAYS (since ${new Date(Date.now() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })})
-- REJECT any source older than 14 days
-- If you cannot find recent sources, say so - do NOT use old content
-
-⚠️ CONTENT MIX - Balance these (not just scientific papers):
-- 40% accessible health news (CNN Health, NPR, Men's Health, Healthline, WebMD)
-- 30% stem cell/regenerative medicine (still accessible, not overly technical)
-- 30% lifestyle/wellness/longevity (trending, practical, actionable)
-
-⚠️ PLAIN ENGLISH REQUIRED:
-- Write for a general audience, not scientists
-- If you must use a technical term, explain it: "autophagy (your body's cellular cleanup system)"
-- Use conversational language like Men's Health or Healthline
-
-${getStyleRules()}
-
-${getSourceGuidance()}
-
-REMINDER: Today is ${today}. Only cite articles from the past 14 days.`;
-
-    // Section-specific configurations - uses Haiku in test mode (12x cheaper)
-    const prodModel = 'claude-sonnet-4-20250514';
-    const testModel = 'claude-3-5-haiku-20241022';
-    const activeModel = testMode ? testModel : prodModel;
-
-    const sectionConfig = {
-      openingHook: { maxTokens: 400, needsWebSearch: true, model: activeModel },
-      leadStory: { maxTokens: 1500, needsWebSearch: true, model: activeModel },
-      researchRoundup: { maxTokens: 800, needsWebSearch: true, model: activeModel },
-      livingWell: { maxTokens: 600, needsWebSearch: true, model: activeModel },
-      secondaryStories: { maxTokens: 1500, needsWebSearch: true, model: activeModel },
-      deepDive: { maxTokens: 1000, needsWebSearch: true, model: activeModel },
-      statSection: { maxTokens: 800, needsWebSearch: true, model: activeModel },
-      thePulse: { maxTokens: 1000, needsWebSearch: true, model: activeModel },
-      recommendations: { maxTokens: 600, needsWebSearch: true, model: activeModel },
-      gameTrivia: { maxTokens: 400, needsWebSearch: false, model: testModel }, // Always Haiku
-      bottomLine: { maxTokens: 400, needsWebSearch: true, model: activeModel },
-      worthKnowing: { maxTokens: 600, needsWebSearch: true, model: activeModel },
-      wordOfDay: { maxTokens: 200, needsWebSearch: false, model: testModel } // Always Haiku
-    };
-
-    // Detailed prompts with exact formatting instructions
-    const sectionPrompts = {
-      openingHook: `Write a SHORT opening hook for ${today} (2-3 sentences, 40-60 words MAX).
-${hookContext}
-PRIORITY ORDER: National holidays > Health awareness days > Seasonal/weather > General observations.
-IMPORTANT: Keep it warm, relatable, and BRIEF. Thank the reader or connect on a human level.
-DO NOT mention stem cells, regenerative medicine, or newsletter content.
-DO NOT end with a sign-off - that comes later in the template.
-
-EXAMPLE (follow this exact length and tone):
-As we head into the weekend, we're reminded why we started this newsletter - to keep you informed about the science that could change your life. Thank you for being part of our community. Here's to another week of discovery and hope.`,
-
-      leadStory: `Search for a BROADLY ACCESSIBLE health/wellness story related to stem cells or regenerative medicine.
-
-⚠️ DATE REQUIREMENT - THIS IS CRITICAL:
-TODAY'S DATE: ${today}
-CUTOFF DATE: ${new Date(Date.now() - 7*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-ONLY use articles published AFTER the cutoff date. If an article doesn't show a date within the last 7 days, DO NOT USE IT.
-If you cannot find any articles from the past 7 days, respond with "NO RECENT ARTICLES FOUND" instead of using old content.
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs that appear in your web search results - NEVER fabricate or guess URLs
-- Every URL must link to the SPECIFIC ARTICLE page, never a homepage
-- If a search result doesn't have a working article URL, don't use that story
-
-⚠️ CONTENT RULES:
-- NO ANIMAL STUDIES - Only human clinical trials, treatments, or research
-- Stories must be from reputable health/medical sources
-
-⚠️ SOURCE GUIDANCE:
-- PRIORITIZE: Mainstream health publications (CNN Health, WebMD, Healthline, Medical News Today, NPR Health)
-- PRIORITIZE: Stories with wide appeal (affecting millions: diabetes, heart disease, joint pain, aging, vision loss)
-- AVOID: Highly technical scientific journal articles (save those for Research Roundup)
-
-${customPrompt && customPrompt.startsWith('AVOID_TOPIC:') ? `
-⚠️ DO NOT write about: "${customPrompt.split('|')[0].replace('AVOID_TOPIC:', '')}"
-Find a COMPLETELY DIFFERENT story - different condition, different institution.
-${customPrompt.split('|')[1] ? `Focus on: ${customPrompt.split('|')[1]}` : ''}` : (customPrompt ? `Focus on: ${customPrompt}` : '')}
-
-STRICT WORD LIMIT: 280-320 words total.
-
-OUTPUT FORMAT:
-Line 1: TEASER HEADLINE (3-5 words max, no markdown)
-- GOOD: "Ups and mostly downs", "Back in business", "Seeing clearly now"
-- BAD: "Stem Cell Research Update", "New Treatment Found"
-
-Then write TIGHT, PUNCHY prose:
-
-Para 1 (2 sentences max): "For [X million] Americans with [condition], the prognosis has always been the same: [limitation]."
-
-Para 2 (1 sentence): "That changed this week."
-
-Para 3: **Here's what happened:** Key findings in 2-3 sentences. Embed link naturally: "Researchers at {{LINK:Johns Hopkins|url}} found..."
-
-Para 4: **Why this matters now:** 2 sentences.
-
-Para 5: **What's next:** 1-2 sentences.
-
-Para 6: One short quote from researcher.
-
-Para 7: **The zoom out:** 1-2 sentences. Embed link naturally in the text.
-
-LINK FORMAT: Embed links in natural reading flow on meaningful words:
-✅ GOOD: "A {{LINK:new clinical trial|url}} showed patients improved..."
-✅ GOOD: "Researchers at {{LINK:Mayo Clinic|url}} published..."
-❌ BAD: "Source: Mayo Clinic" or "{{LINK:Mayo Clinic|url}}" at end of paragraph
-
-Total: 280-320 words.`,
-
-      researchRoundup: `Find SCIENTIFIC RESEARCH from peer-reviewed journals.
-
-⚠️ DATE REQUIREMENT - THIS IS CRITICAL:
-TODAY'S DATE: ${today}
-CUTOFF DATE: ${new Date(Date.now() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-ONLY use research published AFTER the cutoff date. CHECK THE PUBLICATION DATE.
-If you cannot find research from the past 14 days, respond with "NO RECENT RESEARCH FOUND" instead of using old content.
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
-- Every URL must link to the SPECIFIC ARTICLE/PAPER, never a journal homepage
-- If you don't have a real URL from search, don't include that story
-
-⚠️ CONTENT RULES:
-- NO ANIMAL STUDIES - Only human clinical trials or research with direct human relevance
-- Must be from: Nature, Cell, Science, NEJM, The Lancet, JAMA, Stem Cell Reports
-
-${customPrompt && customPrompt.startsWith('AVOID_TOPIC:') ? `
-⚠️ AVOID: "${customPrompt.split('|')[0].replace('AVOID_TOPIC:', '')}"
-${customPrompt.split('|')[1] ? `Focus on: ${customPrompt.split('|')[1]}` : ''}` : (customPrompt ? `Focus on: ${customPrompt}` : '')}
-
-STRICT FORMAT (120-150 words total):
-
-[TEASER HEADLINE - 3-5 words, clever and curiosity-inducing]
-- GOOD: "Nerves fighting back", "The myelin fix", "Joints on the mend"
-- BAD: "MS Treatment Update", "New Research Shows"
-
-If you or someone you love has [condition], this is worth reading twice.
-
-[KEY FINDINGS - 2 sentences. Embed link naturally: "A {{LINK:new study in Nature|url}} found..."]
-
-**What you should know:** [Practical info - cost, availability, access]
-
-**The catch:** [One honest limitation]
-
-**Bottom line:** [One actionable next step]
-
-LINK FORMAT: Embed links naturally in the text:
-✅ GOOD: "{{LINK:Researchers at Harvard|url}} discovered..."
-✅ GOOD: "A {{LINK:Phase 2 trial|url}} showed..."
-❌ BAD: Ending with "Source: Nature" or bare links
-
-START DIRECTLY WITH THE HEADLINE. No introduction.`,
-
-      livingWell: `Write a LIGHTHEARTED lifestyle/wellness tip for a health newsletter. This should feel like friendly advice from a knowledgeable friend, NOT heavy medical research.
-
-⚠️ TOPIC FOCUS - Choose ONE of these areas:
-- Simple daily habits (walking, sleep, hydration)
-- Easy nutrition swaps (not diets, just small improvements)
-- Stress reduction techniques
-- Movement and flexibility
-- Social connection and mental wellness
-- Practical tips for aging well
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
-- Every URL must link to a SPECIFIC ARTICLE, never a homepage
-- If you don't have a real URL from search, don't include a link
-
-⚠️ TONE REQUIREMENTS:
-- Warm, encouraging, accessible
-- NO medical jargon or complex science
-- Focus on ONE actionable tip that anyone can do TODAY
-- Make it feel achievable, not overwhelming
-
-STRICT FORMAT (100-150 words):
-
-[CATCHY HEADLINE - 4-6 words, friendly and intriguing]
-- GOOD: "The 10-Minute Evening Habit", "Why Your Grandma Was Right"
-- BAD: "Health Study Reveals", "New Research on Walking"
-
-Sometimes the best health advice isn't about breakthroughs—it's about the basics done right.
-
-**This week's lifestyle pick:** [One specific habit/tip with brief explanation. Embed link naturally: "A {{LINK:recent study|url}} confirms..."]
-
-**Why it works:** [1-2 sentences, simple explanation]
-
-**Make it stick:** [One practical implementation tip]
-
-**Bonus:** [One extra benefit to motivate]
-
-LINK FORMAT: {{LINK:text|url}}
-START DIRECTLY WITH THE HEADLINE. No introduction.`,
-
-      secondaryStories: `Search for 3 different recent stem cell/regenerative medicine stories. Each story MUST be from a DIFFERENT WEBSITE.
-
-⚠️ DATE REQUIREMENT - CRITICAL:
-TODAY'S DATE: ${today}
-CUTOFF DATE: ${new Date(Date.now() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-ONLY use articles published AFTER the cutoff date. If no date visible or date is older, DO NOT USE.
-If you cannot find 3 recent articles, include fewer rather than using old content.
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs that appear in your web search results - NEVER fabricate or guess URLs
-- Every URL must link to the SPECIFIC ARTICLE page (must have /article/ or /news/ or similar path)
-- URLs that end in just .com or .org are HOMEPAGES - do not use them
-- If you don't have a real article URL from search, don't include that story
-
-⚠️ SOURCE DIVERSITY - REQUIRED:
-- Each of the 3 stories MUST be from a DIFFERENT website/domain
-- Do NOT use the same source (e.g., sciencedaily.com) more than once
-- Mix: 1 mainstream (CNN, NPR), 1 health publication (Healthline, WebMD), 1 scientific/institution
-
-⚠️ CONTENT RULES:
-- NO ANIMAL STUDIES - Only human clinical trials, treatments, or research
-- Each story must be about a DIFFERENT topic/condition
-
-⚠️ OUTPUT ONLY THE JSON ARRAY. No preamble. Start with [
-
-[
-  {
-    "boldLead": "TEASER HEADLINE (3-5 words)",
-    "content": "75-100 words. Embed link naturally: 'A {{LINK:new trial at Mayo|url}} showed...'",
-    "sources": [{"title": "Publisher Name", "url": "https://example.com/full-path/to-specific-article", "date": "Nov 20, 2025"}]
-  },
-  {
-    "boldLead": "Different headline (DIFFERENT website)",
-    "content": "75-100 words with natural embedded link.",
-    "sources": [{"title": "Different Publisher", "url": "https://different-site.com/specific-article-path", "date": "Nov 18, 2025"}]
-  },
-  {
-    "boldLead": "Third headline (THIRD different website)",
-    "content": "75-100 words with natural embedded link.",
-    "sources": [{"title": "Third Publisher", "url": "https://third-site.com/article-path", "date": "Nov 15, 2025"}]
-  }
-]
-
-LINK FORMAT in content:
-✅ GOOD: "{{LINK:Researchers at Stanford|url}} found that patients..."
-✅ GOOD: "A {{LINK:Phase 3 trial|url}} demonstrated..."
-❌ BAD: "Source: CNN" at end, or homepage URLs like "cnn.com"
-
-HEADLINES: 3-5 words, curiosity-inducing. NO animal references.`,
-
-      deepDive: `Search for a practical nutrition/wellness topic.
-${customPrompt && customPrompt.startsWith('AVOID_TOPIC:') ? `
-⚠️ DO NOT write about: "${customPrompt.split('|')[0].replace('AVOID_TOPIC:', '')}"
-Find a DIFFERENT topic entirely.
-${customPrompt.split('|')[1] ? `Topic: ${customPrompt.split('|')[1]}` : ''}` : (customPrompt ? `Topic: ${customPrompt}` : '')}
-
-⚠️ DATE REQUIREMENT - CRITICAL:
-TODAY'S DATE: ${today}
-CUTOFF DATE: ${new Date(Date.now() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-ONLY use articles published AFTER the cutoff date. CHECK THE DATE.
-If no recent articles found, respond with "NO RECENT ARTICLES FOUND" instead of using old content.
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
-- URL must be the SPECIFIC ARTICLE page (with /article/ or /health/ path), NOT a homepage
-- Example of VALID URL: healthline.com/nutrition/anti-inflammatory-foods
-- Example of INVALID URL: healthline.com (this is a homepage - NEVER use)
-- If you don't have a real article URL from search, don't include a link
-
-⚠️ CONTENT RULES:
-- NO ANIMAL STUDIES - Only human research
-- Plain English - explain like you're talking to your neighbor
-
-⚠️ PREFERRED SOURCES: Harvard Health, Mayo Clinic, Healthline, WebMD, Men's Health, Prevention
-
-STRICT WORD LIMIT: 180-220 words.
-
-OUTPUT FORMAT:
-Line 1: TEASER HEADLINE (3-5 words)
-- GOOD: "The inflammation myth", "Your gut's secret weapon"
-- BAD: "Anti-Inflammatory Foods Guide"
-
-Para 1: Contrarian hook (1-2 sentences).
-
-Para 2: What the research says. Embed link naturally: "A {{LINK:recent Harvard study|specific-url}} found..." (2 sentences)
-
-Para 3: **What to add:** (use • bullets)
-• Food/habit — specific amount
-• Food/habit — specific amount
-• Food/habit — specific amount
-
-Para 4: **What to skip:**
-• Item (and why)
-• Item
-
-Para 5: **Why it matters for healthy aging:** (1-2 sentences)
-
-Para 6: Actionable takeaway with natural embedded link.
-
-LINK FORMAT:
-✅ GOOD: "According to {{LINK:new research from Cleveland Clinic|url}}, eating..."
-✅ GOOD: "{{LINK:Nutritionists recommend|url}} adding..."
-❌ BAD: "Source: Healthline" or links to homepage URLs
-
-Use • for bullets, — for em dashes. Total: 180-220 words.`,
-
-      statSection: `Search for a compelling statistic about health, wellness, longevity, OR regenerative medicine.
-
-⚠️ DATE REQUIREMENT - CRITICAL:
-TODAY'S DATE: ${today}
-CUTOFF DATE: ${new Date(Date.now() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-ONLY use statistics from articles published AFTER the cutoff date.
-If no recent stats found, respond with "NO RECENT STATISTICS FOUND".
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs from your web search results - NEVER fabricate URLs
-- URL must be SPECIFIC ARTICLE (with path like /article/ or /news/), NOT homepage
-- If you don't have a real article URL, don't include a link
-
-⚠️ CONTENT RULES:
-- NO ANIMAL STUDIES - Only human-relevant statistics
-- Mix topics: health, longevity, regenerative medicine, wellness
-
-Return ONLY valid JSON with this EXACT structure:
-{
-  "primeNumber": "$403.86B",
-  "headline": "where the regenerative medicine market is headed by 2032",
-  "content": "That's not a typo. [Explain the statistic in plain English - 2 sentences max]
-
-**Why it matters for you:** [Personal relevance - 2 sentences]
-
-For context: [Supporting data that makes it relatable - 2 sentences]
-
-**The backstory:** [Embed link naturally: 'According to {{LINK:a new report from Grand View Research|specific-article-url}}, the market...' - 2 sentences]
-
-Translation: [What this means practically] Learn more from {{LINK:the full analysis|url}}."
-}
-
-CRITICAL:
-- primeNumber format: $403B, 67%, 2,400, 47 days (visually impactful)
-- headline: lowercase, creates curiosity
-- content: Embed links naturally in sentences, NOT as citations at the end
-- Plain English - explain like talking to a friend
-
-LINK FORMAT:
-✅ GOOD: "According to {{LINK:a recent JAMA study|url}}, patients who..."
-❌ BAD: "Source: JAMA" or homepage URLs`,
-
-      thePulse: `Search for 7 FRESH health/wellness/biotech news items.
-
-⚠️ DATE REQUIREMENT - CRITICAL:
-TODAY'S DATE: ${today}
-CUTOFF DATE: ${new Date(Date.now() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-ONLY use news from AFTER the cutoff date. CHECK EACH ARTICLE'S DATE.
-If you can't find 7 recent items, include fewer rather than using old content.
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
-- URLs must be SPECIFIC ARTICLES (with /article/ or /news/ path), NOT homepages
-- Example VALID: cnn.com/health/article/stem-cell-treatment-2025
-- Example INVALID: cnn.com or cnn.com/health (these are homepages)
-- If no real article URL exists, don't include that item
-
-⚠️ SOURCE DIVERSITY - REQUIRED:
-- Each item from a DIFFERENT website - do NOT repeat sciencedaily.com or any source
-- Mix: 2-3 mainstream (CNN, NPR, Healthline), 2-3 biotech (STAT, Endpoints), 1-2 scientific
-
-${customPrompt ? `⚠️ ${customPrompt}` : ''}
-
-⚠️ CONTENT RULES:
-- NO ANIMAL STUDIES
-- Each item must be a DIFFERENT topic
-
-Return ONLY valid JSON array. Each item ONE string:
-- Link embedded naturally: {{LINK:meaningful text|specific-article-url}}
-- Brief news (under 25 words)
-- Source in [brackets]: [Source Name, Month Year]
-
-EXAMPLE:
-[
-  "{{LINK:Mayo Clinic researchers|https://cnn.com/health/mayo-stem-cell-trial}} launched a new stem cell treatment for knee arthritis [CNN Health, Nov 2025]",
-  "Adults over 50 who {{LINK:walk 7,000 steps daily|https://healthline.com/health-news/walking-longevity}} show 50% lower mortality risk [Healthline, Nov 2025]"
-]
-
-CRITICAL:
-- 7 items from 7 DIFFERENT websites
-- Every URL must be a real search result, never fabricated
-- Every URL must be a specific article path, never a homepage`,
-
-      recommendations: `Search for FRESH, NEW content to recommend. Find REAL, WORKING URLs.
-
-⚠️ CRITICAL RULES:
-- ALL URLs must link to SPECIFIC content (articles, videos, podcasts, tools), never to homepages
-- Each refresh MUST return COMPLETELY DIFFERENT recommendations. Never repeat the same links.
-
-${customPrompt ? `⚠️ AVOID THESE (already used): ${customPrompt}` : ''}
-
-CONTENT STYLE - Mix of:
-- Accessible health/wellness (Men's Health, Healthline, WebMD style)
-- Lifestyle and longevity content
-- Practical, actionable resources
-
-Return ONLY valid JSON:
-{
-  "read": {
-    "prefix": "Short intro text ",
-    "linkText": "the linked part",
-    "suffix": " context or source",
-    "url": "https://REAL-working-url.com/specific-article"
-  },
-  "watch": {
-    "prefix": "",
-    "linkText": "Descriptive video title",
-    "suffix": " (Source/Channel)",
-    "url": "https://youtube.com/watch?v=specific-video"
-  },
-  "try": {
-    "prefix": "The ",
-    "linkText": "tool or resource name",
-    "suffix": " (credible source)",
-    "url": "https://REAL-resource-url.com/specific-tool"
-  },
-  "listen": {
-    "prefix": "",
-    "linkText": "Podcast name or episode",
-    "suffix": " podcast",
-    "url": "https://specific-podcast-episode-url.com"
-  }
-}
-
-REQUIREMENTS:
-- READ: Must be from PAST 14 DAYS (freshness required)
-- WATCH, TRY, LISTEN: Can be evergreen/older content (no freshness requirement)
-- ALL URLs must be real, working, and link to SPECIFIC content (not homepages)
-- Content must be accessible to general audience (not just scientists)
-- Mix health, longevity, wellness, and lifestyle topics
-- Genuinely useful for adults 40-80 interested in living healthier`,
-
-      gameTrivia: `Create fun health trivia game. Return JSON:
-{"title":"","intro":"1-2 sentences","content":"questions","answer":"answers"}`,
-
-      worthKnowing: `Create 4 "Worth Knowing" items for a health/wellness newsletter.
-
-⚠️ URL RULES - CRITICAL:
-- ONLY use URLs from your web search results - NEVER fabricate URLs
-- URLs must be SPECIFIC pages (with /article/ or /guide/ path), NOT homepages
-- If you don't have a real URL from search, set link to null
-
-⚠️ TITLES: 3-5 words, creates curiosity
-- GOOD: "The clinic checklist", "Mark your calendar"
-- BAD: "Health Awareness Event", "Important Tips"
-
-⚠️ FORMATTING: Use proper bulleted lists with line breaks
-
-${customPrompt ? `⚠️ ${customPrompt}` : ''}
-
-Return ONLY valid JSON array:
-[
-  {
-    "type": "awareness",
-    "title": "TEASER HEADLINE",
-    "date": "Specific date range",
-    "description": "What readers can do - specific and actionable.",
-    "link": null
-  },
-  {
-    "type": "guide",
-    "title": "TEASER HEADLINE",
-    "date": "",
-    "description": "Format as bulleted list:\\n• First tip — explanation\\n• Second tip — explanation\\n• Third tip — explanation\\n\\nLearn more from {{LINK:this Mayo Clinic guide|specific-article-url}}",
-    "link": "https://mayoclinic.org/healthy-lifestyle/specific-article"
-  },
-  {
-    "type": "resource",
-    "title": "TEASER HEADLINE",
-    "date": "",
-    "description": "What it is and why useful. Check out {{LINK:this helpful tool|url}} for more.",
-    "link": "https://site.com/specific-resource-page"
-  },
-  {
-    "type": "tip",
-    "title": "TEASER HEADLINE",
-    "date": "",
-    "description": "Practical health tip:\\n• Item one\\n• Item two\\n\\nBased on {{LINK:recent research|url}}",
-    "link": "https://site.com/specific-article"
-  }
-]
-
-LINK FORMAT in descriptions:
-✅ GOOD: "Learn more from {{LINK:this Harvard guide|url}}"
-✅ GOOD: "Based on {{LINK:recent Cleveland Clinic research|url}}"
-❌ BAD: "Source: Harvard Health" or homepage URLs
-
-REQUIREMENTS:
-- 4 items from 4 DIFFERENT websites
-- awareness: Upcoming health event
-- guide/resource/tip: Practical, plain English
-- ALL links to SPECIFIC pages, never homepages
-
-NO preamble. Start directly with [`
-    };
-
-    const config = sectionConfig[sectionType] || { maxTokens: 800, needsWebSearch: useWebSearch, model: 'claude-sonnet-4-20250514' };
-    const shouldUseWebSearch = useWebSearch && config.needsWebSearch;
-
-    try {
-      const requestBody = {
-        model: config.model,
-        max_tokens: config.maxTokens,
-        // Use array format with cache_control for prompt caching (90% savings on cached tokens)
-        system: [{
-          type: 'text',
-          text: systemMessage,
-          cache_control: { type: 'ephemeral' }
-        }],
-        messages: [{
-          role: 'user',
-          content: sectionPrompts[sectionType] || customPrompt
-        }]
-      };
-
-      // Only add web search for sections that need it
-      if (shouldUseWebSearch) {
-        requestBody.tools = [{
-          type: 'web_search_20250305',
-          name: 'web_search',
-          max_uses: 5  // Good balance of quality vs rate limits
-        }];
-      }
-
-      // Use retry logic for rate limits
-      const makeRequest = async () => {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': anthropicApiKey,
-            'anthropic-version': '2023-06-01',
-            'anthropic-dangerous-direct-browser-access': 'true',
-            'anthropic-beta': shouldUseWebSearch
-              ? 'web-search-2025-03-05,prompt-caching-2024-07-31'
-              : 'prompt-caching-2024-07-31'
-          },
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json();
-          const errorMessage = errorData.error?.message || 'API request failed';
-          throw new Error(errorMessage);
-        }
-
-        return response.json();
-      };
-
-      // Retry up to 3 times on rate limit with exponential backoff
-      const data = await retryWithBackoff(makeRequest, 3, 20000, setAiStatus);
-
-      // Extract text content from the response
-      let content = '';
-      for (const block of data.content) {
-        if (block.type === 'text') {
-          content += block.text;
-        }
-      }
-
-      setAiStatus(`✓ Generated ${sectionType}`);
-      setIsLoading(prev => ({ ...prev, [sectionType]: false }));
-      // Clean the output before returning
-      return cleanAIOutput(content);
-    } catch (error) {
-      console.error(`Error generating ${sectionType}:`, error);
-      setAiStatus(`⚠️ ${sectionType} failed: ${error.message}. Waiting 30s before continuing...`);
-      setIsLoading(prev => ({ ...prev, [sectionType]: false }));
-      // Wait before continuing to next section to avoid cascading rate limits
-      await delay(30000);
-      return null;
-    }
+    if (!requireAiServer()) return null;
+    return engine.generateSection(sectionType, customPrompt, useWebSearch);
   };
 
-  // ===== V5.2 UPDATE: BRAND PURPLE COLOR PALETTE =====
-  const colors = {
-    primary: '#7C3AED',      // Main brand purple
-    secondary: '#5B21B6',    // Deeper violet
-    accent: '#EDE9FE',       // Soft lavender
-    link: '#8B5CF6',         // Link underline purple
-    dark: '#1E1B4B',         // Headers/footers
-    text: '#1F2937',         // Charcoal
-    muted: '#6B7280',        // Gray
-    border: '#E5E7EB',       // Light gray
-    white: '#FFFFFF'
+  // Same, for sections with an output schema (structure.json) - returns validated data, not text
+  const generateStructuredWithAI = async (sectionType, customPrompt = '', useWebSearch = true) => {
+    if (!requireAiServer()) return null;
+    return engine.generateStructured(sectionType, customPrompt, useWebSearch);
   };
 
   // NEWSLETTER HISTORY - Save old newsletters before creating new ones
@@ -1144,20 +268,25 @@ NO preamble. Start directly with [`
     return saved ? JSON.parse(saved) : [];
   });
 
-  // CUSTOM NEWS SOURCES
+  // CUSTOM NEWS SOURCES - fetched into the article pool with every research run (rss.js fetchArticlePool)
   const [customSources, setCustomSources] = useState(() => {
     const saved = localStorage.getItem('renewalWeekly_customSources');
-    return saved ? JSON.parse(saved) : [
-      { name: 'ScienceDaily - Stem Cells', url: 'https://www.sciencedaily.com/news/health_medicine/stem_cells/', enabled: true },
-      { name: 'ClinicalTrials.gov', url: 'https://clinicaltrials.gov', enabled: true },
-      { name: 'Cell Stem Cell Journal', url: 'https://www.cell.com/cell-stem-cell/home', enabled: true },
-      { name: 'Nature Regenerative Medicine', url: 'https://www.nature.com/natregenmed/', enabled: true },
-      { name: 'STAT News', url: 'https://www.statnews.com', enabled: true },
-      { name: 'PubMed', url: 'https://pubmed.ncbi.nlm.nih.gov/', enabled: true }
+    // Sources saved before they were fetched have no type or category - sniff them and let the classifier decide
+    return saved ? JSON.parse(saved).map(source => ({ type: 'auto', category: 'auto', ...source })) : [
+      { name: 'STAT News', url: 'https://www.statnews.com/feed/', type: 'feed', category: 'auto', enabled: true },
+      { name: 'FDA Press Announcements', url: 'https://www.fda.gov/news-events/fda-newsroom/press-announcements', type: 'page', category: 'clinicalTrials', enabled: true }
     ];
   });
   const [newSourceName, setNewSourceName] = useState('');
   const [newSourceUrl, setNewSourceUrl] = useState('');
+  const [newSourceType, setNewSourceType] = useState('auto');
+  const [newSourceCategory, setNewSourceCategory] = useState('auto');
+  // Last fetch of each custom source, by URL - { checkedAt, lastFetched, count, type, feedUrl, status, error }
+  const [sourceHealth, setSourceHealth] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_sourceHealth');
+    return saved ? JSON.parse(saved) : {};
+  });
+  const [checkingSources, setCheckingSources] = useState(false);
 
   useEffect(() => {
     localStorage.setItem('renewalWeekly_usedStories', JSON.stringify(usedStories));
@@ -1169,8 +298,44 @@ NO preamble. Start directly with [`
 
   useEffect(() => {
     localStorage.setItem('renewalWeekly_customSources', JSON.stringify(customSources));
+    customSourcesRef.current = customSources;
   }, [customSources]);
 
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_sourceHealth', JSON.stringify(sourceHealth));
+  }, [sourceHealth]);
+
+  // ARTICLE POOL - every researched article, with the model's picks ({ url: { slot, reason } })
+  const [articlePool, setArticlePool] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_articlePool');
+    return saved ? JSON.parse(saved) : { fetchedAt: null, articles: [], picks: {} };
+  });
+  // Where each article goes: slots { [slot key]: [url] }; pinned URLs keep their slot on re-distribute, excluded ones are never placed
+  const [poolAssignments, setPoolAssignments] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_poolAssignments');
+    return saved ? JSON.parse(saved) : { slots: {}, pinned: [], excluded: [] };
+  });
+  const [poolFilter, setPoolFilter] = useState({ category: 'all', query: '', showExcluded: false, sort: 'feed' });
+  const [draggedArticle, setDraggedArticle] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_articlePool', JSON.stringify(articlePool));
+  }, [articlePool]);
+
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_poolAssignments', JSON.stringify(poolAssignments));
+  }, [poolAssignments]);
+
+  // SEGMENT VARIANTS - a version of this issue per audience segment ({ segment, label, tags, picks, failed, newsletterData })
+  const [segmentVariants, setSegmentVariants] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_segmentVariants');
+    return saved ? JSON.parse(saved) : { issueNumber: null, builtAt: null, variants: [] };
+  });
+
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_segmentVariants', JSON.stringify(segmentVariants));
+  }, [segmentVariants]);
+
   // ===== V5.2 UPDATE: PARSE CONTENT WITH EMBEDDED LINKS =====
   const parseContentWithLinks = (content) => {
     if (!content) return [{ type: 'text', content: '' }];
@@ -1195,7 +360,31 @@ NO preamble. Start directly with [`
     return parts.length > 0 ? parts : [{ type: 'text', content }];
   };
 
-  const renderContentWithLinks = (content) => {
+  const CLAIM_LABELS = { number: 'Number', name: 'Name', quote: 'Quote' };
+
+  // Mark unsupported claims (from the grounding check) inside a piece of text
+  const highlightClaims = (text, claims = []) => {
+    if (!text || claims.length === 0) return text;
+    const escaped = [...claims]
+      .sort((a, b) => b.text.length - a.text.length)
+      .map(claim => escapeRegex(claim.text));
+    return text.split(new RegExp(`(${escaped.join('|')})`, 'g')).map((piece, i) => {
+      const claim = i % 2 === 1 ? claims.find(c => c.text === piece) : null;
+      if (!claim) return piece;
+      return (
+        <mark key={i} title={`${CLAIM_LABELS[claim.type]} not found in the cited article`} style={{ backgroundColor: '#FEE2E2', color: '#991B1B', borderRadius: '2px', padding: '0 2px' }}>
+          {piece}
+        </mark>
+      );
+    });
+  };
+
+  // Unsupported claims for one field of a section (index: story / pulse item)
+  const unsupportedClaims = (section, field, index = null) => grounding.claims.filter(claim =>
+    claim.status === 'unsupported' && claim.section === section && claim.field === field && claim.index === index
+  );
+
+  const renderContentWithLinks = (content, highlights = []) => {
     const parts = parseContentWithLinks(content);
     return parts.map((part, i) => {
       if (part.type === 'link') {
@@ -1212,120 +401,18 @@ NO preamble. Start directly with [`
               paddingBottom: '1px'
             }}
           >
-            {part.text}
+            {highlightClaims(part.text, highlights)}
           </a>
         );
       }
       // Handle bold text **text**
       const boldParts = part.content.split(/\*\*([^*]+)\*\*/g);
       return boldParts.map((bp, j) => 
-        j % 2 === 1 ? <strong key={`${i}-${j}`}>{bp}</strong> : bp
+        j % 2 === 1 ? <strong key={`${i}-${j}`}>{highlightClaims(bp, highlights)}</strong> : <React.Fragment key={`${i}-${j}`}>{highlightClaims(bp, highlights)}</React.Fragment>
       );
     });
   };
 
-  // Strip link syntax for plain text export
-  const stripLinkSyntax = (content) => {
-    if (!content) return '';
-    return content.replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '$1');
-  };
-
-  // Clean AI output - remove citation artifacts, preamble, and metadata
-  const cleanAIOutput = (content) => {
-    if (!content) return '';
-
-    let cleaned = content
-      // Remove citation artifacts like <cite index="4-18,4-19">
-      .replace(/<cite[^>]*>/g, '')
-      .replace(/<\/cite>/g, '')
-      // Remove [AI Generated, Nov 2025] and similar
-      .replace(/\[AI Generated[^\]]*\]/gi, '')
-      // Remove any remaining markdown artifacts
-      .replace(/^\*\*\*+$/gm, '');
-
-    // Remove AI thinking/preamble - check for common patterns at START of content
-    // This handles multi-sentence preambles
-    const preamblePatterns = [
-      /^(Perfect!|Great!|Excellent!|Sure!|Okay!|Alright!|Absolutely!|Of course!)[^.!?]*[.!?]\s*/gi,
-      /^I (found|discovered|searched|located|identified|need to|have found|will|can|should|'ll|'ve)[^.]*\.\s*/gi,
-      /^(Based on|According to|Looking at|After searching|After reviewing|Here is|Here are|Here's|Let me|Now I)[^.]*\.\s*/gi,
-      /^This (is|was|looks|seems|appears)[^.]*\.\s*/gi,
-      /^(The search|My search|I've found|I have found|Most of these|The article)[^.]*\.\s*/gi,
-      /^[^.]*?(exactly what|what you requested|what the user|for your newsletter|sources are older)[^.]*\.\s*/gi,
-      /^[^.]*?(I found|I need|I also|I will|I can|I should)[^.]*\.\s*/gi,
-    ];
-
-    // Apply preamble removal multiple times to catch nested preambles
-    for (let i = 0; i < 5; i++) {
-      for (const pattern of preamblePatterns) {
-        cleaned = cleaned.replace(pattern, '');
-      }
-    }
-
-    return cleaned.trim();
-  };
-
-  // Extract sources from content with {{LINK:text|url}} pattern
-  const extractSourcesFromContent = (content) => {
-    if (!content) return [];
-    const linkRegex = /\{\{LINK:([^|]+)\|([^}]+)\}\}/g;
-    const sources = [];
-    const seenUrls = new Set(); // Deduplicate by URL
-    let match;
-    while ((match = linkRegex.exec(content)) !== null) {
-      const url = match[2];
-      if (seenUrls.has(url)) continue;
-      seenUrls.add(url);
-
-      // Extract source name from URL hostname instead of link text
-      let sourceName = match[1]; // Fallback to link text
-      try {
-        const hostname = new URL(url).hostname;
-        // Map hostnames to friendly source names
-        const sourceMap = {
-          'www.sciencedaily.com': 'ScienceDaily',
-          'sciencedaily.com': 'ScienceDaily',
-          'www.nature.com': 'Nature',
-          'nature.com': 'Nature',
-          'www.cell.com': 'Cell',
-          'www.statnews.com': 'STAT News',
-          'statnews.com': 'STAT News',
-          'www.nih.gov': 'NIH',
-          'nih.gov': 'NIH',
-          'pubmed.ncbi.nlm.nih.gov': 'PubMed',
-          'www.mayoclinic.org': 'Mayo Clinic',
-          'newsnetwork.mayoclinic.org': 'Mayo Clinic',
-          'www.healthline.com': 'Healthline',
-          'www.webmd.com': 'WebMD',
-          'www.cnn.com': 'CNN Health',
-          'www.nytimes.com': 'New York Times',
-          'www.fightaging.org': 'Fight Aging!',
-          'longevity.technology': 'Longevity Technology',
-          'www.lifespan.io': 'Lifespan.io'
-        };
-        sourceName = sourceMap[hostname] || hostname.replace('www.', '').split('.')[0].charAt(0).toUpperCase() + hostname.replace('www.', '').split('.')[0].slice(1);
-      } catch (e) {
-        // Keep link text as fallback
-      }
-
-      sources.push({
-        title: sourceName,
-        url: url,
-        date: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-      });
-    }
-    return sources;
-  };
-
-  // Save URLs to prevent reuse in future newsletters
-  const saveUrlsForExclusion = (sources) => {
-    if (!sources || sources.length === 0) return;
-    const newUrls = sources.map(s => s.url).filter(Boolean);
-    if (newUrls.length > 0) {
-      setUsedUrls(prev => [...new Set([...prev, ...newUrls])].slice(-50)); // Keep last 50
-    }
-  };
-
   // GAME TEMPLATES
   const gameTemplates = [
     {
@@ -1425,405 +512,139 @@ D) Collagen synthesis and immune function`,
     return gameTemplates[weekNumber % gameTemplates.length];
   };
 
-  const [currentGame, setCurrentGame] = useState(getWeeklyGame());
-
-  const rotateGame = () => {
-    const currentIndex = gameTemplates.findIndex(g => g.id === currentGame.id);
-    const nextIndex = (currentIndex + 1) % gameTemplates.length;
-    setCurrentGame(gameTemplates[nextIndex]);
-  };
-
-  // Generate Midjourney prompt based on story content - Updated for purple palette
-  const generateMidjourneyPrompt = (headline, type = 'general') => {
-    const prompts = {
-      'stem_cell': `Scientific visualization of stem cells differentiating into healthy tissue, bioluminescent purple and violet glow, medical illustration style, clean composition, hopeful atmosphere, soft lighting --ar 16:9 --v 6`,
-      'vision': `Abstract visualization of human eye with regenerating retinal cells, golden light rays emanating from iris, medical art style, deep purple and amber colors, hope and healing theme --ar 16:9 --v 6`,
-      'diabetes': `Microscopic view of healthy pancreatic islet cells producing insulin, warm golden glow radiating from cell clusters, scientific visualization, violet and gold color palette --ar 16:9 --v 6`,
-      'nutrition': `Elegant flat lay of anti-inflammatory foods on marble surface, salmon, olive oil, colorful berries, turmeric, leafy greens, soft natural lighting, editorial food photography style --ar 16:9 --v 6`,
-      'clinical_trial': `Modern medical research laboratory, scientists in white coats reviewing data on screens, hopeful atmosphere, clean purple and white aesthetic, soft professional lighting --ar 16:9 --v 6`,
-      'brain': `Artistic visualization of neural connections and synapses firing, deep purple and electric violet colors, scientific beauty, abstract medical illustration --ar 16:9 --v 6`,
-      'heart': `Anatomical heart transforming into healthy tissue, red and purple gradient, scientific illustration meets fine art, regeneration theme, dramatic lighting --ar 16:9 --v 6`,
-      'general': `Abstract medical breakthrough concept, DNA helix intertwined with healing light, purple and violet gradient, clean modern scientific aesthetic, hopeful atmosphere --ar 16:9 --v 6`,
-      'stats': `Data visualization coming to life, floating numbers and graphs in 3D space, purple holographic style, futuristic medical data concept, clean dark background --ar 16:9 --v 6`,
-      'games': `Playful medical trivia concept, illustrated brain with question marks, friendly educational style, soft pastel colors with pops of purple, approachable and fun --ar 16:9 --v 6`
-    };
-    
-    // Auto-detect type from headline
-    const lowerHeadline = headline.toLowerCase();
-    if (lowerHeadline.includes('vision') || lowerHeadline.includes('eye') || lowerHeadline.includes('amd') || lowerHeadline.includes('retina')) return prompts.vision;
-    if (lowerHeadline.includes('diabetes') || lowerHeadline.includes('insulin') || lowerHeadline.includes('pancrea')) return prompts.diabetes;
-    if (lowerHeadline.includes('brain') || lowerHeadline.includes('neuro') || lowerHeadline.includes('parkinson')) return prompts.brain;
-    if (lowerHeadline.includes('heart') || lowerHeadline.includes('cardio')) return prompts.heart;
-    if (lowerHeadline.includes('diet') || lowerHeadline.includes('food') || lowerHeadline.includes('nutrition') || lowerHeadline.includes('inflammatory')) return prompts.nutrition;
-    if (lowerHeadline.includes('trial') || lowerHeadline.includes('study') || lowerHeadline.includes('research')) return prompts.clinical_trial;
-    if (lowerHeadline.includes('stem cell') || lowerHeadline.includes('regenerat')) return prompts.stem_cell;
-    if (lowerHeadline.includes('stat') || lowerHeadline.includes('billion') || lowerHeadline.includes('number') || lowerHeadline.includes('%')) return prompts.stats;
-    
-    return prompts[type] || prompts.general;
-  };
-
-  const [newsletterData, setNewsletterData] = useState({
-    preHeader: {
-      subjectLine: 'Stem Cells Just Restored Vision in Patients Who Were Told It Was Impossible',
-      previewText: 'Plus: 5 red flags when choosing a stem cell clinic and the anti-inflammatory foods worth adding to your cart',
-      from: 'Renewal Weekly | crew@renewalweekly.com',
-      issueNumber: '12',
-      date: 'Nov 28, 2025',
-      readTime: '7 min read'
-    },
-
-    // 1. OPENING HOOK (short, 2-3 sentences)
-    openingHook: {
-      content: `Welcome to this week's edition of Renewal Weekly. We're excited to share the latest breakthroughs in regenerative medicine and longevity research with you. Let's dive into what's making headlines in health this week.`,
-      sources: []
-    },
-
-    // 1.5 IN TODAY'S EDITION (teaser bullets with emojis)
-    bottomLine: {
-      sectionLabel: "IN TODAY'S EDITION",
-      subtitle: '',
-      items: [
-        '👁️ Vision restored after AMD trial',
-        '💊 New MS therapy results',
-        '📊 $403B market projection',
-        '🧬 Inflammation and stem cell aging'
-      ]
-    },
-
-
-
-    // ===== METRICS DASHBOARD - 2x2 GRID (RSS-derived stats) =====
-    metricsDashboard: {
-      title: 'THIS WEEK IN REGENERATIVE MEDICINE',
-      metrics: [
-        // Row 1
-        { label: 'Articles This Week', value: '—', change: 'Loading...', source: 'RSS Feed', dynamic: true },
-        { label: 'Top Topic', value: '—', change: '', source: 'This Issue', dynamic: true },
-        // Row 2
-        { label: 'Sources Featured', value: '—', change: '', source: 'Curated Feed', dynamic: true },
-        { label: 'Research Categories', value: '—', change: '', source: 'This Issue', dynamic: true }
-      ],
-      asOfDate: '',
-      explainerLink: ''
-    },
-
-    // ===== V5.2 UPDATE: LEAD STORY WITH EMBEDDED LINKS =====
-    leadStory: {
-      sectionLabel: 'THIS WEEK\'S BIG STORY',
-      headline: 'Stem Cells Just Did What Doctors Said Was Impossible',
-      publishedDate: 'Nov 22, 2025',
-      image: {
-        placeholder: '[INSERT HERO IMAGE]',
-        credit: 'Getty Images',
-        midjourneyPrompt: ''
-      },
-      content: `For 20 million Americans with age-related macular degeneration, the prognosis has always been the same: We can slow it down, but we can't bring back what you've lost.
-
-That changed this week.
-
-Researchers at the {{LINK:University of Michigan|https://www.sciencedaily.com/releases/2025/11/251121090736.htm}} published results from the first-ever human trial using adult stem cells to treat advanced dry AMD—and patients didn't just stabilize. They got better.
-
-**Here's what happened:** Patients in the low-dose group gained the ability to read 21 additional letters on a standard eye chart after one year. For context, that's the difference between needing help crossing the street and reading a restaurant menu.
-
-**Why this matters now:**
-
-The treatment uses retinal pigment epithelial stem cells harvested from adult donor eye tissue—sidestepping the ethical debates that have slowed embryonic stem cell research for decades. Unlike previous attempts, this approach doesn't require immunosuppression drugs.
-
-**What's next:** The team is now monitoring 12 patients who received higher doses. If safety data holds, they'll move to larger trials.
-
-"We were surprised by the magnitude of vision gain in the most severely affected patients," said Dr. Rajesh Rao, lead researcher.
-
-**The zoom out:** This is exactly the kind of rigorous, FDA-tracked research that separates real regenerative medicine from the clinics promising miracle cures. The full study was published in {{LINK:Cell Stem Cell|https://doi.org/10.1016/j.stem.2025.08.012}}.`,
-      initials: 'RW',
-      sources: [
-        { title: 'ScienceDaily', url: 'https://www.sciencedaily.com/releases/2025/11/251121090736.htm', date: 'Nov 22, 2025' },
-        { title: 'Cell Stem Cell', url: 'https://doi.org/10.1016/j.stem.2025.08.012', date: 'Nov 2025' }
-      ]
-    },
-
-    // ===== V5.2 UPDATE: RESEARCH ROUNDUP WITH EMBEDDED LINKS =====
-    yourOptionsThisWeek: {
-      sectionLabel: 'RESEARCH ROUNDUP',
-      format: 'treatment_spotlight',
-      title: 'Your Weekly Dose of Health Innovation',
-      subtitle: 'Treatment Spotlight: MSC Therapy for Multiple Sclerosis',
-      publishedDate: 'Nov 17, 2025',
-      image: {
-        placeholder: '[INSERT IMAGE]',
-        credit: 'Getty Images',
-        midjourneyPrompt: ''
-      },
-      content: `If you or someone you love has MS, this one's worth reading twice.
-
-A new {{LINK:systematic review|https://multiplesclerosisnewstoday.com/news-posts/2025/11/17/mesenchymal-stem-cell-therapy-shows-promise-ms-review/}} just analyzed every clinical trial testing mesenchymal stem cell (MSC) therapy for multiple sclerosis—and the results are genuinely encouraging. Patients showed improvements in disability scores, walking ability, vision, and even auditory function. Side effects? Mostly mild: headache, fatigue, and low-grade fever that resolved quickly.
-
-**What you should know:** MSC therapy for MS is still considered experimental and isn't covered by insurance. Most patients access it through clinical trials or private clinics abroad. Costs range from $5,000–$30,000 depending on the protocol.
-
-**The catch:** Results varied based on how cells were delivered (IV vs. spinal injection) and where the MSCs came from. There's no standardized protocol yet.
-
-**Bottom line:** If you're considering this route, ask your neurologist about active clinical trials on {{LINK:ClinicalTrials.gov|https://clinicaltrials.gov}} before exploring private options.`,
-      initials: 'RW',
-      sources: [
-        { title: 'Multiple Sclerosis News Today', url: 'https://multiplesclerosisnewstoday.com/news-posts/2025/11/17/mesenchymal-stem-cell-therapy-shows-promise-ms-review/', date: 'Nov 17, 2025' }
-      ]
-    },
-
-    // ===== LIVING WELL - LIFESTYLE SECTION =====
-    livingWell: {
-      sectionLabel: 'LIVING WELL',
-      headline: 'Small Changes, Big Impact',
-      publishedDate: 'Nov 2025',
-      content: `Sometimes the best health advice isn't about breakthroughs—it's about the basics done right.
-
-**This week's lifestyle pick:** Walking after meals. A {{LINK:new study|https://www.healthline.com/health-news/walking-after-meals}} confirms what grandma always said: a 10-minute walk after dinner can lower blood sugar by up to 22%.
-
-**Why it works:** Movement helps muscles absorb glucose from your bloodstream, reducing the post-meal spike that contributes to inflammation and fatigue.
-
-**Make it stick:** Keep your walking shoes by the door. Even 5 minutes helps—you don't need a full workout.
-
-**Bonus:** Evening walks also improve sleep quality and give your mind a chance to decompress from the day.`,
-      initials: 'RW',
-      sources: [
-        { title: 'Healthline', url: 'https://www.healthline.com/health-news/walking-after-meals', date: 'Nov 2025' }
-      ]
-    },
-
-    // 5. SPONSOR 1
-    sponsorBlock1: {
-      headline: '[Sponsor Headline]',
-      body: '[Sponsor content goes here]',
-      cta: 'Use code RENEWAL20 for 20% off.',
-      isPlaceholder: true
-    },
+  // Checkpoint of the issue being built (src/engine/checkpoint.js) - stored while sections are
+  // unfinished, so a rate-limited or interrupted run can be resumed even after a reload
+  const [checkpoint, setCheckpoint] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_checkpoint');
+    return saved ? JSON.parse(saved) : null;
+  });
 
-    // ===== V5.2 UPDATE: SECONDARY STORIES WITH EMBEDDED LINKS =====
-    secondaryStories: {
-      sectionLabel: 'ON OUR RADAR',
-      image: {
-        placeholder: '[INSERT IMAGE]',
-        credit: 'Getty Images',
-        midjourneyPrompt: ''
-      },
-      stories: [
-        {
-          id: 1,
-          boldLead: 'Stanford just made stem cell transplants safer—without chemo.',
-          publishedDate: 'Nov 7, 2025',
-          content: `A new antibody therapy can prepare patients for stem cell transplants without toxic chemotherapy or radiation. In a {{LINK:Phase 1 trial|https://www.sciencedaily.com/releases/2025/11/251107010324.htm}}, children with Fanconi anemia achieved nearly complete donor cell replacement using just an antibody called briquilimab. The approach could open lifesaving transplants to patients who were previously too fragile—including elderly cancer patients.`,
-          sources: [{ title: 'ScienceDaily', url: 'https://www.sciencedaily.com/releases/2025/11/251107010324.htm', date: 'Nov 7, 2025' }]
-        },
-        {
-          id: 2,
-          boldLead: 'Type 1 diabetes was cured in mice. Humans might be next.',
-          publishedDate: 'Nov 18, 2025',
-          content: `{{LINK:Stanford researchers|https://med.stanford.edu/news/all-news/2025/11/type-1-diabetes-cure.html}} combined blood stem cell and pancreatic islet transplants to cure autoimmune diabetes in mice—without lifelong immunosuppression drugs. The "immune system reset" prevented the body from attacking insulin-producing cells. Human trials are a logical next step.`,
-          sources: [{ title: 'Stanford Medicine', url: 'https://med.stanford.edu/news/all-news/2025/11/type-1-diabetes-cure.html', date: 'Nov 18, 2025' }]
-        },
-        {
-          id: 3,
-          boldLead: 'MSC trials are up 37% in 2025—and investment is following.',
-          publishedDate: 'Nov 20, 2025',
-          content: `One year after the FDA approved the first mesenchymal stem cell therapy (Ryoncil), the field is experiencing a {{LINK:resurgence|https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/}}. There are now 89 MSC trials running in 2025, and deal value from MSC-related equity offerings is up 94% from last year.`,
-          sources: [{ title: 'Clinical Trials Arena', url: 'https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/', date: 'Nov 20, 2025' }]
-        }
-      ],
-      initials: 'RW'
-    },
+  useEffect(() => {
+    if (checkpoint && getPendingSteps(checkpoint, checkpoint.newsletterData, checkpoint.game).length > 0) {
+      localStorage.setItem('renewalWeekly_checkpoint', JSON.stringify(checkpoint));
+    } else {
+      localStorage.removeItem('renewalWeekly_checkpoint');
+    }
+  }, [checkpoint]);
 
-    // ===== V5.2 UPDATE: DEEP DIVE WITH EMBEDDED LINKS =====
-    industryDeepDive: {
-      sectionLabel: 'DEEP DIVE',
-      headline: 'The Anti-Inflammatory Shopping List You Actually Need',
-      publishedDate: 'Nov 2025',
-      image: {
-        placeholder: '[INSERT IMAGE]',
-        credit: 'Getty Images',
-        midjourneyPrompt: ''
-      },
-      content: `The supplement aisle wants you to believe fighting inflammation requires a pharmacy's worth of pills.
-
-{{LINK:Harvard researchers|https://nutritionsource.hsph.harvard.edu/healthy-weight/diet-reviews/anti-inflammatory-diet/}} disagree.
-
-A new meta-analysis found that anti-inflammatory diets meaningfully improved blood pressure, cholesterol, and inflammatory markers like hs-CRP. No pills required—just better groceries.
-
-**What to add:**
-• Fatty fish (salmon, sardines, mackerel) — 2-3 servings/week
-• Extra virgin olive oil — your new default cooking fat
-• Colorful vegetables — especially leafy greens, tomatoes, beets
-• Berries, cherries, oranges — nature's antioxidant bombs
-• Nuts, especially walnuts — a handful daily
-• Turmeric and ginger — use liberally
-
-**What to limit:**
-• Processed meats (bacon, hot dogs, deli meat)
-• Refined carbs (white bread, pastries)
-• Fried foods and trans fats
-• Sugary drinks
-
-**The connection to stem cells:** Chronic inflammation damages bone marrow and accelerates stem cell aging. What you eat doesn't just affect how you feel today—it affects how well your body regenerates tomorrow.
-
-{{LINK:Johns Hopkins|https://www.hopkinsmedicine.org/health/wellness-and-prevention/anti-inflammatory-diet}} recommends the Mediterranean diet as the most evidence-backed anti-inflammatory approach. Start with one swap: butter → olive oil.`,
-      initials: 'RW',
-      sources: [
-        { title: 'Harvard Nutrition Source', url: 'https://nutritionsource.hsph.harvard.edu/healthy-weight/diet-reviews/anti-inflammatory-diet/', date: '2025' },
-        { title: 'Johns Hopkins Medicine', url: 'https://www.hopkinsmedicine.org/health/wellness-and-prevention/anti-inflammatory-diet', date: '2025' }
-      ]
-    },
+  const [currentGame, setCurrentGame] = useState(() => checkpoint?.game || getWeeklyGame());
 
-    // 8. SPONSOR 2
-    quickCalendar: {
-      sponsorName: '[SPONSOR NAME]',
-      valueProp: '[One-line value prop with link]',
-      isPlaceholder: true
-    },
+  const rotateGame = () => {
+    const currentIndex = gameTemplates.findIndex(g => g.id === currentGame.id);
+    const nextIndex = (currentIndex + 1) % gameTemplates.length;
+    setCurrentGame(gameTemplates[nextIndex]);
+  };
 
-    // 9. WORTH KNOWING
-    worthKnowing: {
-      sectionLabel: 'WORTH KNOWING',
-      title: 'This week, keep these on your radar',
-      items: [
-        {
-          type: 'awareness',
-          title: 'World AIDS Day',
-          date: 'December 1',
-          description: 'Many clinics offer free HIV testing this week. Worth doing if it\'s been a while.',
-          link: null
-        },
-        {
-          type: 'guide',
-          title: '5 Red Flags When Choosing a Stem Cell Clinic',
-          date: '',
-          description: 'Before you spend $15,000 at a private clinic, know what to look for: (1) They claim to treat everything from wrinkles to MS with the same cells. (2) They use "amniotic" or "exosome" products without explaining what\'s actually in them. (3) They rely entirely on testimonials instead of published data. (4) They\'re not FDA-compliant or won\'t discuss it. (5) They offer IV stem cell treatments (currently forbidden by the FDA).',
-          link: 'https://nyscf.org/resources/unproven-stem-cell-therapies-experts-discuss-how-to-protect-yourself-from-this-global-health-issue/'
-        },
-        {
-          type: 'resource',
-          title: 'How to Find Legitimate Clinical Trials',
-          date: '',
-          description: 'ClinicalTrials.gov is the gold standard. Search by condition, check if it\'s actively recruiting, and verify it\'s affiliated with an academic medical center.',
-          link: 'https://clinicaltrials.gov'
-        }
-      ]
-    },
+  const [newsletterData, setNewsletterData] = useState(() => checkpoint?.newsletterData || createDefaultNewsletter());
 
-    // ===== V5.2 UPDATE: STAT SECTION WITH EMBEDDED LINKS =====
-    statSection: {
-      sectionLabel: 'STAT OF THE WEEK',
-      primeNumber: '$403.86B',
-      headline: 'where the regenerative medicine market is headed by 2032',
-      publishedDate: 'Nov 24, 2025',
-      image: {
-        placeholder: '[INSERT IMAGE]',
-        credit: 'Getty Images',
-        midjourneyPrompt: ''
-      },
-      content: `That's not a typo. The regenerative medicine market is projected to grow from $48 billion today to over $400 billion in the next seven years—a 27.3% annual growth rate.
+  // Sections of the current issue that failed, were never reached, or still show placeholders
+  const pendingSteps = useMemo(() => {
+    const issueCheckpoint = checkpoint?.issueNumber === newsletterData.preHeader.issueNumber ? checkpoint : null;
+    return getPendingSteps(issueCheckpoint, newsletterData, currentGame);
+  }, [checkpoint, newsletterData, currentGame]);
 
-**Why it matters for you:** More investment means more trials, faster approvals, and eventually, more affordable treatments. Cell therapy alone contributed $18.9 billion in 2024.
+  // Link check results (api/links.js) for the current issue, keyed by URL
+  const [linkCheck, setLinkCheck] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_linkCheck');
+    return saved ? JSON.parse(saved) : { issueNumber: null, checkedAt: null, results: {} };
+  });
 
-For context: There are now more than 2,400 regenerative medicine clinical trials running worldwide. In the 1980s, only about 1,500 patients received stem cell transplants per year. In 2022? Nearly 23,000.
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_linkCheck', JSON.stringify(linkCheck));
+  }, [linkCheck]);
+  const [linkCheckError, setLinkCheckError] = useState(null);
+
+  // Publish dates from the issue's article pool (url → date) - the freshness check's first source
+  const [articleDates, setArticleDates] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_articleDates');
+    return saved ? JSON.parse(saved) : { issueNumber: null, dates: {} };
+  });
 
-**The backstory:** Global funding for regenerative medicine—public, private, and venture—surpassed $50 billion in 2024. Companies like {{LINK:Mesoblast|https://www.mesoblast.com}}, {{LINK:CRISPR Therapeutics|https://crisprtx.com}}, and Fate Therapeutics are leading the charge.
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_articleDates', JSON.stringify(articleDates));
+  }, [articleDates]);
+
+  // Every link in the issue with its latest result - drives the SectionCard badges and the export warning
+  const linkSummary = useMemo(() => {
+    const results = linkCheck.issueNumber === newsletterData.preHeader.issueNumber ? linkCheck.results : {};
+    return summarizeLinkResults(collectIssueLinks(newsletterData), results);
+  }, [linkCheck, newsletterData]);
+
+  // Cited articles older than their section's window (structure.json `freshness`)
+  const freshness = useMemo(() => {
+    const issueNumber = newsletterData.preHeader.issueNumber;
+    return checkFreshness(newsletterData, {
+      articleDates: articleDates.issueNumber === issueNumber ? articleDates.dates : {},
+      linkResults: linkCheck.issueNumber === issueNumber ? linkCheck.results : {}
+    });
+  }, [articleDates, linkCheck, newsletterData]);
 
-Translation: The treatments we're writing about today may be routine options in a decade. {{LINK:Read the full market report|https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032-driven-by-cell--gene-therapy-breakthroughs-stem-cell-advancements-and-multi-indication-expansion-302624480.html}}.`,
-      initials: 'RW',
-      sources: [
-        { title: 'PRNewswire / DataM Intelligence', url: 'https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032-driven-by-cell--gene-therapy-breakthroughs-stem-cell-advancements-and-multi-indication-expansion-302624480.html', date: 'Nov 24, 2025' }
-      ]
-    },
+  // Text of the articles the issue cites (url → text, null if unreadable) - kept in memory only,
+  // a full issue's sources would crowd localStorage
+  const [sourceTexts, setSourceTexts] = useState({ issueNumber: null, texts: {} });
+  const [factCheckError, setFactCheckError] = useState(null);
 
-    // ===== V5.2 UPDATE: THE PULSE WITH EMBEDDED LINKS =====
-    thePulse: {
-      sectionLabel: 'THE PULSE',
-      title: 'Quick hits from the world of health innovation',
-      items: [
-        { text: '{{LINK:Takeda|https://www.openpr.com/news/4287050/autologous-stem-cell-non-stem-cell-therapies-market-to-hit-us}} launched a new autologous stem cell therapy for cartilage regeneration in Japan this month', source: 'DataM Intelligence', url: 'https://www.openpr.com/news/4287050/autologous-stem-cell-non-stem-cell-therapies-market-to-hit-us', date: 'Nov 2025' },
-        { text: 'MSC clinical trials are {{LINK:up 37%|https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/}} in 2025 compared to last year', source: 'Clinical Trials Arena', url: 'https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/', date: 'Nov 20, 2025' },
-        { text: 'Scientists discovered {{LINK:"P bodies"|https://www.colorado.edu/today/2025/11/03/scientists-discover-new-way-shape-what-stem-cell-becomes}} play a critical role in stem cell differentiation—opening new doors for regenerative medicine', source: 'CU Boulder', url: 'https://www.colorado.edu/today/2025/11/03/scientists-discover-new-way-shape-what-stem-cell-becomes', date: 'Nov 3, 2025' },
-        { text: 'A new culture medium now allows researchers to create {{LINK:beating dog heart cells|https://medicalxpress.com/news/2025-11-stem-cell-medium-canine-heart.html}} from stem cells—accelerating drug testing research', source: 'Medical Xpress', url: 'https://medicalxpress.com/news/2025-11-stem-cell-medium-canine-heart.html', date: 'Nov 21, 2025' },
-        { text: 'Chronic inflammation was found to fundamentally {{LINK:remodel bone marrow|https://www.sciencedaily.com/news/health_medicine/stem_cells/}}, allowing mutated stem cells to gain dominance with age', source: 'ScienceDaily', url: 'https://www.sciencedaily.com/news/health_medicine/stem_cells/', date: 'Nov 19, 2025' },
-        { text: 'The regenerative medicine market is projected to hit {{LINK:$403.86 billion|https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032}} by 2032', source: 'PRNewswire', url: 'https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032', date: 'Nov 24, 2025' },
-        { text: '{{LINK:115 pluripotent stem cell clinical trials|https://www.cell.com/cell-stem-cell/fulltext/S1934-5909(24)00445-4}} are now running globally with 83 distinct products', source: 'Cell Stem Cell', url: 'https://www.cell.com/cell-stem-cell/fulltext/S1934-5909(24)00445-4', date: 'Jan 2025' }
-      ]
-    },
+  const issueSourceTexts = useMemo(() => (
+    sourceTexts.issueNumber === newsletterData.preHeader.issueNumber ? sourceTexts.texts : {}
+  ), [sourceTexts, newsletterData]);
 
-    // 12. RECS - Links on keywords only, not full titles
-    recommendations: {
-      sectionLabel: 'RECS',
-      read: { 
-        prefix: 'Pluripotent ',
-        linkText: 'stem-cell-derived therapies',
-        suffix: ' in clinical trial: A 2025 update',
-        url: 'https://www.cell.com/cell-stem-cell/fulltext/S1934-5909(24)00445-4', 
-        isAffiliate: true 
-      },
-      watch: { 
-        prefix: 'Inside the labs trying to ',
-        linkText: 'cure autoimmune disease',
-        suffix: ' (PBS NewsHour)',
-        url: 'https://www.pbs.org/newshour/health/scientists-explore-new-frontier-in-autoimmune-disease-treatment-by-resetting-rogue-cells', 
-        isAffiliate: false 
-      },
-      try: { 
-        prefix: 'The ',
-        linkText: 'anti-inflammatory diet',
-        suffix: ' guide (Johns Hopkins)',
-        url: 'https://www.hopkinsmedicine.org/health/wellness-and-prevention/anti-inflammatory-diet', 
-        isAffiliate: false 
-      },
-      listen: { 
-        prefix: '',
-        linkText: 'Longevity Technology',
-        suffix: ' podcast',
-        url: 'https://longevity.technology/news/', 
-        isAffiliate: false 
-      },
-      saveMoney: { 
-        prefix: '',
-        linkText: '[Affiliate offer]',
-        suffix: '',
-        url: '#', 
-        isAffiliate: true, 
-        isPlaceholder: true 
-      },
-      sponsorMessage: '*A message from our sponsor.',
-      affiliateDisclosure: '**This section contains affiliate links.'
-    },
+  // Numbers, names and quotes checked against those articles - unsupported ones are highlighted in Preview
+  const grounding = useMemo(() => checkGrounding(newsletterData, issueSourceTexts), [newsletterData, issueSourceTexts]);
 
-    // 13. PLAY (Games) - WITH OPTIONAL IMAGE
-    interactiveElement: {
-      sectionLabel: 'PLAY',
-      image: {
-        placeholder: '[INSERT GAMES GRAPHIC - OPTIONAL]',
-        credit: 'Original/Midjourney',
-        midjourneyPrompt: ''
-      }
-    },
+  const trustTest = useMemo(() => getTrustTest({ grounding }), [grounding]);
 
-    // 14. REFERRAL
-    referralProgram: {
-      sectionLabel: 'SHARE RENEWAL WEEKLY',
-      headline: 'Share Renewal Weekly with someone who wants to stay ahead of the science.',
-      subtext: "We're saying we'll give you free stuff if you share a link. One link.",
-      referralCountTag: '{{subscriber.referral_count}}',
-      referralLinkTag: '{{subscriber.rh_reflink}}'
-    },
+  // Style-guide lint (style-guide.json → lint) - a score and warnings per section
+  const styleLint = useMemo(() => lintIssue(newsletterData), [newsletterData]);
 
-    // 15. FOOTER
-    signOff: {
-      wordOfTheDay: {
-        word: 'Senolytic',
-        definition: 'a class of drugs that selectively eliminate senescent "zombie" cells that accumulate with age and contribute to inflammation and tissue damage',
-        suggestedBy: 'Marcus',
-        location: 'Denver, CO',
-        submitLink: 'renewalweekly.com/word-of-the-day'
-      },
-      writtenBy: 'The Renewal Weekly Team',
-      signupLink: 'renewalweekly.com/subscribe',
-      copyright: '© 2025 Renewal Weekly. All rights reserved.'
-    }
+  // Medical-claims safety review (safety.json) - an editor acknowledges each version of the report before export
+  const safetyReport = useMemo(() => reviewSafety(newsletterData, { sourceTexts: issueSourceTexts }), [newsletterData, issueSourceTexts]);
+  const [safetyAck, setSafetyAck] = useState(() => {
+    const saved = localStorage.getItem('renewalWeekly_safetyAck');
+    return saved ? JSON.parse(saved) : { issueNumber: null, fingerprint: null, acknowledgedAt: null };
   });
 
+  useEffect(() => {
+    localStorage.setItem('renewalWeekly_safetyAck', JSON.stringify(safetyAck));
+  }, [safetyAck]);
+
+  // Edits that add or remove a finding change the fingerprint - the new report needs signing off again
+  const safetyAcknowledged = safetyAck.issueNumber === newsletterData.preHeader.issueNumber && safetyAck.fingerprint === safetyReport.fingerprint;
+
+  // Stories from the last few issues - research leaves near-duplicates out, and sections that repeat one are flagged
+  const coveredStories = useMemo(() => collectCoveredStories(newsletterHistory, usedStories), [newsletterHistory, usedStories]);
+  const duplicates = useMemo(() => checkIssueDuplicates(newsletterData, coveredStories), [newsletterData, coveredStories]);
+
+  // Cited articles by source registry tier, against the per-issue limits in sources.json (`mix`)
+  const sourceMix = useMemo(() => checkSourceMix(newsletterData), [newsletterData]);
+
+  // Cost of the current issue so far, and of each saved issue (oldest first) for the History chart
+  const currentUsage = useMemo(() => summarizeUsage(issueUsage.records), [issueUsage]);
+  const usageHistory = useMemo(() => {
+    const entries = newsletterHistory.filter(entry => entry.usage?.calls > 0).reverse();
+    const maxCost = Math.max(...entries.map(entry => entry.usage.cost), 0);
+    const averages = ['production', 'test'].map(mode => {
+      const modeEntries = entries.filter(entry => entry.usage.mode === mode);
+      return {
+        mode,
+        count: modeEntries.length,
+        cost: modeEntries.reduce((sum, entry) => sum + entry.usage.cost, 0) / (modeEntries.length || 1)
+      };
+    });
+    return { entries, maxCost, averages };
+  }, [newsletterHistory]);
+
+  // Check /api/generate is configured - refreshed when Settings opens so the budget is current
+  useEffect(() => {
+    issueRef.current = newsletterData.preHeader.issueNumber;
+    getGenerateStatus(newsletterData.preHeader.issueNumber).then(setAiServer);
+  }, [showSettings, newsletterData.preHeader.issueNumber]);
+
+  // The API routes that spend money or fetch pages need the server's API_ACCESS_TOKEN
+  const saveAccessToken = () => {
+    setAccessToken(accessTokenInput.trim());
+    getGenerateStatus(newsletterData.preHeader.issueNumber).then(setAiServer);
+  };
+
   // Auto-generate Midjourney prompts for all image sections
   useEffect(() => {
     setNewsletterData(prev => ({
@@ -1857,21 +678,47 @@ Translation: The treatments we're writing about today may be routine options in
 
   // Add/remove/toggle sources
   const addCustomSource = () => {
-    if (newSourceName && newSourceUrl) {
-      setCustomSources(prev => [...prev, { name: newSourceName, url: newSourceUrl, enabled: true }]);
-      setNewSourceName('');
-      setNewSourceUrl('');
+    const url = newSourceUrl.trim();
+    if (!newSourceName.trim() || !/^https?:\/\//.test(url)) {
+      setAiStatus('⚠️ A source needs a name and an http(s) URL');
+      return;
+    }
+    if (customSources.some(source => source.url === url)) {
+      setAiStatus(`⚠️ ${url} is already a custom source`);
+      return;
     }
+    setCustomSources(prev => [...prev, { name: newSourceName.trim(), url, type: newSourceType, category: newSourceCategory, enabled: true }]);
+    setNewSourceName('');
+    setNewSourceUrl('');
   };
 
   const toggleSource = (index) => {
     setCustomSources(prev => prev.map((s, i) => i === index ? { ...s, enabled: !s.enabled } : s));
   };
 
+  const updateSource = (index, field, value) => {
+    setCustomSources(prev => prev.map((s, i) => i === index ? { ...s, [field]: value } : s));
+  };
+
   const removeSource = (index) => {
     setCustomSources(prev => prev.filter((_, i) => i !== index));
   };
 
+  // Fetch the enabled sources now, without a research run, to see which ones work
+  const checkCustomSources = async () => {
+    const sources = customSources.filter(source => source.enabled && !getBuiltInSource(source.url));
+    if (sources.length === 0) return;
+    setCheckingSources(true);
+    try {
+      const results = await fetchCustomSources(sources);
+      setSourceHealth(prev => updateSourceHealth(prev, results));
+      const failed = results.filter(result => result.status === 'error').length;
+      setAiStatus(failed > 0 ? `⚠️ ${failed} of ${results.length} custom sources failed - see Settings → Sources` : `✓ All ${results.length} custom sources fetched`);
+    } finally {
+      setCheckingSources(false);
+    }
+  };
+
   // Story tracking
   const exportUsedStories = () => {
     const dataStr = JSON.stringify(usedStories, null, 2);
@@ -2020,215 +867,133 @@ Translation: The treatments we're writing about today may be routine options in
       }
     }
 
-    const generatedContent = await generateWithAI(aiType, customPrompt);
+    // The opening hook is plain prose; every other section comes back validated against its schema
+    const generated = aiType === 'openingHook'
+      ? await generateWithAI(aiType, customPrompt)
+      : await generateStructuredWithAI(aiType, customPrompt);
 
     // Always clear loading state when done
     setIsLoading(prev => ({ ...prev, [sectionName]: false }));
 
-    if (generatedContent) {
+    if (generated) {
+      const publishedDate = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      const toRecommendation = (rec) => ({
+        prefix: rec.prefix || '',
+        linkText: rec.linkText,
+        suffix: rec.suffix || '',
+        url: rec.url,
+        isAffiliate: false
+      });
+
       // Update newsletterData based on section type
       setNewsletterData(prev => {
         const updated = { ...prev };
 
         switch (aiType) {
           case 'openingHook':
-            updated.openingHook = { ...prev.openingHook, content: generatedContent };
+            updated.openingHook = { ...prev.openingHook, content: generated };
             break;
 
-          case 'leadStory':
-            try {
-              // Try to extract headline and content
-              const lines = generatedContent.split('\n').filter(l => l.trim());
-              const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-              const content = lines.slice(1).join('\n\n');
-              const sources = extractSourcesFromContent(content);
-              updated.leadStory = {
-                ...prev.leadStory,
-                headline: headline || prev.leadStory.headline,
-                content: content || generatedContent,
-                publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-                sources: sources.length > 0 ? sources : prev.leadStory.sources,
-                image: { ...prev.leadStory.image, midjourneyPrompt: generateMidjourneyPrompt(headline || prev.leadStory.headline) }
-              };
-            } catch (e) {
-              updated.leadStory = { ...prev.leadStory, content: generatedContent };
-            }
+          case 'leadStory': {
+            const sources = extractSourcesFromContent(generated.content);
+            updated.leadStory = {
+              ...prev.leadStory,
+              headline: generated.headline,
+              content: generated.content,
+              publishedDate,
+              sources: sources.length > 0 ? sources : prev.leadStory.sources,
+              image: { ...prev.leadStory.image, midjourneyPrompt: generateMidjourneyPrompt(generated.headline) }
+            };
             break;
+          }
 
-          case 'researchRoundup':
-            try {
-              // Extract headline from first line (replaces static title)
-              const lines = generatedContent.split('\n').filter(l => l.trim());
-              const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-              const content = lines.slice(1).join('\n\n');
-              const sources = extractSourcesFromContent(content);
-              updated.yourOptionsThisWeek = {
-                ...prev.yourOptionsThisWeek,
-                title: headline || prev.yourOptionsThisWeek.title,
-                subtitle: '', // Remove subtitle - just use headline
-                content: content || generatedContent,
-                publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-                sources: sources.length > 0 ? sources : prev.yourOptionsThisWeek.sources,
-                image: { ...prev.yourOptionsThisWeek.image, midjourneyPrompt: generateMidjourneyPrompt(headline || prev.yourOptionsThisWeek.title) }
-              };
-            } catch (e) {
-              updated.yourOptionsThisWeek = { ...prev.yourOptionsThisWeek, content: generatedContent };
-            }
+          case 'researchRoundup': {
+            const sources = extractSourcesFromContent(generated.content);
+            updated.yourOptionsThisWeek = {
+              ...prev.yourOptionsThisWeek,
+              title: generated.headline,
+              subtitle: '', // Remove subtitle - just use headline
+              content: generated.content,
+              publishedDate,
+              sources: sources.length > 0 ? sources : prev.yourOptionsThisWeek.sources,
+              image: { ...prev.yourOptionsThisWeek.image, midjourneyPrompt: generateMidjourneyPrompt(generated.headline) }
+            };
             break;
+          }
 
           case 'secondaryStories':
-            try {
-              // Try to extract JSON array even if there's preamble
-              const jsonMatch = generatedContent.match(/\[[\s\S]*\]/);
-              if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                if (Array.isArray(parsed) && parsed.length >= 1) {
-                  updated.secondaryStories = {
-                    ...prev.secondaryStories,
-                    stories: parsed.slice(0, 3).map((story, idx) => ({
-                      id: idx + 1,
-                      boldLead: story.boldLead || '',
-                      content: story.content || '',
-                      publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-                      sources: story.sources || []
-                    }))
-                  };
-                }
-              } else {
-                setAiStatus('Error: No JSON array found in response');
-              }
-            } catch (e) {
-              setAiStatus('Error: Could not parse JSON response for secondary stories');
-            }
+            updated.secondaryStories = {
+              ...prev.secondaryStories,
+              stories: generated.map((story, idx) => ({
+                id: idx + 1,
+                boldLead: story.boldLead,
+                content: story.content,
+                publishedDate,
+                sources: story.sources || []
+              }))
+            };
             break;
 
-          case 'deepDive':
-            try {
-              // Extract headline from first line
-              const lines = generatedContent.split('\n').filter(l => l.trim());
-              const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-              const content = lines.slice(1).join('\n\n');
-              const sources = extractSourcesFromContent(content);
-              updated.industryDeepDive = {
-                ...prev.industryDeepDive,
-                headline: headline || prev.industryDeepDive.headline,
-                content: content || generatedContent,
-                publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-                sources: sources.length > 0 ? sources : prev.industryDeepDive.sources,
-                image: { ...prev.industryDeepDive.image, midjourneyPrompt: generateMidjourneyPrompt(headline || prev.industryDeepDive.headline, 'wellness') }
-              };
-            } catch (e) {
-              updated.industryDeepDive = { ...prev.industryDeepDive, content: generatedContent };
-            }
+          case 'deepDive': {
+            const sources = extractSourcesFromContent(generated.content);
+            updated.industryDeepDive = {
+              ...prev.industryDeepDive,
+              headline: generated.headline,
+              content: generated.content,
+              publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+              sources: sources.length > 0 ? sources : prev.industryDeepDive.sources,
+              image: { ...prev.industryDeepDive.image, midjourneyPrompt: generateMidjourneyPrompt(generated.headline, 'wellness') }
+            };
             break;
+          }
 
-          case 'statSection':
-            try {
-              const parsed = JSON.parse(generatedContent);
-              if (parsed.primeNumber && parsed.headline && parsed.content) {
-                const sources = extractSourcesFromContent(parsed.content);
-                updated.statSection = {
-                  ...prev.statSection,
-                  primeNumber: parsed.primeNumber,
-                  headline: parsed.headline,
-                  content: parsed.content,
-                  publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-                  sources: sources.length > 0 ? sources : prev.statSection.sources,
-                  image: { ...prev.statSection.image, midjourneyPrompt: generateMidjourneyPrompt(parsed.headline, 'stats') }
-                };
-              }
-            } catch (e) {
-              setAiStatus('Error: Could not parse JSON response for stat section');
-            }
+          case 'statSection': {
+            const sources = extractSourcesFromContent(generated.content);
+            updated.statSection = {
+              ...prev.statSection,
+              primeNumber: generated.primeNumber,
+              headline: generated.headline,
+              content: generated.content,
+              publishedDate,
+              sources: sources.length > 0 ? sources : prev.statSection.sources,
+              image: { ...prev.statSection.image, midjourneyPrompt: generateMidjourneyPrompt(generated.headline, 'stats') }
+            };
             break;
+          }
 
           case 'thePulse':
-            try {
-              const parsed = JSON.parse(generatedContent);
-              if (Array.isArray(parsed)) {
-                updated.thePulse = {
-                  ...prev.thePulse,
-                  items: parsed.slice(0, 7).map(text => {
-                    // Extract source from [Source, Date] at end of text if present
-                    const sourceMatch = text.match(/\[([^\]]+)\]\s*$/);
-                    const extractedSource = sourceMatch ? sourceMatch[1].split(',')[0].trim() : 'Web Research';
-                    return {
-                      text: text.replace(/\s*\[[^\]]+\]\s*$/, ''), // Remove source bracket from text
-                      source: extractedSource,
-                      url: '#',
-                      date: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
-                    };
-                  })
-                };
-              }
-            } catch (e) {
-              setAiStatus('Error: Could not parse JSON response for pulse section');
-            }
+            updated.thePulse = {
+              ...prev.thePulse,
+              items: generated.map(item => ({
+                text: item.text,
+                source: item.source,
+                url: '#',
+                date: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+              }))
+            };
             break;
 
           case 'worthKnowing':
-            try {
-              const jsonMatch = generatedContent.match(/\[[\s\S]*\]/);
-              if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                if (Array.isArray(parsed) && parsed.length >= 1) {
-                  updated.worthKnowing = {
-                    ...prev.worthKnowing,
-                    items: parsed.slice(0, 4).map(item => ({
-                      type: item.type || 'resource',
-                      title: item.title || '',
-                      date: item.date || '',
-                      description: item.description || '',
-                      link: item.link || null
-                    }))
-                  };
-                }
-              }
-            } catch (e) {
-              setAiStatus('Error: Could not parse JSON response for Worth Knowing section');
-            }
+            updated.worthKnowing = {
+              ...prev.worthKnowing,
+              items: generated.map(item => ({
+                type: item.type,
+                title: item.title,
+                date: item.date || '',
+                description: item.description,
+                link: item.link || null
+              }))
+            };
             break;
 
           case 'recommendations':
-            try {
-              const jsonMatch = generatedContent.match(/\{[\s\S]*\}/);
-              if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                updated.recommendations = {
-                  ...prev.recommendations,
-                  read: parsed.read ? {
-                    prefix: parsed.read.prefix || '',
-                    linkText: parsed.read.linkText || 'Article',
-                    suffix: parsed.read.suffix || '',
-                    url: parsed.read.url || '#',
-                    isAffiliate: false
-                  } : prev.recommendations.read,
-                  watch: parsed.watch ? {
-                    prefix: parsed.watch.prefix || '',
-                    linkText: parsed.watch.linkText || 'Video',
-                    suffix: parsed.watch.suffix || '',
-                    url: parsed.watch.url || '#',
-                    isAffiliate: false
-                  } : prev.recommendations.watch,
-                  try: parsed.try ? {
-                    prefix: parsed.try.prefix || '',
-                    linkText: parsed.try.linkText || 'Resource',
-                    suffix: parsed.try.suffix || '',
-                    url: parsed.try.url || '#',
-                    isAffiliate: false
-                  } : prev.recommendations.try,
-                  listen: parsed.listen ? {
-                    prefix: parsed.listen.prefix || '',
-                    linkText: parsed.listen.linkText || 'Podcast',
-                    suffix: parsed.listen.suffix || '',
-                    url: parsed.listen.url || '#',
-                    isAffiliate: false
-                  } : prev.recommendations.listen
-                };
-              }
-            } catch (e) {
-              setAiStatus('Error: Could not parse JSON response for recommendations');
-            }
+            updated.recommendations = {
+              ...prev.recommendations,
+              read: toRecommendation(generated.read),
+              watch: toRecommendation(generated.watch),
+              try: toRecommendation(generated.try),
+              listen: toRecommendation(generated.listen)
+            };
             break;
         }
 
@@ -2237,11 +1002,47 @@ Translation: The treatments we're writing about today may be routine options in
     }
   };
 
-  const fetchAllData = async () => {
-    if (!anthropicApiKey) {
-      setAiStatus('Please add your Anthropic API key in Settings → AI tab');
-      return;
+  // The engine reports every step of a build - mirror it into React state as it goes
+  const handleBuildEvent = (event) => {
+    switch (event.type) {
+      case 'issue':
+        issueRef.current = event.issueNumber;
+        break;
+      case 'update':
+        setNewsletterData(event.newsletterData);
+        break;
+      case 'game':
+        setCurrentGame(event.game);
+        break;
+      case 'articles':
+        // Store the full article pool for reference
+        window.__rssArticlePool = event.pool;
+        setArticleDates({ issueNumber: issueRef.current, dates: getArticleDates(event.pool) });
+        setArticlePool({ fetchedAt: new Date().toISOString(), articles: event.pool, picks: getPoolPicks(event.selected) });
+        break;
+      case 'distribution': {
+        const slots = getSlotUrls(event.distribution);
+        const placed = Object.values(slots).flat();
+        setPoolAssignments(prev => ({ ...prev, slots, pinned: prev.pinned.filter(url => placed.includes(url)) }));
+        break;
+      }
+      case 'storyUsed':
+        setUsedStories(prev => [...prev.slice(-19), event.story].slice(-20)); // Keep last 20
+        break;
+      case 'urlsUsed':
+        setUsedUrls(prev => [...new Set([...prev, ...event.urls])].slice(-50)); // Keep last 50
+        break;
+      case 'checkpoint':
+        setCheckpoint(event.checkpoint);
+        break;
+      default:
+        break;
     }
+  };
+
+  // distribution: an editor's own assignment from the Article Pool tab - skips research
+  const fetchAllData = async ({ distribution = null } = {}) => {
+    if (!requireAiServer()) return;
 
     setIsLoading(prev => ({ ...prev, all: true }));
 
@@ -2252,828 +1053,281 @@ Translation: The treatments we're writing about today may be routine options in
       date: new Date().toLocaleString(),
       subjectLine: newsletterData.preHeader.subjectLine,
       newsletterData: JSON.parse(JSON.stringify(newsletterData)),
-      currentGame: JSON.parse(JSON.stringify(currentGame))
+      currentGame: JSON.parse(JSON.stringify(currentGame)),
+      usage: summarizeUsage(issueUsage.issueNumber === newsletterData.preHeader.issueNumber ? issueUsage.records : [])
     };
     setNewsletterHistory(prev => [historyEntry, ...prev].slice(0, 20)); // Keep last 20
 
-    // WIPE ALL CONTENT SECTIONS - Start fresh for new issue
-    setAiStatus('🧹 Wiping old content for new issue...');
-    const newIssueNumber = (parseInt(newsletterData.preHeader.issueNumber) + 1).toString();
-    setNewsletterData(prev => ({
-      ...prev,
-      preHeader: {
-        ...prev.preHeader,
-        issueNumber: newIssueNumber,
-        subjectLine: 'Generating new subject line...',
-        previewText: 'Generating preview text...',
-        date: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-      },
-      openingHook: { ...prev.openingHook, content: 'Generating fresh content...' },
-      bottomLine: { ...prev.bottomLine, items: ['Generating...', 'Generating...', 'Generating...', 'Generating...'] },
-      leadStory: { ...prev.leadStory, headline: 'Researching latest news...', content: 'Generating fresh content with web search...', sources: [] },
-      yourOptionsThisWeek: { ...prev.yourOptionsThisWeek, content: 'Generating fresh content with web search...', sources: [] },
-      secondaryStories: { ...prev.secondaryStories, stories: [
-        { id: 1, boldLead: 'Searching for story 1...', content: 'Generating...', sources: [], publishedDate: '' },
-        { id: 2, boldLead: 'Searching for story 2...', content: 'Generating...', sources: [], publishedDate: '' },
-        { id: 3, boldLead: 'Searching for story 3...', content: 'Generating...', sources: [], publishedDate: '' }
-      ]},
-      industryDeepDive: { ...prev.industryDeepDive, headline: 'Researching...', content: 'Generating fresh content with web search...', sources: [] },
-      statSection: { ...prev.statSection, primeNumber: '...', headline: 'Researching statistics...', content: 'Generating fresh content with web search...', sources: [] },
-      thePulse: { ...prev.thePulse, items: Array(7).fill({ text: 'Generating...', source: '', url: '#', date: '' }) },
-      recommendations: {
-        ...prev.recommendations,
-        read: { prefix: '', linkText: 'Searching...', suffix: '', url: '#', isAffiliate: false },
-        watch: { prefix: '', linkText: 'Searching...', suffix: '', url: '#', isAffiliate: false },
-        try: { prefix: '', linkText: 'Searching...', suffix: '', url: '#', isAffiliate: false },
-        listen: { prefix: '', linkText: 'Searching...', suffix: '', url: '#', isAffiliate: false }
-      }
-    }));
+    const unsubscribe = engine.on(handleBuildEvent);
 
-    // Reset game too
-    setCurrentGame({
-      id: 'generating',
-      title: 'Generating new game...',
-      intro: 'Please wait...',
-      content: 'Creating a new trivia game...',
-      answer: ''
-    });
+    try {
+      const result = await engine.buildIssue({
+        previous: newsletterData,
+        usedStories,
+        usedUrls,
+        // History state hasn't caught up with the entry saved above yet
+        covered: collectCoveredStories([historyEntry, ...newsletterHistory], usedStories),
+        distribution
+      });
+      setLastFetched(new Date().toLocaleString());
+      checkIssueLinks(result.newsletterData);
+      checkFacts(result.newsletterData);
+    } catch (error) {
+      setAiStatus(`❌ Error: ${error.message}`);
+    } finally {
+      unsubscribe();
+      setIsLoading(prev => ({ ...prev, all: false }));
+    }
+  };
 
-    setAiStatus('🚀 Creating your newsletter...');
+  // Re-run only the sections that failed or still show placeholders - keeps everything else (including edits)
+  const resumeIssue = async () => {
+    if (!requireAiServer()) return;
+
+    setIsLoading(prev => ({ ...prev, all: true }));
+    const unsubscribe = engine.on(handleBuildEvent);
 
     try {
-      const today = new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-      const currentMonth = new Date().toLocaleDateString('en-US', { month: 'long' });
-
-      // PHASE 1: Research articles upfront (reduces total web searches)
-      setAiStatus('🔬 Researching articles for your audience...');
-      const researchedArticles = await researchArticles();
-
-      let articleDistribution = null;
-      if (researchedArticles && researchedArticles.length > 0) {
-        setAiStatus(`✓ Found ${researchedArticles.length} articles, distributing...`);
-        articleDistribution = distributeArticles(researchedArticles);
-        await delay(3000);
-      } else {
-        setAiStatus('⚠️ Research returned no articles, sections will search individually...');
-        await delay(3000);
-      }
+      const result = await engine.resumeIssue({ current: newsletterData, game: currentGame, checkpoint, usedStories, usedUrls, covered: coveredStories });
+      setLastFetched(new Date().toLocaleString());
+      checkIssueLinks(result.newsletterData);
+      checkFacts(result.newsletterData);
+    } catch (error) {
+      setAiStatus(`❌ Error: ${error.message}`);
+    } finally {
+      unsubscribe();
+      setIsLoading(prev => ({ ...prev, all: false }));
+    }
+  };
 
-      // Step 1: Build metrics from RSS feed data (2x2 grid)
-      setAiStatus('📊 Building metrics from RSS feed... (1/15)');
-
-      // Derive fun stats from the RSS articles
-      const articleCount = researchedArticles?.length || 0;
-      const uniqueSources = [...new Set(researchedArticles?.map(a => a.source) || [])];
-      const categoryCounts = (researchedArticles || []).reduce((acc, a) => {
-        acc[a.category] = (acc[a.category] || 0) + 1;
-        return acc;
-      }, {});
-      const topCategory = Object.entries(categoryCounts).sort((a, b) => b[1] - a[1])[0];
-      const categoryLabels = {
-        stemCells: 'Stem Cells',
-        regenerativeMedicine: 'Regen Medicine',
-        longevity: 'Longevity',
-        chronicDisease: 'Chronic Disease',
-        nutrition: 'Nutrition',
-        supplements: 'Supplements',
-        clinicalTrials: 'Clinical Trials',
-        general: 'General Health'
-      };
+  // ===== ARTICLE POOL =====
+  // Pool articles by URL, with the model's pick and reason on the ones it chose - picks rank at least PICK_MIN_SCORE, like researchArticles ranks them
+  const toPoolArticles = (articles, picks) => new Map(articles.map(article => [
+    article.url,
+    picks[article.url]
+      ? { ...article, ...picks[article.url], suggestedSection: picks[article.url].slot, audienceScore: Math.max(article.audienceScore || 0, PICK_MIN_SCORE) }
+      : article
+  ]));
+  const poolByUrl = useMemo(() => toPoolArticles(articlePool.articles, articlePool.picks), [articlePool]);
+
+  // Fill every unpinned slot again - pinned articles stay put, excluded ones and repeats of past issues are skipped
+  const redistribute = (articles, picks, { slots, pinned, excluded }) => {
+    const byUrl = toPoolArticles(articles, picks);
+    const pinnedSlots = Object.fromEntries(DISTRIBUTION_SLOTS.map(({ key, max }) => {
+      const urls = (slots[key] || []).filter(url => pinned.includes(url) && byUrl.has(url));
+      return [key, max === 1 ? byUrl.get(urls[0]) || null : urls.map(url => byUrl.get(url))];
+    }));
+    const candidates = [...byUrl.values()].filter(article => !excluded.includes(article.url) && (picks[article.url] || !article.duplicate));
+    return getSlotUrls(distributeArticles(candidates, () => {}, { pinned: pinnedSlots }));
+  };
 
-      console.log('📊 RSS metrics:', { articleCount, sources: uniqueSources.length, topCategory });
-
-      // Update metrics dashboard with RSS-derived stats (2x2 grid)
-      setNewsletterData(prev => ({
-        ...prev,
-        metricsDashboard: {
-          ...prev.metricsDashboard,
-          metrics: [
-            {
-              label: 'Articles This Week',
-              value: articleCount.toString(),
-              change: `from ${uniqueSources.length} sources`,
-              source: 'RSS Feed',
-              dynamic: true
-            },
-            {
-              label: 'Top Topic',
-              value: topCategory ? categoryLabels[topCategory[0]] || topCategory[0] : 'Stem Cells',
-              change: topCategory ? `${topCategory[1]} articles` : '',
-              source: 'This Issue',
-              dynamic: true
-            },
-            {
-              label: 'Sources Featured',
-              value: uniqueSources.length.toString(),
-              change: uniqueSources.slice(0, 2).join(', '),
-              source: 'Curated Feed',
-              dynamic: true
-            },
-            {
-              label: 'Research Categories',
-              value: Object.keys(categoryCounts).length.toString(),
-              change: 'topics covered',
-              source: 'This Issue',
-              dynamic: true
-            }
-          ],
-          asOfDate: today
-        },
-        preHeader: {
-          ...prev.preHeader,
-          date: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-        }
-      }));
+  // Research and distribute without writing - pins that are still in the new pool keep their slots
+  const researchPool = async () => {
+    if (!requireAiServer()) return;
 
-      // Track generated content in local variables (React state is async)
-      let generatedLeadHeadline = '';
-      let generatedResearchHeadline = '';
-      let generatedDeepDiveHeadline = '';
-      let generatedStatHeadline = '';
-
-      // Step 2: Generate Lead Story (using pre-researched article if available)
-      setAiStatus('🔍 Writing lead story... (2/15)');
-
-      // Build prompt with pre-researched article context from RSS
-      let leadPromptContext = '';
-      if (articleDistribution?.leadStory) {
-        const article = articleDistribution.leadStory;
-        leadPromptContext = `
-USE THIS ARTICLE FROM OUR CURATED RSS FEED:
-Title: "${article.title}"
-Source: ${article.source} (${article.dateFormatted || article.date})
-URL: ${article.url}
-Summary: ${article.summary}
-
-CRITICAL: This URL is VERIFIED and REAL from our RSS feed. Use it exactly as provided.
-Embed the link naturally in your text: "{{LINK:meaningful text|${article.url}}}"
-Example: "Researchers at {{LINK:${article.source}|${article.url}}} found that..."
-
-Write the lead story based on this article.`;
-      }
+    const before = poolAssignments;
+    setIsLoading(prev => ({ ...prev, pool: true }));
+    const unsubscribe = engine.on(handleBuildEvent);
 
-      // Combine avoid topics and article context
-      let combinedPrompt = leadPromptContext;
-      if (usedStories.length > 0 && !leadPromptContext) {
-        // Only use AVOID_TOPIC if we don't have a pre-researched article
-        combinedPrompt = `AVOID_TOPIC:${usedStories.slice(-10).join('|')}`;
+    try {
+      const result = await engine.researchIssue({ usedUrls: [...usedUrls, ...before.excluded], covered: coveredStories });
+      const pinned = before.pinned.filter(url => result.pool.some(article => article.url === url));
+      if (pinned.length > 0) {
+        const assignments = { ...before, pinned };
+        setPoolAssignments({ ...assignments, slots: redistribute(result.pool, getPoolPicks(result.selected), assignments) });
       }
+      setAiStatus(`✓ ${result.pool.length} articles in the pool, ${result.selected.length} picked - arrange them in the Article Pool tab`);
+    } catch (error) {
+      setAiStatus(`❌ Error: ${error.message}`);
+    } finally {
+      unsubscribe();
+      setIsLoading(prev => ({ ...prev, pool: false }));
+    }
+  };
 
-      // Skip web search if we have pre-researched article (saves API calls)
-      const skipLeadWebSearch = !!articleDistribution?.leadStory;
-      const leadContent = await generateWithAI('leadStory', combinedPrompt, !skipLeadWebSearch);
-      if (leadContent) {
-        const lines = leadContent.split('\n').filter(l => l.trim());
-        const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-        const content = lines.slice(1).join('\n\n');
-        generatedLeadHeadline = headline;
-
-        // Track this story to avoid repeats in future
-        if (headline && headline.length > 5) {
-          setUsedStories(prev => [...prev.slice(-19), headline].slice(-20)); // Keep last 20
-        }
+  const visiblePoolArticles = useMemo(() => {
+    const query = poolFilter.query.trim().toLowerCase();
+    const articles = articlePool.articles.filter(article =>
+      (poolFilter.showExcluded || !poolAssignments.excluded.includes(article.url)) &&
+      (poolFilter.category === 'all' || (article.categories?.length ? article.categories : [article.category]).includes(poolFilter.category)) &&
+      (!query || [article.title, article.summary, article.source].some(text => text?.toLowerCase().includes(query)))
+    );
+    return poolFilter.sort === 'relevance' ? [...articles].sort((a, b) => (b.audienceScore || 0) - (a.audienceScore || 0)) : articles;
+  }, [articlePool, poolAssignments.excluded, poolFilter]);
+
+  // Put an article in a slot (moving it from any other) - a full slot drops its first article; placing by hand pins it
+  const assignToSlot = (url, slotKey) => {
+    const { max } = DISTRIBUTION_SLOTS.find(slot => slot.key === slotKey);
+    setPoolAssignments(prev => {
+      const slots = Object.fromEntries(DISTRIBUTION_SLOTS.map(({ key }) => [key, (prev.slots[key] || []).filter(slotUrl => slotUrl !== url)]));
+      slots[slotKey] = [...slots[slotKey], url].slice(-max);
+      return { slots, pinned: [...new Set([...prev.pinned, url])], excluded: prev.excluded.filter(excludedUrl => excludedUrl !== url) };
+    });
+  };
 
-        // Extract sources from content and save URLs for exclusion
-        const sources = extractSourcesFromContent(content);
-        saveUrlsForExclusion(sources);
-
-        setNewsletterData(prev => ({
-          ...prev,
-          leadStory: {
-            ...prev.leadStory,
-            headline: headline || prev.leadStory.headline,
-            content: content || leadContent,
-            publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-            sources: sources.length > 0 ? sources : prev.leadStory.sources,
-            image: { ...prev.leadStory.image, midjourneyPrompt: generateMidjourneyPrompt(headline) }
-          }
-        }));
-      }
-      await delay(5000);
+  const removeFromSlots = (url, prev) => ({
+    ...prev,
+    slots: Object.fromEntries(Object.entries(prev.slots).map(([key, urls]) => [key, urls.filter(slotUrl => slotUrl !== url)])),
+    pinned: prev.pinned.filter(pinnedUrl => pinnedUrl !== url)
+  });
 
-      // Step 3: Generate Research Roundup (using pre-researched article if available)
-      setAiStatus('📚 Writing research roundup... (3/15)');
+  const unassignArticle = (url) => setPoolAssignments(prev => removeFromSlots(url, prev));
 
-      // Build prompt with pre-researched article context
-      let researchPromptContext = '';
-      if (articleDistribution?.researchRoundup) {
-        const article = articleDistribution.researchRoundup;
-        researchPromptContext = `USE THIS ARTICLE FROM OUR CURATED RSS FEED:
-Title: "${article.title}"
-Source: ${article.source} (${article.dateFormatted || article.date})
-URL: ${article.url}
-Summary: ${article.summary}
+  const togglePoolPin = (url) => setPoolAssignments(prev => ({
+    ...prev,
+    pinned: prev.pinned.includes(url) ? prev.pinned.filter(pinnedUrl => pinnedUrl !== url) : [...prev.pinned, url]
+  }));
 
-CRITICAL: This URL is VERIFIED and REAL. Use it exactly as provided.
-Embed naturally: "A {{LINK:new study from ${article.source}|${article.url}}} found..."
+  const togglePoolExclude = (url) => setPoolAssignments(prev => prev.excluded.includes(url)
+    ? { ...prev, excluded: prev.excluded.filter(excludedUrl => excludedUrl !== url) }
+    : { ...removeFromSlots(url, prev), excluded: [...prev.excluded, url] });
 
-Write the research roundup based on this article.`;
-      }
+  const redistributePool = () => {
+    setPoolAssignments(prev => ({ ...prev, slots: redistribute(articlePool.articles, articlePool.picks, prev) }));
+  };
 
-      // Skip web search if we have pre-researched article
-      const skipResearchWebSearch = !!articleDistribution?.researchRoundup;
-      const roundupContent = await generateWithAI('researchRoundup', researchPromptContext, !skipResearchWebSearch);
-      if (roundupContent) {
-        const lines = roundupContent.split('\n').filter(l => l.trim());
-        const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-        const content = lines.slice(1).join('\n\n');
-        generatedResearchHeadline = headline;
-        setNewsletterData(prev => ({
-          ...prev,
-          yourOptionsThisWeek: {
-            ...prev.yourOptionsThisWeek,
-            title: headline || prev.yourOptionsThisWeek.title,
-            subtitle: '',
-            content: content || roundupContent,
-            publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-            image: { ...prev.yourOptionsThisWeek.image, midjourneyPrompt: generateMidjourneyPrompt(headline) }
-          }
-        }));
-      }
-      await delay(5000);
-
-      // Step 3.5: Generate Living Well (lifestyle section) - MUST use RSS article
-      setAiStatus('🌿 Writing Living Well section... (3.5/15)');
-
-      // Use the pre-distributed lifestyle article from RSS
-      const lifestyleArticle = articleDistribution?.livingWell;
-
-      if (lifestyleArticle) {
-        const livingWellPromptContext = `REWRITE this article as a friendly lifestyle tip. You MUST use ONLY the URL provided below.
-
-ARTICLE FROM RSS FEED:
-Title: "${lifestyleArticle.title}"
-Source: ${lifestyleArticle.source} (${lifestyleArticle.dateFormatted || lifestyleArticle.date})
-URL: ${lifestyleArticle.url}
-Summary: ${lifestyleArticle.summary}
-
-CRITICAL RULES:
-1. The ONLY URL you may use is: ${lifestyleArticle.url}
-2. Do NOT invent, guess, or make up any URLs
-3. Embed this exact link naturally in your text using: {{LINK:descriptive text|${lifestyleArticle.url}}}
-4. Keep the tone warm, encouraging, and accessible
-5. Focus on ONE actionable tip from this article`;
-
-        // Never use web search for Living Well - RSS only
-        const livingWellContent = await generateWithAI('livingWell', livingWellPromptContext, false);
-        if (livingWellContent) {
-          const lines = livingWellContent.split('\n').filter(l => l.trim());
-          const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-          let content = lines.slice(1).join('\n\n');
-
-          // SAFETY: Replace any rogue URLs in content with the real RSS URL
-          content = content.replace(/\{\{LINK:([^|]+)\|https?:\/\/[^}]+\}\}/g, `{{LINK:$1|${lifestyleArticle.url}}}`);
-
-          setNewsletterData(prev => ({
-            ...prev,
-            livingWell: {
-              ...prev.livingWell,
-              headline: headline || prev.livingWell.headline,
-              content: content || livingWellContent,
-              publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-              sources: [{ title: lifestyleArticle.source, url: lifestyleArticle.url, date: lifestyleArticle.dateFormatted || lifestyleArticle.date }]
-            }
-          }));
-        }
-      } else {
-        console.log('⚠️ No lifestyle article found for Living Well section');
-      }
-      await delay(3000);
-
-      // Step 4: Generate Secondary Stories / On Our Radar (using pre-researched articles if available)
-      setAiStatus('📰 Writing secondary stories... (4/15)');
-
-      // Build prompt with pre-researched articles context (from RSS feed)
-      let secondaryPromptContext = '';
-      if (articleDistribution?.onOurRadar && articleDistribution.onOurRadar.length > 0) {
-        const articles = articleDistribution.onOurRadar;
-        secondaryPromptContext = `
-USE THESE ARTICLES FROM OUR CURATED RSS FEED:
-
-${articles.map((a, i) => `ARTICLE ${i+1}:
-Title: "${a.title}"
-Source: ${a.source} (${a.dateFormatted || a.date})
-URL: ${a.url}
-Summary: ${a.summary}
-`).join('\n')}
-
-CRITICAL RULES:
-1. These URLs are VERIFIED and REAL from our RSS feed - use them exactly as provided
-2. Each story MUST be from a DIFFERENT source (diversity requirement already met by selection)
-3. Embed links naturally in your text using {{LINK:meaningful text|url}}
-   Example: "A new {{LINK:study from Mayo Clinic|${articles[0]?.url}}} found that..."
-4. Do NOT use "Source: Publisher" format - links should flow naturally in sentences
-
-Write 3 "On Our Radar" stories based on these articles.`;
-      }
+  // Build the issue from the slots as they are
+  const generateFromPool = () => {
+    const distribution = Object.fromEntries(DISTRIBUTION_SLOTS.map(({ key, max }) => {
+      const articles = (poolAssignments.slots[key] || []).map(url => poolByUrl.get(url)).filter(Boolean);
+      return [key, max === 1 ? articles[0] || null : articles];
+    }));
+    if (!distribution.leadStory) {
+      alert('Put an article in the Lead Story slot first.');
+      return;
+    }
+    setActiveTab('dashboard');
+    fetchAllData({ distribution });
+  };
 
-      // Skip web search if we have pre-researched articles
-      const skipSecondaryWebSearch = articleDistribution?.onOurRadar?.length > 0;
-      const secondaryContent = await generateWithAI('secondaryStories', secondaryPromptContext, !skipSecondaryWebSearch);
-      if (secondaryContent) {
-        try {
-          const jsonMatch = secondaryContent.match(/\[[\s\S]*\]/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            if (Array.isArray(parsed) && parsed.length >= 3) {
-              // Get the original RSS articles for guaranteed real URLs
-              const rssArticles = articleDistribution?.onOurRadar || [];
-
-              setNewsletterData(prev => ({
-                ...prev,
-                secondaryStories: {
-                  ...prev.secondaryStories,
-                  stories: parsed.slice(0, 3).map((story, idx) => {
-                    // Use RSS article URL if available, otherwise extract from content
-                    const rssArticle = rssArticles[idx];
-                    const sources = rssArticle
-                      ? [{ title: rssArticle.source, url: rssArticle.url, date: rssArticle.dateFormatted }]
-                      : extractSourcesFromContent(story.content);
-
-                    return {
-                      id: idx + 1,
-                      boldLead: story.boldLead || '',
-                      content: story.content || '',
-                      publishedDate: rssArticle?.dateFormatted || new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-                      sources: sources
-                    };
-                  })
-                }
-              }));
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing secondary stories:', e);
-        }
-      }
-      await delay(5000); // Rate limit protection
-
-      // Step 5: Generate Deep Dive (using pre-researched article if available)
-      setAiStatus('🔬 Writing deep dive... (5/15)');
-
-      // Build prompt with pre-researched article context (from RSS feed)
-      let deepDivePromptContext = '';
-      if (articleDistribution?.deepDive) {
-        const article = articleDistribution.deepDive;
-        deepDivePromptContext = `
-USE THIS ARTICLE FROM OUR CURATED RSS FEED:
-
-Title: "${article.title}"
-Source: ${article.source} (${article.dateFormatted || article.date})
-URL: ${article.url}
-Summary: ${article.summary}
-
-CRITICAL RULES:
-1. This URL is VERIFIED and REAL from our RSS feed - use it exactly as provided
-2. This is a deep-dive on wellness, nutrition, or lifestyle content
-3. Embed the link naturally in your text using {{LINK:meaningful text|${article.url}}}
-   Example: "According to {{LINK:new research from ${article.source}|${article.url}}}, the benefits include..."
-4. Do NOT use "Source: Publisher" format - the link should flow naturally within sentences
-5. Extract actionable tips and practical takeaways for readers
-
-Write the deep dive based on this article.`;
-      }
+  // Variants written for another issue don't apply to this one
+  const currentVariants = useMemo(
+    () => segmentVariants.issueNumber === newsletterData.preHeader.issueNumber ? segmentVariants.variants : [],
+    [segmentVariants, newsletterData.preHeader.issueNumber]
+  );
+  const variantComparison = useMemo(() => compareVariants(newsletterData, currentVariants), [newsletterData, currentVariants]);
+  const variantSafety = useMemo(
+    () => Object.fromEntries(currentVariants.map(variant => [variant.segment, reviewSafety(variant.newsletterData)])),
+    [currentVariants]
+  );
 
-      // Skip web search if we have pre-researched article
-      const skipDeepDiveWebSearch = !!articleDistribution?.deepDive;
-      const deepDiveContent = await generateWithAI('deepDive', deepDivePromptContext, !skipDeepDiveWebSearch);
-      if (deepDiveContent) {
-        const lines = deepDiveContent.split('\n').filter(l => l.trim());
-        const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
-        const content = lines.slice(1).join('\n\n');
-        generatedDeepDiveHeadline = headline;
-        setNewsletterData(prev => ({
-          ...prev,
-          industryDeepDive: {
-            ...prev.industryDeepDive,
-            headline: headline || prev.industryDeepDive.headline,
-            content: content || deepDiveContent,
-            publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-            image: { ...prev.industryDeepDive.image, midjourneyPrompt: generateMidjourneyPrompt(headline) }
-          }
-        }));
-      }
-      await delay(5000);
-
-      // Step 6: Generate Stat Section (using pre-researched article if available)
-      setAiStatus('📊 Writing stat of the week... (6/15)');
-
-      // Build prompt with pre-researched article context (from RSS feed)
-      let statPromptContext = '';
-      if (articleDistribution?.statOfWeek) {
-        const article = articleDistribution.statOfWeek;
-        statPromptContext = `
-USE THIS ARTICLE FROM OUR CURATED RSS FEED:
-
-Title: "${article.title}"
-Source: ${article.source} (${article.dateFormatted || article.date})
-URL: ${article.url}
-Summary: ${article.summary}
-
-CRITICAL RULES:
-1. This URL is VERIFIED and REAL from our RSS feed - use it exactly as provided
-2. Find a compelling statistic from this article (percentage, number, comparison)
-3. The statistic should be attention-grabbing and relevant to our 45-75 year old audience
-4. Embed the link naturally: {{LINK:meaningful text|${article.url}}}
-   Example: "A {{LINK:recent study|${article.url}}} found that 73% of patients..."
-5. Do NOT use "Source: Publisher" format - the link should flow naturally
-
-Extract the stat of the week from this article.`;
-      }
+  // Write the segment versions of the issue on screen from the current pool
+  const buildSegmentVariants = async () => {
+    if (!requireAiServer()) return;
+    if (articlePool.articles.length === 0) {
+      alert('Research articles or build the issue first - variants pick from the Article Pool.');
+      return;
+    }
 
-      // Skip web search if we have pre-researched article
-      const skipStatWebSearch = !!articleDistribution?.statOfWeek;
-      const statContent = await generateWithAI('statSection', statPromptContext, !skipStatWebSearch);
-      if (statContent) {
-        try {
-          const jsonMatch = statContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            if (parsed.primeNumber && parsed.headline && parsed.content) {
-              generatedStatHeadline = parsed.headline;
-              setNewsletterData(prev => ({
-                ...prev,
-                statSection: {
-                  ...prev.statSection,
-                  primeNumber: parsed.primeNumber,
-                  headline: parsed.headline,
-                  content: parsed.content,
-                  publishedDate: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-                  image: { ...prev.statSection.image, midjourneyPrompt: generateMidjourneyPrompt(parsed.headline, 'stats') }
-                }
-              }));
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing stat section:', e);
-        }
-      }
-      await delay(5000);
-
-      // Step 7: Generate The Pulse / Quick Hits (using pre-researched articles if available)
-      setAiStatus('⚡ Writing quick hits... (7/15)');
-
-      // Build prompt with pre-researched articles context (from RSS feed)
-      let pulsePromptContext = '';
-      if (articleDistribution?.quickHits && articleDistribution.quickHits.length > 0) {
-        const articles = articleDistribution.quickHits;
-        pulsePromptContext = `
-USE THESE ARTICLES FROM OUR CURATED RSS FEED:
-
-${articles.map((a, i) => `ARTICLE ${i+1}:
-Title: "${a.title}"
-Source: ${a.source} (${a.dateFormatted || a.date})
-URL: ${a.url}
-`).join('\n')}
-
-CRITICAL RULES:
-1. These URLs are VERIFIED and REAL from our RSS feed - use them exactly as provided
-2. Each quick hit should be ONE concise sentence (max 25 words)
-3. Embed the link naturally: {{LINK:meaningful text|url}}
-   Example: "{{LINK:New research|url}} shows omega-3s may reduce inflammation by 40%."
-4. Do NOT use "Source: Publisher" format - the link should be part of the sentence
-5. Variety of topics across the articles provided
-
-Write 5-7 quick hit news items based on these articles.`;
-      }
+    setIsLoading(prev => ({ ...prev, variants: true }));
+    const unsubscribe = engine.on(handleBuildEvent);
 
-      // Skip web search if we have pre-researched articles
-      const skipPulseWebSearch = articleDistribution?.quickHits?.length > 0;
-      const pulseContent = await generateWithAI('thePulse', pulsePromptContext, !skipPulseWebSearch);
-      if (pulseContent) {
-        try {
-          const jsonMatch = pulseContent.match(/\[[\s\S]*\]/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            if (Array.isArray(parsed)) {
-              setNewsletterData(prev => ({
-                ...prev,
-                thePulse: {
-                  ...prev.thePulse,
-                  items: parsed.slice(0, 7).map(text => {
-                    // Extract source from [Source, Date] at end of text if present
-                    const sourceMatch = text.match(/\[([^\]]+)\]\s*$/);
-                    const extractedSource = sourceMatch ? sourceMatch[1].split(',')[0].trim() : 'Web Research';
-                    return {
-                      text: text.replace(/\s*\[[^\]]+\]\s*$/, ''), // Remove source bracket from displayed text
-                      source: extractedSource,
-                      url: '#',
-                      date: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
-                    };
-                  })
-                }
-              }));
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing pulse section:', e);
-        }
-      }
-      await delay(5000); // Rate limit protection
-
-      // Step 8: Generate Worth Knowing (using pre-distributed RSS articles)
-      setAiStatus('💡 Creating Worth Knowing... (8/15)');
-
-      // Use pre-distributed articles from RSS feed
-      const worthKnowingArticles = articleDistribution?.worthKnowing || [];
-
-      if (worthKnowingArticles.length > 0) {
-        const worthKnowingPromptContext = `
-REWRITE these RSS articles as "Worth Knowing" items. You MUST use ONLY the URLs provided.
-
-${worthKnowingArticles.map((a, i) => `ARTICLE ${i+1}:
-Title: "${a.title}"
-Source: ${a.source}
-URL: ${a.url}
-Summary: ${a.summary}
-`).join('\n')}
-
-CRITICAL RULES:
-1. ONLY use the URLs listed above - do NOT invent or guess URLs
-2. Each item must reference its corresponding article URL
-3. Keep descriptions to 1-2 sentences
-
-Return JSON array: [{"type": "tip/resource/fact/event", "title": "Short title", "description": "1-2 sentence description", "link": "EXACT URL from above", "date": ""}]`;
-
-        // Never use web search for Worth Knowing - RSS only
-        const worthContent = await generateWithAI('worthKnowing', worthKnowingPromptContext, false);
-        if (worthContent) {
-          try {
-            const jsonMatch = worthContent.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-              const parsed = JSON.parse(jsonMatch[0]);
-              if (Array.isArray(parsed) && parsed.length >= 1) {
-                setNewsletterData(prev => ({
-                  ...prev,
-                  worthKnowing: {
-                    ...prev.worthKnowing,
-                    items: parsed.slice(0, 4).map((item, idx) => {
-                      // ALWAYS use RSS article URL - ignore any AI-generated URLs
-                      const rssArticle = worthKnowingArticles[idx];
-                      return {
-                        type: item.type || 'resource',
-                        title: item.title || rssArticle?.title || '',
-                        date: rssArticle?.dateFormatted || item.date || '',
-                        description: item.description || '',
-                        link: rssArticle?.url // ONLY use RSS URL
-                      };
-                    })
-                  }
-                }));
-              }
-            }
-          } catch (e) {
-            console.error('Error parsing worth knowing:', e);
-          }
-        }
-      } else {
-        console.log('⚠️ No articles available for Worth Knowing section');
-      }
-      await delay(5000); // Rate limit protection
+    try {
+      const variants = await engine.buildVariants({
+        newsletterData,
+        pool: articlePool.articles.filter(article => !poolAssignments.excluded.includes(article.url)),
+        usedUrls
+      });
+      setSegmentVariants({ issueNumber: newsletterData.preHeader.issueNumber, builtAt: new Date().toISOString(), variants });
+    } catch (error) {
+      setAiStatus(`❌ Error: ${error.message}`);
+    } finally {
+      unsubscribe();
+      setIsLoading(prev => ({ ...prev, variants: false }));
+    }
+  };
 
-      // Step 9: Generate Recommendations (with web search)
-      setAiStatus('📚 Curating recommendations... (9/15)');
-      const recsContent = await generateWithAI('recommendations');
-      if (recsContent) {
-        try {
-          const jsonMatch = recsContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            setNewsletterData(prev => ({
-              ...prev,
-              recommendations: {
-                ...prev.recommendations,
-                read: parsed.read ? {
-                  prefix: parsed.read.prefix || '',
-                  linkText: parsed.read.linkText || 'Article',
-                  suffix: parsed.read.suffix || '',
-                  url: parsed.read.url || '#',
-                  isAffiliate: false
-                } : prev.recommendations.read,
-                watch: parsed.watch ? {
-                  prefix: parsed.watch.prefix || '',
-                  linkText: parsed.watch.linkText || 'Video',
-                  suffix: parsed.watch.suffix || '',
-                  url: parsed.watch.url || '#',
-                  isAffiliate: false
-                } : prev.recommendations.watch,
-                try: parsed.try ? {
-                  prefix: parsed.try.prefix || '',
-                  linkText: parsed.try.linkText || 'Resource',
-                  suffix: parsed.try.suffix || '',
-                  url: parsed.try.url || '#',
-                  isAffiliate: false
-                } : prev.recommendations.try,
-                listen: parsed.listen ? {
-                  prefix: parsed.listen.prefix || '',
-                  linkText: parsed.listen.linkText || 'Podcast',
-                  suffix: parsed.listen.suffix || '',
-                  url: parsed.listen.url || '#',
-                  isAffiliate: false
-                } : prev.recommendations.listen
-              }
-            }));
-          }
-        } catch (e) {
-          console.error('Error parsing recommendations:', e);
-        }
-      }
-      await delay(5000); // Rate limit protection
+  // Every copy of issue content out of the app - full HTML, variants, single sections - waits for the safety report
+  const requireSafetyAck = () => {
+    if (!safetyAcknowledged) {
+      alert('Review the medical-claims safety report and acknowledge it before exporting.');
+    }
+    return safetyAcknowledged;
+  };
 
-      // Step 10: Generate Word of the Day
-      setAiStatus('📖 Selecting word of the day... (10/15)');
-      const wordPrompt = `Pick a Word of the Day for stem cells newsletter. Theme: "${generatedLeadHeadline || 'stem cell research'}"
-Requirements: medical/scientific term, explainable to general audience, not too basic.
-Return JSON: {"word": "", "definition": "accessible definition", "suggestedBy": "first name", "location": "City, ST"}`;
+  // Same rules as the main export - the variant's own sections get their own safety review
+  const copyVariantHTML = (variant) => {
+    if (!requireSafetyAck()) return;
+    const { high } = variantSafety[variant.segment];
+    if (high > 0 && !confirm(`The ${variant.label} version has ${high} high-risk medical claim${high === 1 ? '' : 's'} in its own sections. Copy the HTML anyway?`)) {
+      return;
+    }
+    copyToClipboard(renderVariantHTML(variant, currentGame), `variant-${variant.segment}`);
+  };
 
-      const wordContent = await generateWithAI('wordOfDay', wordPrompt, false);
-      if (wordContent) {
-        try {
-          const jsonMatch = wordContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            if (parsed.word && parsed.definition) {
-              setNewsletterData(prev => ({
-                ...prev,
-                signOff: {
-                  ...prev.signOff,
-                  wordOfTheDay: {
-                    word: parsed.word,
-                    definition: parsed.definition,
-                    suggestedBy: parsed.suggestedBy || 'Community',
-                    location: parsed.location || 'USA',
-                    submitLink: prev.signOff.wordOfTheDay.submitLink
-                  }
-                }
-              }));
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing word of day:', e);
-        }
-      }
-      await delay(5000);
+  // Check every link in the issue through /api/links (100 per request - the route's limit)
+  const checkIssueLinks = async (data = newsletterData) => {
+    const issueNumber = data.preHeader.issueNumber;
+    const links = linksToCheck(collectIssueLinks(data));
+    if (links.length === 0) return;
 
-      // Step 11: Generate Game/Trivia
-      setAiStatus('🎮 Creating trivia game... (11/15)');
-      const gameContent = await generateWithAI('gameTrivia');
-      if (gameContent) {
-        try {
-          const jsonMatch = gameContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            // Ensure content is always a string (AI sometimes returns object)
-            let contentStr = '';
-            if (typeof parsed.content === 'string') {
-              contentStr = parsed.content;
-            } else if (typeof parsed.questions === 'string') {
-              contentStr = parsed.questions;
-            } else if (parsed.content && typeof parsed.content === 'object') {
-              // If content is an object, stringify it nicely
-              contentStr = Object.entries(parsed.content)
-                .map(([k, v]) => `${k}: ${v}`)
-                .join('\n');
-            }
-
-            let answerStr = '';
-            if (typeof parsed.answer === 'string') {
-              answerStr = parsed.answer;
-            } else if (typeof parsed.answers === 'string') {
-              answerStr = parsed.answers;
-            } else if (parsed.answer && typeof parsed.answer === 'object') {
-              answerStr = Object.entries(parsed.answer)
-                .map(([k, v]) => `${k}: ${v}`)
-                .join('\n');
-            }
-
-            setCurrentGame({
-              id: Date.now().toString(),
-              title: parsed.title || 'Health Trivia',
-              intro: parsed.intro || 'Test your knowledge!',
-              content: contentStr,
-              answer: answerStr
-            });
-            setNewsletterData(prev => ({
-              ...prev,
-              interactiveElement: {
-                ...prev.interactiveElement,
-                image: { ...prev.interactiveElement.image, midjourneyPrompt: generateMidjourneyPrompt('health trivia game quiz', 'games') }
-              }
-            }));
-          }
-        } catch (e) {
-          console.error('Error parsing game:', e);
-        }
-      }
-      await delay(5000);
-
-      // Step 12: Generate Opening Hook (NOW has full context of what's in the issue)
-      setAiStatus('✍️ Writing opening hook... (12/15)');
-      const hookContent = await generateWithAI('openingHook');
-      if (hookContent) {
-        setNewsletterData(prev => ({
-          ...prev,
-          openingHook: { ...prev.openingHook, content: hookContent }
-        }));
-      }
-      await delay(5000);
-
-      // Step 13: Generate "In today's edition" teaser bullets with emojis
-      setAiStatus('📋 Creating issue teasers... (13/15)');
-      const tldrPrompt = `Write 4 SHORT teaser phrases for "In today's edition" section.
-
-CONTENT TO TEASE:
-- Lead Story: "${generatedLeadHeadline}"
-- Research: "${generatedResearchHeadline}"
-- Deep Dive: "${generatedDeepDiveHeadline}"
-- Stat: "${generatedStatHeadline}"
-
-RULES:
-- Each teaser: 3-6 words MAX (short punchy phrases, NOT full sentences)
-- Start each with a relevant emoji (🔬 🧬 💊 📊 🏥 💉 🧠 ❤️ 👁️ 🦴)
-- Tease the topic, don't summarize it
-- Make readers curious to scroll down
-
-EXAMPLES:
-"🔬 Vision restored after AMD"
-"📊 $403B market projection"
-"💊 New MS trial results"
-"🧬 Inflammation and stem cell aging"
-
-Return JSON array of 4 strings: ["🔬 teaser 1", "📊 teaser 2", "💊 teaser 3", "🧬 teaser 4"]`;
-
-      const tldrContent = await generateWithAI('bottomLine', tldrPrompt, false);
-      if (tldrContent) {
-        try {
-          const jsonMatch = tldrContent.match(/\[[\s\S]*\]/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            if (Array.isArray(parsed) && parsed.length >= 4) {
-              setNewsletterData(prev => ({
-                ...prev,
-                bottomLine: {
-                  ...prev.bottomLine,
-                  items: parsed.slice(0, 4)
-                }
-              }));
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing bottom line:', e);
-        }
+    setIsLoading(prev => ({ ...prev, links: true }));
+    try {
+      const results = {};
+      for (let i = 0; i < links.length; i += 100) {
+        const response = await checkLinks(links.slice(i, i + 100));
+        response.results.forEach(result => { results[result.url] = result; });
       }
-      await delay(5000);
+      setLinkCheck({ issueNumber, checkedAt: new Date().toISOString(), results });
+      setLinkCheckError(null);
+    } catch (error) {
+      setLinkCheckError(error.message);
+    } finally {
+      setIsLoading(prev => ({ ...prev, links: false }));
+    }
+  };
 
-      // Step 14: Generate Subject Line and Preview Text (LAST - has full newsletter context)
-      setAiStatus('📧 Writing subject line & preview... (14/15)');
-      const subjectPrompt = `Create email subject line and preview text for this newsletter issue.
+  // Fetch the cited articles (only ones not already read for this issue) for the grounding check
+  const checkFacts = async (data = newsletterData) => {
+    const issueNumber = data.preHeader.issueNumber;
+    const known = sourceTexts.issueNumber === issueNumber ? sourceTexts.texts : {};
+    const urls = getGroundingUrls(data).filter(url => !(url in known));
+    if (urls.length === 0) return;
+
+    setIsLoading(prev => ({ ...prev, facts: true }));
+    try {
+      const texts = await fetchArticleTexts(urls);
+      setSourceTexts(prev => ({
+        issueNumber,
+        texts: { ...(prev.issueNumber === issueNumber ? prev.texts : {}), ...texts }
+      }));
+      setFactCheckError(null);
+    } catch (error) {
+      setFactCheckError(error.message);
+    } finally {
+      setIsLoading(prev => ({ ...prev, facts: false }));
+    }
+  };
 
-THIS ISSUE CONTAINS:
-- Lead Story: "${generatedLeadHeadline}"
-- Research: "${generatedResearchHeadline}"
-- Deep Dive: "${generatedDeepDiveHeadline}"
+  // Send a section's style warnings back to the AI - it fixes those and leaves the rest alone
+  const fixSectionStyle = async (section, sectionKey) => {
+    const violations = styleLint.bySection[section]?.violations || [];
+    if (violations.length === 0 || !requireAiServer()) return;
 
-Return ONLY valid JSON:
-{
-  "subjectLine": "Compelling subject line under 60 chars based on the lead story. No clickbait.",
-  "previewText": "Preview text under 90 chars. Format: Key insight + 'Plus: [other topic]'"
-}`;
+    setIsLoading(prev => ({ ...prev, [sectionKey]: true }));
+    setAiStatus(`✨ Fixing ${violations.length} style warning${violations.length === 1 ? '' : 's'} in ${section}...`);
+    const fixed = await engine.fixStyle(section, newsletterData, violations);
+    setIsLoading(prev => ({ ...prev, [sectionKey]: false }));
 
-      const headerContent = await generateWithAI('bottomLine', subjectPrompt, false);
-      if (headerContent) {
-        try {
-          const jsonMatch = headerContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            setNewsletterData(prev => ({
-              ...prev,
-              preHeader: {
-                ...prev.preHeader,
-                subjectLine: parsed.subjectLine || generatedLeadHeadline || 'This Week in Regenerative Medicine',
-                previewText: parsed.previewText || 'The latest stem cell research and health insights'
-              }
-            }));
-          }
-        } catch (e) {
-          setNewsletterData(prev => ({
-            ...prev,
-            preHeader: {
-              ...prev.preHeader,
-              subjectLine: generatedLeadHeadline || 'This Week in Regenerative Medicine',
-              previewText: 'The latest stem cell research, clinical trials, and health insights'
-            }
-          }));
-        }
-      }
+    if (fixed) {
+      setNewsletterData(prev => ({ ...prev, [section]: fixed }));
+      setAiStatus(`✓ Style fixes applied to ${section}`);
+    } else {
+      setAiStatus(`⚠️ Couldn't fix the style warnings in ${section} - try again or edit by hand`);
+    }
+  };
 
-      // Step 15: Final status
-      setLastFetched(new Date().toLocaleString());
-      setAiStatus(`✅ Newsletter created! ${publicationCount} PubMed publications this week. Review and edit as needed.`);
-    } catch (error) {
-      setAiStatus(`❌ Error: ${error.message}`);
-    } finally {
-      setIsLoading(prev => ({ ...prev, all: false }));
+  // Copy the full HTML - needs the safety report acknowledged; broken links or out-of-date articles need a second confirmation
+  const copyNewsletterHTML = () => {
+    if (!requireSafetyAck()) return;
+    const problems = [
+      linkSummary.broken > 0 && `${linkSummary.broken} broken link${linkSummary.broken === 1 ? '' : 's'}`,
+      freshness.stale > 0 && `${freshness.stale} article${freshness.stale === 1 ? '' : 's'} older than the section allows`
+    ].filter(Boolean);
+    if (problems.length > 0 && !confirm(`This issue has ${problems.join(' and ')}. Copy the HTML anyway?`)) {
+      return;
     }
+    copyToClipboard(generateFullHTML());
   };
 
   const getSectionContent = (sectionKey) => {
@@ -3122,211 +1376,16 @@ Return ONLY valid JSON:
     }
   };
 
-  // ===== V5.2 UPDATE: GENERATE HTML WITH LINK STYLING =====
-  const generateFullHTML = () => {
-    const d = newsletterData;
-    
-    // Convert link syntax to HTML links - charcoal text with 2px purple underline only
-    const convertLinksToHTML = (content) => {
-      if (!content) return '';
-      return content
-        .replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '<a href="$2" style="text-decoration: none; color: #1F2937; border-bottom: 2px solid #8B5CF6; padding-bottom: 1px;">$1</a>')
-        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-    };
-    
-    return `<!-- Renewal Weekly Newsletter HTML - v5.2 -->
-<!-- Paste this into Beehiiv's HTML editor -->
-
-<style>
-  .rw-section { border: 1px solid ${colors.border}; border-radius: 12px; padding: 24px; margin-bottom: 24px; background: ${colors.white}; }
-  .rw-label { color: ${colors.primary}; font-size: 12px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 8px; }
-  .rw-headline { font-size: 24px; font-weight: 700; color: ${colors.text}; margin: 0 0 16px 0; line-height: 1.3; }
-  .rw-image { width: 100%; border-radius: 8px; margin: 16px 0; }
-  .rw-credit { font-size: 12px; color: ${colors.muted}; font-style: italic; margin-bottom: 16px; }
-  .rw-body { font-size: 16px; line-height: 1.7; color: #374151; }
-  .rw-source { font-size: 12px; color: ${colors.muted}; margin-top: 16px; padding-top: 12px; border-top: 1px solid ${colors.border}; }
-  .rw-link { color: ${colors.text}; text-decoration: none; border-bottom: 2px solid ${colors.link}; padding-bottom: 1px; }
-</style>
-
-<!-- OPENING HOOK + IN TODAY'S EDITION -->
-<div class="rw-section">
-  <div class="rw-body" style="white-space: pre-line;">
-${d.openingHook.content}
-  </div>
-  <div style="margin-top: 16px;">
-    <p style="font-size: 15px; font-weight: 600; color: ${colors.text}; margin-bottom: 12px;">In today's edition:</p>
-    <ul style="list-style: none; padding: 0; margin: 0;">
-      ${d.bottomLine.items.map(item => `
-      <li style="margin-bottom: 6px; font-size: 15px; color: ${colors.text};">
-        ${item}
-      </li>`).join('')}
-    </ul>
-    <p style="font-size: 15px; font-weight: 500; color: ${colors.text}; margin-top: 16px;">—Renewal Weekly Team</p>
-  </div>
-</div>
-
-<!-- METRICS DASHBOARD -->
-<div class="rw-section" style="background: linear-gradient(135deg, ${colors.dark} 0%, #0F172A 100%); color: white;">
-  <p class="rw-label" style="color: ${colors.accent};">${d.metricsDashboard.title}</p>
-  <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 16px; margin-top: 16px;">
-    ${d.metricsDashboard.metrics.map(m => `
-    <div style="text-align: center; padding: 12px;">
-      <p style="font-size: 24px; font-weight: 700; margin: 0;">${m.value}</p>
-      ${m.change ? `<p style="font-size: 12px; color: ${colors.accent}; margin: 4px 0;">${m.change}</p>` : ''}
-      <p style="font-size: 11px; color: #94A3B8; margin: 4px 0 0 0;">${m.label}</p>
-    </div>`).join('')}
-  </div>
-  <p style="font-size: 10px; color: #64748B; text-align: center; margin-top: 16px;">As of ${d.metricsDashboard.asOfDate}</p>
-</div>
-
-<!-- LEAD STORY -->
-<div class="rw-section">
-  <p class="rw-label">${d.leadStory.sectionLabel}</p>
-  <h2 class="rw-headline">${d.leadStory.headline}</h2>
-  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
-  <p class="rw-credit">${d.leadStory.image.credit}</p>
-  <div class="rw-body">
-    ${d.leadStory.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
-  </div>
-  <p class="rw-source">Sources: ${d.leadStory.sources.map(s => `<a href="${s.url}" class="rw-link">${s.title}</a>`).join(' | ')}</p>
-</div>
-
-<!-- RESEARCH ROUNDUP -->
-<div class="rw-section">
-  <p class="rw-label">${d.yourOptionsThisWeek.sectionLabel}</p>
-  <h2 class="rw-headline">${d.yourOptionsThisWeek.title}</h2>
-  ${d.yourOptionsThisWeek.subtitle ? `<h3 style="font-size: 18px; color: #4B5563; margin-bottom: 16px;">${d.yourOptionsThisWeek.subtitle}</h3>` : ''}
-  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
-  <p class="rw-credit">${d.yourOptionsThisWeek.image.credit}</p>
-  <div class="rw-body">
-    ${d.yourOptionsThisWeek.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
-  </div>
-</div>
-
-<!-- LIVING WELL -->
-<div class="rw-section">
-  <p class="rw-label">${d.livingWell.sectionLabel}</p>
-  <h2 class="rw-headline">${d.livingWell.headline}</h2>
-  <div class="rw-body">
-    ${d.livingWell.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
-  </div>
-  ${d.livingWell.sources && d.livingWell.sources[0] ? `<p style="font-size: 12px; color: ${colors.muted};">Source: <a href="${d.livingWell.sources[0].url}" class="rw-link">${d.livingWell.sources[0].title}</a></p>` : ''}
-</div>
-
-<!-- SPONSOR 1 -->
-<div class="rw-section" style="background: ${colors.accent}; border: 2px dashed ${colors.primary};">
-  <p style="text-align: center; color: ${colors.primary}; font-weight: 600;">📢 SPONSOR PLACEHOLDER</p>
-</div>
-
-<!-- ON OUR RADAR -->
-<div class="rw-section">
-  <p class="rw-label">${d.secondaryStories.sectionLabel}</p>
-  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
-  <p class="rw-credit">${d.secondaryStories.image.credit}</p>
-  ${d.secondaryStories.stories.map(story => `
-  <div style="border-left: 3px solid ${colors.primary}; padding-left: 16px; margin-bottom: 20px;">
-    <p class="rw-body"><strong>${story.boldLead}</strong> ${convertLinksToHTML(story.content)}</p>
-    ${story.sources && story.sources[0] ? `<p style="font-size: 12px; color: ${colors.muted};">Source: <a href="${story.sources[0].url}" class="rw-link">${story.sources[0].title}</a>, ${story.sources[0].date}</p>` : ''}
-  </div>`).join('')}
-</div>
-
-<!-- DEEP DIVE -->
-<div class="rw-section">
-  <p class="rw-label">${d.industryDeepDive.sectionLabel}</p>
-  <h2 class="rw-headline">${d.industryDeepDive.headline}</h2>
-  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
-  <p class="rw-credit">${d.industryDeepDive.image.credit}</p>
-  <div class="rw-body">
-    ${d.industryDeepDive.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p).replace(/• /g, '&bull; ')}</p>`).join('')}
-  </div>
-</div>
-
-<!-- SPONSOR 2 -->
-<div class="rw-section" style="background: ${colors.accent};">
-  <p style="text-align: center; color: ${colors.primary}; font-weight: 600;">TOGETHER WITH ${d.quickCalendar.sponsorName}</p>
-</div>
-
-<!-- WORTH KNOWING -->
-<div class="rw-section">
-  <p class="rw-label">${d.worthKnowing.sectionLabel}</p>
-  <h3 style="font-size: 18px; color: ${colors.text}; margin-bottom: 16px;">${d.worthKnowing.title}</h3>
-  ${d.worthKnowing.items.map(item => `
-  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; margin-bottom: 12px;">
-    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;">${item.title} ${item.date ? `<span style="font-size: 12px; background: ${colors.accent}; color: ${colors.primary}; padding: 2px 8px; border-radius: 4px; margin-left: 8px;">${item.date}</span>` : ''}</p>
-    <p style="font-size: 14px; color: #4B5563; margin: 0;">${item.description}</p>
-  </div>`).join('')}
-</div>
-
-<!-- STAT OF THE WEEK -->
-<div class="rw-section" style="text-align: center;">
-  <p class="rw-label">${d.statSection.sectionLabel}</p>
-  <p style="font-size: 48px; font-weight: 800; color: ${colors.primary}; margin: 16px 0;">${d.statSection.primeNumber}</p>
-  <p style="font-size: 18px; color: #4B5563; margin-bottom: 16px;">${d.statSection.headline}</p>
-  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
-  <div class="rw-body" style="text-align: left;">
-    ${d.statSection.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
-  </div>
-</div>
-
-<!-- THE PULSE -->
-<div class="rw-section">
-  <p class="rw-label">${d.thePulse.sectionLabel}</p>
-  <h3 style="font-size: 18px; color: ${colors.text}; margin-bottom: 16px;">${d.thePulse.title}</h3>
-  <ul style="list-style: none; padding: 0;">
-    ${d.thePulse.items.map(item => `<li style="padding: 8px 0; border-bottom: 1px solid #F3F4F6;">&bull; ${convertLinksToHTML(item.text)} <span style="font-size: 12px; color: ${colors.muted};">[${item.source}, ${item.date}]</span></li>`).join('')}
-  </ul>
-</div>
-
-<!-- RECS -->
-<div class="rw-section">
-  <p class="rw-label">${d.recommendations.sectionLabel}</p>
-  <p style="margin: 8px 0;"><strong>Read:</strong> ${d.recommendations.read.prefix}<a href="${d.recommendations.read.url}" class="rw-link">${d.recommendations.read.linkText}</a>${d.recommendations.read.suffix}**</p>
-  <p style="margin: 8px 0;"><strong>Watch:</strong> ${d.recommendations.watch.prefix}<a href="${d.recommendations.watch.url}" class="rw-link">${d.recommendations.watch.linkText}</a>${d.recommendations.watch.suffix}</p>
-  <p style="margin: 8px 0;"><strong>Try:</strong> ${d.recommendations.try.prefix}<a href="${d.recommendations.try.url}" class="rw-link">${d.recommendations.try.linkText}</a>${d.recommendations.try.suffix}</p>
-  <p style="margin: 8px 0;"><strong>Listen:</strong> ${d.recommendations.listen.prefix}<a href="${d.recommendations.listen.url}" class="rw-link">${d.recommendations.listen.linkText}</a>${d.recommendations.listen.suffix}</p>
-  <p style="font-size: 12px; color: ${colors.muted}; margin-top: 16px; padding-top: 12px; border-top: 1px solid ${colors.border};">
-    ${d.recommendations.sponsorMessage}<br/>
-    ${d.recommendations.affiliateDisclosure}
-  </p>
-</div>
-
-<!-- PLAY -->
-<div class="rw-section">
-  <p class="rw-label">${d.interactiveElement.sectionLabel}</p>
-  <h3 style="font-size: 20px; font-weight: 600; color: ${colors.text}; margin-bottom: 8px;">${currentGame.title}</h3>
-  <p style="color: #4B5563; margin-bottom: 16px;">${currentGame.intro}</p>
-  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; white-space: pre-wrap; font-family: inherit;">
-${currentGame.content}
-  </div>
-</div>
-
-<!-- REFERRAL -->
-<div class="rw-section" style="text-align: center; background: linear-gradient(135deg, ${colors.accent} 0%, #F0F9FF 100%);">
-  <p class="rw-label">${d.referralProgram.sectionLabel}</p>
-  <p style="font-size: 18px; color: ${colors.text}; margin-bottom: 8px;">${d.referralProgram.headline}</p>
-  <p style="font-size: 14px; color: ${colors.muted}; margin-bottom: 16px;">${d.referralProgram.subtext}</p>
-  <p style="margin-bottom: 16px;">Your referral count: <strong>${d.referralProgram.referralCountTag}</strong></p>
-  <a href="${d.referralProgram.referralLinkTag}" style="display: inline-block; padding: 12px 32px; background: ${colors.primary}; color: white; border-radius: 8px; text-decoration: none; font-weight: 600;">Share Now</a>
-</div>
-
-<!-- FOOTER -->
-<div class="rw-section">
-  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
-    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;">ANSWER</p>
-    <p style="font-size: 14px; color: #4B5563; margin: 0;">${currentGame.answer}</p>
-  </div>
-  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
-    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;">Word of the Day</p>
-    <p style="font-size: 14px; color: #4B5563; margin: 0;"><strong>${d.signOff.wordOfTheDay.word}</strong>: ${d.signOff.wordOfTheDay.definition}</p>
-  </div>
-  <div style="text-align: center; padding-top: 16px; border-top: 1px solid ${colors.border};">
-    <p style="font-size: 14px; color: ${colors.muted};">Written by ${d.signOff.writtenBy}</p>
-    <p style="font-size: 12px; color: ${colors.muted}; margin-top: 16px;">${d.signOff.copyright}</p>
-  </div>
-</div>
-`;
+  // One section's text, for pasting into Beehiiv section by section
+  const copySectionText = (sectionKey, sectionId = null) => {
+    if (!requireSafetyAck()) return;
+    copyToClipboard(stripLinkSyntax(getSectionContent(sectionKey)), sectionId);
   };
 
+  // ===== V5.2 UPDATE: GENERATE HTML WITH LINK STYLING =====
+  // Template lives in src/engine/render.js so the CLI exports the same HTML
+  const generateFullHTML = () => renderHTML(newsletterData, currentGame);
+
   // ===== V5.2 UPDATE: PREVIEW CARD WITH PURPLE STYLING =====
   const PreviewCard = ({ sectionLabel, children }) => (
     <div style={{
@@ -3366,147 +1425,404 @@ ${currentGame.content}
     </div>
   );
 
-  // Section Card for Dashboard
-  const SectionCard = ({ number, title, children, sectionKey, wordCount = null, sources = [], imageSlot = null, showRefresh = true }) => (
-    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-4">
-      <div
-        className="flex items-center justify-between p-4 bg-gray-50 cursor-pointer hover:bg-gray-100 transition-colors"
-        onClick={() => toggleSection(sectionKey)}
-      >
-        <div className="flex items-center gap-3">
-          <span
-            className="w-8 h-8 rounded-full text-white flex items-center justify-center text-sm font-bold shadow"
-            style={{ backgroundColor: colors.primary }}
-          >
-            {number}
-          </span>
-          <div>
-            <h3 className="font-semibold text-gray-800">{title}</h3>
-            {wordCount && <span className="text-xs text-gray-500">({wordCount})</span>}
+  // Link check colors - SectionCard badges and link chips, and the export checks
+  const linkStatusStyles = {
+    ok: { icon: '✓', backgroundColor: '#DCFCE7', color: '#15803D' },
+    warning: { icon: '⚠', backgroundColor: '#FEF3C7', color: '#B45309' },
+    broken: { icon: '✗', backgroundColor: '#FEE2E2', color: '#B91C1C' },
+    unchecked: { icon: '…', backgroundColor: '#F3F4F6', color: colors.muted }
+  };
+
+  // Freshness chips reuse the link colors
+  const freshnessStatusStyles = {
+    fresh: { ...linkStatusStyles.ok },
+    stale: { ...linkStatusStyles.broken, icon: '🕒' },
+    undated: { ...linkStatusStyles.unchecked, icon: '?' }
+  };
+
+  const formatAge = (link) => link.ageDays === null ? 'no date found' : link.ageDays === 0 ? 'today' : `${link.ageDays}d old`;
+
+  // Export validator - link check, article freshness, fact grounding and the safety report, shown above the export buttons
+  const ExportChecks = () => {
+    const brokenLinks = Object.values(linkSummary.bySection).flatMap(section => section.links.filter(link => link.status === 'broken'));
+    const staleLinks = Object.values(freshness.bySection).flatMap(section => section.links
+      .filter(link => link.status === 'stale')
+      .map(link => ({ ...link, maxAgeDays: section.maxAgeDays })));
+    const tone = linkSummary.broken > 0 ? linkStatusStyles.broken : linkSummary.unchecked > 0 ? linkStatusStyles.unchecked : linkSummary.warning > 0 ? linkStatusStyles.warning : linkStatusStyles.ok;
+    const groundingTone = grounding.unsupported > 0 ? linkStatusStyles.warning : grounding.supported > 0 ? linkStatusStyles.ok : linkStatusStyles.unchecked;
+    const freshnessTone = freshness.stale > 0 ? freshnessStatusStyles.stale : freshness.undated > 0 ? freshnessStatusStyles.undated : freshnessStatusStyles.fresh;
+    const sourceMixTone = sourceMix.problems.length > 0 ? linkStatusStyles.warning : linkStatusStyles.ok;
+    const safetyTone = safetyAcknowledged ? linkStatusStyles.ok : safetyReport.high > 0 ? linkStatusStyles.broken : linkStatusStyles.warning;
+    return (
+      <>
+        <div className="mb-3 p-4 rounded-lg" style={{ backgroundColor: tone.backgroundColor, color: tone.color }}>
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm font-medium">
+              {linkSummary.broken > 0
+                ? `✗ ${linkSummary.broken} broken link${linkSummary.broken === 1 ? '' : 's'} - fix them before sending (copying asks you to confirm)`
+                : linkSummary.unchecked > 0
+                  ? `🔗 ${linkSummary.unchecked} link${linkSummary.unchecked === 1 ? ' hasn\'t' : 's haven\'t'} been checked`
+                  : `✓ All ${linkSummary.ok + linkSummary.warning} links checked${linkSummary.warning > 0 ? ` - ${linkSummary.warning} to look at by hand (⚠ on the dashboard)` : ''}`}
+            </p>
+            <button
+              onClick={() => checkIssueLinks()}
+              disabled={isLoading.links}
+              className="px-4 py-2 text-sm text-white rounded-lg font-medium whitespace-nowrap"
+              style={{ backgroundColor: isLoading.links ? '#F59E0B' : colors.primary }}
+            >
+              {isLoading.links ? '⟳ Checking...' : '🔗 Check links'}
+            </button>
           </div>
+          {linkCheckError && <p className="mt-2 text-xs">❌ Link check failed: {linkCheckError}</p>}
+          {brokenLinks.length > 0 && (
+            <ul className="mt-3 space-y-1 text-xs">
+              {brokenLinks.map((link, i) => (
+                <li key={i}>
+                  <strong>{link.section}</strong>: {link.text || link.url} - {link.problems.join('; ')}
+                  <span className="block opacity-75 break-all">{link.url}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="mb-6 p-4 rounded-lg" style={{ backgroundColor: freshnessTone.backgroundColor, color: freshnessTone.color }}>
+          <p className="text-sm font-medium">
+            {freshness.stale > 0
+              ? `🕒 ${freshness.stale} cited article${freshness.stale === 1 ? ' is' : 's are'} older than the section allows`
+              : `✓ No out-of-date articles${freshness.undated > 0 ? ` - ${freshness.undated} without a publish date${linkSummary.unchecked > 0 ? ' (a link check reads dates from the pages)' : ''}` : ''}`}
+          </p>
+          {staleLinks.length > 0 && (
+            <ul className="mt-3 space-y-1 text-xs">
+              {staleLinks.map((link, i) => (
+                <li key={i}>
+                  <strong>{link.section}</strong>: {link.text || link.url} - {formatAge(link)}, limit {link.maxAgeDays} days
+                  <span className="block opacity-75 break-all">{link.url}</span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
-        <div className="flex items-center gap-2">
-          {isLoading[sectionKey] && <span className="text-xs px-2 py-1 rounded animate-pulse" style={{ backgroundColor: '#FEF3C7', color: '#D97706' }}>⟳ Generating...</span>}
-          {imageSlot && <span className="text-xs px-2 py-1 rounded" style={{ backgroundColor: colors.accent, color: colors.primary }}>📷 Image</span>}
-          <span className={`transform transition-transform text-gray-400 ${expandedSections[sectionKey] ? 'rotate-180' : ''}`}>▼</span>
+        <div className="mb-6 p-4 rounded-lg" style={{ backgroundColor: groundingTone.backgroundColor, color: groundingTone.color }}>
+          <p className="text-sm font-medium">
+            {grounding.unsupported > 0
+              ? `🔎 ${grounding.unsupported} number${grounding.unsupported === 1 ? '' : 's'}, name${grounding.unsupported === 1 ? '' : 's'} or quote${grounding.unsupported === 1 ? '' : 's'} not found in the cited articles - highlighted in Preview`
+              : grounding.supported > 0
+                ? `✓ All ${grounding.supported} checked claims found in their sources`
+                : '🔎 Facts haven\'t been checked against the sources (Preview → Check facts)'}
+          </p>
         </div>
-      </div>
-      {expandedSections[sectionKey] && (
-        <div className="p-5 border-t border-gray-100">
-          {/* Prompt Input - Only show if refresh is enabled */}
-          {showRefresh && (
-            <div className="mb-4 flex gap-2">
-              <PromptInput
-                value={sectionPrompts[sectionKey] || ''}
-                onChange={(value) => handlePromptChange(sectionKey, value)}
-                placeholder="Enter a keyword to guide refresh..."
-                disabled={isLoading[sectionKey]}
-              />
+        <div className="mb-6 p-4 rounded-lg" style={{ backgroundColor: sourceMixTone.backgroundColor, color: sourceMixTone.color }}>
+          <p className="text-sm font-medium">
+            {sourceMix.problems.length > 0 ? '⚖ Source mix: ' : '✓ Source mix: '}
+            {Object.entries(sourceMix.tiers).filter(([, count]) => count > 0).map(([tier, count]) => `${count} ${tier}`).join(' · ') || 'no articles cited yet'}
+            {sourceMix.preprints > 0 && ` · ${sourceMix.preprints} preprint${sourceMix.preprints === 1 ? '' : 's'}`}
+            {sourceMix.paywalled > 0 && ` · ${sourceMix.paywalled} paywalled`}
+          </p>
+          {sourceMix.problems.length > 0 && (
+            <ul className="mt-3 space-y-1 text-xs">
+              {sourceMix.problems.map((problem, i) => (
+                <li key={i}>
+                  {problem.message}
+                  {problem.urls.length > 0 && <span className="block opacity-75 break-all">{problem.urls.join(' · ')}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="mb-6 p-4 rounded-lg" style={{ backgroundColor: safetyTone.backgroundColor, color: safetyTone.color }}>
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm font-medium">
+              {safetyReport.findings.length > 0
+                ? `🩺 Safety review: ${safetyReport.high} high-risk and ${safetyReport.medium} medium-risk medical claim${safetyReport.findings.length === 1 ? '' : 's'}`
+                : '🩺 Safety review: no overclaiming, dosing, clinic or animal-study problems found'}
+            </p>
+            {safetyAcknowledged ? (
+              <span className="text-xs whitespace-nowrap">✓ Acknowledged {new Date(safetyAck.acknowledgedAt).toLocaleString()}</span>
+            ) : (
               <button
-                onClick={(e) => { e.stopPropagation(); regenerateSection(sectionKey); }}
-                disabled={isLoading[sectionKey]}
-                className="px-4 py-2 text-sm text-white rounded-lg font-medium whitespace-nowrap transition-all duration-200"
-                style={{
-                  backgroundColor: isLoading[sectionKey] ? '#F59E0B' : colors.primary,
-                  opacity: isLoading[sectionKey] ? 1 : undefined,
-                  animation: isLoading[sectionKey] ? 'pulse 1.5s ease-in-out infinite' : 'none'
-                }}
+                onClick={() => setSafetyAck({ issueNumber: newsletterData.preHeader.issueNumber, fingerprint: safetyReport.fingerprint, acknowledgedAt: new Date().toISOString() })}
+                className="px-4 py-2 text-sm text-white rounded-lg font-medium whitespace-nowrap"
+                style={{ backgroundColor: colors.primary }}
               >
-                {isLoading[sectionKey] ? '⟳ Researching...' : '↻ Refresh Section'}
+                ✓ I&apos;ve reviewed this report
               </button>
-              <button
-                onClick={(e) => { e.stopPropagation(); copyToClipboard(stripLinkSyntax(getSectionContent(sectionKey)), sectionKey); }}
-                className="px-4 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 font-medium transition-colors"
+            )}
+          </div>
+          {safetyReport.findings.length > 0 && (
+            <ul className="mt-3 space-y-1 text-xs">
+              {safetyReport.findings.map((finding, i) => (
+                <li key={i}>
+                  {finding.severity === 'high' ? '✗' : '⚠'} <strong>{finding.section}{finding.index === null ? '' : ` #${finding.index + 1}`}</strong>: {finding.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {!safetyAcknowledged && <p className="mt-2 text-xs">Export is locked until an editor acknowledges this report.</p>}
+        </div>
+      </>
+    );
+  };
+
+  // Section Card for Dashboard
+  // linkSection: newsletterData key whose link check, freshness and style results are shown on the card
+  const SectionCard = ({ number, title, children, sectionKey, wordCount = null, sources = [], imageSlot = null, showRefresh = true, linkSection = null }) => {
+    const sectionLinks = linkSection ? linkSummary.bySection[linkSection] : null;
+    const sectionFreshness = linkSection ? freshness.bySection[linkSection] : null;
+    const sectionStyle = linkSection ? styleLint.bySection[linkSection] : null;
+    const sectionSafety = linkSection ? safetyReport.bySection[linkSection] : null;
+    const sectionDuplicates = linkSection ? duplicates.bySection[linkSection] : null;
+    const safetyTone = sectionSafety?.high > 0 ? linkStatusStyles.broken : linkStatusStyles.warning;
+    const styleTone = !sectionStyle ? null : sectionStyle.score >= 90 ? linkStatusStyles.ok : sectionStyle.score >= 70 ? linkStatusStyles.warning : linkStatusStyles.broken;
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-4">
+        <div
+          className="flex items-center justify-between p-4 bg-gray-50 cursor-pointer hover:bg-gray-100 transition-colors"
+          onClick={() => toggleSection(sectionKey)}
+        >
+          <div className="flex items-center gap-3">
+            <span
+              className="w-8 h-8 rounded-full text-white flex items-center justify-center text-sm font-bold shadow"
+              style={{ backgroundColor: colors.primary }}
+            >
+              {number}
+            </span>
+            <div>
+              <h3 className="font-semibold text-gray-800">{title}</h3>
+              {wordCount && <span className="text-xs text-gray-500">({wordCount})</span>}
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {isLoading[sectionKey] && <span className="text-xs px-2 py-1 rounded animate-pulse" style={{ backgroundColor: '#FEF3C7', color: '#D97706' }}>⟳ Generating...</span>}
+            {imageSlot && <span className="text-xs px-2 py-1 rounded" style={{ backgroundColor: colors.accent, color: colors.primary }}>📷 Image</span>}
+            {sectionLinks && ['broken', 'warning', 'ok', 'unchecked'].filter(status => sectionLinks[status] > 0).map(status => (
+              <span
+                key={status}
+                className="text-xs px-2 py-1 rounded"
+                style={{ backgroundColor: linkStatusStyles[status].backgroundColor, color: linkStatusStyles[status].color }}
+                title={`${sectionLinks[status]} ${status} link${sectionLinks[status] === 1 ? '' : 's'}`}
+              >
+                🔗 {linkStatusStyles[status].icon} {sectionLinks[status]}
+              </span>
+            ))}
+            {sectionFreshness?.stale > 0 && (
+              <span
+                className="text-xs px-2 py-1 rounded"
+                style={{ backgroundColor: freshnessStatusStyles.stale.backgroundColor, color: freshnessStatusStyles.stale.color }}
+                title={`${sectionFreshness.stale} cited article${sectionFreshness.stale === 1 ? '' : 's'} older than ${sectionFreshness.maxAgeDays} days`}
+              >
+                🕒 {sectionFreshness.stale} too old
+              </span>
+            )}
+            {sectionSafety && (
+              <span
+                className="text-xs px-2 py-1 rounded"
+                style={{ backgroundColor: safetyTone.backgroundColor, color: safetyTone.color }}
+                title={sectionSafety.findings.map(finding => `${finding.index === null ? '' : `#${finding.index + 1} `}${finding.message}`).join('\n')}
+              >
+                🩺 {sectionSafety.findings.length}
+              </span>
+            )}
+            {sectionDuplicates && (
+              <span
+                className="text-xs px-2 py-1 rounded"
+                style={{ backgroundColor: linkStatusStyles.warning.backgroundColor, color: linkStatusStyles.warning.color }}
+                title={sectionDuplicates.map(match => `${match.index === null ? '' : `#${match.index + 1} `}Repeats ${match.issueNumber ? `issue #${match.issueNumber}` : 'a used story'}: "${match.pastTitle}" (${match.kind}, ${Math.round(match.score * 100)}%)`).join('\n')}
               >
-                {copiedSection === sectionKey ? '✓ Copied!' : '📋 Copy'}
-              </button>
-            </div>
-          )}
-          {/* Copy button only when refresh is disabled */}
-          {!showRefresh && (
-            <div className="mb-4 flex justify-end">
-              <button
-                onClick={(e) => { e.stopPropagation(); copyToClipboard(stripLinkSyntax(getSectionContent(sectionKey)), sectionKey); }}
-                className="px-4 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 font-medium transition-colors"
+                🔁 {sectionDuplicates[0].issueNumber ? `Covered in #${sectionDuplicates[0].issueNumber}` : 'Already covered'}{sectionDuplicates.length > 1 ? ` +${sectionDuplicates.length - 1}` : ''}
+              </span>
+            )}
+            {sectionStyle && (
+              <span
+                className="text-xs px-2 py-1 rounded"
+                style={{ backgroundColor: styleTone.backgroundColor, color: styleTone.color }}
+                title={`Style score ${sectionStyle.score}/100 - ${sectionStyle.violations.length} warning${sectionStyle.violations.length === 1 ? '' : 's'}`}
               >
-                {copiedSection === sectionKey ? '✓ Copied!' : '📋 Copy'}
-              </button>
-            </div>
-          )}
-
-          {/* Loading Overlay */}
-          {isLoading[sectionKey] && (
-            <div className="mb-4 p-6 rounded-lg text-center" style={{ backgroundColor: '#FEF3C7', border: '2px solid #F59E0B' }}>
-              <div className="flex items-center justify-center gap-3">
-                <svg className="animate-spin h-6 w-6 text-amber-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                <span className="text-amber-800 font-medium">Searching the web and generating content...</span>
+                ✎ {sectionStyle.score}
+              </span>
+            )}
+            <span className={`transform transition-transform text-gray-400 ${expandedSections[sectionKey] ? 'rotate-180' : ''}`}>▼</span>
+          </div>
+        </div>
+        {expandedSections[sectionKey] && (
+          <div className="p-5 border-t border-gray-100">
+            {/* Prompt Input - Only show if refresh is enabled */}
+            {showRefresh && (
+              <div className="mb-4 flex gap-2">
+                <PromptInput
+                  value={sectionPrompts[sectionKey] || ''}
+                  onChange={(value) => handlePromptChange(sectionKey, value)}
+                  placeholder="Enter a keyword to guide refresh..."
+                  disabled={isLoading[sectionKey]}
+                />
+                <button
+                  onClick={(e) => { e.stopPropagation(); regenerateSection(sectionKey); }}
+                  disabled={isLoading[sectionKey]}
+                  className="px-4 py-2 text-sm text-white rounded-lg font-medium whitespace-nowrap transition-all duration-200"
+                  style={{
+                    backgroundColor: isLoading[sectionKey] ? '#F59E0B' : colors.primary,
+                    opacity: isLoading[sectionKey] ? 1 : undefined,
+                    animation: isLoading[sectionKey] ? 'pulse 1.5s ease-in-out infinite' : 'none'
+                  }}
+                >
+                  {isLoading[sectionKey] ? '⟳ Researching...' : '↻ Refresh Section'}
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); copySectionText(sectionKey, sectionKey); }}
+                  className="px-4 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 font-medium transition-colors"
+                >
+                  {copiedSection === sectionKey ? '✓ Copied!' : '📋 Copy'}
+                </button>
               </div>
-              <p className="text-amber-600 text-sm mt-2">This may take 15-30 seconds</p>
-            </div>
-          )}
-
-          {/* Image Slot */}
-          {imageSlot && (
-            <div className="mb-4 p-4 rounded-lg border-2 border-dashed" style={{ backgroundColor: colors.accent, borderColor: colors.primary }}>
-              <div className="flex items-center justify-between mb-2">
-                <span className="text-sm font-medium" style={{ color: colors.text }}>📷 Image Slot</span>
+            )}
+            {/* Copy button only when refresh is disabled */}
+            {!showRefresh && (
+              <div className="mb-4 flex justify-end">
                 <button
-                  onClick={() => copyToClipboard(imageSlot.midjourneyPrompt)}
-                  className="text-xs px-2 py-1 rounded hover:opacity-80"
-                  style={{ backgroundColor: colors.primary, color: 'white' }}
+                  onClick={(e) => { e.stopPropagation(); copySectionText(sectionKey, sectionKey); }}
+                  className="px-4 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 font-medium transition-colors"
                 >
-                  Copy Midjourney Prompt
+                  {copiedSection === sectionKey ? '✓ Copied!' : '📋 Copy'}
                 </button>
               </div>
-              <p className="text-xs mb-2" style={{ color: colors.muted }}>Credit: {imageSlot.credit}</p>
-              <div className="p-2 bg-white rounded border text-xs font-mono" style={{ color: colors.muted }}>
-                {imageSlot.midjourneyPrompt || 'Generating prompt...'}
+            )}
+
+            {/* Loading Overlay */}
+            {isLoading[sectionKey] && (
+              <div className="mb-4 p-6 rounded-lg text-center" style={{ backgroundColor: '#FEF3C7', border: '2px solid #F59E0B' }}>
+                <div className="flex items-center justify-center gap-3">
+                  <svg className="animate-spin h-6 w-6 text-amber-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  <span className="text-amber-800 font-medium">Searching the web and generating content...</span>
+                </div>
+                <p className="text-amber-600 text-sm mt-2">This may take 15-30 seconds</p>
+              </div>
+            )}
+
+            {/* Image Slot */}
+            {imageSlot && (
+              <div className="mb-4 p-4 rounded-lg border-2 border-dashed" style={{ backgroundColor: colors.accent, borderColor: colors.primary }}>
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium" style={{ color: colors.text }}>📷 Image Slot</span>
+                  <button
+                    onClick={() => copyToClipboard(imageSlot.midjourneyPrompt)}
+                    className="text-xs px-2 py-1 rounded hover:opacity-80"
+                    style={{ backgroundColor: colors.primary, color: 'white' }}
+                  >
+                    Copy Midjourney Prompt
+                  </button>
+                </div>
+                <p className="text-xs mb-2" style={{ color: colors.muted }}>Credit: {imageSlot.credit}</p>
+                <div className="p-2 bg-white rounded border text-xs font-mono" style={{ color: colors.muted }}>
+                  {imageSlot.midjourneyPrompt || 'Generating prompt...'}
+                </div>
               </div>
+            )}
+
+            <div id={`content-${sectionKey}`}>
+              {children}
             </div>
-          )}
 
-          <div id={`content-${sectionKey}`}>
-            {children}
-          </div>
+            {/* Link check - one chip per link, problems in the tooltip */}
+            {sectionLinks && (
+              <div className="mt-4 pt-3 border-t border-gray-100">
+                <p className="text-xs font-medium mb-1" style={{ color: colors.muted }}>🔗 Links:</p>
+                <div className="flex flex-wrap gap-2">
+                  {sectionLinks.links.map((link, i) => (
+                    <a
+                      key={i}
+                      href={link.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs px-2 py-1 rounded"
+                      style={{ backgroundColor: linkStatusStyles[link.status].backgroundColor, color: linkStatusStyles[link.status].color }}
+                      title={`${link.url}${link.problems.length > 0 ? `\n${link.problems.join('\n')}` : ''}`}
+                    >
+                      {linkStatusStyles[link.status].icon} {link.text || link.url}
+                    </a>
+                  ))}
+                </div>
+              </div>
+            )}
 
-          {/* Sources */}
-          {sources && sources.length > 0 && (
-            <div className="mt-4 pt-3 border-t border-gray-100">
-              <p className="text-xs font-medium mb-1" style={{ color: colors.muted }}>🔎 Sources:</p>
-              <div className="flex flex-wrap gap-2">
-                {sources.map((source, i) => (
-                  <a 
-                    key={i}
-                    href={source.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-xs px-2 py-1 rounded transition-colors"
-                    style={{ 
-                      backgroundColor: '#F3F4F6',
-                      color: colors.muted
-                    }}
-                    onMouseEnter={(e) => {
-                      e.target.style.backgroundColor = colors.accent;
-                      e.target.style.color = colors.primary;
-                    }}
-                    onMouseLeave={(e) => {
-                      e.target.style.backgroundColor = '#F3F4F6';
-                      e.target.style.color = colors.muted;
-                    }}
+            {/* Style lint - violations of style-guide.json, fixable in one AI call */}
+            {sectionStyle?.violations.length > 0 && (
+              <div className="mt-4 pt-3 border-t border-gray-100">
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <p className="text-xs font-medium" style={{ color: colors.muted }}>✎ Style ({sectionStyle.score}/100):</p>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); fixSectionStyle(linkSection, sectionKey); }}
+                    disabled={isLoading[sectionKey]}
+                    className="px-3 py-1 text-xs text-white rounded-lg font-medium whitespace-nowrap"
+                    style={{ backgroundColor: isLoading[sectionKey] ? '#F59E0B' : colors.primary }}
                   >
-                    {source.title} {source.date && `(${source.date})`}
-                  </a>
-                ))}
+                    {isLoading[sectionKey] ? '⟳ Fixing...' : '✨ Auto-fix with AI'}
+                  </button>
+                </div>
+                <ul className="space-y-1 text-xs" style={{ color: linkStatusStyles.warning.color }}>
+                  {sectionStyle.violations.map((violation, i) => (
+                    <li key={i}>⚠ {violation.index === null ? '' : `#${violation.index + 1} `}{violation.message}</li>
+                  ))}
+                </ul>
               </div>
-            </div>
-          )}
-        </div>
-      )}
-    </div>
-  );
+            )}
+
+            {/* Freshness - publish date of each cited article against the section's window */}
+            {sectionFreshness && (
+              <div className="mt-4 pt-3 border-t border-gray-100">
+                <p className="text-xs font-medium mb-1" style={{ color: colors.muted }}>🕒 Published (max {sectionFreshness.maxAgeDays} days old):</p>
+                <div className="flex flex-wrap gap-2">
+                  {sectionFreshness.links.map((link, i) => (
+                    <span
+                      key={i}
+                      className="text-xs px-2 py-1 rounded"
+                      style={{ backgroundColor: freshnessStatusStyles[link.status].backgroundColor, color: freshnessStatusStyles[link.status].color }}
+                      title={`${link.url}${link.published ? `\nPublished ${new Date(link.published).toLocaleDateString()} (${link.dateSource === 'pool' ? 'article pool' : 'page metadata'})` : ''}`}
+                    >
+                      {freshnessStatusStyles[link.status].icon} {link.text || link.url} · {formatAge(link)}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Sources */}
+            {sources && sources.length > 0 && (
+              <div className="mt-4 pt-3 border-t border-gray-100">
+                <p className="text-xs font-medium mb-1" style={{ color: colors.muted }}>🔎 Sources:</p>
+                <div className="flex flex-wrap gap-2">
+                  {sources.map((source, i) => (
+                    <a 
+                      key={i}
+                      href={source.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs px-2 py-1 rounded transition-colors"
+                      style={{ 
+                        backgroundColor: '#F3F4F6',
+                        color: colors.muted
+                      }}
+                      onMouseEnter={(e) => {
+                        e.target.style.backgroundColor = colors.accent;
+                        e.target.style.color = colors.primary;
+                      }}
+                      onMouseLeave={(e) => {
+                        e.target.style.backgroundColor = '#F3F4F6';
+                        e.target.style.color = colors.muted;
+                      }}
+                    >
+                      {source.title} {source.date && `(${source.date})`}
+                    </a>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div className="min-h-screen bg-gray-100">
@@ -3532,8 +1848,17 @@ ${currentGame.content}
                 <p className="text-purple-200">Last fetched:</p>
                 <p className="font-semibold">{lastFetched || 'Never'}</p>
               </div>
+              {pendingSteps.length > 0 && !isLoading.all && (
+                <button
+                  onClick={resumeIssue}
+                  className="px-4 py-3 rounded-xl font-bold bg-amber-400 hover:bg-amber-300 text-amber-950 shadow-lg transition-colors"
+                  title={`Re-run: ${pendingSteps.map(getStepLabel).join(', ')}`}
+                >
+                  ↻ Resume issue
+                </button>
+              )}
               <button
-                onClick={fetchAllData}
+                onClick={() => fetchAllData()}
                 disabled={isLoading.all}
                 className="px-6 py-3 rounded-xl font-bold shadow-lg hover:shadow-xl transition-all"
                 style={{
@@ -3560,6 +1885,38 @@ ${currentGame.content}
               </svg>
               <span className="text-purple-800 font-medium">{aiStatus}</span>
             </div>
+            {Object.keys(requestQueue).length > 0 && (
+              <p className="text-sm text-purple-700 mt-1 ml-8">
+                ⏳ Queued for rate limits:{' '}
+                {Object.entries(requestQueue)
+                  .sort((a, b) => a[1].position - b[1].position)
+                  .map(([section, { position, waitMs }]) => `#${position} ${section}${waitMs > 0 ? ` (~${Math.ceil(waitMs / 1000)}s)` : ''}`)
+                  .join(' · ')}
+              </p>
+            )}
+            {checkpoint?.failed.length > 0 && (
+              <p className="text-sm text-amber-700 mt-1 ml-8">
+                ⚠️ Failed so far: {checkpoint.failed.map(getStepLabel).join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Unfinished sections - shown until the issue is resumed or a new one is created */}
+      {pendingSteps.length > 0 && !isLoading.all && (
+        <div className="bg-amber-50 border-b border-amber-200">
+          <div className="max-w-6xl mx-auto px-6 py-3 flex items-center justify-between gap-4">
+            <p className="text-sm text-amber-800">
+              <span className="font-semibold">⚠️ {pendingSteps.length} section{pendingSteps.length === 1 ? '' : 's'} didn&apos;t finish:</span>{' '}
+              {pendingSteps.map(getStepLabel).join(', ')}
+            </p>
+            <button
+              onClick={resumeIssue}
+              className="px-4 py-2 text-sm rounded-lg font-medium bg-amber-500 hover:bg-amber-600 text-white whitespace-nowrap transition-colors"
+            >
+              ↻ Resume issue
+            </button>
           </div>
         </div>
       )}
@@ -3569,7 +1926,7 @@ ${currentGame.content}
         <div className="bg-white border-b border-gray-200 shadow-sm">
           <div className="max-w-6xl mx-auto px-6 py-6">
             <div className="flex gap-4 mb-4">
-              {['ai', 'stories', 'beehiiv'].map(tab => (
+              {['ai', 'sources', 'stories', 'beehiiv'].map(tab => (
                 <button
                   key={tab}
                   onClick={() => setActiveSettingsTab(tab)}
@@ -3580,6 +1937,7 @@ ${currentGame.content}
                   }
                 >
                   {tab === 'ai' && '🤖 AI'}
+                  {tab === 'sources' && `📡 Sources (${customSources.filter(source => source.enabled).length}/${customSources.length})`}
                   {tab === 'stories' && `📚 Used Stories (${usedStories.length})`}
                   {tab === 'beehiiv' && '🐝 Beehiiv'}
                 </button>
@@ -3588,23 +1946,77 @@ ${currentGame.content}
 
             {activeSettingsTab === 'ai' && (
               <div className="space-y-4">
-                <p className="text-sm text-gray-600">Configure your Anthropic API key for AI-powered content generation.</p>
+                <p className="text-sm text-gray-600">AI requests go through the <code>/api/generate</code> server route. The Anthropic API key is set on the server, never in the browser.</p>
                 <div className="p-4 rounded-lg" style={{ backgroundColor: colors.accent }}>
-                  <label className="block text-sm font-medium mb-2" style={{ color: colors.primary }}>Anthropic API Key</label>
-                  <input
-                    type="password"
-                    value={anthropicApiKey}
-                    onChange={(e) => setAnthropicApiKey(e.target.value)}
-                    placeholder="sk-ant-..."
-                    className="w-full px-3 py-2 border rounded-lg text-sm font-mono"
-                    style={{ borderColor: colors.border }}
-                  />
-                  <p className="text-xs mt-2" style={{ color: colors.muted }}>
-                    Get your API key from <a href="https://console.anthropic.com/" target="_blank" rel="noopener noreferrer" className="underline">console.anthropic.com</a>
-                  </p>
-                  {anthropicApiKey && (
-                    <p className="text-xs mt-2 font-medium" style={{ color: colors.primary }}>✓ API key saved</p>
+                  <label className="block text-sm font-medium mb-2" style={{ color: colors.primary }}>AI Server</label>
+                  {aiServer === null && (
+                    <p className="text-xs" style={{ color: colors.muted }}>Server route not reachable - run <code>npm run dev</code> or deploy to Vercel.</p>
+                  )}
+                  {aiServer && !aiServer.configured && (
+                    <p className="text-xs font-medium text-red-700">
+                      ANTHROPIC_API_KEY is not set. Add it to <code>.env.local</code> for local development or to the Vercel project&apos;s environment variables.
+                    </p>
                   )}
+                  {aiServer?.configured && (
+                    <div className="text-xs space-y-1">
+                      <p className="font-medium" style={{ color: colors.primary }}>✓ API key configured on the server</p>
+                      {!aiServer.authorized && (
+                        <p className="font-medium text-red-700">
+                          Access token missing or wrong - enter the server&apos;s <code>API_ACCESS_TOKEN</code> below. AI calls, link checks, article reading and custom sources need it.
+                        </p>
+                      )}
+                      <p style={{ color: colors.muted }}>
+                        Issue #{aiServer.budget.issue} budget: {aiServer.budget.usage.requests}/{aiServer.budget.limits.maxRequests} requests · {aiServer.budget.usage.outputTokens.toLocaleString()}/{aiServer.budget.limits.maxOutputTokens.toLocaleString()} output tokens · {aiServer.budget.usage.webSearches}/{aiServer.budget.limits.maxWebSearches} web searches
+                      </p>
+                      {aiServer.budget.daily && (
+                        <p style={{ color: colors.muted }}>
+                          Today (all issues): {aiServer.budget.daily.usage.requests}/{aiServer.budget.daily.limits.maxRequests} requests · {aiServer.budget.daily.usage.outputTokens.toLocaleString()}/{aiServer.budget.daily.limits.maxOutputTokens.toLocaleString()} output tokens · {aiServer.budget.daily.usage.webSearches}/{aiServer.budget.daily.limits.maxWebSearches} web searches
+                        </p>
+                      )}
+                      {currentUsage.calls > 0 && (
+                        <p style={{ color: colors.muted }}>
+                          Issue #{issueUsage.issueNumber} cost so far: {formatCost(currentUsage.cost)} ({currentUsage.calls} calls · {currentUsage.inputTokens.toLocaleString()} in / {currentUsage.outputTokens.toLocaleString()} out · {currentUsage.webSearches} web searches)
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  <div className="mt-3">
+                    <label className="block text-xs font-medium mb-1" style={{ color: colors.primary }}>Access token</label>
+                    <div className="flex gap-2">
+                      <input type="password" value={accessTokenInput} onChange={(e) => setAccessTokenInput(e.target.value)} placeholder="API_ACCESS_TOKEN from the server" className="flex-1 px-3 py-1.5 border rounded text-sm" />
+                      <button onClick={saveAccessToken} className="px-3 py-1.5 rounded text-sm text-white" style={{ backgroundColor: colors.primary }}>Save</button>
+                    </div>
+                    <p className="text-xs mt-1" style={{ color: colors.muted }}>Kept in this browser only.</p>
+                  </div>
+                </div>
+
+                {/* Offline Mode Toggle */}
+                <div className="p-4 rounded-lg border-2" style={{
+                  backgroundColor: llmProviderName === 'mock' ? '#E0F2FE' : colors.accent,
+                  borderColor: llmProviderName === 'mock' ? '#0284C7' : 'transparent'
+                }}>
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <label className="block text-sm font-bold" style={{ color: llmProviderName === 'mock' ? '#075985' : colors.primary }}>
+                        🔌 Offline Mode {llmProviderName === 'mock' ? 'ON' : 'OFF'}
+                      </label>
+                      <p className="text-xs mt-1" style={{ color: llmProviderName === 'mock' ? '#0C4A6E' : colors.muted }}>
+                        {llmProviderName === 'mock'
+                          ? 'Mock provider — canned fixture content, no API calls or spend'
+                          : 'Claude via /api/generate'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setLlmProviderName(llmProviderName === 'mock' ? 'anthropic' : 'mock')}
+                      className="px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                      style={{
+                        backgroundColor: llmProviderName === 'mock' ? '#0284C7' : colors.primary,
+                        color: 'white'
+                      }}
+                    >
+                      {llmProviderName === 'mock' ? 'Use Claude' : 'Enable Offline Mode'}
+                    </button>
+                  </div>
                 </div>
 
                 {/* Test Mode Toggle */}
@@ -3635,6 +2047,52 @@ ${currentGame.content}
                     </button>
                   </div>
                 </div>
+
+                {/* AI relevance rating - on top of the keyword scores from audience.json */}
+                <div className="p-4 rounded-lg" style={{ backgroundColor: colors.accent }}>
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <label className="block text-sm font-bold" style={{ color: colors.primary }}>
+                        ⭐ AI Relevance Rating {rateRelevance ? 'ON' : 'OFF'}
+                      </label>
+                      <p className="text-xs mt-1" style={{ color: colors.muted }}>
+                        {rateRelevance
+                          ? 'Claude rates every candidate article for the audience (one call per 20 articles), blended with the keyword score'
+                          : 'Articles are ranked by keyword matches against the audience profile only'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setRateRelevance(!rateRelevance)}
+                      className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-white"
+                      style={{ backgroundColor: colors.primary }}
+                    >
+                      {rateRelevance ? 'Keywords only' : 'Enable AI rating'}
+                    </button>
+                  </div>
+                </div>
+
+                {/* Full article text - sections are written from the article page, not just the feed summary */}
+                <div className="p-4 rounded-lg" style={{ backgroundColor: colors.accent }}>
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <label className="block text-sm font-bold" style={{ color: colors.primary }}>
+                        📖 Full Article Text {readFullText ? 'ON' : 'OFF'}
+                      </label>
+                      <p className="text-xs mt-1" style={{ color: colors.muted }}>
+                        {readFullText
+                          ? 'Each article\'s page is read before its section is written - Claude gets an excerpt of the story with its byline and date'
+                          : 'Sections are written from the 500-character feed summary only'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setReadFullText(!readFullText)}
+                      className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-white"
+                      style={{ backgroundColor: colors.primary }}
+                    >
+                      {readFullText ? 'Summaries only' : 'Read full articles'}
+                    </button>
+                  </div>
+                </div>
                 {aiStatus && (
                   <div className={`p-3 rounded-lg text-sm ${aiStatus.startsWith('Error') || aiStatus.startsWith('Please') ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
                     {aiStatus}
@@ -3647,7 +2105,7 @@ ${currentGame.content}
                     <li>• Click "Refresh Section" to regenerate individual sections with fresh research</li>
                     <li>• Enter keywords to guide the AI (e.g., "Parkinson's disease", "CAR-T therapy")</li>
                     <li>• All content uses <strong>live web search</strong> to find current news and real article links</li>
-                    <li>• Sources configured in <code>src/config/sources.json</code></li>
+                    <li>• Source names, tiers and mix limits in <code>src/config/sources.json</code></li>
                   </ul>
                 </div>
                 <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
@@ -3661,6 +2119,73 @@ ${currentGame.content}
               </div>
             )}
 
+            {activeSettingsTab === 'sources' && (
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-600">Extra feeds, sitemaps and news pages for the article pool - fetched with every research run, next to the curated feeds in <code>rss-sources.json</code>.</p>
+                  <button
+                    onClick={checkCustomSources}
+                    disabled={checkingSources}
+                    className="px-3 py-1 text-sm rounded whitespace-nowrap disabled:opacity-50"
+                    style={{ backgroundColor: colors.accent, color: colors.primary }}
+                  >
+                    {checkingSources ? '⏳ Checking...' : '🔄 Check now'}
+                  </button>
+                </div>
+                <div className="border rounded-lg divide-y">
+                  {customSources.length === 0 && (
+                    <p className="p-4 text-gray-500 text-sm text-center">No custom sources yet.</p>
+                  )}
+                  {customSources.map((source, index) => {
+                    const builtIn = getBuiltInSource(source.url);
+                    const health = sourceHealth[source.url];
+                    return (
+                      <div key={source.url} className="p-3 flex items-start gap-3">
+                        <input type="checkbox" checked={source.enabled} onChange={() => toggleSource(index)} className="mt-1" />
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-gray-800">{source.name}</p>
+                          <p className="text-xs truncate" style={{ color: colors.muted }}>{source.url}</p>
+                          {builtIn ? (
+                            <p className="text-xs mt-1" style={{ color: colors.muted }}>ℹ️ {builtIn} - not fetched again</p>
+                          ) : health ? (
+                            <p className="text-xs mt-1" style={{ color: health.error ? '#B91C1C' : '#047857' }}>
+                              {health.error ? `✗ ${health.error}` : '✓'}
+                              {health.lastFetched ? ` · last fetched ${new Date(health.lastFetched).toLocaleString()}` : ' · never fetched'}
+                              {health.count !== null && ` · ${health.count} item${health.count === 1 ? '' : 's'}`}
+                              {health.type && ` · read as ${CUSTOM_SOURCE_TYPES[health.type] || health.type}`}
+                              {health.feedUrl && ` (${health.feedUrl})`}
+                            </p>
+                          ) : (
+                            <p className="text-xs mt-1" style={{ color: colors.muted }}>Not fetched yet</p>
+                          )}
+                        </div>
+                        <select value={source.type} onChange={(e) => updateSource(index, 'type', e.target.value)} className="text-xs border rounded px-1 py-1" title="How the source is read">
+                          {Object.entries(CUSTOM_SOURCE_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                        <select value={source.category} onChange={(e) => updateSource(index, 'category', e.target.value)} className="text-xs border rounded px-1 py-1" title="Category its articles are tagged with">
+                          <option value="auto">Category: classifier decides</option>
+                          {Object.entries(FEED_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.name}</option>)}
+                        </select>
+                        <button onClick={() => removeSource(index)} className="text-xs px-2 py-1 text-gray-500 hover:text-red-600" title="Remove source">✕</button>
+                      </div>
+                    );
+                  })}
+                </div>
+                <div className="flex gap-2 items-center">
+                  <input type="text" value={newSourceName} onChange={(e) => setNewSourceName(e.target.value)} placeholder="Name" className="w-40 px-3 py-1.5 border rounded text-sm" />
+                  <input type="url" value={newSourceUrl} onChange={(e) => setNewSourceUrl(e.target.value)} placeholder="https://... (feed, sitemap or news page)" className="flex-1 px-3 py-1.5 border rounded text-sm" />
+                  <select value={newSourceType} onChange={(e) => setNewSourceType(e.target.value)} className="text-sm border rounded px-2 py-1.5">
+                    {Object.entries(CUSTOM_SOURCE_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <select value={newSourceCategory} onChange={(e) => setNewSourceCategory(e.target.value)} className="text-sm border rounded px-2 py-1.5">
+                    <option value="auto">Classifier decides</option>
+                    {Object.entries(FEED_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.name}</option>)}
+                  </select>
+                  <button onClick={addCustomSource} className="px-3 py-1.5 text-sm rounded text-white" style={{ backgroundColor: colors.primary }}>+ Add</button>
+                </div>
+              </div>
+            )}
+
             {activeSettingsTab === 'stories' && (
               <div className="space-y-4">
                 <div className="flex items-center justify-between">
@@ -3687,8 +2212,8 @@ ${currentGame.content}
                       <tbody>
                         {usedStories.slice().reverse().slice(0, 10).map((story, i) => (
                           <tr key={i} className="border-t">
-                            <td className="p-2 text-gray-700">{story.title?.substring(0, 40)}...</td>
-                            <td className="p-2 text-gray-500">{new Date(story.usedDate).toLocaleDateString()}</td>
+                            <td className="p-2 text-gray-700">{usedStoryTitle(story).substring(0, 40)}...</td>
+                            <td className="p-2 text-gray-500">{story.usedDate ? new Date(story.usedDate).toLocaleDateString() : '-'}</td>
                           </tr>
                         ))}
                       </tbody>
@@ -3726,6 +2251,8 @@ ${currentGame.content}
           <div className="flex gap-1">
             {[
               { id: 'dashboard', label: '📝 Edit' },
+              { id: 'pool', label: `🗂️ Article Pool (${articlePool.articles.length})` },
+              { id: 'segments', label: `👥 Segments (${currentVariants.length})` },
               { id: 'preview', label: '👁️ Preview' },
               { id: 'export', label: '📤 Export' },
               { id: 'html', label: '📧 HTML' },
@@ -3769,7 +2296,7 @@ ${currentGame.content}
             </div>
 
             {/* Section 1: Opening Hook + In Today's Edition (Combined) */}
-            <SectionCard number="1" title="Opening Hook" sectionKey="section1" showRefresh={true} wordCount="40-60 words">
+            <SectionCard number="1" title="Opening Hook" sectionKey="section1" showRefresh={true} wordCount="40-60 words" linkSection="openingHook">
               <div className="space-y-4">
                 <div className="text-sm whitespace-pre-wrap text-gray-700 leading-relaxed">
                   {newsletterData.openingHook.content}
@@ -3811,6 +2338,7 @@ ${currentGame.content}
               number="3" 
               title="Lead Story" 
               sectionKey="section3" 
+              linkSection="leadStory"
               wordCount="350-400 words"
               sources={newsletterData.leadStory.sources}
               imageSlot={newsletterData.leadStory.image}
@@ -3831,6 +2359,7 @@ ${currentGame.content}
               number="4" 
               title="Research Roundup" 
               sectionKey="section4"
+              linkSection="yourOptionsThisWeek"
               sources={newsletterData.yourOptionsThisWeek.sources}
               imageSlot={newsletterData.yourOptionsThisWeek.image}
             >
@@ -3851,6 +2380,7 @@ ${currentGame.content}
               number="4b"
               title="Living Well"
               sectionKey="section4b"
+              linkSection="livingWell"
               sources={newsletterData.livingWell.sources}
             >
               <div className="space-y-3">
@@ -3876,6 +2406,7 @@ ${currentGame.content}
               number="6" 
               title="On Our Radar" 
               sectionKey="section6"
+              linkSection="secondaryStories"
               imageSlot={newsletterData.secondaryStories.image}
             >
               <div className="space-y-4">
@@ -3896,6 +2427,7 @@ ${currentGame.content}
               number="7" 
               title="Deep Dive" 
               sectionKey="section7"
+              linkSection="industryDeepDive"
               sources={newsletterData.industryDeepDive.sources}
               imageSlot={newsletterData.industryDeepDive.image}
             >
@@ -3918,7 +2450,7 @@ ${currentGame.content}
             </SectionCard>
 
             {/* Section 9: Worth Knowing */}
-            <SectionCard number="9" title="Worth Knowing" sectionKey="section9">
+            <SectionCard number="9" title="Worth Knowing" sectionKey="section9" linkSection="worthKnowing">
               <div className="space-y-4">
                 <p className="text-xs font-bold uppercase tracking-wider" style={{ color: colors.primary }}>{newsletterData.worthKnowing.sectionLabel}</p>
                 {newsletterData.worthKnowing.items.map((item, i) => (
@@ -3935,6 +2467,7 @@ ${currentGame.content}
               number="10" 
               title="Stat of the Week" 
               sectionKey="section10"
+              linkSection="statSection"
               sources={newsletterData.statSection.sources}
               imageSlot={newsletterData.statSection.image}
             >
@@ -3951,7 +2484,7 @@ ${currentGame.content}
             </SectionCard>
 
             {/* Section 11: The Pulse */}
-            <SectionCard number="11" title="The Pulse (Quick Hits)" sectionKey="section11">
+            <SectionCard number="11" title="The Pulse (Quick Hits)" sectionKey="section11" linkSection="thePulse">
               <div>
                 <p className="text-xs font-bold uppercase tracking-wider mb-2" style={{ color: colors.primary }}>{newsletterData.thePulse.sectionLabel}</p>
                 <h4 className="font-bold text-gray-800 mb-3">{newsletterData.thePulse.title}</h4>
@@ -3972,7 +2505,7 @@ ${currentGame.content}
             </SectionCard>
 
             {/* Section 12: RECS */}
-            <SectionCard number="12" title="RECS" sectionKey="section12">
+            <SectionCard number="12" title="RECS" sectionKey="section12" linkSection="recommendations">
               <div className="space-y-3">
                 <p className="text-xs font-bold uppercase tracking-wider" style={{ color: colors.primary }}>{newsletterData.recommendations.sectionLabel}</p>
                 <div className="grid gap-2">
@@ -4068,7 +2601,31 @@ ${currentGame.content}
         {/* ===== V5.2 UPDATE: FULL PREVIEW TAB - ALL 15 SECTIONS ===== */}
         {activeTab === 'preview' && (
           <div className="max-w-2xl mx-auto bg-white">
-            
+
+            {/* Trust test (style-guide.json) - questions with a check are answered from this issue */}
+            <div className="mb-6 p-4 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="flex items-center justify-between gap-4 mb-2">
+                <p className="text-sm font-bold text-gray-800">Trust test</p>
+                <button
+                  onClick={() => checkFacts()}
+                  disabled={isLoading.facts}
+                  className="px-3 py-1.5 text-xs text-white rounded-lg font-medium whitespace-nowrap"
+                  style={{ backgroundColor: isLoading.facts ? '#F59E0B' : colors.primary }}
+                >
+                  {isLoading.facts ? '⟳ Reading sources...' : '🔎 Check facts'}
+                </button>
+              </div>
+              <ul className="space-y-1 text-sm">
+                {trustTest.map((item, i) => (
+                  <li key={i} className="text-gray-700">
+                    {item.status === 'pass' ? '✅' : item.status === 'fail' ? '❌' : item.status === 'unchecked' ? '⏳' : '☐'} {item.question}
+                    {item.detail && <span className="block ml-6 text-xs" style={{ color: item.status === 'fail' ? '#B91C1C' : colors.muted }}>{item.detail}{item.status === 'fail' ? ' - highlighted below' : ''}</span>}
+                  </li>
+                ))}
+              </ul>
+              {factCheckError && <p className="mt-2 text-xs text-red-700">❌ Couldn&apos;t read the sources: {factCheckError}</p>}
+            </div>
+
             {/* 1. Opening Hook + In Today's Edition */}
             <PreviewCard>
               <div style={{ fontSize: '16px', lineHeight: '1.7', color: colors.text, whiteSpace: 'pre-line' }}>
@@ -4111,12 +2668,12 @@ ${currentGame.content}
             {/* 3. Lead Story */}
             <PreviewCard sectionLabel={newsletterData.leadStory.sectionLabel}>
               <h2 style={{ fontSize: '24px', fontWeight: '700', color: colors.text, marginBottom: '16px' }}>
-                {newsletterData.leadStory.headline}
+                {highlightClaims(newsletterData.leadStory.headline, unsupportedClaims('leadStory', 'headline'))}
               </h2>
               <ImagePlaceholder credit={newsletterData.leadStory.image.credit} />
               <div style={{ fontSize: '16px', lineHeight: '1.7', color: '#374151' }}>
                 {newsletterData.leadStory.content.split('\n\n').map((p, i) => (
-                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p)}</p>
+                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p, unsupportedClaims('leadStory', 'content'))}</p>
                 ))}
               </div>
               <p style={{ fontSize: '12px', color: colors.muted, marginTop: '16px', paddingTop: '12px', borderTop: `1px solid ${colors.border}` }}>
@@ -4135,12 +2692,12 @@ ${currentGame.content}
                 {newsletterData.yourOptionsThisWeek.title}
               </h2>
               <h3 style={{ fontSize: '18px', color: '#4B5563', marginBottom: '16px' }}>
-                {newsletterData.yourOptionsThisWeek.subtitle}
+                {highlightClaims(newsletterData.yourOptionsThisWeek.subtitle, unsupportedClaims('yourOptionsThisWeek', 'subtitle'))}
               </h3>
               <ImagePlaceholder credit={newsletterData.yourOptionsThisWeek.image.credit} />
               <div style={{ fontSize: '16px', lineHeight: '1.7', color: '#374151' }}>
                 {newsletterData.yourOptionsThisWeek.content.split('\n\n').map((p, i) => (
-                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p)}</p>
+                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p, unsupportedClaims('yourOptionsThisWeek', 'content'))}</p>
                 ))}
               </div>
             </PreviewCard>
@@ -4155,10 +2712,10 @@ ${currentGame.content}
             {/* 6. On Our Radar */}
             <PreviewCard sectionLabel={newsletterData.secondaryStories.sectionLabel}>
               <ImagePlaceholder credit={newsletterData.secondaryStories.image.credit} />
-              {newsletterData.secondaryStories.stories.map(story => (
+              {newsletterData.secondaryStories.stories.map((story, index) => (
                 <div key={story.id} style={{ borderLeft: `3px solid ${colors.primary}`, paddingLeft: '16px', marginBottom: '20px' }}>
                   <p style={{ fontSize: '16px', color: '#374151' }}>
-                    <strong>{story.boldLead}</strong> {renderContentWithLinks(story.content)}
+                    <strong>{highlightClaims(story.boldLead, unsupportedClaims('secondaryStories', 'boldLead', index))}</strong> {renderContentWithLinks(story.content, unsupportedClaims('secondaryStories', 'content', index))}
                   </p>
                   {story.sources && story.sources[0] && (
                     <p style={{ fontSize: '12px', color: colors.muted, marginTop: '8px' }}>
@@ -4172,12 +2729,12 @@ ${currentGame.content}
             {/* 7. Deep Dive */}
             <PreviewCard sectionLabel={newsletterData.industryDeepDive.sectionLabel}>
               <h2 style={{ fontSize: '24px', fontWeight: '700', color: colors.text, marginBottom: '16px' }}>
-                {newsletterData.industryDeepDive.headline}
+                {highlightClaims(newsletterData.industryDeepDive.headline, unsupportedClaims('industryDeepDive', 'headline'))}
               </h2>
               <ImagePlaceholder credit={newsletterData.industryDeepDive.image.credit} />
               <div style={{ fontSize: '16px', lineHeight: '1.7', color: '#374151' }}>
                 {newsletterData.industryDeepDive.content.split('\n\n').map((p, i) => (
-                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p)}</p>
+                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p, unsupportedClaims('industryDeepDive', 'content'))}</p>
                 ))}
               </div>
             </PreviewCard>
@@ -4203,20 +2760,49 @@ ${currentGame.content}
               ))}
             </PreviewCard>
 
+            {/* 9b. Trials Recruiting Now - left out of the issue when no trial matched */}
+            {newsletterData.trialsRecruiting?.trials?.length > 0 && (
+              <PreviewCard sectionLabel={newsletterData.trialsRecruiting.sectionLabel}>
+                <h3 style={{ fontSize: '18px', color: colors.text, marginBottom: '8px' }}>{newsletterData.trialsRecruiting.title}</h3>
+                <p style={{ fontSize: '14px', color: '#4B5563', margin: '0 0 16px 0' }}>{newsletterData.trialsRecruiting.intro}</p>
+                {newsletterData.trialsRecruiting.trials.map(trial => (
+                  <div key={trial.nctId} style={{ border: `1px solid ${colors.border}`, borderLeft: `3px solid ${colors.primary}`, borderRadius: '8px', padding: '16px', marginBottom: '12px' }}>
+                    <p style={{ fontSize: '12px', margin: '0 0 8px 0' }}>
+                      <span style={{ background: colors.accent, color: colors.primary, padding: '2px 8px', borderRadius: '4px', fontWeight: '600' }}>{trial.conditionLabel}</span>
+                    </p>
+                    <p style={{ fontWeight: '600', color: colors.text, margin: '0 0 8px 0' }}>
+                      <a href={trial.url} target="_blank" rel="noopener noreferrer" style={{ color: colors.text, textDecoration: 'none', borderBottom: `2px solid ${colors.link}` }}>{trial.title}</a>
+                    </p>
+                    <p style={{ fontSize: '14px', color: '#4B5563', margin: '0 0 8px 0' }}>{trial.summary}</p>
+                    {trial.interventions.length > 0 && (
+                      <p style={{ fontSize: '13px', color: '#4B5563', margin: '0 0 4px 0' }}><strong>Testing:</strong> {trial.interventions.join(', ')}</p>
+                    )}
+                    <p style={{ fontSize: '13px', color: '#4B5563', margin: '0 0 4px 0' }}><strong>Where:</strong> {formatTrialSites(trial)}</p>
+                    <p style={{ fontSize: '12px', color: colors.muted, margin: 0 }}>
+                      {[trial.phase, trial.ages, trial.sponsor].filter(Boolean).join(' · ')} · {trial.nctId}
+                    </p>
+                  </div>
+                ))}
+                <p style={{ fontSize: '12px', color: colors.muted, marginTop: '16px', paddingTop: '12px', borderTop: `1px solid ${colors.border}` }}>
+                  {newsletterData.trialsRecruiting.disclaimer} As of {newsletterData.trialsRecruiting.asOfDate}.
+                </p>
+              </PreviewCard>
+            )}
+
             {/* 10. Stat of the Week */}
             <PreviewCard sectionLabel={newsletterData.statSection.sectionLabel}>
               <div style={{ textAlign: 'center' }}>
                 <p style={{ fontSize: '48px', fontWeight: '800', color: colors.primary, margin: '16px 0' }}>
-                  {newsletterData.statSection.primeNumber}
+                  {highlightClaims(newsletterData.statSection.primeNumber, unsupportedClaims('statSection', 'primeNumber'))}
                 </p>
                 <p style={{ fontSize: '18px', color: '#4B5563', marginBottom: '16px' }}>
-                  {newsletterData.statSection.headline}
+                  {highlightClaims(newsletterData.statSection.headline, unsupportedClaims('statSection', 'headline'))}
                 </p>
               </div>
               <ImagePlaceholder credit={newsletterData.statSection.image.credit} />
               <div style={{ fontSize: '16px', lineHeight: '1.7', color: '#374151' }}>
                 {newsletterData.statSection.content.split('\n\n').map((p, i) => (
-                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p)}</p>
+                  <p key={i} style={{ marginBottom: '16px' }}>{renderContentWithLinks(p, unsupportedClaims('statSection', 'content'))}</p>
                 ))}
               </div>
             </PreviewCard>
@@ -4227,7 +2813,7 @@ ${currentGame.content}
               <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
                 {newsletterData.thePulse.items.map((item, i) => (
                   <li key={i} style={{ padding: '8px 0', borderBottom: '1px solid #F3F4F6', fontSize: '14px', color: '#374151' }}>
-                    • {renderContentWithLinks(item.text)} <span style={{ fontSize: '12px', color: colors.muted }}>[{item.source}, {item.date}]</span>
+                    • {renderContentWithLinks(item.text, unsupportedClaims('thePulse', 'text', i))} <span style={{ fontSize: '12px', color: colors.muted }}>[{item.source}, {item.date}]</span>
                   </li>
                 ))}
               </ul>
@@ -4306,9 +2892,11 @@ ${currentGame.content}
             <div className="bg-white rounded-xl shadow-lg border p-8">
               <h2 className="text-2xl font-bold text-gray-800 mb-2">Export Newsletter</h2>
               <p className="text-gray-500 mb-6">Copy content for Beehiiv</p>
-              
+
+              <ExportChecks />
+
               <button
-                onClick={() => copyToClipboard(generateFullHTML())}
+                onClick={copyNewsletterHTML}
                 className="w-full py-4 text-white rounded-xl font-bold text-lg shadow-lg"
                 style={{ backgroundColor: colors.primary }}
               >
@@ -4326,7 +2914,7 @@ ${currentGame.content}
                 ].map(({ label, sectionKey }) => (
                   <button
                     key={label}
-                    onClick={() => copyToClipboard(stripLinkSyntax(getSectionContent(sectionKey)))}
+                    onClick={() => copySectionText(sectionKey)}
                     className="py-3 rounded-lg font-medium text-sm hover:opacity-80"
                     style={{ backgroundColor: colors.accent, color: colors.primary }}
                   >
@@ -4368,13 +2956,14 @@ ${currentGame.content}
                   <p className="text-gray-500">Paste this into Beehiiv's HTML editor</p>
                 </div>
                 <button
-                  onClick={() => copyToClipboard(generateFullHTML())}
+                  onClick={copyNewsletterHTML}
                   className="px-6 py-3 text-white rounded-lg font-bold"
                   style={{ backgroundColor: colors.primary }}
                 >
                   📋 Copy HTML
                 </button>
               </div>
+              <ExportChecks />
               <pre className="bg-gray-900 text-green-400 p-4 rounded-lg overflow-auto max-h-96 text-xs font-mono">
                 {generateFullHTML()}
               </pre>
@@ -4382,6 +2971,365 @@ ${currentGame.content}
           </div>
         )}
 
+        {/* ARTICLE POOL TAB */}
+        {activeTab === 'pool' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg border p-6">
+              <div className="flex items-center justify-between flex-wrap gap-4">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-800">Article Pool</h2>
+                  <p className="text-gray-500">
+                    {articlePool.fetchedAt
+                      ? `${articlePool.articles.length} articles · ${Object.keys(articlePool.picks).length} picked by the AI · researched ${new Date(articlePool.fetchedAt).toLocaleString()}`
+                      : 'Research articles to see everything the feeds returned and where the AI would put it'}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={researchPool}
+                    disabled={isLoading.pool || isLoading.all}
+                    className="px-4 py-2 text-sm text-white rounded-lg font-medium transition-colors"
+                    style={{ backgroundColor: isLoading.pool ? '#F59E0B' : colors.primary }}
+                  >
+                    {isLoading.pool ? '⟳ Researching...' : '🔬 Research articles'}
+                  </button>
+                  <button
+                    onClick={redistributePool}
+                    disabled={articlePool.articles.length === 0}
+                    className="px-4 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 font-medium transition-colors disabled:opacity-50"
+                    title="Fill every unpinned slot again from the pool"
+                  >
+                    ↻ Re-distribute unpinned
+                  </button>
+                  <button
+                    onClick={generateFromPool}
+                    disabled={isLoading.all || articlePool.articles.length === 0}
+                    className="px-4 py-2 text-sm rounded-lg font-bold shadow transition-colors disabled:opacity-50"
+                    style={{ backgroundColor: colors.secondary, color: 'white' }}
+                  >
+                    {isLoading.all ? '⟳ Creating Newsletter...' : '✨ Generate from this distribution'}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+              {/* Slots - drop articles here; 📌 keeps one in place when the rest are re-distributed */}
+              <div className="lg:col-span-2 space-y-3">
+                {DISTRIBUTION_SLOTS.map(slot => {
+                  const urls = poolAssignments.slots[slot.key] || [];
+                  return (
+                    <div
+                      key={slot.key}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        if (draggedArticle) assignToSlot(draggedArticle, slot.key);
+                        setDraggedArticle(null);
+                      }}
+                      className="bg-white rounded-xl border-2 border-dashed p-3 transition-colors"
+                      style={{ borderColor: draggedArticle ? colors.primary : '#E5E7EB' }}
+                    >
+                      <div className="flex items-center justify-between mb-2">
+                        <p className="font-semibold text-sm" style={{ color: colors.primary }}>{slot.label}</p>
+                        <span className="text-xs text-gray-400">{urls.length}/{slot.max}</span>
+                      </div>
+                      {urls.length === 0 && <p className="text-xs text-gray-400 py-2">Drop an article here</p>}
+                      {urls.map(url => {
+                        const article = poolByUrl.get(url);
+                        const pinned = poolAssignments.pinned.includes(url);
+                        return (
+                          <div
+                            key={url}
+                            draggable
+                            onDragStart={() => setDraggedArticle(url)}
+                            onDragEnd={() => setDraggedArticle(null)}
+                            className="flex items-start gap-2 p-2 mb-1 rounded bg-gray-50 cursor-move text-sm"
+                          >
+                            <span className="flex-1 text-gray-700">{article?.title || url}</span>
+                            <button
+                              onClick={() => togglePoolPin(url)}
+                              className={pinned ? '' : 'opacity-30 hover:opacity-70'}
+                              title={pinned ? 'Pinned - stays here when re-distributing' : 'Pin to this slot'}
+                            >
+                              📌
+                            </button>
+                            <button onClick={() => unassignArticle(url)} className="text-gray-400 hover:text-red-600" title="Remove from this slot">✕</button>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Every article in the pool */}
+              <div className="lg:col-span-3 bg-white rounded-xl shadow-lg border p-4">
+                <div className="flex gap-2 mb-4 flex-wrap items-center">
+                  <input
+                    type="text"
+                    value={poolFilter.query}
+                    onChange={(e) => setPoolFilter(prev => ({ ...prev, query: e.target.value }))}
+                    placeholder="Search titles, summaries, sources..."
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <select
+                    value={poolFilter.category}
+                    onChange={(e) => setPoolFilter(prev => ({ ...prev, category: e.target.value }))}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+                  >
+                    <option value="all">All categories</option>
+                    {Object.entries(FEED_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.name}</option>)}
+                  </select>
+                  <select
+                    value={poolFilter.sort}
+                    onChange={(e) => setPoolFilter(prev => ({ ...prev, sort: e.target.value }))}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+                  >
+                    <option value="feed">Feed order</option>
+                    <option value="relevance">Most relevant first</option>
+                  </select>
+                  <label className="flex items-center gap-1 text-xs text-gray-500">
+                    <input
+                      type="checkbox"
+                      checked={poolFilter.showExcluded}
+                      onChange={(e) => setPoolFilter(prev => ({ ...prev, showExcluded: e.target.checked }))}
+                    />
+                    Show excluded ({poolAssignments.excluded.length})
+                  </label>
+                </div>
+
+                {articlePool.articles.length === 0 && (
+                  <div className="text-center py-12">
+                    <p className="text-6xl mb-4">🗂️</p>
+                    <p className="text-gray-500">No articles yet - click Research articles, or Create Newsletter</p>
+                  </div>
+                )}
+
+                <div className="space-y-2 max-h-[70vh] overflow-y-auto">
+                  {visiblePoolArticles.map(article => {
+                    const pick = articlePool.picks[article.url];
+                    const excluded = poolAssignments.excluded.includes(article.url);
+                    const slot = DISTRIBUTION_SLOTS.find(({ key }) => (poolAssignments.slots[key] || []).includes(article.url));
+                    return (
+                      <div
+                        key={article.url}
+                        draggable={!excluded}
+                        onDragStart={() => setDraggedArticle(article.url)}
+                        onDragEnd={() => setDraggedArticle(null)}
+                        className={`p-3 rounded-lg border ${excluded ? 'opacity-50 bg-gray-50' : 'cursor-move hover:border-purple-300'}`}
+                        style={slot ? { borderColor: colors.primary, backgroundColor: colors.accent } : {}}
+                      >
+                        <div className="flex items-start justify-between gap-3">
+                          <div className="flex items-start gap-2">
+                            {article.audienceRelevance && (
+                              <span
+                                className="text-xs px-2 py-0.5 rounded font-bold shrink-0"
+                                style={{ backgroundColor: colors.accent, color: colors.primary }}
+                                title={describeRelevance(article.audienceRelevance)}
+                              >
+                                ⭐ {article.audienceScore.toFixed(1)}
+                              </span>
+                            )}
+                            <a href={article.url} target="_blank" rel="noopener noreferrer" className="font-medium text-sm text-gray-800 hover:underline">{article.title}</a>
+                          </div>
+                          <div className="flex items-center gap-1 shrink-0">
+                            {!excluded && (
+                              <select
+                                value={slot?.key || ''}
+                                onChange={(e) => e.target.value ? assignToSlot(article.url, e.target.value) : unassignArticle(article.url)}
+                                className="text-xs px-1 py-1 border border-gray-300 rounded"
+                              >
+                                <option value="">Not placed</option>
+                                {DISTRIBUTION_SLOTS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                              </select>
+                            )}
+                            {slot && (
+                              <button
+                                onClick={() => togglePoolPin(article.url)}
+                                className={poolAssignments.pinned.includes(article.url) ? 'text-sm' : 'text-sm opacity-30 hover:opacity-70'}
+                                title="Pin to its slot"
+                              >
+                                📌
+                              </button>
+                            )}
+                            <button
+                              onClick={() => togglePoolExclude(article.url)}
+                              className="text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200"
+                              title={excluded ? 'Allow this article again' : 'Never use this article (also left out of the next research)'}
+                            >
+                              {excluded ? '↩ Include' : '🚫 Exclude'}
+                            </button>
+                          </div>
+                        </div>
+                        <p className="text-xs mt-1" style={{ color: colors.muted }}>
+                          {article.source}{article.sourceTier && article.sourceTier !== 'unknown' && ` (${[article.sourceTier, article.preprint && 'preprint', article.paywall && 'paywall'].filter(Boolean).join(', ')})`} · {article.undated ? 'no date' : article.dateFormatted} · <span title={describeCategories(article)}>{(article.categories?.length ? article.categories : [article.category]).map(category => FEED_CATEGORIES[category]?.name || category).join(', ')}</span>
+                        </p>
+                        {article.audienceRelevance && (
+                          <p className="text-xs mt-1" style={{ color: colors.muted }}>
+                            {Object.entries(article.audienceRelevance.factors)
+                              .filter(([, factor]) => factor.matches.length > 0)
+                              .map(([name, factor]) => `${RELEVANCE_FACTOR_LABELS[name]} ${factor.points > 0 ? '+' : ''}${factor.points}: ${factor.matches.join(', ')}`)
+                              .join(' · ') || 'No audience keywords matched'}
+                            {article.audienceRelevance.llm !== null && ` · AI ${article.audienceRelevance.llm}/10`}
+                          </p>
+                        )}
+                        {pick && (
+                          <p className="text-xs mt-1 font-medium" style={{ color: colors.primary }}>
+                            🤖 AI pick for {DISTRIBUTION_SLOTS.find(({ key }) => key === pick.slot)?.label || pick.slot}{pick.reason ? `: ${pick.reason}` : ''}
+                          </p>
+                        )}
+                        {article.sourceTier === 'avoid' && (
+                          <p className="text-xs mt-1" style={{ color: linkStatusStyles.broken.color }}>
+                            ⛔ A source we avoid (sources.json) - left out of selection
+                          </p>
+                        )}
+                        {article.duplicate && (
+                          <p className="text-xs mt-1" style={{ color: linkStatusStyles.warning.color }}>
+                            🔁 {article.duplicate.kind === 'pool'
+                              ? `Same story as "${article.duplicate.title}" (${article.duplicate.source})`
+                              : `Covered ${article.duplicate.issueNumber ? `in issue #${article.duplicate.issueNumber}` : 'before'}: "${article.duplicate.title}"`}
+                          </p>
+                        )}
+                        {article.summary && <p className="text-xs text-gray-600 mt-1 line-clamp-3">{article.summary}</p>}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* SEGMENTS TAB - one version of the issue per audience segment */}
+        {activeTab === 'segments' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg border p-6">
+              <div className="flex items-center justify-between flex-wrap gap-4">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-800">Segment Variants</h2>
+                  <p className="text-gray-500">
+                    {currentVariants.length > 0
+                      ? `${currentVariants.length} versions of issue #${segmentVariants.issueNumber} · written ${new Date(segmentVariants.builtAt).toLocaleString()} · same lead story, each with its own Research Roundup, Deep Dive and Worth Knowing`
+                      : 'Write a version of this issue for each audience segment - the lead story and the rest stay, three sections are picked and written for the segment'}
+                  </p>
+                </div>
+                <button
+                  onClick={buildSegmentVariants}
+                  disabled={isLoading.variants || isLoading.all || articlePool.articles.length === 0}
+                  className="px-4 py-2 text-sm text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+                  style={{ backgroundColor: isLoading.variants ? '#F59E0B' : colors.primary }}
+                  title={articlePool.articles.length === 0 ? 'Research articles or build the issue first' : ''}
+                >
+                  {isLoading.variants ? '⟳ Writing versions...' : currentVariants.length > 0 ? '↻ Rewrite segment versions' : '👥 Write segment versions'}
+                </button>
+              </div>
+            </div>
+
+            {currentVariants.length > 0 && (
+              <>
+                {/* Comparison - what each version changes from the main issue */}
+                <div className="bg-white rounded-xl shadow-lg border p-6 overflow-x-auto">
+                  <h3 className="font-bold text-gray-800 mb-4">What changes per segment</h3>
+                  <table className="w-full text-sm border-collapse">
+                    <thead>
+                      <tr>
+                        <th className="text-left p-2 border-b text-gray-500 font-medium">Section</th>
+                        <th className="text-left p-2 border-b text-gray-500 font-medium">Main issue</th>
+                        {currentVariants.map(variant => (
+                          <th key={variant.segment} className="text-left p-2 border-b font-medium" style={{ color: colors.primary }}>{variant.label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {variantComparison.map(row => (
+                        <tr key={row.key} className="align-top">
+                          <td className="p-2 border-b font-medium text-gray-800 whitespace-nowrap">{row.label}</td>
+                          <td className="p-2 border-b text-gray-600">
+                            {row.main.titles.map((title, i) => <p key={i}>{title || '—'}</p>)}
+                          </td>
+                          {row.variants.map(cell => (
+                            <td
+                              key={cell.segment}
+                              className="p-2 border-b"
+                              style={cell.changed ? { backgroundColor: colors.accent } : { color: colors.muted }}
+                            >
+                              {cell.changed ? (
+                                <>
+                                  {cell.titles.map((title, i) => <p key={i} className="text-gray-800">{title || '—'}</p>)}
+                                  {cell.newUrls.length > 0 && (
+                                    <p className="text-xs mt-1" style={{ color: colors.secondary }}>
+                                      🔗 {cell.newUrls.length} new link{cell.newUrls.length === 1 ? '' : 's'}
+                                    </p>
+                                  )}
+                                </>
+                              ) : 'Same as main issue'}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* One card per version - its tags, the articles it was written from, and its export */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  {currentVariants.map(variant => {
+                    const review = variantSafety[variant.segment];
+                    return (
+                      <div key={variant.segment} className="bg-white rounded-xl shadow-lg border p-6 space-y-3">
+                        <div className="flex items-start justify-between gap-2">
+                          <div>
+                            <h3 className="font-bold text-gray-800">{variant.label}</h3>
+                            <div className="flex gap-1 mt-1 flex-wrap">
+                              {variant.tags.map(tag => (
+                                <span key={tag} className="px-2 py-0.5 text-xs rounded-full font-mono" style={{ backgroundColor: colors.accent, color: colors.primary }}>{tag}</span>
+                              ))}
+                            </div>
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => copyToClipboard(variant.tags.join(', '), `tags-${variant.segment}`)}
+                              className="px-3 py-1.5 text-xs rounded-lg font-medium"
+                              style={{ backgroundColor: colors.accent, color: colors.primary }}
+                            >
+                              {copiedSection === `tags-${variant.segment}` ? '✓ Copied' : 'Copy tags'}
+                            </button>
+                            <button
+                              onClick={() => copyVariantHTML(variant)}
+                              className="px-3 py-1.5 text-xs text-white rounded-lg font-bold"
+                              style={{ backgroundColor: colors.primary }}
+                            >
+                              {copiedSection === `variant-${variant.segment}` ? '✓ Copied' : '📋 Copy HTML'}
+                            </button>
+                          </div>
+                        </div>
+                        <div className="text-xs space-y-1 text-gray-600">
+                          {DISTRIBUTION_SLOTS.filter(slot => variant.picks[slot.key]).map(slot => variant.picks[slot.key].map(article => (
+                            <p key={`${slot.key}-${article.url}`}>
+                              <span className="font-medium text-gray-800">{slot.label}:</span> {article.title} <span style={{ color: colors.muted }}>({article.source}{article.segmentFit > 0 ? ` · fits ${Math.round(article.segmentFit * 100)}%` : ''})</span>
+                            </p>
+                          )))}
+                        </div>
+                        {variant.failed.length > 0 && (
+                          <p className="text-xs" style={{ color: linkStatusStyles.warning.color }}>
+                            ⚠️ Kept the main issue&apos;s {variant.failed.map(slot => DISTRIBUTION_SLOTS.find(({ key }) => key === slot)?.label || slot).join(', ')} - writing it for this segment failed
+                          </p>
+                        )}
+                        {(review.high > 0 || review.medium > 0) && (
+                          <p className="text-xs" style={{ color: review.high > 0 ? linkStatusStyles.broken.color : linkStatusStyles.warning.color }}>
+                            🩺 {review.high} high-risk · {review.medium} medium-risk medical claims in this version
+                          </p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         {/* HISTORY TAB */}
         {activeTab === 'history' && (
           <div className="max-w-4xl mx-auto space-y-6">
@@ -4405,6 +3353,42 @@ ${currentGame.content}
                 )}
               </div>
 
+              {/* AI cost per issue - production (Sonnet) vs test mode (Haiku) */}
+              {usageHistory.entries.length > 0 && (
+                <div className="mb-6 p-4 rounded-lg" style={{ backgroundColor: colors.accent }}>
+                  <div className="flex items-center justify-between mb-3">
+                    <p className="text-sm font-bold" style={{ color: colors.primary }}>💰 AI cost per issue</p>
+                    <div className="flex gap-4 text-xs" style={{ color: colors.muted }}>
+                      {usageHistory.averages.filter(average => average.count > 0).map(average => (
+                        <span key={average.mode} className="flex items-center gap-1">
+                          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: average.mode === 'production' ? colors.primary : '#F59E0B' }} />
+                          {average.mode === 'production' ? 'Production' : 'Test mode'}: avg {formatCost(average.cost)} ({average.count})
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="flex items-end gap-2 h-32">
+                    {usageHistory.entries.map(entry => (
+                      <div
+                        key={entry.id}
+                        className="flex-1 flex flex-col items-center justify-end h-full"
+                        title={`#${entry.newsletterData?.preHeader?.issueNumber} · ${formatCost(entry.usage.cost)} · ${entry.usage.calls} calls · ${entry.usage.inputTokens.toLocaleString()} in / ${entry.usage.outputTokens.toLocaleString()} out · ${entry.usage.webSearches} web searches`}
+                      >
+                        <span className="text-[10px] mb-1" style={{ color: colors.muted }}>{formatCost(entry.usage.cost)}</span>
+                        <div
+                          className="w-full rounded-t"
+                          style={{
+                            height: `${Math.max(2, (entry.usage.cost / (usageHistory.maxCost || 1)) * 100)}%`,
+                            backgroundColor: entry.usage.mode === 'test' ? '#F59E0B' : entry.usage.mode === 'mixed' ? '#94A3B8' : colors.primary
+                          }}
+                        />
+                        <span className="text-[10px] mt-1" style={{ color: colors.muted }}>#{entry.newsletterData?.preHeader?.issueNumber}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {newsletterHistory.length === 0 ? (
                 <div className="text-center py-12">
                   <p className="text-6xl mb-4">📚</p>
@@ -4427,6 +3411,11 @@ ${currentGame.content}
                           <p className="text-sm text-gray-500">
                             Saved: {entry.date}
                           </p>
+                          {entry.usage?.calls > 0 && (
+                            <p className="text-xs text-gray-400 mt-1">
+                              AI cost: {formatCost(entry.usage.cost)} · {entry.usage.calls} calls · {entry.usage.inputTokens.toLocaleString()} in / {entry.usage.outputTokens.toLocaleString()} out · {entry.usage.webSearches} web searches{entry.usage.mode === 'test' ? ' · test mode' : entry.usage.mode === 'mixed' ? ' · test + production' : ''}
+                            </p>
+                          )}
                         </div>
                         <div className="flex gap-2 ml-4">
                           <button
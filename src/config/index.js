@@ -2,49 +2,62 @@
  * Renewal Weekly Configuration
  *
  * Edit these JSON files to customize AI behavior:
- * - sources.json     → Preferred research domains by topic
+ * - sources.json     → Source registry: name, tier, preprint / paywall flags and topics per domain, per-issue mix limits
  * - style-guide.json → Writing rules, tone, words to use/avoid
  * - audience.json    → Target reader profile and preferences
  * - structure.json   → Section-by-section format templates
+ * - models.json      → Claude models, allow-list, per-issue and daily budgets (enforced by /api/generate) and prices
+ * - safety.json      → Medical-claims safety review patterns
+ * - classifier.json  → Keywords, phrases and negations that sort articles into categories
  */
 
-import sources from './sources.json';
-import styleGuide from './style-guide.json';
-import audience from './audience.json';
-import structure from './structure.json';
+import sources from './sources.json' with { type: 'json' };
+import styleGuide from './style-guide.json' with { type: 'json' };
+import audience from './audience.json' with { type: 'json' };
+import structure from './structure.json' with { type: 'json' };
+import models from './models.json' with { type: 'json' };
+import safety from './safety.json' with { type: 'json' };
+import classifier from './classifier.json' with { type: 'json' };
 
-// Build preferred domains list for AI prompts
+// Build preferred domains list for AI prompts (registry domains on these topics, minus the avoid tier)
 export const getPreferredDomains = (categories = ['stemCell', 'longevity', 'wellness']) => {
-  const domains = new Set();
-  categories.forEach(cat => {
-    if (sources[cat]?.domains) {
-      sources[cat].domains.forEach(d => domains.add(d));
-    }
-  });
-  return Array.from(domains);
+  return Object.entries(sources.domains)
+    .filter(([, entry]) => entry.tier !== 'avoid' && entry.topics.some(topic => categories.includes(topic)))
+    .map(([domain]) => domain);
 };
 
-// Build source guidance string for prompts
+// Names of a tier's sources, in registry order, one per outlet
+const tierNames = (tier, limit) => [...new Set(
+  Object.values(sources.domains).filter(entry => entry.tier === tier).map(entry => entry.name)
+)].slice(0, limit);
+
+// Build source guidance string for prompts - tiers and mix limits from the source registry
 export const getSourceGuidance = () => {
-  const scientificDomains = getPreferredDomains(['stemCell', 'longevity']);
-  const accessibleDomains = getPreferredDomains(['wellness', 'fitness']);
+  const { tiers, mix = {} } = sources;
+  const section = (tier, limit) => `${tiers[tier].label.toUpperCase()} (${tiers[tier].guidance}):
+${tierNames(tier, limit).map(name => `- ${name}`).join('\n')}`;
+  const limits = [
+    mix.minMainstream && `at least ${mix.minMainstream} mainstream`,
+    mix.maxScientific && `at most ${mix.maxScientific} scientific`,
+    mix.maxPreprints !== undefined && `at most ${mix.maxPreprints} preprint${mix.maxPreprints === 1 ? '' : 's'}`,
+    mix.maxPaywalled !== undefined && `at most ${mix.maxPaywalled} paywalled`
+  ].filter(Boolean);
+  const preprints = Object.values(sources.domains).filter(entry => entry.preprint).map(entry => entry.name);
 
   return `SOURCE PRIORITY (use a MIX - not just scientific sources):
 
-ACCESSIBLE/MAINSTREAM (prioritize for readability):
-- Men's Health, Healthline, WebMD, Prevention
-- CNN Health, NPR Health, NYT Well
-- Mayo Clinic, Cleveland Clinic, Harvard Health
+${section('mainstream', 16)}
+
+${section('industry', 10)}
 
-INDUSTRY/BIOTECH NEWS:
-- STAT News, Endpoints News, BioPharma Dive
-- Fierce Biotech, BioSpace
+${section('scientific', 10)}
 
-SCIENTIFIC (use sparingly, explain findings simply):
-${scientificDomains.slice(0, 8).map(d => `- ${d}`).join('\n')}
+PER ISSUE: ${limits.join(', ')} articles.
 
+⛔ NEVER cite: ${tierNames('avoid').join(', ')} (${tiers.avoid.guidance}).
 ⚠️ DO NOT use sources outside these unless nothing else available.
-⚠️ If using scientific sources, translate findings to plain English.`;
+⚠️ If using scientific sources, translate findings to plain English.
+⚠️ Preprints (${preprints.join(', ')}) aren't peer reviewed yet - say so.`;
 };
 
 // Build style rules string for system message
@@ -94,7 +107,7 @@ ${effectivePhrases.slice(0, 4).map(p => `"${p}"`).join(', ')}`;
 };
 
 // Export raw configs for direct access
-export { sources, styleGuide, audience, structure };
+export { sources, styleGuide, audience, structure, models, safety, classifier };
 
 // Export word limits helper
 export const getWordLimits = (section) => {
@@ -0,0 +1,141 @@
+/**
+ * Issue checkpoints - which sections of the issue being built have finished
+ *
+ * The pipeline records every step as it completes (or fails), together with the
+ * researched articles and a snapshot of the issue, so a run cut short by rate limits
+ * can be resumed: only failed, unreached or still-placeholder sections are re-run.
+ */
+
+// Text written into sections when a new issue starts - anything still showing it never finished
+export const PLACEHOLDERS = {
+  subjectLine: 'Generating new subject line...',
+  previewText: 'Generating preview text...',
+  content: 'Generating fresh content...',
+  searching: 'Generating fresh content with web search...',
+  item: 'Generating...',
+  link: 'Searching...',
+  stat: '...',
+  game: 'generating'
+};
+
+/**
+ * Pipeline steps in run order
+ * `isPlaceholder(newsletterData, game)` spots a section still showing its placeholder -
+ * steps without it (sections that aren't wiped up front) are only tracked through the checkpoint.
+ */
+export const PIPELINE_STEPS = [
+  { key: 'metrics', label: 'Metrics dashboard' },
+  {
+    key: 'leadStory',
+    label: 'Lead story',
+    isPlaceholder: (d) => d.leadStory.content === PLACEHOLDERS.searching
+  },
+  {
+    key: 'researchRoundup',
+    label: 'Research roundup',
+    isPlaceholder: (d) => d.yourOptionsThisWeek.content === PLACEHOLDERS.searching
+  },
+  { key: 'livingWell', label: 'Living Well' },
+  {
+    key: 'secondaryStories',
+    label: 'On Our Radar',
+    isPlaceholder: (d) => d.secondaryStories.stories.some(story => story.content === PLACEHOLDERS.item)
+  },
+  {
+    key: 'deepDive',
+    label: 'Deep dive',
+    isPlaceholder: (d) => d.industryDeepDive.content === PLACEHOLDERS.searching
+  },
+  {
+    key: 'statSection',
+    label: 'Stat of the week',
+    isPlaceholder: (d) => d.statSection.primeNumber === PLACEHOLDERS.stat
+  },
+  {
+    key: 'thePulse',
+    label: 'The Pulse',
+    isPlaceholder: (d) => d.thePulse.items.some(item => item.text === PLACEHOLDERS.item)
+  },
+  { key: 'worthKnowing', label: 'Worth Knowing' },
+  { key: 'trialsRecruiting', label: 'Trials Recruiting Now' },
+  {
+    key: 'recommendations',
+    label: 'Recommendations',
+    isPlaceholder: (d) => ['read', 'watch', 'try', 'listen'].some(type => d.recommendations[type].linkText === PLACEHOLDERS.link)
+  },
+  { key: 'wordOfDay', label: 'Word of the day' },
+  {
+    key: 'gameTrivia',
+    label: 'Trivia game',
+    isPlaceholder: (d, game) => game?.id === PLACEHOLDERS.game
+  },
+  {
+    key: 'openingHook',
+    label: 'Opening hook',
+    isPlaceholder: (d) => d.openingHook.content === PLACEHOLDERS.content
+  },
+  {
+    key: 'bottomLine',
+    label: "In today's edition",
+    isPlaceholder: (d) => d.bottomLine.items.includes(PLACEHOLDERS.item)
+  },
+  {
+    key: 'subjectLine',
+    label: 'Subject line',
+    isPlaceholder: (d) => d.preHeader.subjectLine === PLACEHOLDERS.subjectLine
+  }
+];
+
+/**
+ * Display label for a step
+ * @param {string} key - Step key from PIPELINE_STEPS
+ * @returns {string}
+ */
+export const getStepLabel = (key) => PIPELINE_STEPS.find(step => step.key === key)?.label || key;
+
+/**
+ * Start a checkpoint for an issue
+ * @param {Object} options - { issueNumber, date, headlines } - headlines feed the teasers and subject line
+ * @returns {Object} Checkpoint
+ */
+export const createCheckpoint = ({ issueNumber, date = new Date(), headlines = {} }) => {
+  const now = new Date().toISOString();
+  return {
+    issueNumber,
+    date: date.toISOString(),
+    startedAt: now,
+    updatedAt: now,
+    articles: null,
+    distribution: null,
+    headlines: { lead: '', research: '', deepDive: '', stat: '', ...headlines },
+    completed: [],
+    failed: [],
+    newsletterData: null,
+    game: null
+  };
+};
+
+/**
+ * Steps that still need to run for an issue
+ * @param {Object|null} checkpoint - Checkpoint for this issue (null if there isn't one)
+ * @param {Object} newsletterData - Current issue content
+ * @param {Object} game - Current trivia game
+ * @returns {Array<string>} Step keys in run order - failed, never reached, or still showing placeholders
+ */
+export const getPendingSteps = (checkpoint, newsletterData, game = null) => {
+  if (!newsletterData) return [];
+  return PIPELINE_STEPS
+    .filter(step =>
+      (checkpoint && !checkpoint.completed.includes(step.key)) ||
+      (step.isPlaceholder && step.isPlaceholder(newsletterData, game))
+    )
+    .map(step => step.key);
+};
+
+export default {
+  PLACEHOLDERS,
+  PIPELINE_STEPS,
+  getStepLabel,
+  createCheckpoint,
+  getPendingSteps
+};
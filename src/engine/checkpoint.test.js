@@ -0,0 +1,92 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { parseFeed } from '../services/feedParser.js';
+import { buildArticlePool, normalizeFeedEntry } from '../services/rss.js';
+import { createMockProvider } from '../services/llm/mock.js';
+import { createCheckpoint, getPendingSteps, PIPELINE_STEPS, PLACEHOLDERS } from './checkpoint.js';
+import { createEngine } from './index.js';
+
+const FEEDS_DIR = new URL('../../fixtures/feeds/', import.meta.url);
+const ISSUE_DATE = new Date('2026-10-23T12:00:00Z');
+
+// The fixture feeds as the engine's article pool
+const loadPool = async () => {
+  const files = (await readdir(FEEDS_DIR)).filter(file => file.endsWith('.xml'));
+  const entries = [];
+  for (const file of files) {
+    const body = await readFile(new URL(file, FEEDS_DIR), 'utf8');
+    entries.push(...parseFeed(body).map(entry => normalizeFeedEntry(entry)));
+  }
+  return buildArticlePool(entries, [], 14, ISSUE_DATE);
+};
+
+// Mock provider whose calls for the sections in `failing` throw, like a rate-limited run
+const createFlakyProvider = (failing) => {
+  const mock = createMockProvider();
+  return {
+    ...mock,
+    generate: async (request) => {
+      if (failing.has(request.section)) throw new Error('429 rate limited');
+      return mock.generate(request);
+    }
+  };
+};
+
+beforeEach((t) => {
+  // Section failures and usage are logged - keep the test output to the results
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+});
+
+test('a new checkpoint leaves every step pending', () => {
+  const checkpoint = createCheckpoint({ issueNumber: 12, date: ISSUE_DATE });
+  const newsletterData = { leadStory: { content: 'Written' } };
+  assert.deepEqual(getPendingSteps(checkpoint, newsletterData), PIPELINE_STEPS.map(step => step.key));
+  assert.deepEqual(getPendingSteps(checkpoint, null), []);
+});
+
+test('without a checkpoint, sections still showing their placeholder are pending', async () => {
+  const pool = await loadPool();
+  const engine = createEngine({ provider: createMockProvider(), fetchArticles: async () => pool, fetchStats: null, fetchTrials: null, daysBack: 14 });
+  const { newsletterData, game } = await engine.buildIssue({ date: ISSUE_DATE });
+
+  const wiped = { ...newsletterData, industryDeepDive: { ...newsletterData.industryDeepDive, content: PLACEHOLDERS.searching } };
+  assert.deepEqual(getPendingSteps(null, wiped, game), ['deepDive']);
+  assert.deepEqual(getPendingSteps(null, newsletterData, game), []);
+});
+
+test('resuming re-runs only the failed step and reuses the checkpoint research', async () => {
+  const pool = await loadPool();
+  const failing = new Set(['deepDive']);
+  let fetches = 0;
+  const engine = createEngine({
+    provider: createFlakyProvider(failing),
+    fetchArticles: async () => {
+      fetches++;
+      return pool;
+    },
+    fetchStats: null,
+    fetchTrials: null,
+    daysBack: 14
+  });
+
+  const first = await engine.buildIssue({ date: ISSUE_DATE });
+  assert.deepEqual(first.checkpoint.failed, ['deepDive']);
+  assert.deepEqual(getPendingSteps(first.checkpoint, first.newsletterData, first.game), ['deepDive']);
+  assert.equal(first.newsletterData.industryDeepDive.content, PLACEHOLDERS.searching);
+
+  failing.clear();
+  const calls = [];
+  engine.on(event => {
+    if (event.type === 'usage') calls.push(event.record.section);
+  });
+  const resumed = await engine.resumeIssue({ current: first.newsletterData, game: first.game, checkpoint: first.checkpoint });
+
+  assert.equal(fetches, 1);
+  assert.deepEqual(calls, ['deepDive']);
+  assert.deepEqual(resumed.checkpoint.failed, []);
+  assert.deepEqual(getPendingSteps(resumed.checkpoint, resumed.newsletterData, resumed.game), []);
+  assert.equal(resumed.newsletterData.industryDeepDive.headline, 'PRP: hype or help?');
+  assert.equal(resumed.newsletterData.leadStory.content, first.newsletterData.leadStory.content);
+});
@@ -0,0 +1,146 @@
+/**
+ * Content helpers for generated sections
+ * Pure functions shared by the engine and the React app.
+ */
+
+import { getAttributionLabel } from '../services/sourceRegistry.js';
+
+// Citation tags, [AI Generated ...] notes and stray *** lines the model leaves in its text
+const removeArtifacts = (text) => text
+  // Remove citation artifacts like (cite index="4-18,4-19">
+  .replace(/<cite[^>]*>/g, '')
+  .replace(/<\/cite>/g, '')
+  // Remove [AI Generated, Nov 2025] and similar
+  .replace(/\[AI Generated[^\]]*\]/gi, '')
+  // Remove any remaining markdown artifacts
+  .replace(/^\*\*\*+$/gm, '');
+
+/**
+ * Strip citation artifacts and AI preamble ("Based on my search...") from model output
+ * @param {string} content - Raw model text
+ * @returns {string} Reader-ready text
+ */
+export const cleanAIOutput = (content) => {
+  if (!content) return '';
+
+  let cleaned = removeArtifacts(content);
+
+  // Remove AI thinking/preamble - check for common patterns at START of content
+  // This handles multi-sentence preambles
+  const preamblePatterns = [
+    /^(Perfect!|Great!|Excellent!|Sure!|Okay!|Alright!|Absolutely!|Of course!)[^.!?]*[.!?]\s*/gi,
+    /^I (found|discovered|searched|located|identified|need to|have found|will|can|should|'ll|'ve)[^.]*\.\s*/gi,
+    /^(Based on|According to|Looking at|After searching|After reviewing|Here is|Here are|Here's|Let me|Now I)[^.]*\.\s*/gi,
+    /^This (is|was|looks|seems|appears)[^.]*\.\s*/gi,
+    /^(The search|My search|I've found|I have found|Most of these|The article)[^.]*\.\s*/gi,
+    /^[^.]*?(exactly what|what you requested|what the user|for your newsletter|sources are older)[^.]*\.\s*/gi,
+    /^[^.]*?(I found|I need|I also|I will|I can|I should)[^.]*\.\s*/gi,
+  ];
+
+  // Apply preamble removal multiple times to catch nested preambles
+  for (let i = 0; i < 5; i++) {
+    for (const pattern of preamblePatterns) {
+      cleaned = cleaned.replace(pattern, '');
+    }
+  }
+
+  return cleaned.trim();
+};
+
+/**
+ * Strip citation artifacts from every string in a structured answer
+ * (no preamble stripping - tool answers have none, and it would eat fields starting "According to...")
+ * @param {*} value - Parsed section output
+ * @returns {*} Same shape with cleaned, trimmed strings
+ */
+export const stripCitationArtifacts = (value) => {
+  if (typeof value === 'string') return removeArtifacts(value).trim();
+  if (Array.isArray(value)) return value.map(stripCitationArtifacts);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, stripCitationArtifacts(item)]));
+  }
+  return value;
+};
+
+/**
+ * Extract sources from content with {{LINK:text|url}} pattern
+ * @param {string} content - Section text
+ * @param {Date} date - Date stamped on each source (defaults to now)
+ * @returns {Array} Sources: { title, url, date }
+ */
+export const extractSourcesFromContent = (content, date = new Date()) => {
+  if (!content) return [];
+  const linkRegex = /\{\{LINK:([^|]+)\|([^}]+)\}\}/g;
+  const sources = [];
+  const seenUrls = new Set(); // Deduplicate by URL
+  let match;
+  while ((match = linkRegex.exec(content)) !== null) {
+    const url = match[2];
+    if (seenUrls.has(url)) continue;
+    seenUrls.add(url);
+
+    // Outlet name from the source registry instead of the link text (kept when the URL doesn't parse)
+    const sourceName = /^https?:\/\//.test(url) ? getAttributionLabel(url) : match[1];
+
+    sources.push({
+      title: sourceName,
+      url: url,
+      date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    });
+  }
+  return sources;
+};
+
+/**
+ * Pick a Midjourney prompt for a section image from its headline
+ * @param {string} headline - Section headline
+ * @param {string} type - Fallback prompt type when the headline doesn't match a topic
+ * @returns {string} Midjourney prompt
+ */
+export const generateMidjourneyPrompt = (headline, type = 'general') => {
+  const prompts = {
+    'stem_cell': `Scientific visualization of stem cells differentiating into healthy tissue, bioluminescent purple and violet glow, medical illustration style, clean composition, hopeful atmosphere, soft lighting --ar 16:9 --v 6`,
+    'vision': `Abstract visualization of human eye with regenerating retinal cells, golden light rays emanating from iris, medical art style, deep purple and amber colors, hope and healing theme --ar 16:9 --v 6`,
+    'diabetes': `Microscopic view of healthy pancreatic islet cells producing insulin, warm golden glow radiating from cell clusters, scientific visualization, violet and gold color palette --ar 16:9 --v 6`,
+    'nutrition': `Elegant flat lay of anti-inflammatory foods on marble surface, salmon, olive oil, colorful berries, turmeric, leafy greens, soft natural lighting, editorial food photography style --ar 16:9 --v 6`,
+    'clinical_trial': `Modern medical research laboratory, scientists in white coats reviewing data on screens, hopeful atmosphere, clean purple and white aesthetic, soft professional lighting --ar 16:9 --v 6`,
+    'brain': `Artistic visualization of neural connections and synapses firing, deep purple and electric violet colors, scientific beauty, abstract medical illustration --ar 16:9 --v 6`,
+    'heart': `Anatomical heart transforming into healthy tissue, red and purple gradient, scientific illustration meets fine art, regeneration theme, dramatic lighting --ar 16:9 --v 6`,
+    'general': `Abstract medical breakthrough concept, DNA helix intertwined with healing light, purple and violet gradient, clean modern scientific aesthetic, hopeful atmosphere --ar 16:9 --v 6`,
+    'stats': `Data visualization coming to life, floating numbers and graphs in 3D space, purple holographic style, futuristic medical data concept, clean dark background --ar 16:9 --v 6`,
+    'games': `Playful medical trivia concept, illustrated brain with question marks, friendly educational style, soft pastel colors with pops of purple, approachable and fun --ar 16:9 --v 6`
+  };
+
+  // Auto-detect type from headline
+  const lowerHeadline = headline.toLowerCase();
+  if (lowerHeadline.includes('vision') || lowerHeadline.includes('eye') || lowerHeadline.includes('amd') || lowerHeadline.includes('retina')) return prompts.vision;
+  if (lowerHeadline.includes('diabetes') || lowerHeadline.includes('insulin') || lowerHeadline.includes('pancrea')) return prompts.diabetes;
+  if (lowerHeadline.includes('brain') || lowerHeadline.includes('neuro') || lowerHeadline.includes('parkinson')) return prompts.brain;
+  if (lowerHeadline.includes('heart') || lowerHeadline.includes('cardio')) return prompts.heart;
+  if (lowerHeadline.includes('diet') || lowerHeadline.includes('food') || lowerHeadline.includes('nutrition') || lowerHeadline.includes('inflammatory')) return prompts.nutrition;
+  if (lowerHeadline.includes('trial') || lowerHeadline.includes('study') || lowerHeadline.includes('research')) return prompts.clinical_trial;
+  if (lowerHeadline.includes('stem cell') || lowerHeadline.includes('regenerat')) return prompts.stem_cell;
+  if (lowerHeadline.includes('stat') || lowerHeadline.includes('billion') || lowerHeadline.includes('number') || lowerHeadline.includes('%')) return prompts.stats;
+
+  return prompts[type] || prompts.general;
+};
+
+/**
+ * Split "headline\nbody" model output into its parts
+ * @param {string} text - Cleaned model output
+ * @returns {Object} { headline, content } - content is empty when there is only one line
+ */
+export const splitHeadline = (text) => {
+  const lines = text.split('\n').filter(l => l.trim());
+  const headline = lines[0].replace(/^#+\s*/, '').replace(/^\*\*/, '').replace(/\*\*$/, '');
+  const content = lines.slice(1).join('\n\n');
+  return { headline, content };
+};
+
+export default {
+  cleanAIOutput,
+  stripCitationArtifacts,
+  extractSourcesFromContent,
+  generateMidjourneyPrompt,
+  splitHeadline
+};
@@ -0,0 +1,384 @@
+/**
+ * Starting newsletterData for a brand-new install (or a headless run with no previous issue)
+ * The app and the engine both start from this; each new issue is built on top of the previous one.
+ */
+
+export const DEFAULT_NEWSLETTER = {
+  preHeader: {
+    subjectLine: 'Stem Cells Just Restored Vision in Patients Who Were Told It Was Impossible',
+    previewText: 'Plus: 5 red flags when choosing a stem cell clinic and the anti-inflammatory foods worth adding to your cart',
+    from: 'Renewal Weekly | crew@renewalweekly.com',
+    issueNumber: '12',
+    date: 'Nov 28, 2025',
+    readTime: '7 min read'
+  },
+
+  // 1. OPENING HOOK (short, 2-3 sentences)
+  openingHook: {
+    content: `Welcome to this week's edition of Renewal Weekly. We're excited to share the latest breakthroughs in regenerative medicine and longevity research with you. Let's dive into what's making headlines in health this week.`,
+    sources: []
+  },
+
+  // 1.5 IN TODAY'S EDITION (teaser bullets with emojis)
+  bottomLine: {
+    sectionLabel: "IN TODAY'S EDITION",
+    subtitle: '',
+    items: [
+      '👁️ Vision restored after AMD trial',
+      '💊 New MS therapy results',
+      '📊 $403B market projection',
+      '🧬 Inflammation and stem cell aging'
+    ]
+  },
+
+
+
+  // ===== METRICS DASHBOARD - 2x2 GRID (RSS-derived stats) =====
+  metricsDashboard: {
+    title: 'THIS WEEK IN REGENERATIVE MEDICINE',
+    metrics: [
+      // Row 1
+      { label: 'Articles This Week', value: '—', change: 'Loading...', source: 'RSS Feed', dynamic: true },
+      { label: 'Top Topic', value: '—', change: '', source: 'This Issue', dynamic: true },
+      // Row 2
+      { label: 'Sources Featured', value: '—', change: '', source: 'Curated Feed', dynamic: true },
+      { label: 'Research Categories', value: '—', change: '', source: 'This Issue', dynamic: true }
+    ],
+    asOfDate: '',
+    explainerLink: ''
+  },
+
+  // ===== V5.2 UPDATE: LEAD STORY WITH EMBEDDED LINKS =====
+  leadStory: {
+    sectionLabel: 'THIS WEEK\'S BIG STORY',
+    headline: 'Stem Cells Just Did What Doctors Said Was Impossible',
+    publishedDate: 'Nov 22, 2025',
+    image: {
+      placeholder: '[INSERT HERO IMAGE]',
+      credit: 'Getty Images',
+      midjourneyPrompt: ''
+    },
+    content: `For 20 million Americans with age-related macular degeneration, the prognosis has always been the same: We can slow it down, but we can't bring back what you've lost.
+
+That changed this week.
+
+Researchers at the {{LINK:University of Michigan|https://www.sciencedaily.com/releases/2025/11/251121090736.htm}} published results from the first-ever human trial using adult stem cells to treat advanced dry AMD—and patients didn't just stabilize. They got better.
+
+**Here's what happened:** Patients in the low-dose group gained the ability to read 21 additional letters on a standard eye chart after one year. For context, that's the difference between needing help crossing the street and reading a restaurant menu.
+
+**Why this matters now:**
+
+The treatment uses retinal pigment epithelial stem cells harvested from adult donor eye tissue—sidestepping the ethical debates that have slowed embryonic stem cell research for decades. Unlike previous attempts, this approach doesn't require immunosuppression drugs.
+
+**What's next:** The team is now monitoring 12 patients who received higher doses. If safety data holds, they'll move to larger trials.
+
+"We were surprised by the magnitude of vision gain in the most severely affected patients," said Dr. Rajesh Rao, lead researcher.
+
+**The zoom out:** This is exactly the kind of rigorous, FDA-tracked research that separates real regenerative medicine from the clinics promising miracle cures. The full study was published in {{LINK:Cell Stem Cell|https://doi.org/10.1016/j.stem.2025.08.012}}.`,
+    initials: 'RW',
+    sources: [
+      { title: 'ScienceDaily', url: 'https://www.sciencedaily.com/releases/2025/11/251121090736.htm', date: 'Nov 22, 2025' },
+      { title: 'Cell Stem Cell', url: 'https://doi.org/10.1016/j.stem.2025.08.012', date: 'Nov 2025' }
+    ]
+  },
+
+  // ===== V5.2 UPDATE: RESEARCH ROUNDUP WITH EMBEDDED LINKS =====
+  yourOptionsThisWeek: {
+    sectionLabel: 'RESEARCH ROUNDUP',
+    format: 'treatment_spotlight',
+    title: 'Your Weekly Dose of Health Innovation',
+    subtitle: 'Treatment Spotlight: MSC Therapy for Multiple Sclerosis',
+    publishedDate: 'Nov 17, 2025',
+    image: {
+      placeholder: '[INSERT IMAGE]',
+      credit: 'Getty Images',
+      midjourneyPrompt: ''
+    },
+    content: `If you or someone you love has MS, this one's worth reading twice.
+
+A new {{LINK:systematic review|https://multiplesclerosisnewstoday.com/news-posts/2025/11/17/mesenchymal-stem-cell-therapy-shows-promise-ms-review/}} just analyzed every clinical trial testing mesenchymal stem cell (MSC) therapy for multiple sclerosis—and the results are genuinely encouraging. Patients showed improvements in disability scores, walking ability, vision, and even auditory function. Side effects? Mostly mild: headache, fatigue, and low-grade fever that resolved quickly.
+
+**What you should know:** MSC therapy for MS is still considered experimental and isn't covered by insurance. Most patients access it through clinical trials or private clinics abroad. Costs range from $5,000–$30,000 depending on the protocol.
+
+**The catch:** Results varied based on how cells were delivered (IV vs. spinal injection) and where the MSCs came from. There's no standardized protocol yet.
+
+**Bottom line:** If you're considering this route, ask your neurologist about active clinical trials on {{LINK:ClinicalTrials.gov|https://clinicaltrials.gov}} before exploring private options.`,
+    initials: 'RW',
+    sources: [
+      { title: 'Multiple Sclerosis News Today', url: 'https://multiplesclerosisnewstoday.com/news-posts/2025/11/17/mesenchymal-stem-cell-therapy-shows-promise-ms-review/', date: 'Nov 17, 2025' }
+    ]
+  },
+
+  // ===== LIVING WELL - LIFESTYLE SECTION =====
+  livingWell: {
+    sectionLabel: 'LIVING WELL',
+    headline: 'Small Changes, Big Impact',
+    publishedDate: 'Nov 2025',
+    content: `Sometimes the best health advice isn't about breakthroughs—it's about the basics done right.
+
+**This week's lifestyle pick:** Walking after meals. A {{LINK:new study|https://www.healthline.com/health-news/walking-after-meals}} confirms what grandma always said: a 10-minute walk after dinner can lower blood sugar by up to 22%.
+
+**Why it works:** Movement helps muscles absorb glucose from your bloodstream, reducing the post-meal spike that contributes to inflammation and fatigue.
+
+**Make it stick:** Keep your walking shoes by the door. Even 5 minutes helps—you don't need a full workout.
+
+**Bonus:** Evening walks also improve sleep quality and give your mind a chance to decompress from the day.`,
+    initials: 'RW',
+    sources: [
+      { title: 'Healthline', url: 'https://www.healthline.com/health-news/walking-after-meals', date: 'Nov 2025' }
+    ]
+  },
+
+  // 5. SPONSOR 1
+  sponsorBlock1: {
+    headline: '[Sponsor Headline]',
+    body: '[Sponsor content goes here]',
+    cta: 'Use code RENEWAL20 for 20% off.',
+    isPlaceholder: true
+  },
+
+  // ===== V5.2 UPDATE: SECONDARY STORIES WITH EMBEDDED LINKS =====
+  secondaryStories: {
+    sectionLabel: 'ON OUR RADAR',
+    image: {
+      placeholder: '[INSERT IMAGE]',
+      credit: 'Getty Images',
+      midjourneyPrompt: ''
+    },
+    stories: [
+      {
+        id: 1,
+        boldLead: 'Stanford just made stem cell transplants safer—without chemo.',
+        publishedDate: 'Nov 7, 2025',
+        content: `A new antibody therapy can prepare patients for stem cell transplants without toxic chemotherapy or radiation. In a {{LINK:Phase 1 trial|https://www.sciencedaily.com/releases/2025/11/251107010324.htm}}, children with Fanconi anemia achieved nearly complete donor cell replacement using just an antibody called briquilimab. The approach could open lifesaving transplants to patients who were previously too fragile—including elderly cancer patients.`,
+        sources: [{ title: 'ScienceDaily', url: 'https://www.sciencedaily.com/releases/2025/11/251107010324.htm', date: 'Nov 7, 2025' }]
+      },
+      {
+        id: 2,
+        boldLead: 'Type 1 diabetes was cured in mice. Humans might be next.',
+        publishedDate: 'Nov 18, 2025',
+        content: `{{LINK:Stanford researchers|https://med.stanford.edu/news/all-news/2025/11/type-1-diabetes-cure.html}} combined blood stem cell and pancreatic islet transplants to cure autoimmune diabetes in mice—without lifelong immunosuppression drugs. The "immune system reset" prevented the body from attacking insulin-producing cells. Human trials are a logical next step.`,
+        sources: [{ title: 'Stanford Medicine', url: 'https://med.stanford.edu/news/all-news/2025/11/type-1-diabetes-cure.html', date: 'Nov 18, 2025' }]
+      },
+      {
+        id: 3,
+        boldLead: 'MSC trials are up 37% in 2025—and investment is following.',
+        publishedDate: 'Nov 20, 2025',
+        content: `One year after the FDA approved the first mesenchymal stem cell therapy (Ryoncil), the field is experiencing a {{LINK:resurgence|https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/}}. There are now 89 MSC trials running in 2025, and deal value from MSC-related equity offerings is up 94% from last year.`,
+        sources: [{ title: 'Clinical Trials Arena', url: 'https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/', date: 'Nov 20, 2025' }]
+      }
+    ],
+    initials: 'RW'
+  },
+
+  // ===== V5.2 UPDATE: DEEP DIVE WITH EMBEDDED LINKS =====
+  industryDeepDive: {
+    sectionLabel: 'DEEP DIVE',
+    headline: 'The Anti-Inflammatory Shopping List You Actually Need',
+    publishedDate: 'Nov 2025',
+    image: {
+      placeholder: '[INSERT IMAGE]',
+      credit: 'Getty Images',
+      midjourneyPrompt: ''
+    },
+    content: `The supplement aisle wants you to believe fighting inflammation requires a pharmacy's worth of pills.
+
+{{LINK:Harvard researchers|https://nutritionsource.hsph.harvard.edu/healthy-weight/diet-reviews/anti-inflammatory-diet/}} disagree.
+
+A new meta-analysis found that anti-inflammatory diets meaningfully improved blood pressure, cholesterol, and inflammatory markers like hs-CRP. No pills required—just better groceries.
+
+**What to add:**
+• Fatty fish (salmon, sardines, mackerel) — 2-3 servings/week
+• Extra virgin olive oil — your new default cooking fat
+• Colorful vegetables — especially leafy greens, tomatoes, beets
+• Berries, cherries, oranges — nature's antioxidant bombs
+• Nuts, especially walnuts — a handful daily
+• Turmeric and ginger — use liberally
+
+**What to limit:**
+• Processed meats (bacon, hot dogs, deli meat)
+• Refined carbs (white bread, pastries)
+• Fried foods and trans fats
+• Sugary drinks
+
+**The connection to stem cells:** Chronic inflammation damages bone marrow and accelerates stem cell aging. What you eat doesn't just affect how you feel today—it affects how well your body regenerates tomorrow.
+
+{{LINK:Johns Hopkins|https://www.hopkinsmedicine.org/health/wellness-and-prevention/anti-inflammatory-diet}} recommends the Mediterranean diet as the most evidence-backed anti-inflammatory approach. Start with one swap: butter → olive oil.`,
+    initials: 'RW',
+    sources: [
+      { title: 'Harvard Nutrition Source', url: 'https://nutritionsource.hsph.harvard.edu/healthy-weight/diet-reviews/anti-inflammatory-diet/', date: '2025' },
+      { title: 'Johns Hopkins Medicine', url: 'https://www.hopkinsmedicine.org/health/wellness-and-prevention/anti-inflammatory-diet', date: '2025' }
+    ]
+  },
+
+  // 8. SPONSOR 2
+  quickCalendar: {
+    sponsorName: '[SPONSOR NAME]',
+    valueProp: '[One-line value prop with link]',
+    isPlaceholder: true
+  },
+
+  // 9. WORTH KNOWING
+  worthKnowing: {
+    sectionLabel: 'WORTH KNOWING',
+    title: 'This week, keep these on your radar',
+    items: [
+      {
+        type: 'awareness',
+        title: 'World AIDS Day',
+        date: 'December 1',
+        description: 'Many clinics offer free HIV testing this week. Worth doing if it\'s been a while.',
+        link: null
+      },
+      {
+        type: 'guide',
+        title: '5 Red Flags When Choosing a Stem Cell Clinic',
+        date: '',
+        description: 'Before you spend $15,000 at a private clinic, know what to look for: (1) They claim to treat everything from wrinkles to MS with the same cells. (2) They use "amniotic" or "exosome" products without explaining what\'s actually in them. (3) They rely entirely on testimonials instead of published data. (4) They\'re not FDA-compliant or won\'t discuss it. (5) They offer IV stem cell treatments (currently forbidden by the FDA).',
+        link: 'https://nyscf.org/resources/unproven-stem-cell-therapies-experts-discuss-how-to-protect-yourself-from-this-global-health-issue/'
+      },
+      {
+        type: 'resource',
+        title: 'How to Find Legitimate Clinical Trials',
+        date: '',
+        description: 'ClinicalTrials.gov is the gold standard. Search by condition, check if it\'s actively recruiting, and verify it\'s affiliated with an academic medical center.',
+        link: 'https://clinicaltrials.gov'
+      }
+    ]
+  },
+
+  // 9b. TRIALS RECRUITING NOW - cards built from ClinicalTrials.gov each issue (pickRecruitingTrials in src/services/researchSources.js)
+  trialsRecruiting: {
+    sectionLabel: 'TRIALS RECRUITING NOW',
+    title: 'Studies looking for people like you',
+    intro: 'Recruiting now at US sites, matched to the conditions our readers tell us about.',
+    trials: [],
+    asOfDate: '',
+    disclaimer: 'Listings are from ClinicalTrials.gov and haven\'t been vetted by Renewal Weekly. Ask your doctor whether a study is right for you before contacting a site.'
+  },
+
+  // ===== V5.2 UPDATE: STAT SECTION WITH EMBEDDED LINKS =====
+  statSection: {
+    sectionLabel: 'STAT OF THE WEEK',
+    primeNumber: '$403.86B',
+    headline: 'where the regenerative medicine market is headed by 2032',
+    publishedDate: 'Nov 24, 2025',
+    image: {
+      placeholder: '[INSERT IMAGE]',
+      credit: 'Getty Images',
+      midjourneyPrompt: ''
+    },
+    content: `That's not a typo. The regenerative medicine market is projected to grow from $48 billion today to over $400 billion in the next seven years—a 27.3% annual growth rate.
+
+**Why it matters for you:** More investment means more trials, faster approvals, and eventually, more affordable treatments. Cell therapy alone contributed $18.9 billion in 2024.
+
+For context: There are now more than 2,400 regenerative medicine clinical trials running worldwide. In the 1980s, only about 1,500 patients received stem cell transplants per year. In 2022? Nearly 23,000.
+
+**The backstory:** Global funding for regenerative medicine—public, private, and venture—surpassed $50 billion in 2024. Companies like {{LINK:Mesoblast|https://www.mesoblast.com}}, {{LINK:CRISPR Therapeutics|https://crisprtx.com}}, and Fate Therapeutics are leading the charge.
+
+Translation: The treatments we're writing about today may be routine options in a decade. {{LINK:Read the full market report|https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032-driven-by-cell--gene-therapy-breakthroughs-stem-cell-advancements-and-multi-indication-expansion-302624480.html}}.`,
+    initials: 'RW',
+    sources: [
+      { title: 'PRNewswire / DataM Intelligence', url: 'https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032-driven-by-cell--gene-therapy-breakthroughs-stem-cell-advancements-and-multi-indication-expansion-302624480.html', date: 'Nov 24, 2025' }
+    ]
+  },
+
+  // ===== V5.2 UPDATE: THE PULSE WITH EMBEDDED LINKS =====
+  thePulse: {
+    sectionLabel: 'THE PULSE',
+    title: 'Quick hits from the world of health innovation',
+    items: [
+      { text: '{{LINK:Takeda|https://www.openpr.com/news/4287050/autologous-stem-cell-non-stem-cell-therapies-market-to-hit-us}} launched a new autologous stem cell therapy for cartilage regeneration in Japan this month', source: 'DataM Intelligence', url: 'https://www.openpr.com/news/4287050/autologous-stem-cell-non-stem-cell-therapies-market-to-hit-us', date: 'Nov 2025' },
+      { text: 'MSC clinical trials are {{LINK:up 37%|https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/}} in 2025 compared to last year', source: 'Clinical Trials Arena', url: 'https://www.clinicaltrialsarena.com/sponsored/the-resurgence-of-mesenchymal-stem-cell-therapies/', date: 'Nov 20, 2025' },
+      { text: 'Scientists discovered {{LINK:"P bodies"|https://www.colorado.edu/today/2025/11/03/scientists-discover-new-way-shape-what-stem-cell-becomes}} play a critical role in stem cell differentiation—opening new doors for regenerative medicine', source: 'CU Boulder', url: 'https://www.colorado.edu/today/2025/11/03/scientists-discover-new-way-shape-what-stem-cell-becomes', date: 'Nov 3, 2025' },
+      { text: 'A new culture medium now allows researchers to create {{LINK:beating dog heart cells|https://medicalxpress.com/news/2025-11-stem-cell-medium-canine-heart.html}} from stem cells—accelerating drug testing research', source: 'Medical Xpress', url: 'https://medicalxpress.com/news/2025-11-stem-cell-medium-canine-heart.html', date: 'Nov 21, 2025' },
+      { text: 'Chronic inflammation was found to fundamentally {{LINK:remodel bone marrow|https://www.sciencedaily.com/news/health_medicine/stem_cells/}}, allowing mutated stem cells to gain dominance with age', source: 'ScienceDaily', url: 'https://www.sciencedaily.com/news/health_medicine/stem_cells/', date: 'Nov 19, 2025' },
+      { text: 'The regenerative medicine market is projected to hit {{LINK:$403.86 billion|https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032}} by 2032', source: 'PRNewswire', url: 'https://www.prnewswire.com/news-releases/regenerative-medicine-market-to-skyrocket-to-usd-403-86-billion-by-2032', date: 'Nov 24, 2025' },
+      { text: '{{LINK:115 pluripotent stem cell clinical trials|https://www.cell.com/cell-stem-cell/fulltext/S1934-5909(24)00445-4}} are now running globally with 83 distinct products', source: 'Cell Stem Cell', url: 'https://www.cell.com/cell-stem-cell/fulltext/S1934-5909(24)00445-4', date: 'Jan 2025' }
+    ]
+  },
+
+  // 12. RECS - Links on keywords only, not full titles
+  recommendations: {
+    sectionLabel: 'RECS',
+    read: { 
+      prefix: 'Pluripotent ',
+      linkText: 'stem-cell-derived therapies',
+      suffix: ' in clinical trial: A 2025 update',
+      url: 'https://www.cell.com/cell-stem-cell/fulltext/S1934-5909(24)00445-4', 
+      isAffiliate: true 
+    },
+    watch: { 
+      prefix: 'Inside the labs trying to ',
+      linkText: 'cure autoimmune disease',
+      suffix: ' (PBS NewsHour)',
+      url: 'https://www.pbs.org/newshour/health/scientists-explore-new-frontier-in-autoimmune-disease-treatment-by-resetting-rogue-cells', 
+      isAffiliate: false 
+    },
+    try: { 
+      prefix: 'The ',
+      linkText: 'anti-inflammatory diet',
+      suffix: ' guide (Johns Hopkins)',
+      url: 'https://www.hopkinsmedicine.org/health/wellness-and-prevention/anti-inflammatory-diet', 
+      isAffiliate: false 
+    },
+    listen: { 
+      prefix: '',
+      linkText: 'Longevity Technology',
+      suffix: ' podcast',
+      url: 'https://longevity.technology/news/', 
+      isAffiliate: false 
+    },
+    saveMoney: { 
+      prefix: '',
+      linkText: '[Affiliate offer]',
+      suffix: '',
+      url: '#', 
+      isAffiliate: true, 
+      isPlaceholder: true 
+    },
+    sponsorMessage: '*A message from our sponsor.',
+    affiliateDisclosure: '**This section contains affiliate links.'
+  },
+
+  // 13. PLAY (Games) - WITH OPTIONAL IMAGE
+  interactiveElement: {
+    sectionLabel: 'PLAY',
+    image: {
+      placeholder: '[INSERT GAMES GRAPHIC - OPTIONAL]',
+      credit: 'Original/Midjourney',
+      midjourneyPrompt: ''
+    }
+  },
+
+  // 14. REFERRAL
+  referralProgram: {
+    sectionLabel: 'SHARE RENEWAL WEEKLY',
+    headline: 'Share Renewal Weekly with someone who wants to stay ahead of the science.',
+    subtext: "We're saying we'll give you free stuff if you share a link. One link.",
+    referralCountTag: '{{subscriber.referral_count}}',
+    referralLinkTag: '{{subscriber.rh_reflink}}'
+  },
+
+  // 15. FOOTER
+  signOff: {
+    wordOfTheDay: {
+      word: 'Senolytic',
+      definition: 'a class of drugs that selectively eliminate senescent "zombie" cells that accumulate with age and contribute to inflammation and tissue damage',
+      suggestedBy: 'Marcus',
+      location: 'Denver, CO',
+      submitLink: 'renewalweekly.com/word-of-the-day'
+    },
+    writtenBy: 'The Renewal Weekly Team',
+    signupLink: 'renewalweekly.com/subscribe',
+    copyright: '© 2025 Renewal Weekly. All rights reserved.'
+  }
+};
+
+/**
+ * Fresh deep copy of the default newsletter
+ * @returns {Object} newsletterData
+ */
+export const createDefaultNewsletter = () => JSON.parse(JSON.stringify(DEFAULT_NEWSLETTER));
+
+export default DEFAULT_NEWSLETTER;
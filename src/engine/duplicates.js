@@ -0,0 +1,270 @@
+/**
+ * Near-duplicate detection against past issues
+ *
+ * usedUrls only catches the exact same link. This fingerprints headlines and summaries
+ * locally - TF-IDF cosine for "the same story, written differently" and MinHash over word
+ * 3-grams for syndicated copies (the same press release on ScienceDaily, EurekAlert, ...).
+ * Pool articles that match are flagged (and left out of selection); finished sections that
+ * match show "covered in issue #N". Thresholds live in src/config/structure.json (`duplicates`).
+ */
+
+import { structure } from '../config/index.js';
+import { parseLinks } from './links.js';
+
+const settings = structure.duplicates || {};
+const SIMILARITY = settings.similarity || 0.6;
+const SYNDICATED = settings.syndicated || 0.5;
+const HISTORY_ISSUES = settings.historyIssues || 12;
+
+// Kept per past story - enough for the opening paragraphs, small enough for localStorage / newsletter.json
+const MAX_STORED_TEXT = 600;
+
+const MINHASH_SIZE = 64;
+
+// Too few 3-grams and two unrelated texts can look alike
+const MIN_SHINGLES = 8;
+
+const STOPWORDS = new Set(('a about after all also an and any are as at be been but by can could did do does for from had has have how if in into is it its just may more most new not of on or our out over said says so than that the their them then there these they this those to up was we were what when which while who will with would you your')
+  .split(' '));
+
+const visibleText = (text) => (text || '').replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '$1').replace(/\*\*/g, '');
+
+const words = (text) => visibleText(text).toLowerCase().replace(/[’']/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+
+// Rough stemming - "cells"/"cell", "trials"/"trial", "restored"/"restore"
+const stem = (word) => word.length > 4 ? word.replace(/ies$/, 'y').replace(/(ing|ed|es|s)$/, '') : word;
+
+const terms = (text) => words(text).filter(word => word.length > 2 && !STOPWORDS.has(word)).map(stem);
+
+// FNV-1a
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+};
+
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => hash(`seed-${i}`));
+
+const minhash = (text) => {
+  const tokens = words(text);
+  const shingles = new Set();
+  for (let i = 0; i + 3 <= tokens.length; i++) shingles.add(hash(tokens.slice(i, i + 3).join(' ')));
+  if (shingles.size < MIN_SHINGLES) return null;
+
+  const signature = new Uint32Array(MINHASH_SIZE).fill(0xffffffff);
+  shingles.forEach(shingle => {
+    SEEDS.forEach((seed, i) => {
+      const value = Math.imul(shingle ^ seed, 0x9e3779b1) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    });
+  });
+  return { signature, size: shingles.size };
+};
+
+// Share of the shorter text's 3-grams found in the longer one - a feed summary quoting the
+// first paragraph of a story we ran is a copy, even though the story is much longer
+const minhashContainment = (a, b) => {
+  if (!a || !b) return 0;
+  let same = 0;
+  for (let i = 0; i < MINHASH_SIZE; i++) if (a.signature[i] === b.signature[i]) same++;
+  const jaccard = same / MINHASH_SIZE;
+  const shared = jaccard * (a.size + b.size) / (1 + jaccard);
+  return Math.min(1, shared / Math.min(a.size, b.size));
+};
+
+// Pulse items have no headline - their opening words stand in
+const label = (story) => story.title || (story.text.length > 80 ? `${story.text.slice(0, story.text.lastIndexOf(' ', 80))}…` : story.text);
+
+const cosine = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let dot = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  small.forEach((weight, term) => {
+    if (large.has(term)) dot += weight * large.get(term);
+  });
+  return dot;
+};
+
+// One story per section / item: { issueNumber, section, index (story / pulse item, else null), title, text, urls }
+const storiesFromIssue = (d) => {
+  const issueNumber = d.preHeader?.issueNumber || null;
+  const stories = [];
+  const add = (section, index, title, content, sources = []) => {
+    const text = visibleText(content).slice(0, MAX_STORED_TEXT);
+    if (!title && text.length < 20) return;
+    const urls = new Set(parseLinks(content).map(link => link.url));
+    sources.forEach(source => source?.url && urls.add(source.url));
+    stories.push({ issueNumber, section, index, title: visibleText(title || ''), text, urls: [...urls].filter(url => url !== '#') });
+  };
+
+  if (d.leadStory) add('leadStory', null, d.leadStory.headline, d.leadStory.content, d.leadStory.sources);
+  if (d.yourOptionsThisWeek) add('yourOptionsThisWeek', null, d.yourOptionsThisWeek.title, d.yourOptionsThisWeek.content, d.yourOptionsThisWeek.sources);
+  if (d.livingWell) add('livingWell', null, d.livingWell.headline, d.livingWell.content, d.livingWell.sources);
+  (d.secondaryStories?.stories || []).forEach((story, index) => add('secondaryStories', index, story.boldLead, story.content, story.sources));
+  if (d.industryDeepDive) add('industryDeepDive', null, d.industryDeepDive.headline, d.industryDeepDive.content, d.industryDeepDive.sources);
+  if (d.statSection) add('statSection', null, [d.statSection.primeNumber, d.statSection.headline].filter(Boolean).join(' '), d.statSection.content, d.statSection.sources);
+  (d.thePulse?.items || []).forEach((item, index) => add('thePulse', index, '', typeof item === 'string' ? item : item.text));
+
+  return stories;
+};
+
+/**
+ * Headline of a used-stories entry - { title, issueNumber, usedDate }, or a bare headline from before issue numbers were kept
+ * @param {Object|string} entry - usedStories entry
+ * @returns {string} Headline ('' if there is none)
+ */
+export const usedStoryTitle = (entry) => (typeof entry === 'string' ? entry : entry?.title) || '';
+
+/**
+ * Stories already covered - from past issues and the used-stories list
+ * @param {Array} history - Past issues, newest first ({ newsletterData } - History entries or CLI newsletter.json files)
+ * @param {Array} usedStories - Headlines already covered: { title, issueNumber } (bare strings have no issue number)
+ * @returns {Array} { issueNumber, section, index, title, text, urls } - small enough to store with an issue
+ */
+export const collectCoveredStories = (history = [], usedStories = []) => {
+  const stories = history
+    .slice(0, HISTORY_ISSUES)
+    .flatMap(entry => entry?.newsletterData ? storiesFromIssue(entry.newsletterData) : []);
+  const titles = new Set(stories.map(story => story.title.toLowerCase()));
+  usedStories
+    .filter(entry => usedStoryTitle(entry) && !titles.has(usedStoryTitle(entry).toLowerCase()))
+    .forEach(entry => stories.push({ issueNumber: entry.issueNumber ?? null, section: null, index: null, title: usedStoryTitle(entry), text: '', urls: [] }));
+  return stories;
+};
+
+/**
+ * Build a matcher over a set of stories
+ * @param {Array} stories - { title, text, urls }
+ * @returns {Function} (candidate: { title, text, url }, accept: story → boolean) → best match { story, score, kind: 'url'|'syndicated'|'similar' } or null
+ */
+export const createDuplicateMatcher = (stories) => {
+  const documentFrequency = new Map();
+  const tokenized = stories.map(story => {
+    const full = terms(`${story.title} ${story.text}`);
+    new Set(full).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return { full, title: terms(story.title) };
+  });
+  const idf = (term) => Math.log((stories.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+  const vector = (tokens) => {
+    const counts = new Map();
+    tokens.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    const weights = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const weight = count * idf(term);
+      weights.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    weights.forEach((weight, term) => weights.set(term, weight / norm));
+    return weights;
+  };
+
+  const indexed = stories.map((story, i) => ({
+    story,
+    urls: new Set(story.urls || []),
+    full: vector(tokenized[i].full),
+    title: vector(tokenized[i].title),
+    signature: minhash(`${story.title} ${story.text}`),
+    hasText: Boolean(story.text)
+  }));
+
+  return (candidate, accept = () => true) => {
+    const full = vector(terms(`${candidate.title} ${candidate.text}`));
+    const title = vector(terms(candidate.title));
+    const signature = minhash(`${candidate.title} ${candidate.text}`);
+
+    let best = null;
+    indexed.forEach(entry => {
+      if (!accept(entry.story)) return;
+      let match = null;
+      if (candidate.url && entry.urls.has(candidate.url)) {
+        match = { score: 1, kind: 'url' };
+      } else {
+        const syndicated = minhashContainment(signature, entry.signature);
+        // Headline-only stories (usedStories) are compared headline to headline
+        const similar = Math.max(entry.hasText && candidate.text ? cosine(full, entry.full) : 0, cosine(title, entry.title));
+        if (syndicated >= SYNDICATED) match = { score: syndicated, kind: 'syndicated' };
+        else if (similar >= SIMILARITY) match = { score: similar, kind: 'similar' };
+      }
+      if (match && (!best || match.score > best.score)) best = { story: entry.story, ...match };
+    });
+    return best;
+  };
+};
+
+/**
+ * Flag pool articles that repeat a past story, or copy another article in the pool
+ * @param {Array} pool - Articles from fetchArticlePool (curated feeds first)
+ * @param {Array} covered - From collectCoveredStories
+ * @returns {Array} The pool; duplicates get `duplicate: { kind, score, issueNumber, section, title, url }`
+ *   - kind 'url' | 'syndicated' | 'similar' (a past issue) or 'pool' (an earlier article in this pool, with its `source`)
+ */
+export const flagPoolDuplicates = (pool = [], covered = []) => {
+  const matchCovered = createDuplicateMatcher(covered);
+  const matchPool = createDuplicateMatcher(pool.map((article, position) => ({ position, title: article.title || '', text: article.summary || '', urls: [article.url] })));
+
+  return pool.map((article, index) => {
+    const candidate = { title: article.title || '', text: article.summary || '', url: article.url };
+    const past = covered.length > 0 ? matchCovered(candidate) : null;
+    if (past) {
+      return {
+        ...article,
+        duplicate: { kind: past.kind, score: past.score, issueNumber: past.story.issueNumber, section: past.story.section, title: past.story.title, url: past.story.urls[0] || null }
+      };
+    }
+
+    // Only earlier articles count - the first copy of a story stays selectable
+    const earlier = matchPool({ ...candidate, url: null }, story => story.position < index);
+    if (earlier) {
+      const original = pool[earlier.story.position];
+      return {
+        ...article,
+        duplicate: { kind: 'pool', score: earlier.score, issueNumber: null, section: null, title: original.title, url: original.url, source: original.source }
+      };
+    }
+    return article;
+  });
+};
+
+/**
+ * Finished sections that repeat a story from a past issue
+ * @param {Object} newsletterData - Issue content
+ * @param {Array} covered - From collectCoveredStories (stories from this issue's own number are ignored)
+ * @returns {Object} { count, bySection: { [section]: [{ index, title, issueNumber, pastSection, pastTitle, score, kind }] } }
+ *   - index is the story / pulse item (null for single-story sections)
+ */
+export const checkIssueDuplicates = (newsletterData, covered = []) => {
+  const issueNumber = newsletterData.preHeader?.issueNumber;
+  const past = covered.filter(story => story.issueNumber === null || String(story.issueNumber) !== String(issueNumber));
+  const summary = { count: 0, bySection: {} };
+  if (past.length === 0) return summary;
+
+  const match = createDuplicateMatcher(past);
+  storiesFromIssue(newsletterData).forEach(story => {
+    const found = story.urls.map(url => match({ title: story.title, text: story.text, url })).find(Boolean)
+      || match({ title: story.title, text: story.text, url: null });
+    if (!found) return;
+
+    summary.count++;
+    (summary.bySection[story.section] ||= []).push({
+      index: story.index,
+      title: label(story),
+      issueNumber: found.story.issueNumber,
+      pastSection: found.story.section,
+      pastTitle: label(found.story),
+      score: found.score,
+      kind: found.kind
+    });
+  });
+  return summary;
+};
+
+export default {
+  usedStoryTitle,
+  collectCoveredStories,
+  createDuplicateMatcher,
+  flagPoolDuplicates,
+  checkIssueDuplicates
+};
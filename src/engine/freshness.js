@@ -0,0 +1,88 @@
+/**
+ * Article freshness - are a section's cited articles inside its window?
+ *
+ * The prompts ask for recent articles, but `publishedDate` is whatever the model writes.
+ * This checks each cited URL against a real date instead: the article pool's `date`
+ * (from the feed), or the page's article:published_time from a link check.
+ * Windows are set per section in src/config/structure.json (`freshness`).
+ */
+
+import { structure } from '../config/index.js';
+import { collectIssueLinks } from './links.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Freshness rule for an issue section
+ * @param {string} section - newsletterData key (leadStory, thePulse, ...)
+ * @returns {Object|null} { maxAgeDays } - null when the section isn't checked
+ */
+export const getFreshnessRule = (section) => {
+  const config = structure.freshness || {};
+  const rule = config.sections?.[section];
+  if (!rule || rule.enabled === false) return null;
+  return { maxAgeDays: rule.maxAgeDays || config.defaultMaxAgeDays || 14 };
+};
+
+/**
+ * Publish dates from an article pool, keyed by URL (articles whose feed gave no date are left out)
+ * @param {Array} articles - Pool from fetchArticlePool
+ * @returns {Object} url → ISO date
+ */
+export const getArticleDates = (articles = []) => Object.fromEntries(
+  articles
+    .filter(article => article.url && article.date && !article.undated)
+    .map(article => [article.url, article.date])
+);
+
+// preHeader.date is written as "Oct 23, 2026" - fall back to now for anything unparseable
+const parseIssueDate = (value) => {
+  const parsed = Date.parse(value || '');
+  return Number.isNaN(parsed) ? new Date() : new Date(parsed);
+};
+
+/**
+ * Check every cited URL in the issue against its section's window
+ * @param {Object} newsletterData - Issue content
+ * @param {Object} options
+ * @param {Object} options.articleDates - url → date, from getArticleDates
+ * @param {Object} options.linkResults - url → link check result (its `published` is used when the pool has no date)
+ * @param {Date} options.date - Issue date the windows count back from (default: preHeader.date)
+ * @returns {Object} { fresh, stale, undated, bySection: { [section]: { maxAgeDays, fresh, stale, undated, links } } }
+ *   - each link: { section, kind, text, url, status: 'fresh'|'stale'|'undated', published, dateSource: 'pool'|'page'|null, ageDays }
+ */
+export const checkFreshness = (newsletterData, { articleDates = {}, linkResults = {}, date = parseIssueDate(newsletterData.preHeader?.date) } = {}) => {
+  const summary = { fresh: 0, stale: 0, undated: 0, bySection: {} };
+  // Compare calendar days - an article from the morning of the cutoff day still counts
+  const issueDay = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+  collectIssueLinks(newsletterData).forEach(link => {
+    const rule = getFreshnessRule(link.section);
+    if (!rule) return;
+
+    const pageDate = linkResults[link.url]?.published;
+    const published = articleDates[link.url] || pageDate || null;
+    const dateSource = articleDates[link.url] ? 'pool' : pageDate ? 'page' : null;
+
+    let status = 'undated';
+    let ageDays = null;
+    if (published) {
+      const day = new Date(published);
+      ageDays = Math.max(0, Math.floor((issueDay - new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime()) / DAY_MS));
+      status = ageDays > rule.maxAgeDays ? 'stale' : 'fresh';
+    }
+
+    const section = summary.bySection[link.section] ||= { maxAgeDays: rule.maxAgeDays, fresh: 0, stale: 0, undated: 0, links: [] };
+    summary[status]++;
+    section[status]++;
+    section.links.push({ ...link, status, published, dateSource, ageDays });
+  });
+
+  return summary;
+};
+
+export default {
+  getFreshnessRule,
+  getArticleDates,
+  checkFreshness
+};
@@ -0,0 +1,158 @@
+/**
+ * Full article text - what the writer gets beyond the feed summary
+ *
+ * Feed summaries are cut to 500 characters (cleanSummary in rss.js), so sections written from
+ * them came out thin or fell back to web search. Before writing, the engine reads the page of
+ * each article it's about to write from (api/_lib/articleText.js - through /api/extract in the
+ * app) and keeps a bounded excerpt on the article as `fullText`, with the byline, publish time
+ * and canonical URL. Prompts add the excerpt when there is one; articles whose pages couldn't
+ * be read are written from their summary as before.
+ */
+
+import { DISTRIBUTION_SLOTS } from './research.js';
+
+// Per article in a single-article section - the opening of most news stories
+export const EXCERPT_CHARS = 2000;
+
+// Per article in sections written from several (On Our Radar, Worth Knowing)
+export const SHORT_EXCERPT_CHARS = 600;
+
+// Less than this is a paywall stub or a cookie wall, not the story
+const MIN_TEXT_CHARS = 300;
+
+// The Pulse is written from headlines - its seven articles aren't worth seven page reads
+const FULL_TEXT_SLOTS = DISTRIBUTION_SLOTS.map(slot => slot.key).filter(key => key !== 'quickHits');
+
+/**
+ * Cut article text to at most maxChars - whole paragraphs, then whole sentences of the next one
+ * @param {string} text - Article text, one paragraph per line
+ * @param {number} maxChars - Length limit
+ * @returns {string} The excerpt, ending in "…" when something was cut
+ */
+export const boundExcerpt = (text, maxChars = EXCERPT_CHARS) => {
+  const trimmed = (text || '').trim();
+  if (trimmed.length <= maxChars) return trimmed;
+
+  let excerpt = '';
+  for (const paragraph of trimmed.split('\n')) {
+    const joined = excerpt ? `${excerpt}\n${paragraph}` : paragraph;
+    if (joined.length <= maxChars) {
+      excerpt = joined;
+      continue;
+    }
+    const room = maxChars - excerpt.length - 1;
+    let partial = '';
+    for (const sentence of paragraph.match(/[^.!?]+[.!?]+["”’)]*\s*/g) || []) {
+      if ((partial + sentence).trimEnd().length > room) break;
+      partial += sentence;
+    }
+    if (partial.trim()) excerpt = excerpt ? `${excerpt}\n${partial.trim()}` : partial.trim();
+    break;
+  }
+  // One enormous first sentence - cut at a word
+  if (!excerpt) excerpt = trimmed.slice(0, maxChars).replace(/\s+\S*$/, '');
+  return `${excerpt} …`;
+};
+
+/**
+ * Read the pages of articles that don't have their full text yet
+ * @param {Array} articles - Pool articles (null entries are passed through)
+ * @param {Function} fetchFullText - (urls) → Promise of api/_lib/articleText.js results, one per URL
+ * @param {Object} options - { onStatus }
+ * @returns {Promise<Array>} The articles (the same array when there was nothing to read) - read ones with `fullText`: { excerpt, chars, author, published, canonicalUrl };
+ *   pages that couldn't be read get `fullText: { error }` so they aren't fetched again
+ */
+export const addFullText = async (articles, fetchFullText, { onStatus = () => {} } = {}) => {
+  const urls = [...new Set(articles.filter(article => article?.url && !article.fullText).map(article => article.url))];
+  if (!fetchFullText || urls.length === 0) return articles;
+
+  onStatus(`📖 Reading ${urls.length} article${urls.length === 1 ? '' : 's'} in full...`);
+  let results;
+  try {
+    results = await fetchFullText(urls);
+  } catch (error) {
+    console.warn('Full text fetch failed:', error);
+    onStatus(`⚠️ Couldn't read the articles (${error.message}) - writing from feed summaries`);
+    return articles;
+  }
+
+  const byUrl = Object.fromEntries((results || []).filter(Boolean).map(result => [result.url, result]));
+  const read = new Set();
+  const withText = articles.map(article => {
+    const result = article?.url && !article.fullText ? byUrl[article.url] : null;
+    if (!result) return article;
+    if (!result.text || result.text.length < MIN_TEXT_CHARS) {
+      return { ...article, fullText: { error: result.error || 'Too little text on the page (paywall?)' } };
+    }
+    read.add(article.url);
+    return {
+      ...article,
+      fullText: {
+        excerpt: boundExcerpt(result.text),
+        chars: result.text.length,
+        author: result.author || null,
+        published: result.published || null,
+        canonicalUrl: result.canonicalUrl || null
+      }
+    };
+  });
+
+  onStatus(read.size === urls.length
+    ? `✓ Read ${read.size} article${read.size === 1 ? '' : 's'} in full`
+    : `⚠️ Read ${read.size} of ${urls.length} articles in full - the rest are written from their feed summaries`);
+  return withText;
+};
+
+/**
+ * Read the full text of every article a distribution writes from (all slots but The Pulse)
+ * @param {Object} distribution - From distributeArticles
+ * @param {Function} fetchFullText - As for addFullText
+ * @param {Object} options - { onStatus }
+ * @returns {Promise<Object>} The distribution with its articles replaced by their read copies (the same object when there was nothing to read)
+ */
+export const addDistributionFullText = async (distribution, fetchFullText, options = {}) => {
+  if (!distribution) return distribution;
+  const articles = FULL_TEXT_SLOTS.flatMap(key => [distribution[key]].flat()).filter(Boolean);
+  const read = await addFullText(articles, fetchFullText, options);
+  if (read === articles) return distribution;
+
+  const byUrl = Object.fromEntries(read.map(article => [article.url, article]));
+  const swap = (article) => (article && byUrl[article.url]) || article;
+
+  return {
+    ...distribution,
+    ...Object.fromEntries(FULL_TEXT_SLOTS
+      .filter(key => key in distribution)
+      .map(key => [key, Array.isArray(distribution[key]) ? distribution[key].map(swap) : swap(distribution[key])]))
+  };
+};
+
+/**
+ * Prompt lines for an article's byline and text excerpt - added under its Summary line
+ * @param {Object} article - Pool article
+ * @param {Object} options - { maxChars: excerpt limit (SHORT_EXCERPT_CHARS for multi-article sections) }
+ * @returns {string} Prompt text, '' when the article's page wasn't read
+ */
+export const formatFullText = (article, { maxChars = EXCERPT_CHARS } = {}) => {
+  const fullText = article?.fullText;
+  if (!fullText?.excerpt) return '';
+
+  const byline = [
+    fullText.author && `by ${fullText.author}`,
+    fullText.published && `published ${fullText.published.slice(0, 10)}`
+  ].filter(Boolean).join(', ');
+  return `${byline ? `\n  Byline: ${byline}` : ''}
+  From the article (facts, numbers and quotes must come from this text or the summary):
+  """
+  ${boundExcerpt(fullText.excerpt, maxChars).split('\n').join('\n  ')}
+  """`;
+};
+
+export default {
+  EXCERPT_CHARS,
+  SHORT_EXCERPT_CHARS,
+  boundExcerpt,
+  addFullText,
+  addDistributionFullText,
+  formatFullText
+};
@@ -0,0 +1,240 @@
+/**
+ * Fact grounding - is every number, named person and quote backed by the article it cites?
+ *
+ * Claims are pulled from each section's text (the stat's primeNumber, lead story quotes,
+ * "Dr. X said...") and looked up in the text of the articles that section links to.
+ * Anything not found is "unsupported" - the Preview tab highlights it. This is what answers
+ * the trust test's "Would a doctor cringe?" (src/config/style-guide.json → trustTest).
+ */
+
+import { styleGuide } from '../config/index.js';
+import { parseLinks } from './links.js';
+
+const settings = styleGuide.trustTest?.grounding || {};
+const MIN_QUOTE_WORDS = settings.minQuoteWords || 4;
+const IGNORE_YEARS = settings.ignoreYears !== false;
+
+// Share of a quote's 4-word runs that must appear in the source (allows small trims and "...")
+const QUOTE_MATCH_SHARE = 0.8;
+
+const SCALES = { thousand: 1e3, k: 1e3, K: 1e3, million: 1e6, M: 1e6, billion: 1e9, B: 1e9, trillion: 1e12, T: 1e12 };
+
+// $403.86B, 2,400, 37%, 37 percent, 1.5 million - not part of a word like COVID-19 or H5N1
+const NUMBER_REGEX = /(?<![\w.,-])([$€£]\s?)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(\s?%|\s*(?:percent|per cent|thousand|million|billion|trillion)\b|[kKMBT]\b)?/g;
+
+const NAME = "[A-Z][a-z'’-]+";
+const NAME_PATTERNS = [
+  // Dr. Rajesh Rao, Prof. Jane Q. Smith
+  new RegExp(`\\b(?:Dr|Prof|Professor)\\.?\\s+((?:${NAME}\\s+)?(?:[A-Z]\\.\\s+)?${NAME})`, 'g'),
+  // ...said Jane Smith
+  new RegExp(`\\b(?:said|says|explained|explains|noted|notes|told|according to)\\s+(${NAME}(?:\\s+${NAME}){1,2})`, 'g'),
+  // Jane Smith said...
+  new RegExp(`\\b(${NAME}\\s+${NAME}),?\\s+(?:said|says|explained|explains|noted|notes|told)\\b`, 'g')
+];
+
+const QUOTE_REGEX = /["“]([^"“”]+)["”]/g;
+
+// Words that mark a number as rounded - "about 40%", "nearly 1.5 million", "~400"
+const APPROXIMATE_BEFORE = /(?:~\s*|\b(?:about|around|roughly|nearly|almost|approximately|close to|an estimated)\s+)$/i;
+
+// Visible text: link syntax replaced by its text, bold markers dropped
+const visibleText = (text) => (text || '')
+  .replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '$1')
+  .replace(/\*\*/g, '');
+
+const words = (text) => text
+  .toLowerCase()
+  .replace(/[’‘]/g, '\'')
+  .replace(/[^a-z0-9'%$.\s]/g, ' ')
+  .split(/\s+/)
+  .map(word => word.replace(/^[.']+|[.']+$/g, ''))
+  .filter(Boolean);
+
+const parseNumber = (match) => {
+  const [, currency, whole, decimals = '', unit = ''] = match;
+  const unitWord = unit.trim();
+  const isPercent = unitWord === '%' || unitWord === 'percent' || unitWord === 'per cent';
+  const scale = SCALES[unitWord] || 1;
+  const value = parseFloat(whole.replace(/,/g, '') + decimals) * scale;
+
+  // How far a rounded claim may be off: "400" could be 350-450, "403.86" only 403.855-403.865
+  const trailingZeros = decimals ? 0 : (whole.replace(/,/g, '').match(/0+$/)?.[0].length || 0);
+  const places = decimals ? decimals.length - 1 : -trailingZeros;
+  const tolerance = 0.5 * Math.pow(10, -places) * scale;
+
+  return { value, tolerance, isPercent, hasUnit: Boolean(currency || unitWord), hasDecimals: Boolean(decimals), whole };
+};
+
+/**
+ * Pull checkable claims out of a piece of section text
+ * @param {string} text - Section text (may contain {{LINK}} syntax and **bold**)
+ * @returns {Array} { type: 'number'|'name'|'quote', text, approximate? } - text is exactly as it appears to readers;
+ *   numbers carry `approximate` when the text marks them as rounded ("about 40%")
+ */
+export const extractClaims = (text) => {
+  const visible = visibleText(text);
+  const claims = [];
+  const seen = new Set();
+  const add = (type, claimText, extra = {}) => {
+    const key = `${type}:${claimText}:${Boolean(extra.approximate)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    claims.push({ type, text: claimText, ...extra });
+  };
+
+  for (const match of visible.matchAll(NUMBER_REGEX)) {
+    const number = parseNumber(match);
+    const plain = !number.hasUnit && !number.hasDecimals;
+    if (plain && number.value < 10) continue;
+    if (plain && IGNORE_YEARS && /^(19|20)\d\d$/.test(number.whole)) continue;
+    add('number', match[0].trim(), { approximate: APPROXIMATE_BEFORE.test(visible.slice(0, match.index)) });
+  }
+
+  NAME_PATTERNS.forEach(pattern => {
+    for (const match of visible.matchAll(pattern)) add('name', match[1]);
+  });
+
+  for (const match of visible.matchAll(QUOTE_REGEX)) {
+    const quote = match[1].trim();
+    if (words(quote).length >= MIN_QUOTE_WORDS) add('quote', quote);
+  }
+
+  return claims;
+};
+
+/**
+ * Is a claim backed by the source text?
+ * A number has to be in the source as written, up to formatting ("1.5 million" = "1,500,000", "37%" = "37 percent");
+ * only one marked approximate may be rounded ("about 400" is backed by 380)
+ * @param {Object} claim - From extractClaims
+ * @param {string} sourceText - Text of the cited article(s)
+ * @returns {boolean}
+ */
+export const isClaimSupported = (claim, sourceText) => {
+  if (claim.type === 'number') {
+    const [match] = [...claim.text.matchAll(NUMBER_REGEX)];
+    if (!match) return false;
+    const wanted = parseNumber(match);
+    for (const sourceMatch of sourceText.matchAll(NUMBER_REGEX)) {
+      const found = parseNumber(sourceMatch);
+      if (found.isPercent !== wanted.isPercent) continue;
+      const tolerance = claim.approximate ? wanted.tolerance : 0;
+      if (Math.abs(found.value - wanted.value) <= tolerance + Math.abs(found.value) * 1e-9) return true;
+    }
+    return false;
+  }
+
+  if (claim.type === 'name') {
+    // The surname is enough - sources often use "Rao" or "Dr. Rao" after the first mention
+    const surname = claim.text.split(/\s+/).pop().toLowerCase().replace(/’/g, '\'');
+    return words(sourceText).includes(surname);
+  }
+
+  const quoteWords = words(claim.text);
+  const source = ` ${words(sourceText).join(' ')} `;
+  if (source.includes(` ${quoteWords.join(' ')} `)) return true;
+
+  const runs = [];
+  for (let i = 0; i + 4 <= quoteWords.length; i++) runs.push(quoteWords.slice(i, i + 4).join(' '));
+  if (runs.length === 0) return false;
+  return runs.filter(run => source.includes(` ${run} `)).length / runs.length >= QUOTE_MATCH_SHARE;
+};
+
+// Pieces of the issue that are checked against their own links: { section, index, fields: [{ field, text }], urls }
+const groundingUnits = (d) => {
+  const units = [];
+  const unit = (section, index, fields, sources = []) => {
+    const urls = new Set();
+    fields.forEach(({ text }) => parseLinks(text).forEach(link => urls.add(link.url)));
+    sources.forEach(source => source?.url && urls.add(source.url));
+    units.push({ section, index, fields: fields.filter(({ text }) => text), urls: [...urls] });
+  };
+
+  if (d.leadStory) unit('leadStory', null, [{ field: 'headline', text: d.leadStory.headline }, { field: 'content', text: d.leadStory.content }], d.leadStory.sources);
+  if (d.yourOptionsThisWeek) unit('yourOptionsThisWeek', null, [{ field: 'subtitle', text: d.yourOptionsThisWeek.subtitle }, { field: 'content', text: d.yourOptionsThisWeek.content }], d.yourOptionsThisWeek.sources);
+  if (d.livingWell) unit('livingWell', null, [{ field: 'headline', text: d.livingWell.headline }, { field: 'content', text: d.livingWell.content }], d.livingWell.sources);
+  (d.secondaryStories?.stories || []).forEach((story, index) => {
+    unit('secondaryStories', index, [{ field: 'boldLead', text: story.boldLead }, { field: 'content', text: story.content }], story.sources);
+  });
+  if (d.industryDeepDive) unit('industryDeepDive', null, [{ field: 'headline', text: d.industryDeepDive.headline }, { field: 'content', text: d.industryDeepDive.content }], d.industryDeepDive.sources);
+  if (d.statSection) {
+    unit('statSection', null, [
+      { field: 'primeNumber', text: d.statSection.primeNumber },
+      { field: 'headline', text: d.statSection.headline },
+      { field: 'content', text: d.statSection.content }
+    ], d.statSection.sources);
+  }
+  (d.thePulse?.items || []).forEach((item, index) => {
+    unit('thePulse', index, [{ field: 'text', text: typeof item === 'string' ? item : item.text }]);
+  });
+
+  return units;
+};
+
+/**
+ * URLs whose article text the grounding check needs
+ * @param {Object} newsletterData - Issue content
+ * @returns {Array<string>} Distinct URLs
+ */
+export const getGroundingUrls = (newsletterData) => [...new Set(groundingUnits(newsletterData).flatMap(unit => unit.urls))];
+
+/**
+ * Check every claim in the issue against the text of the articles its section links to
+ * @param {Object} newsletterData - Issue content
+ * @param {Object} sourceTexts - url → article text (missing or null when the page couldn't be read)
+ * @returns {Object} { supported, unsupported, unchecked, claims, bySection: { [section]: { supported, unsupported, unchecked, claims } } }
+ *   - each claim: { section, index (story / pulse item, else null), field, type, text, status: 'supported'|'unsupported'|'unchecked' }
+ */
+export const checkGrounding = (newsletterData, sourceTexts = {}) => {
+  const summary = { supported: 0, unsupported: 0, unchecked: 0, claims: [], bySection: {} };
+
+  groundingUnits(newsletterData).forEach(unit => {
+    const texts = unit.urls.map(url => sourceTexts[url]).filter(Boolean);
+    const sourceText = texts.join('\n');
+
+    unit.fields.forEach(({ field, text }) => {
+      extractClaims(text).forEach(claim => {
+        const status = texts.length === 0 ? 'unchecked' : isClaimSupported(claim, sourceText) ? 'supported' : 'unsupported';
+        const result = { section: unit.section, index: unit.index, field, ...claim, status };
+        const section = summary.bySection[unit.section] ||= { supported: 0, unsupported: 0, unchecked: 0, claims: [] };
+        summary[status]++;
+        section[status]++;
+        summary.claims.push(result);
+        section.claims.push(result);
+      });
+    });
+  });
+
+  return summary;
+};
+
+/**
+ * The style guide's trust test with automated answers filled in
+ * @param {Object} checks - Results by check name ({ grounding } from checkGrounding)
+ * @returns {Array} { question, check, passes, status: 'pass'|'fail'|'unchecked'|null, detail } - status null means "ask yourself"
+ */
+export const getTrustTest = (checks = {}) => (styleGuide.trustTest?.questions || []).map(entry => {
+  const question = typeof entry === 'string' ? { question: entry } : entry;
+  if (question.check !== 'grounding') return { ...question, status: null, detail: '' };
+
+  const grounding = checks.grounding;
+  if (!grounding || grounding.supported + grounding.unsupported === 0) {
+    return { ...question, status: 'unchecked', detail: 'Run the fact check to answer this' };
+  }
+  const checked = grounding.supported + grounding.unsupported;
+  return {
+    ...question,
+    status: grounding.unsupported > 0 ? 'fail' : 'pass',
+    detail: grounding.unsupported > 0
+      ? `${grounding.unsupported} of ${checked} claims not found in their sources`
+      : `All ${checked} claims found in their sources${grounding.unchecked > 0 ? ` (${grounding.unchecked} couldn't be checked)` : ''}`
+  };
+});
+
+export default {
+  extractClaims,
+  isClaimSupported,
+  getGroundingUrls,
+  checkGrounding,
+  getTrustTest
+};
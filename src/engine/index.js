@@ -0,0 +1,410 @@
+/**
+ * Renewal Weekly Engine
+ *
+ * Headless newsletter generation: research → distribute → write, with no React.
+ * Takes a provider (src/services/llm) plus options and returns a complete newsletterData.
+ *
+ *   const engine = createEngine({ provider: createProvider('mock') });
+ *   const unsubscribe = engine.on(event => console.log(event.type, event.message));
+ *   const { newsletterData, game, checkpoint } = await engine.buildIssue({ previous, usedStories, usedUrls });
+ *   // ...rate limited part-way? Re-run only what didn't finish:
+ *   await engine.resumeIssue({ current: newsletterData, game, checkpoint, usedStories, usedUrls });
+ *
+ *   // ...and a version per audience segment from the same pool:
+ *   const variants = await engine.buildVariants({ newsletterData, pool });
+ *
+ * Events: status, loading, queue, usage, issue, articles, distribution, update, game, storyUsed, urlsUsed, checkpoint, variant
+ */
+
+import { fetchArticlePool } from '../services/rss.js';
+import { fetchResearchCounts, fetchTrialsRecruiting } from '../services/researchSources.js';
+import { generateText, sharedScheduler } from '../services/llm/index.js';
+import { buildSectionRequest, buildWriteRequest, buildArticleContext } from './prompts.js';
+import { cleanAIOutput, stripCitationArtifacts } from './content.js';
+import { withOutputSchema, parseJsonOutput, validateOutput, buildRepairRequest } from './schemas.js';
+import { runPipeline } from './pipeline.js';
+import { createDefaultNewsletter } from './defaultNewsletter.js';
+import { createCheckpoint, getPendingSteps } from './checkpoint.js';
+import { researchArticles, distributeArticles } from './research.js';
+import { buildStyleFixRequest, applyStyleFix } from './styleLint.js';
+import { reviewSafety } from './safety.js';
+import { getSegments, pickSegmentArticles, buildSegmentFraming, applyVariantSections, getSharedLinks, getSharedUrls } from './variants.js';
+import { addFullText } from './fullText.js';
+
+/**
+ * Create an engine bound to a provider
+ * @param {Object} options
+ * @param {Object} options.provider - LLM provider from createProvider()
+ * @param {string} options.tier - 'production' or 'test' (Haiku)
+ * @param {Function} options.fetchArticles - (daysBack, date) → articles; defaults to fetchArticlePool
+ * @param {number} options.daysBack - Article window for research (default 7)
+ * @param {Object} options.scheduler - Request scheduler (default: the shared one in src/services/llm/scheduler.js)
+ * @param {boolean} options.rateRelevance - Also have the model rate pool articles for audience relevance (one call per 20 articles)
+ * @param {Function} options.fetchFullText - (urls) → article text results (api/_lib/articleText.js); when set, sections are written
+ *   from an excerpt of each article's page, not just its feed summary (fullText.js)
+ * @param {Function} options.fetchStats - (daysBack, date) → PubMed / ClinicalTrials.gov counts for the metrics dashboard;
+ *   defaults to fetchResearchCounts (src/services/researchSources.js), null for feed-only metrics
+ * @param {Function} options.fetchTrials - (daysBack, date) → Trials Recruiting Now cards; defaults to fetchTrialsRecruiting
+ *   (src/services/researchSources.js), null to leave the section out
+ * @returns {Object} { on, buildIssue, resumeIssue, researchIssue, buildVariants, generateSection, generateStructured, writeSection, fixStyle }
+ */
+export const createEngine = ({
+  provider,
+  tier = 'production',
+  fetchArticles = fetchArticlePool,
+  daysBack = 7,
+  scheduler = sharedScheduler,
+  rateRelevance = false,
+  fetchFullText = null,
+  fetchStats = fetchResearchCounts,
+  fetchTrials = fetchTrialsRecruiting
+}) => {
+  const listeners = new Set();
+
+  const emit = (event) => {
+    listeners.forEach(listener => listener(event));
+  };
+
+  /**
+   * Subscribe to engine events
+   * @param {Function} listener - Called with every event ({ type, ... })
+   * @returns {Function} Unsubscribe
+   */
+  const on = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Every AI call reports what it used - listeners roll these up per issue
+  const onUsage = (record) => emit({ type: 'usage', record: { ...record, mode: tier } });
+
+  // Send a section request through the scheduler, reporting where it waits in the queue
+  const sendSectionRequest = (sectionType, request) => generateText(provider, request, {
+    scheduler,
+    onUsage,
+    onStatus: (message) => emit({ type: 'status', message }),
+    onQueue: ({ position, waitMs }) => {
+      emit({ type: 'queue', section: sectionType, position, waitMs });
+      if (position > 0 && waitMs > 0) {
+        emit({ type: 'status', message: `⏳ ${sectionType} is #${position} in the queue - about ${Math.ceil(waitMs / 1000)}s` });
+      }
+    }
+  });
+
+  // Run a section call with loading/status events around it - null when it fails
+  const runSection = async (sectionType, call) => {
+    emit({ type: 'loading', section: sectionType, loading: true });
+    emit({ type: 'status', message: `🔍 Researching ${sectionType}...` });
+
+    try {
+      const result = await call();
+      emit({ type: 'status', message: result === null ? `⚠️ ${sectionType} failed: response didn't match its format` : `✓ Generated ${sectionType}` });
+      return result;
+    } catch (error) {
+      console.error(`Error generating ${sectionType}:`, error);
+      emit({ type: 'status', message: `⚠️ ${sectionType} failed: ${error.message}` });
+      emit({ type: 'queue', section: sectionType, position: 0, waitMs: 0 });
+      return null;
+    } finally {
+      emit({ type: 'loading', section: sectionType, loading: false });
+    }
+  };
+
+  /**
+   * Generate one section with the built-in prompts, as text
+   * @param {string} sectionType - Section key (leadStory, thePulse, ...)
+   * @param {string} customPrompt - Article context / AVOID_TOPIC / full prompt
+   * @param {boolean} useWebSearch - Allow web search for sections that support it
+   * @param {Object} options - { date } issue date
+   * @returns {Promise<string|null>} Cleaned section text, or null if generation failed
+   */
+  const generateSection = (sectionType, customPrompt = '', useWebSearch = true, { date = new Date() } = {}) => {
+    return runSection(sectionType, async () => {
+      const { text } = await sendSectionRequest(sectionType, buildSectionRequest(sectionType, customPrompt, useWebSearch, { tier, date }));
+      return cleanAIOutput(text);
+    });
+  };
+
+  /**
+   * Generate one section as structured data matching its schema in structure.json (outputSchemas)
+   * The answer is requested through the output tool and validated; if it doesn't match,
+   * the model is asked once to repair it.
+   * @param {string} sectionType - Section key (leadStory, thePulse, ...)
+   * @param {string} customPrompt - Article context / AVOID_TOPIC / full prompt
+   * @param {boolean} useWebSearch - Allow web search for sections that support it
+   * @param {Object} options - { date } issue date, { schema } output schema key (defaults to sectionType)
+   * @returns {Promise<*|null>} Validated value, or null if generation or the repair failed
+   */
+  const generateStructured = (sectionType, customPrompt = '', useWebSearch = true, { date = new Date(), schema = sectionType } = {}) => {
+    return runSection(sectionType, async () => {
+      const request = withOutputSchema(buildSectionRequest(sectionType, customPrompt, useWebSearch, { tier, date }), schema);
+
+      const result = await sendSectionRequest(sectionType, request);
+      let value = result.output ?? parseJsonOutput(result.text);
+      let errors = validateOutput(value, request.output.schema);
+      if (errors.length === 0) return stripCitationArtifacts(value);
+
+      console.warn(`${schema} response failed validation:`, errors);
+      emit({ type: 'status', message: `🔧 ${sectionType} didn't match its format (${errors[0]}) - asking for a fix...` });
+
+      const answer = value === undefined ? result.text : JSON.stringify(value, null, 2);
+      const repaired = await sendSectionRequest(sectionType, buildRepairRequest(request, answer, errors));
+      value = repaired.output ?? parseJsonOutput(repaired.text);
+      errors = validateOutput(value, request.output.schema);
+      if (errors.length === 0) return stripCitationArtifacts(value);
+
+      console.error(`${schema} repair failed validation:`, errors);
+      return null;
+    });
+  };
+
+  /**
+   * Write a section straight from pre-researched article(s)
+   * @param {string} sectionType - Section key
+   * @param {Object|Array} articleData - Article(s) from the pool - their pages are read first when the engine has fetchFullText
+   * @param {string} additionalContext - Extra instructions
+   * @param {Object} options - { date }
+   * @returns {Promise<string|null>} Cleaned section text, or null on failure
+   */
+  const writeSection = async (sectionType, articleData, additionalContext = '', { date = new Date() } = {}) => {
+    if (!articleData) return null;
+
+    const status = (message) => emit({ type: 'status', message });
+    const read = await addFullText([articleData].flat(), fetchFullText, { onStatus: status });
+    const articles = Array.isArray(articleData) ? read : read[0];
+
+    status(`✍️ Phase 3: Writing ${sectionType}...`);
+
+    try {
+      const { text } = await generateText(provider, buildWriteRequest(sectionType, articles, additionalContext, { tier, date }), { scheduler, onUsage });
+      return cleanAIOutput(text);
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Send a section's style violations (styleLint.js) back to the model and get the section fixed
+   * @param {string} section - newsletterData key (leadStory, thePulse, ...)
+   * @param {Object} newsletterData - Issue content
+   * @param {Array} violations - From lintSection
+   * @returns {Promise<Object|null>} New value for newsletterData[section], or null if the fix failed
+   */
+  const fixStyle = (section, newsletterData, violations) => {
+    return runSection(section, async () => {
+      const request = buildStyleFixRequest(newsletterData, section, violations, { tier });
+      const result = await sendSectionRequest(section, request);
+      if (!request.output) return applyStyleFix(newsletterData, section, cleanAIOutput(result.text));
+
+      const value = result.output ?? parseJsonOutput(result.text);
+      const errors = validateOutput(value, request.output.schema);
+      if (errors.length > 0) {
+        console.error(`${section} style fix failed validation:`, errors);
+        return null;
+      }
+      return applyStyleFix(newsletterData, section, stripCitationArtifacts(value));
+    });
+  };
+
+  /**
+   * Research and distribute articles without writing anything - for the Article Pool, where an editor
+   * rearranges the picks before building from them (buildIssue({ distribution }))
+   * @param {Object} input
+   * @param {Array} input.usedUrls - URLs already linked (excluded from selection)
+   * @param {Array} input.covered - Stories from past issues (collectCoveredStories)
+   * @param {Date} input.date - Issue date (default: today)
+   * @returns {Promise<Object>} { pool, selected, distribution } - selected articles carry the model's `reason`
+   */
+  const researchIssue = async ({ usedUrls = [], covered = [], date = new Date() } = {}) => {
+    const status = (message) => emit({ type: 'status', message });
+    const { pool, selected, candidates } = await researchArticles({
+      provider, tier, usedUrls, covered, rateRelevance, fetchArticles, daysBack, date, scheduler, onUsage, onStatus: status
+    });
+    emit({ type: 'articles', pool, selected: selected || [] });
+    const distribution = distributeArticles(selected || [], status, { reserve: candidates });
+    emit({ type: 'distribution', distribution });
+    return { pool, selected: selected || [], distribution };
+  };
+
+  /**
+   * Build a complete issue on top of the previous one
+   * @param {Object} input
+   * @param {Object} input.previous - Previous newsletterData (defaults to the built-in template)
+   * @param {Array} input.usedStories - Headlines already covered (avoid repeats)
+   * @param {Array} input.usedUrls - URLs already linked (excluded from research)
+   * @param {Array} input.covered - Stories from past issues (collectCoveredStories) - near-duplicates are left out of research
+   * @param {Object} input.distribution - Articles an editor placed in the Article Pool (skips research; see researchIssue)
+   * @param {Date} input.date - Issue date (default: today)
+   * @returns {Promise<Object>} { newsletterData, game, usedStories, usedUrls, checkpoint, safety } - stories/URLs are the ones this issue used
+   */
+  const buildIssue = ({ previous = createDefaultNewsletter(), usedStories = [], usedUrls = [], covered = [], distribution = null, date = new Date() } = {}) => {
+    return runPipeline({
+      previous,
+      usedStories,
+      usedUrls,
+      covered,
+      distribution,
+      provider,
+      tier,
+      rateRelevance,
+      date,
+      fetchArticles,
+      daysBack,
+      fetchFullText,
+      fetchStats,
+      fetchTrials,
+      generateSection: (sectionType, customPrompt, useWebSearch) => generateSection(sectionType, customPrompt, useWebSearch, { date }),
+      generateStructured: (sectionType, customPrompt, useWebSearch, options) => generateStructured(sectionType, customPrompt, useWebSearch, { ...options, date }),
+      scheduler,
+      onUsage,
+      emit
+    });
+  };
+
+  /**
+   * Finish an issue whose build stopped part-way - re-runs only failed, unreached or placeholder sections
+   * @param {Object} input
+   * @param {Object} input.current - The issue as it stands (edits since the build are kept)
+   * @param {Object} input.game - Current trivia game
+   * @param {Object} input.checkpoint - Checkpoint from buildIssue; ignored if it belongs to another issue
+   * @param {Array} input.usedStories - Headlines already covered
+   * @param {Array} input.usedUrls - URLs already linked
+   * @param {Array} input.covered - Stories from past issues
+   * @returns {Promise<Object>} Same shape as buildIssue
+   */
+  const resumeIssue = async ({ current, game = null, checkpoint = null, usedStories = [], usedUrls = [], covered = [] }) => {
+    const issueNumber = current.preHeader.issueNumber;
+    const matching = checkpoint && checkpoint.issueNumber === issueNumber ? checkpoint : null;
+    const steps = getPendingSteps(matching, current, game);
+
+    if (steps.length === 0) {
+      emit({ type: 'status', message: '✅ Nothing to resume - every section finished.' });
+      return { newsletterData: current, game, usedStories: [], usedUrls: [], checkpoint: matching, safety: reviewSafety(current) };
+    }
+
+    // No checkpoint (e.g. cleared storage) - start one from what's on screen; research runs again
+    const issueDate = new Date(current.preHeader.date);
+    const resumeFrom = matching || createCheckpoint({
+      issueNumber,
+      date: isNaN(issueDate) ? new Date() : issueDate,
+      headlines: {
+        lead: current.leadStory.headline,
+        research: current.yourOptionsThisWeek.title,
+        deepDive: current.industryDeepDive.headline,
+        stat: current.statSection.headline
+      }
+    });
+
+    return runPipeline({
+      previous: current,
+      game,
+      checkpoint: resumeFrom,
+      steps,
+      usedStories,
+      usedUrls,
+      covered,
+      provider,
+      tier,
+      rateRelevance,
+      fetchArticles,
+      daysBack,
+      fetchFullText,
+      fetchStats,
+      fetchTrials,
+      generateSection: (sectionType, customPrompt, useWebSearch) => generateSection(sectionType, customPrompt, useWebSearch, { date: new Date(resumeFrom.date) }),
+      generateStructured: (sectionType, customPrompt, useWebSearch, options) => generateStructured(sectionType, customPrompt, useWebSearch, { ...options, date: new Date(resumeFrom.date) }),
+      scheduler,
+      onUsage,
+      emit
+    });
+  };
+
+  /**
+   * Write a version of a finished issue for each audience segment (variants.js) - the lead story and
+   * every other shared section stay; Research Roundup, Deep Dive and Worth Knowing are re-picked
+   * from the pool for the segment and written for its readers
+   * @param {Object} input
+   * @param {Object} input.newsletterData - The finished issue
+   * @param {Array} input.pool - Article pool from research (the `articles` event)
+   * @param {Array<string>} input.segments - audienceSegments keys (default: all of them)
+   * @param {Array} input.usedUrls - URLs already linked in past issues
+   * @returns {Promise<Array>} [{ segment, label, tags, picks, failed, newsletterData }] - picks are the articles each section was written from
+   */
+  const buildVariants = async ({ newsletterData, pool = [], segments = getSegments().map(segment => segment.key), usedUrls = [] }) => {
+    if (pool.length === 0) throw new Error('No article pool to pick from - research or build the issue first');
+
+    const issueDate = new Date(newsletterData.preHeader.date);
+    const date = isNaN(issueDate) ? new Date() : issueDate;
+    const shared = getSharedLinks(newsletterData);
+    const exclude = [...getSharedUrls(newsletterData), ...usedUrls];
+    const variants = [];
+
+    for (const segment of getSegments().filter(segment => segments.includes(segment.key))) {
+      emit({ type: 'status', message: `👥 Writing the ${segment.label} version...` });
+      const picked = pickSegmentArticles(pool, segment.key, { exclude, shared });
+      const [researchRoundupPick, deepDivePick, ...worthKnowingPicks] = await addFullText(
+        [picked.researchRoundup, picked.deepDive, ...picked.worthKnowing], fetchFullText, { onStatus: message => emit({ type: 'status', message }) }
+      );
+      const picks = { researchRoundup: researchRoundupPick, deepDive: deepDivePick, worthKnowing: worthKnowingPicks };
+      const framing = buildSegmentFraming(segment);
+
+      // RSS articles only, like the main issue - no web search
+      const write = (slot) => {
+        const articles = picks[slot];
+        if (!articles || articles.length === 0) return null;
+        return generateStructured(slot, `${buildArticleContext(slot, articles)}\n${framing}`, false, { date });
+      };
+      const [researchRoundup, deepDive, worthKnowing] = await Promise.all(['researchRoundup', 'deepDive', 'worthKnowing'].map(write));
+      const written = { researchRoundup, deepDive, worthKnowing };
+
+      const variant = {
+        segment: segment.key,
+        label: segment.label,
+        tags: [segment.emailTag],
+        picks: Object.fromEntries(Object.entries(picks).map(([slot, articles]) => [slot, [articles].flat().filter(Boolean).map(({ title, url, source, category, audienceScore, segmentFit }) => ({ title, url, source, category, audienceScore, segmentFit }))])),
+        failed: Object.keys(written).filter(slot => !written[slot]),
+        newsletterData: applyVariantSections(newsletterData, picks, written)
+      };
+      const urls = [picks.researchRoundup, picks.deepDive, ...picks.worthKnowing].filter(Boolean).map(article => article.url);
+      if (urls.length > 0) emit({ type: 'urlsUsed', urls });
+      emit({ type: 'variant', variant });
+      variants.push(variant);
+    }
+
+    const failed = variants.filter(variant => variant.failed.length > 0).length;
+    emit({ type: 'status', message: failed > 0 ? `⚠️ ${variants.length} segment versions written - ${failed} kept some of the main issue's sections` : `✅ ${variants.length} segment versions written` });
+    return variants;
+  };
+
+  return {
+    on,
+    buildIssue,
+    resumeIssue,
+    researchIssue,
+    buildVariants,
+    generateSection,
+    generateStructured,
+    writeSection,
+    fixStyle
+  };
+};
+
+export { buildSectionRequest, buildArticleContext, buildWriteRequest } from './prompts.js';
+export { DISTRIBUTION_SLOTS, PICK_MIN_SCORE, researchArticles, distributeArticles, getDistributedArticles } from './research.js';
+export { getOutputSchema, validateOutput } from './schemas.js';
+export { cleanAIOutput, stripCitationArtifacts, extractSourcesFromContent, generateMidjourneyPrompt, splitHeadline } from './content.js';
+export { DEFAULT_NEWSLETTER, createDefaultNewsletter } from './defaultNewsletter.js';
+export { PLACEHOLDERS, PIPELINE_STEPS, getStepLabel, createCheckpoint, getPendingSteps } from './checkpoint.js';
+export { colors, stripLinkSyntax, formatTrialSites, renderHTML, renderPlainText } from './render.js';
+export { parseLinks, collectIssueLinks, linksToCheck, summarizeLinkResults } from './links.js';
+export { getFreshnessRule, getArticleDates, checkFreshness } from './freshness.js';
+export { extractClaims, isClaimSupported, getGroundingUrls, checkGrounding, getTrustTest } from './grounding.js';
+export { getLintSections, lintSection, lintIssue, buildStyleFixRequest, applyStyleFix } from './styleLint.js';
+export { reviewSafety } from './safety.js';
+export { usedStoryTitle, collectCoveredStories, createDuplicateMatcher, flagPoolDuplicates, checkIssueDuplicates } from './duplicates.js';
+export { checkSourceMix, createMixBudget } from './sourceMix.js';
+export { scoreArticle, scoreArticles, scoreSegmentFit, buildRelevanceRequest, rateArticles } from './relevance.js';
+export { EXCERPT_CHARS, SHORT_EXCERPT_CHARS, boundExcerpt, addFullText, addDistributionFullText, formatFullText } from './fullText.js';
+export { VARIANT_SECTIONS, getSegments, pickSegmentArticles, buildSegmentFraming, applyVariantSections, getSharedLinks, getSharedUrls, compareVariants, renderVariantHTML } from './variants.js';
+
+export default createEngine;
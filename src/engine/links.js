@@ -0,0 +1,118 @@
+/**
+ * Every link in an issue, so they can be checked before export
+ * Pure - the app sends the list to /api/links, the CLI hands it straight to api/_lib/linkCheck.js.
+ */
+
+const LINK_REGEX = /\{\{LINK:([^|]+)\|([^}]+)\}\}/g;
+
+/**
+ * Find {{LINK:text|url}} links in section text
+ * @param {string} text - Section text
+ * @returns {Array} { text, url } in order of appearance
+ */
+export const parseLinks = (text) => {
+  if (!text) return [];
+  return [...text.matchAll(LINK_REGEX)].map(match => ({ text: match[1], url: match[2] }));
+};
+
+// Sections whose body is a single `content` string with a `sources` list
+const CONTENT_SECTIONS = ['leadStory', 'yourOptionsThisWeek', 'livingWell', 'industryDeepDive', 'statSection'];
+
+const RECOMMENDATION_KEYS = ['read', 'watch', 'try', 'listen'];
+
+/**
+ * Collect every link in an issue
+ * kind: 'inline' ({{LINK}} in the text), 'source' (a Sources line - its text is the outlet name,
+ * so the title match is skipped) or 'link' (Worth Knowing / Trials Recruiting Now / Recs, where the text is the item title)
+ * @param {Object} newsletterData - Issue content
+ * @returns {Array} { section, kind, text, url } - one per distinct URL within a section
+ */
+export const collectIssueLinks = (newsletterData) => {
+  const links = [];
+  const seen = new Set();
+
+  const add = (section, kind, text, url) => {
+    if (!url || url === '#') return;
+    const key = `${section} ${url}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push({ section, kind, text: text || '', url });
+  };
+
+  const addContent = (section, content, sources) => {
+    parseLinks(content).forEach(link => add(section, 'inline', link.text, link.url));
+    (sources || []).forEach(source => add(section, 'source', source.title, source.url));
+  };
+
+  CONTENT_SECTIONS.forEach(section => {
+    const data = newsletterData[section];
+    if (data) addContent(section, data.content, data.sources);
+  });
+
+  (newsletterData.secondaryStories?.stories || []).forEach(story => {
+    addContent('secondaryStories', story.content, story.sources);
+  });
+
+  (newsletterData.thePulse?.items || []).forEach(item => {
+    parseLinks(typeof item === 'string' ? item : item.text).forEach(link => add('thePulse', 'inline', link.text, link.url));
+  });
+
+  (newsletterData.worthKnowing?.items || []).forEach(item => {
+    parseLinks(item.description).forEach(link => add('worthKnowing', 'inline', link.text, link.url));
+    add('worthKnowing', 'link', item.title, item.link);
+  });
+
+  (newsletterData.trialsRecruiting?.trials || []).forEach(trial => add('trialsRecruiting', 'link', trial.title, trial.url));
+
+  RECOMMENDATION_KEYS.forEach(key => {
+    const rec = newsletterData.recommendations?.[key];
+    if (rec && !rec.isPlaceholder) add('recommendations', 'link', rec.linkText, rec.url);
+  });
+
+  return links;
+};
+
+/**
+ * The distinct URLs to send to the checker, each with the link text its title is matched against
+ * (Sources lines only name the outlet, so a URL that's only ever a source gets no text)
+ * @param {Array} links - From collectIssueLinks
+ * @returns {Array} { url, text }
+ */
+export const linksToCheck = (links) => {
+  const byUrl = new Map();
+  links.forEach(link => {
+    const text = link.kind === 'source' ? '' : link.text;
+    if (!byUrl.has(link.url)) byUrl.set(link.url, { url: link.url, text });
+    else if (!byUrl.get(link.url).text) byUrl.get(link.url).text = text;
+  });
+  return [...byUrl.values()];
+};
+
+/**
+ * Roll link check results up per section (for badges) and for the whole issue (for the export gate)
+ * @param {Array} links - From collectIssueLinks
+ * @param {Object} resultsByUrl - url → { status: 'ok'|'warning'|'broken', problems }
+ * @returns {Object} { ok, warning, broken, unchecked, bySection: { [section]: { ok, warning, broken, unchecked, links } } }
+ */
+export const summarizeLinkResults = (links, resultsByUrl = {}) => {
+  const empty = () => ({ ok: 0, warning: 0, broken: 0, unchecked: 0 });
+  const summary = { ...empty(), bySection: {} };
+
+  links.forEach(link => {
+    const result = resultsByUrl[link.url];
+    const status = result?.status || 'unchecked';
+    const section = summary.bySection[link.section] ||= { ...empty(), links: [] };
+    summary[status]++;
+    section[status]++;
+    section.links.push({ ...link, status, problems: result?.problems || [] });
+  });
+
+  return summary;
+};
+
+export default {
+  parseLinks,
+  collectIssueLinks,
+  linksToCheck,
+  summarizeLinkResults
+};
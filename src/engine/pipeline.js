@@ -0,0 +1,882 @@
+/**
+ * Issue pipeline - research → distribute → write, one section at a time
+ * Moved out of the React component so it can run headless (CLI, cron, tests).
+ * Everything the UI needs to know is reported through `emit`.
+ */
+
+import { researchArticles, distributeArticles, getDistributedArticles } from './research.js';
+import { extractSourcesFromContent, generateMidjourneyPrompt } from './content.js';
+import { PLACEHOLDERS, PIPELINE_STEPS, createCheckpoint, getStepLabel } from './checkpoint.js';
+import { DEFAULT_NEWSLETTER } from './defaultNewsletter.js';
+import { buildArticleContext } from './prompts.js';
+import { addDistributionFullText, formatFullText, SHORT_EXCERPT_CHARS } from './fullText.js';
+import { reviewSafety } from './safety.js';
+import { usedStoryTitle } from './duplicates.js';
+
+/**
+ * Build a full issue, or resume one from its checkpoint
+ * @param {Object} context - Supplied by createEngine:
+ *   { previous, game, usedStories, usedUrls, covered, distribution, provider, tier, rateRelevance, date, fetchArticles, daysBack,
+ *     fetchFullText, fetchStats, fetchTrials, generateSection, generateStructured, scheduler, onUsage, emit }
+ *   distribution (optional) is an editor's own article assignment from the Article Pool - research is skipped
+ *   fetchFullText (optional) reads the distributed articles' pages so sections are written from more than the feed summary (fullText.js)
+ *   fetchStats (optional) returns PubMed / ClinicalTrials.gov counts for the metrics dashboard (getResearchCounts in researchSources.js)
+ *   fetchTrials (optional) returns the Trials Recruiting Now cards (pickRecruitingTrials in researchSources.js)
+ *   plus, when resuming, { checkpoint, steps } - the issue's checkpoint and the step keys to re-run
+ * @returns {Promise<Object>} { newsletterData, game, usedStories, usedUrls, checkpoint, safety } - only the stories/URLs used by this run;
+ *   safety is the medical-claims review of the finished issue (safety.js)
+ */
+export const runPipeline = async (context) => {
+  const {
+    previous, usedStories, usedUrls, covered = [], distribution = null, provider, rateRelevance, tier, fetchArticles, daysBack,
+    fetchFullText = null, fetchStats = null, fetchTrials = null, generateSection, generateStructured, scheduler, onUsage, emit
+  } = context;
+
+  // A new issue gets the next number; resuming carries on with the checkpoint's issue
+  const resuming = !!context.checkpoint;
+  const startingCheckpoint = context.checkpoint || createCheckpoint({
+    issueNumber: (parseInt(previous.preHeader.issueNumber) + 1).toString(),
+    date: context.date
+  });
+  const steps = new Set(context.steps || PIPELINE_STEPS.map(step => step.key));
+  const date = new Date(startingCheckpoint.date);
+  const headlines = { ...startingCheckpoint.headlines };
+
+  let newsletterData = previous;
+  let game = context.game || null;
+  let checkpoint = startingCheckpoint;
+  let completed = startingCheckpoint.completed.filter(key => !steps.has(key));
+  let failed = [];
+  const newStories = [];
+  const newUrls = [];
+
+  const status = (message) => emit({ type: 'status', message });
+
+  // Same shape as React's setState updater so section steps read the same as before
+  const update = (updater) => {
+    newsletterData = updater(newsletterData);
+    emit({ type: 'update', newsletterData });
+  };
+
+  const setGame = (nextGame) => {
+    game = nextGame;
+    emit({ type: 'game', game });
+  };
+
+  // Track this story to avoid repeats in future issues - with its issue number, so this issue's own
+  // duplicate check doesn't count it as a past story
+  const markStoryUsed = (headline) => {
+    const story = { title: headline, issueNumber: checkpoint.issueNumber, usedDate: new Date().toISOString() };
+    newStories.push(story);
+    emit({ type: 'storyUsed', headline, story });
+  };
+
+  // Save URLs to prevent reuse in future newsletters
+  const markUrlsUsed = (sources) => {
+    const urls = (sources || []).map(s => s.url).filter(Boolean);
+    if (urls.length === 0) return;
+    newUrls.push(...urls);
+    emit({ type: 'urlsUsed', urls });
+  };
+
+  // Snapshot progress so a run that stops part-way can pick up from here
+  const saveCheckpoint = (fields = {}) => {
+    checkpoint = {
+      ...checkpoint,
+      ...fields,
+      headlines: { ...headlines },
+      completed: [...completed],
+      failed: [...failed],
+      newsletterData,
+      game,
+      updatedAt: new Date().toISOString()
+    };
+    emit({ type: 'checkpoint', checkpoint });
+  };
+
+  // Run a scheduled step and record whether it produced content
+  const runStep = async (key, fn) => {
+    if (!steps.has(key)) return;
+
+    let ok = false;
+    try {
+      ok = await fn();
+    } catch (e) {
+      console.error(`Error in ${key}:`, e);
+    }
+
+    completed = completed.filter(k => k !== key);
+    failed = failed.filter(k => k !== key);
+    if (ok) {
+      completed.push(key);
+    } else {
+      failed.push(key);
+    }
+    saveCheckpoint();
+  };
+
+  emit({ type: 'issue', issueNumber: checkpoint.issueNumber });
+
+  if (resuming) {
+    status(`♻️ Resuming issue #${checkpoint.issueNumber}: ${[...steps].map(getStepLabel).join(', ')}`);
+    saveCheckpoint();
+  } else {
+    // WIPE ALL CONTENT SECTIONS - Start fresh for new issue
+    status('🧹 Wiping old content for new issue...');
+    update(prev => ({
+      ...prev,
+      preHeader: {
+        ...prev.preHeader,
+        issueNumber: checkpoint.issueNumber,
+        subjectLine: PLACEHOLDERS.subjectLine,
+        previewText: PLACEHOLDERS.previewText,
+        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+      },
+      openingHook: { ...prev.openingHook, content: PLACEHOLDERS.content },
+      bottomLine: { ...prev.bottomLine, items: Array(4).fill(PLACEHOLDERS.item) },
+      leadStory: { ...prev.leadStory, headline: 'Researching latest news...', content: PLACEHOLDERS.searching, sources: [] },
+      yourOptionsThisWeek: { ...prev.yourOptionsThisWeek, content: PLACEHOLDERS.searching, sources: [] },
+      secondaryStories: { ...prev.secondaryStories, stories: [
+        { id: 1, boldLead: 'Searching for story 1...', content: PLACEHOLDERS.item, sources: [], publishedDate: '' },
+        { id: 2, boldLead: 'Searching for story 2...', content: PLACEHOLDERS.item, sources: [], publishedDate: '' },
+        { id: 3, boldLead: 'Searching for story 3...', content: PLACEHOLDERS.item, sources: [], publishedDate: '' }
+      ]},
+      industryDeepDive: { ...prev.industryDeepDive, headline: 'Researching...', content: PLACEHOLDERS.searching, sources: [] },
+      statSection: { ...prev.statSection, primeNumber: PLACEHOLDERS.stat, headline: 'Researching statistics...', content: PLACEHOLDERS.searching, sources: [] },
+      thePulse: { ...prev.thePulse, items: Array(7).fill({ text: PLACEHOLDERS.item, source: '', url: '#', date: '' }) },
+      // Last issue's trials may have stopped recruiting - show none until this issue's are in
+      trialsRecruiting: { ...DEFAULT_NEWSLETTER.trialsRecruiting, ...prev.trialsRecruiting, trials: [], asOfDate: '' },
+      recommendations: {
+        ...prev.recommendations,
+        read: { prefix: '', linkText: PLACEHOLDERS.link, suffix: '', url: '#', isAffiliate: false },
+        watch: { prefix: '', linkText: PLACEHOLDERS.link, suffix: '', url: '#', isAffiliate: false },
+        try: { prefix: '', linkText: PLACEHOLDERS.link, suffix: '', url: '#', isAffiliate: false },
+        listen: { prefix: '', linkText: PLACEHOLDERS.link, suffix: '', url: '#', isAffiliate: false }
+      }
+    }));
+
+    // Reset game too
+    setGame({
+      id: PLACEHOLDERS.game,
+      title: 'Generating new game...',
+      intro: 'Please wait...',
+      content: 'Creating a new trivia game...',
+      answer: ''
+    });
+
+    status('🚀 Creating your newsletter...');
+    saveCheckpoint();
+  }
+
+  const today = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+  let researchedArticles = checkpoint.articles;
+  let articleDistribution = checkpoint.distribution;
+
+  if (researchedArticles?.length > 0) {
+    // Resuming - write from the same articles the first run picked
+    status(`♻️ Reusing ${researchedArticles.length} researched articles from the checkpoint...`);
+  } else if (distribution) {
+    // The editor placed the articles - write from their distribution as it is
+    articleDistribution = distribution;
+    researchedArticles = getDistributedArticles(distribution);
+    status(`🗂️ Writing from your Article Pool assignments (${researchedArticles.length} articles)...`);
+    emit({ type: 'distribution', distribution: articleDistribution });
+    saveCheckpoint({ articles: researchedArticles, distribution: articleDistribution });
+  } else {
+    // PHASE 1: Research articles upfront (reduces total web searches)
+    status('🔬 Researching articles for your audience...');
+    const research = await researchArticles({
+      provider, tier, usedUrls, covered, rateRelevance, fetchArticles, daysBack, date, scheduler, onUsage, onStatus: status
+    });
+    researchedArticles = research.selected || [];
+    emit({ type: 'articles', pool: research.pool, selected: researchedArticles });
+
+    articleDistribution = null;
+    if (researchedArticles.length > 0) {
+      status(`✓ Found ${researchedArticles.length} articles, distributing...`);
+      articleDistribution = distributeArticles(researchedArticles, status, { reserve: research.candidates });
+      emit({ type: 'distribution', distribution: articleDistribution });
+    } else {
+      status('⚠️ Research returned no articles, sections will search individually...');
+    }
+    saveCheckpoint({ articles: researchedArticles, distribution: articleDistribution });
+  }
+
+  // Read the articles' pages before writing - a resumed build only reads the ones it hasn't yet
+  if (fetchFullText && articleDistribution) {
+    const read = await addDistributionFullText(articleDistribution, fetchFullText, { onStatus: status });
+    if (read !== articleDistribution) {
+      articleDistribution = read;
+      saveCheckpoint({ distribution: articleDistribution });
+    }
+  }
+
+  // Steps 1-12 don't depend on each other (Word of the Day waits for the lead headline), so they all
+  // start at once and the request scheduler runs as many side by side as the rate limits allow
+  // Step 1: Build metrics from RSS feed data (2x2 grid)
+  const metricsStep = runStep('metrics', async () => {
+    status('📊 Building metrics from RSS feed... (1/15)');
+
+    // Derive fun stats from the RSS articles
+    const articleCount = researchedArticles?.length || 0;
+    const uniqueSources = [...new Set(researchedArticles?.map(a => a.source) || [])];
+    const categoryCounts = (researchedArticles || []).reduce((acc, a) => {
+      acc[a.category] = (acc[a.category] || 0) + 1;
+      return acc;
+    }, {});
+    const topCategory = Object.entries(categoryCounts).sort((a, b) => b[1] - a[1])[0];
+    const categoryLabels = {
+      stemCells: 'Stem Cells',
+      regenerativeMedicine: 'Regen Medicine',
+      longevity: 'Longevity',
+      chronicDisease: 'Chronic Disease',
+      nutrition: 'Nutrition',
+      supplements: 'Supplements',
+      clinicalTrials: 'Clinical Trials',
+      general: 'General Health'
+    };
+
+    console.log('📊 RSS metrics:', { articleCount, sources: uniqueSources.length, topCategory });
+
+    const feedMetrics = [
+      {
+        label: 'Articles This Week',
+        value: articleCount.toString(),
+        change: `from ${uniqueSources.length} sources`,
+        source: 'RSS Feed',
+        dynamic: true
+      },
+      {
+        label: 'Top Topic',
+        value: topCategory ? categoryLabels[topCategory[0]] || topCategory[0] : 'Stem Cells',
+        change: topCategory ? `${topCategory[1]} articles` : '',
+        source: 'This Issue',
+        dynamic: true
+      },
+      {
+        label: 'Sources Featured',
+        value: uniqueSources.length.toString(),
+        change: uniqueSources.slice(0, 2).join(', '),
+        source: 'Curated Feed',
+        dynamic: true
+      },
+      {
+        label: 'Research Categories',
+        value: Object.keys(categoryCounts).length.toString(),
+        change: 'topics covered',
+        source: 'This Issue',
+        dynamic: true
+      }
+    ];
+
+    // Real counts from PubMed and ClinicalTrials.gov lead the grid when they're available
+    let counts = null;
+    if (fetchStats) {
+      try {
+        counts = await fetchStats(daysBack, date);
+      } catch (error) {
+        status(`⚠️ PubMed / ClinicalTrials.gov counts unavailable (${error.message}) - metrics are from the feeds only`);
+      }
+    }
+    const researchMetrics = [
+      counts?.pubmedCount != null && {
+        label: 'New Studies on PubMed',
+        value: counts.pubmedCount.toLocaleString('en-US'),
+        change: `last ${counts.days} days, on our readers' conditions`,
+        source: 'PubMed',
+        dynamic: true
+      },
+      counts?.recruitingTrials != null && {
+        label: 'Trials Recruiting Now',
+        value: counts.recruitingTrials.toLocaleString('en-US'),
+        change: counts.newTrials != null ? `${counts.newTrials} new in ${counts.days} days` : '',
+        source: 'ClinicalTrials.gov',
+        dynamic: true
+      }
+    ].filter(Boolean);
+
+    // Update metrics dashboard with RSS-derived stats (2x2 grid)
+    update(prev => ({
+      ...prev,
+      metricsDashboard: {
+        ...prev.metricsDashboard,
+        metrics: [...researchMetrics, ...feedMetrics].slice(0, 4),
+        asOfDate: today
+      },
+      preHeader: {
+        ...prev.preHeader,
+        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+      }
+    }));
+    return true;
+  });
+
+  // Step 2: Generate Lead Story (using pre-researched article if available)
+  const leadStoryStep = runStep('leadStory', async () => {
+    status('🔍 Writing lead story... (2/15)');
+
+    // Build prompt with pre-researched article context from RSS
+    let leadPromptContext = '';
+    if (articleDistribution?.leadStory) {
+      const article = articleDistribution.leadStory;
+      leadPromptContext = `
+  USE THIS ARTICLE FROM OUR CURATED RSS FEED:
+  Title: "${article.title}"
+  Source: ${article.source} (${article.dateFormatted || article.date})
+  URL: ${article.url}
+  Summary: ${article.summary}${formatFullText(article)}
+
+  CRITICAL: This URL is VERIFIED and REAL from our RSS feed. Use it exactly as provided.
+  Embed the link naturally in your text: "{{LINK:meaningful text|${article.url}}}"
+  Example: "Researchers at {{LINK:${article.source}|${article.url}}} found that..."
+
+  Write the lead story based on this article.`;
+    }
+
+    // Combine avoid topics and article context
+    let combinedPrompt = leadPromptContext;
+    if (usedStories.length > 0 && !leadPromptContext) {
+      // Only use AVOID_TOPIC if we don't have a pre-researched article
+      combinedPrompt = `AVOID_TOPIC:${usedStories.slice(-10).map(usedStoryTitle).join('|')}`;
+    }
+
+    // Skip web search if we have pre-researched article (saves API calls)
+    const skipLeadWebSearch = !!articleDistribution?.leadStory;
+    const lead = await generateStructured('leadStory', combinedPrompt, !skipLeadWebSearch);
+    if (lead) {
+      const { headline, content } = lead;
+      headlines.lead = headline;
+
+      // Track this story to avoid repeats in future
+      if (headline && headline.length > 5) {
+        markStoryUsed(headline);
+      }
+
+      // Extract sources from content and save URLs for exclusion
+      const sources = extractSourcesFromContent(content, date);
+      markUrlsUsed(sources);
+
+      update(prev => ({
+        ...prev,
+        leadStory: {
+          ...prev.leadStory,
+          headline,
+          content,
+          publishedDate: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+          sources: sources.length > 0 ? sources : prev.leadStory.sources,
+          image: { ...prev.leadStory.image, midjourneyPrompt: generateMidjourneyPrompt(headline) }
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 3: Generate Research Roundup (using pre-researched article if available)
+  const researchRoundupStep = runStep('researchRoundup', async () => {
+    status('📚 Writing research roundup... (3/15)');
+
+    // Build prompt with pre-researched article context
+    const researchPromptContext = articleDistribution?.researchRoundup ? buildArticleContext('researchRoundup', articleDistribution.researchRoundup) : '';
+
+    // Skip web search if we have pre-researched article
+    const skipResearchWebSearch = !!articleDistribution?.researchRoundup;
+    const roundup = await generateStructured('researchRoundup', researchPromptContext, !skipResearchWebSearch);
+    if (roundup) {
+      const { headline, content } = roundup;
+      headlines.research = headline;
+      update(prev => ({
+        ...prev,
+        yourOptionsThisWeek: {
+          ...prev.yourOptionsThisWeek,
+          title: headline,
+          subtitle: '',
+          content,
+          publishedDate: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+          image: { ...prev.yourOptionsThisWeek.image, midjourneyPrompt: generateMidjourneyPrompt(headline) }
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 3.5: Generate Living Well (lifestyle section) - MUST use RSS article
+  const livingWellStep = runStep('livingWell', async () => {
+    status('🌿 Writing Living Well section... (3.5/15)');
+
+    // Use the pre-distributed lifestyle article from RSS
+    const lifestyleArticle = articleDistribution?.livingWell;
+
+    if (lifestyleArticle) {
+      const livingWellPromptContext = `REWRITE this article as a friendly lifestyle tip. You MUST use ONLY the URL provided below.
+
+  ARTICLE FROM RSS FEED:
+  Title: "${lifestyleArticle.title}"
+  Source: ${lifestyleArticle.source} (${lifestyleArticle.dateFormatted || lifestyleArticle.date})
+  URL: ${lifestyleArticle.url}
+  Summary: ${lifestyleArticle.summary}${formatFullText(lifestyleArticle)}
+
+  CRITICAL RULES:
+  1. The ONLY URL you may use is: ${lifestyleArticle.url}
+  2. Do NOT invent, guess, or make up any URLs
+  3. Embed this exact link naturally in your text using: {{LINK:descriptive text|${lifestyleArticle.url}}}
+  4. Keep the tone warm, encouraging, and accessible
+  5. Focus on ONE actionable tip from this article`;
+
+      // Never use web search for Living Well - RSS only
+      const livingWell = await generateStructured('livingWell', livingWellPromptContext, false);
+      if (livingWell) {
+        const { headline } = livingWell;
+        let content = livingWell.content;
+
+        // SAFETY: Replace any rogue URLs in content with the real RSS URL
+        content = content.replace(/\{\{LINK:([^|]+)\|https?:\/\/[^}]+\}\}/g, `{{LINK:$1|${lifestyleArticle.url}}}`);
+
+        update(prev => ({
+          ...prev,
+          livingWell: {
+            ...prev.livingWell,
+            headline,
+            content,
+            publishedDate: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+            sources: [{ title: lifestyleArticle.source, url: lifestyleArticle.url, date: lifestyleArticle.dateFormatted || lifestyleArticle.date }]
+          }
+        }));
+        return true;
+      }
+    } else {
+      console.log('⚠️ No lifestyle article found for Living Well section');
+    }
+    return false;
+  });
+
+  // Step 4: Generate Secondary Stories / On Our Radar (using pre-researched articles if available)
+  const secondaryStoriesStep = runStep('secondaryStories', async () => {
+    status('📰 Writing secondary stories... (4/15)');
+
+    // Build prompt with pre-researched articles context (from RSS feed)
+    let secondaryPromptContext = '';
+    if (articleDistribution?.onOurRadar && articleDistribution.onOurRadar.length > 0) {
+      const articles = articleDistribution.onOurRadar;
+      secondaryPromptContext = `
+  USE THESE ARTICLES FROM OUR CURATED RSS FEED:
+
+  ${articles.map((a, i) => `ARTICLE ${i+1}:
+  Title: "${a.title}"
+  Source: ${a.source} (${a.dateFormatted || a.date})
+  URL: ${a.url}
+  Summary: ${a.summary}${formatFullText(a, { maxChars: SHORT_EXCERPT_CHARS })}
+  `).join('\n')}
+
+  CRITICAL RULES:
+  1. These URLs are VERIFIED and REAL from our RSS feed - use them exactly as provided
+  2. Each story MUST be from a DIFFERENT source (diversity requirement already met by selection)
+  3. Embed links naturally in your text using {{LINK:meaningful text|url}}
+   Example: "A new {{LINK:study from Mayo Clinic|${articles[0]?.url}}} found that..."
+  4. Do NOT use "Source: Publisher" format - links should flow naturally in sentences
+
+  Write 3 "On Our Radar" stories based on these articles.`;
+    }
+
+    // Skip web search if we have pre-researched articles
+    const skipSecondaryWebSearch = articleDistribution?.onOurRadar?.length > 0;
+    const stories = await generateStructured('secondaryStories', secondaryPromptContext, !skipSecondaryWebSearch);
+    if (stories) {
+      // Get the original RSS articles for guaranteed real URLs
+      const rssArticles = articleDistribution?.onOurRadar || [];
+
+      update(prev => ({
+        ...prev,
+        secondaryStories: {
+          ...prev.secondaryStories,
+          stories: stories.map((story, idx) => {
+            // Use RSS article URL if available, otherwise extract from content
+            const rssArticle = rssArticles[idx];
+            const sources = rssArticle
+              ? [{ title: rssArticle.source, url: rssArticle.url, date: rssArticle.dateFormatted }]
+              : extractSourcesFromContent(story.content, date);
+
+            return {
+              id: idx + 1,
+              boldLead: story.boldLead,
+              content: story.content,
+              publishedDate: rssArticle?.dateFormatted || date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+              sources: sources
+            };
+          })
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 5: Generate Deep Dive (using pre-researched article if available)
+  const deepDiveStep = runStep('deepDive', async () => {
+    status('🔬 Writing deep dive... (5/15)');
+
+    // Build prompt with pre-researched article context (from RSS feed)
+    const deepDivePromptContext = articleDistribution?.deepDive ? buildArticleContext('deepDive', articleDistribution.deepDive) : '';
+
+    // Skip web search if we have pre-researched article
+    const skipDeepDiveWebSearch = !!articleDistribution?.deepDive;
+    const deepDive = await generateStructured('deepDive', deepDivePromptContext, !skipDeepDiveWebSearch);
+    if (deepDive) {
+      const { headline, content } = deepDive;
+      headlines.deepDive = headline;
+      update(prev => ({
+        ...prev,
+        industryDeepDive: {
+          ...prev.industryDeepDive,
+          headline,
+          content,
+          publishedDate: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+          image: { ...prev.industryDeepDive.image, midjourneyPrompt: generateMidjourneyPrompt(headline) }
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 6: Generate Stat Section (using pre-researched article if available)
+  const statSectionStep = runStep('statSection', async () => {
+    status('📊 Writing stat of the week... (6/15)');
+
+    // Build prompt with pre-researched article context (from RSS feed)
+    let statPromptContext = '';
+    if (articleDistribution?.statOfWeek) {
+      const article = articleDistribution.statOfWeek;
+      statPromptContext = `
+  USE THIS ARTICLE FROM OUR CURATED RSS FEED:
+
+  Title: "${article.title}"
+  Source: ${article.source} (${article.dateFormatted || article.date})
+  URL: ${article.url}
+  Summary: ${article.summary}${formatFullText(article)}
+
+  CRITICAL RULES:
+  1. This URL is VERIFIED and REAL from our RSS feed - use it exactly as provided
+  2. Find a compelling statistic from this article (percentage, number, comparison)
+  3. The statistic should be attention-grabbing and relevant to our 45-75 year old audience
+  4. Embed the link naturally: {{LINK:meaningful text|${article.url}}}
+   Example: "A {{LINK:recent study|${article.url}}} found that 73% of patients..."
+  5. Do NOT use "Source: Publisher" format - the link should flow naturally
+
+  Extract the stat of the week from this article.`;
+    }
+
+    // Skip web search if we have pre-researched article
+    const skipStatWebSearch = !!articleDistribution?.statOfWeek;
+    const stat = await generateStructured('statSection', statPromptContext, !skipStatWebSearch);
+    if (stat) {
+      headlines.stat = stat.headline;
+      update(prev => ({
+        ...prev,
+        statSection: {
+          ...prev.statSection,
+          primeNumber: stat.primeNumber,
+          headline: stat.headline,
+          content: stat.content,
+          publishedDate: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+          image: { ...prev.statSection.image, midjourneyPrompt: generateMidjourneyPrompt(stat.headline, 'stats') }
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 7: Generate The Pulse / Quick Hits (using pre-researched articles if available)
+  const thePulseStep = runStep('thePulse', async () => {
+    status('⚡ Writing quick hits... (7/15)');
+
+    // Build prompt with pre-researched articles context (from RSS feed)
+    let pulsePromptContext = '';
+    if (articleDistribution?.quickHits && articleDistribution.quickHits.length > 0) {
+      const articles = articleDistribution.quickHits;
+      pulsePromptContext = `
+  USE THESE ARTICLES FROM OUR CURATED RSS FEED:
+
+  ${articles.map((a, i) => `ARTICLE ${i+1}:
+  Title: "${a.title}"
+  Source: ${a.source} (${a.dateFormatted || a.date})
+  URL: ${a.url}
+  `).join('\n')}
+
+  CRITICAL RULES:
+  1. These URLs are VERIFIED and REAL from our RSS feed - use them exactly as provided
+  2. Each quick hit should be ONE concise sentence (max 25 words)
+  3. Embed the link naturally: {{LINK:meaningful text|url}}
+   Example: "{{LINK:New research|url}} shows omega-3s may reduce inflammation by 40%."
+  4. Do NOT use "Source: Publisher" format - the link should be part of the sentence
+  5. Variety of topics across the articles provided
+
+  Write 5-7 quick hit news items based on these articles.`;
+    }
+
+    // Skip web search if we have pre-researched articles
+    const skipPulseWebSearch = articleDistribution?.quickHits?.length > 0;
+    const pulseItems = await generateStructured('thePulse', pulsePromptContext, !skipPulseWebSearch);
+    if (pulseItems) {
+      update(prev => ({
+        ...prev,
+        thePulse: {
+          ...prev.thePulse,
+          items: pulseItems.map(item => ({
+            text: item.text,
+            source: item.source,
+            url: '#',
+            date: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+          }))
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 8: Generate Worth Knowing (using pre-distributed RSS articles)
+  const worthKnowingStep = runStep('worthKnowing', async () => {
+    status('💡 Creating Worth Knowing... (8/15)');
+
+    // Use pre-distributed articles from RSS feed
+    const worthKnowingArticles = articleDistribution?.worthKnowing || [];
+
+    if (worthKnowingArticles.length > 0) {
+      const worthKnowingPromptContext = buildArticleContext('worthKnowing', worthKnowingArticles);
+
+      // Never use web search for Worth Knowing - RSS only
+      const worthItems = await generateStructured('worthKnowing', worthKnowingPromptContext, false);
+      if (worthItems) {
+        update(prev => ({
+          ...prev,
+          worthKnowing: {
+            ...prev.worthKnowing,
+            // One item per article - extra items would have no source to link to
+            items: worthItems.slice(0, worthKnowingArticles.length).map((item, idx) => {
+              // ALWAYS use RSS article URL - ignore any AI-generated URLs
+              const rssArticle = worthKnowingArticles[idx];
+              return {
+                type: item.type,
+                title: item.title,
+                date: rssArticle?.dateFormatted || item.date || '',
+                description: item.description,
+                link: rssArticle?.url // ONLY use RSS URL
+              };
+            })
+          }
+        }));
+        return true;
+      }
+    } else {
+      console.log('⚠️ No articles available for Worth Knowing section');
+    }
+    return false;
+  });
+
+  // Step 8.5: Trials Recruiting Now - straight from ClinicalTrials.gov, no writing
+  const trialsRecruitingStep = runStep('trialsRecruiting', async () => {
+    status('🧪 Finding trials recruiting now... (8.5/15)');
+
+    // An engine without a trials source builds the issue without the section
+    const trials = fetchTrials ? await fetchTrials(daysBack, date) : [];
+    update(prev => ({
+      ...prev,
+      trialsRecruiting: { ...DEFAULT_NEWSLETTER.trialsRecruiting, ...prev.trialsRecruiting, trials, asOfDate: today }
+    }));
+    if (trials.length === 0) console.log('⚠️ No recruiting US trials for our readers\' conditions - Trials Recruiting Now is left out');
+    return true;
+  });
+
+  // Step 9: Generate Recommendations (with web search)
+  const recommendationsStep = runStep('recommendations', async () => {
+    status('📚 Curating recommendations... (9/15)');
+    const recs = await generateStructured('recommendations');
+    if (recs) {
+      // The schema requires all four picks - fill the optional text around each link
+      const toRecommendation = (rec) => ({
+        prefix: rec.prefix || '',
+        linkText: rec.linkText,
+        suffix: rec.suffix || '',
+        url: rec.url,
+        isAffiliate: false
+      });
+      update(prev => ({
+        ...prev,
+        recommendations: {
+          ...prev.recommendations,
+          read: toRecommendation(recs.read),
+          watch: toRecommendation(recs.watch),
+          try: toRecommendation(recs.try),
+          listen: toRecommendation(recs.listen)
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 10: Generate Word of the Day
+  const wordOfDayStep = leadStoryStep.then(() => runStep('wordOfDay', async () => {
+    status('📖 Selecting word of the day... (10/15)');
+    const wordPrompt = `Pick a Word of the Day for stem cells newsletter. Theme: "${headlines.lead || 'stem cell research'}"
+  Requirements: medical/scientific term, explainable to general audience, not too basic.
+  Return JSON: {"word": "", "definition": "accessible definition", "suggestedBy": "first name", "location": "City, ST"}`;
+
+    const word = await generateStructured('wordOfDay', wordPrompt, false);
+    if (word) {
+      update(prev => ({
+        ...prev,
+        signOff: {
+          ...prev.signOff,
+          wordOfTheDay: {
+            word: word.word,
+            definition: word.definition,
+            suggestedBy: word.suggestedBy || 'Community',
+            location: word.location || 'USA',
+            submitLink: prev.signOff.wordOfTheDay.submitLink
+          }
+        }
+      }));
+      return true;
+    }
+    return false;
+  }));
+
+  // Step 11: Generate Game/Trivia
+  const gameTriviaStep = runStep('gameTrivia', async () => {
+    status('🎮 Creating trivia game... (11/15)');
+    const trivia = await generateStructured('gameTrivia');
+    if (trivia) {
+      setGame({
+        id: date.getTime().toString(),
+        title: trivia.title,
+        intro: trivia.intro,
+        content: trivia.content,
+        answer: trivia.answer
+      });
+      update(prev => ({
+        ...prev,
+        interactiveElement: {
+          ...prev.interactiveElement,
+          image: { ...prev.interactiveElement.image, midjourneyPrompt: generateMidjourneyPrompt('health trivia game quiz', 'games') }
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 12: Generate Opening Hook (NOW has full context of what's in the issue)
+  const openingHookStep = runStep('openingHook', async () => {
+    status('✍️ Writing opening hook... (12/15)');
+    const hookContent = await generateSection('openingHook');
+    if (hookContent) {
+      update(prev => ({
+        ...prev,
+        openingHook: { ...prev.openingHook, content: hookContent }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  await Promise.all([
+    metricsStep, leadStoryStep, researchRoundupStep, livingWellStep, secondaryStoriesStep, deepDiveStep,
+    statSectionStep, thePulseStep, worthKnowingStep, trialsRecruitingStep, recommendationsStep, wordOfDayStep, gameTriviaStep, openingHookStep
+  ]);
+
+  // Teasers and subject line need the headlines written above
+  // Step 13: Generate "In today's edition" teaser bullets with emojis
+  const bottomLineStep = runStep('bottomLine', async () => {
+    status('📋 Creating issue teasers... (13/15)');
+    const tldrPrompt = `Write 4 SHORT teaser phrases for "In today's edition" section.
+
+  CONTENT TO TEASE:
+  - Lead Story: "${headlines.lead}"
+  - Research: "${headlines.research}"
+  - Deep Dive: "${headlines.deepDive}"
+  - Stat: "${headlines.stat}"
+
+  RULES:
+  - Each teaser: 3-6 words MAX (short punchy phrases, NOT full sentences)
+  - Start each with a relevant emoji (🔬 🧬 💊 📊 🏥 💉 🧠 ❤️ 👁️ 🦴)
+  - Tease the topic, don't summarize it
+  - Make readers curious to scroll down
+
+  EXAMPLES:
+  "🔬 Vision restored after AMD"
+  "📊 $403B market projection"
+  "💊 New MS trial results"
+  "🧬 Inflammation and stem cell aging"
+
+  Return JSON array of 4 strings: ["🔬 teaser 1", "📊 teaser 2", "💊 teaser 3", "🧬 teaser 4"]`;
+
+    const teasers = await generateStructured('bottomLine', tldrPrompt, false, { schema: 'teasers' });
+    if (teasers) {
+      update(prev => ({
+        ...prev,
+        bottomLine: {
+          ...prev.bottomLine,
+          items: teasers
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  // Step 14: Generate Subject Line and Preview Text (LAST - has full newsletter context)
+  const subjectLineStep = runStep('subjectLine', async () => {
+    status('📧 Writing subject line & preview... (14/15)');
+    const subjectPrompt = `Create email subject line and preview text for this newsletter issue.
+
+  THIS ISSUE CONTAINS:
+  - Lead Story: "${headlines.lead}"
+  - Research: "${headlines.research}"
+  - Deep Dive: "${headlines.deepDive}"
+
+  Return ONLY valid JSON:
+  {
+  "subjectLine": "Compelling subject line under 60 chars based on the lead story. No clickbait.",
+  "previewText": "Preview text under 90 chars. Format: Key insight + 'Plus: [other topic]'"
+  }`;
+
+    const header = await generateStructured('subjectLine', subjectPrompt, false);
+    if (header) {
+      update(prev => ({
+        ...prev,
+        preHeader: {
+          ...prev.preHeader,
+          subjectLine: header.subjectLine,
+          previewText: header.previewText
+        }
+      }));
+      return true;
+    }
+    return false;
+  });
+
+  await Promise.all([bottomLineStep, subjectLineStep]);
+
+  // Step 15: Safety review of the finished text - the editor signs it off before export
+  const safety = reviewSafety(newsletterData);
+  const flagged = safety.high + safety.medium;
+  const safetyNote = flagged > 0 ? ` 🩺 ${flagged} medical claim${flagged === 1 ? '' : 's'} to review before export.` : '';
+
+  // Step 16: Final status
+  if (failed.length > 0) {
+    status(`⚠️ Newsletter created, but ${failed.length} section${failed.length === 1 ? '' : 's'} failed: ${failed.map(getStepLabel).join(', ')}. Resume the issue to retry.${safetyNote}`);
+  } else {
+    status(`✅ Newsletter created! Review and edit as needed.${safetyNote}`);
+  }
+
+  return { newsletterData, game, usedStories: newStories, usedUrls: newUrls, checkpoint, safety };
+};
+
+export default {
+  runPipeline
+};
@@ -0,0 +1,709 @@
+/**
+ * Section prompts for the newsletter engine
+ * The system message, holiday/health calendar and per-section prompts that used to live in
+ * generateWithAI - built from config files (edit src/config/*.json to customize).
+ */
+
+import { getStyleRules, getAudienceContext, getSourceGuidance } from '../config/index.js';
+import { formatFullText, SHORT_EXCERPT_CHARS } from './fullText.js';
+
+/**
+ * Build the provider request for one section
+ * @param {string} sectionType - Section key (leadStory, thePulse, bottomLine, ...)
+ * @param {string} customPrompt - Extra context: RSS article details, AVOID_TOPIC:..., or the whole prompt for sections without a built-in one
+ * @param {boolean} useWebSearch - Allow web search if the section supports it
+ * @param {Object} options - { tier: 'production'|'test', date: issue date used for "today" and cutoffs }
+ * @returns {Object} Provider request ({ section, tier, maxTokens, system, prompt, webSearch, maxSearches })
+ */
+export const buildSectionRequest = (sectionType, customPrompt = '', useWebSearch = true, { tier = 'production', date = new Date() } = {}) => {
+  const today = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const currentMonth = date.toLocaleDateString('en-US', { month: 'long' });
+  const currentDay = date.getDate();
+
+  // Major holidays - HIGHEST PRIORITY (check these first)
+  const majorHolidays = {
+    January: { 1: "New Year's Day" },
+    February: { 14: "Valentine's Day" },
+    March: { 17: "St. Patrick's Day" },
+    May: { /* Memorial Day - last Monday */ },
+    July: { 4: "Independence Day" },
+    September: { /* Labor Day - first Monday */ },
+    October: { 31: "Halloween" },
+    November: { 11: "Veterans Day", 28: "Thanksgiving" }, // Thanksgiving varies - update yearly
+    December: { 25: "Christmas Day", 31: "New Year's Eve" }
+  };
+
+  // Health awareness calendar - SECOND PRIORITY
+  const healthCalendar = {
+    January: { month: ['Cervical Health Awareness', 'Glaucoma Awareness', 'Thyroid Awareness', 'Blood Donor Month'], days: {} },
+    February: { month: ['American Heart Month', 'Cancer Prevention Month'], days: { 2: 'National Wear Red Day', 4: 'World Cancer Day', 14: 'National Donor Day', 28: 'Rare Disease Day' } },
+    March: { month: ['National Kidney Month', 'National Nutrition Month', 'Colorectal Cancer Awareness', 'MS Awareness'], days: { 13: 'World Kidney Day', 14: 'World Sleep Day', 21: 'World Down Syndrome Day', 24: 'World Tuberculosis Day', 26: 'Epilepsy Awareness Day' } },
+    April: { month: ['Parkinson\'s Awareness', 'Autism Acceptance', 'Donate Life Month', 'Stress Awareness'], days: { 2: 'World Autism Awareness Day', 7: 'World Health Day', 11: 'World Parkinson\'s Day', 22: 'Earth Day', 25: 'World Malaria Day' } },
+    May: { month: ['Mental Health Awareness', 'Skin Cancer Awareness', 'Stroke Awareness', 'Lupus Awareness'], days: { 6: 'World Asthma Day', 12: 'International Nurses Day', 17: 'World Hypertension Day', 30: 'World MS Day' } },
+    June: { month: ['Men\'s Health Month', 'Alzheimer\'s & Brain Awareness', 'PTSD Awareness'], days: { 1: 'National Cancer Survivors Day', 14: 'World Blood Donor Day', 19: 'World Sickle Cell Day', 27: 'National HIV Testing Day' } },
+    July: { month: ['UV Safety Month', 'Juvenile Arthritis Awareness'], days: { 11: 'World Brain Day', 28: 'World Hepatitis Day' } },
+    August: { month: ['National Immunization Awareness', 'Psoriasis Action Month'], days: { 1: 'World Lung Cancer Day', 31: 'International Overdose Awareness Day' } },
+    September: { month: ['Suicide Prevention Month', 'Healthy Aging Month', 'Prostate Cancer Awareness', 'Childhood Cancer Awareness'], days: { 10: 'World Suicide Prevention Day', 21: 'World Alzheimer\'s Day', 29: 'World Heart Day' } },
+    October: { month: ['Breast Cancer Awareness', 'Mental Health Awareness', 'Down Syndrome Awareness'], days: { 10: 'World Mental Health Day', 12: 'World Arthritis Day', 17: 'National Mammography Day', 22: 'World Stroke Day' } },
+    November: { month: ['American Diabetes Month', 'Lung Cancer Awareness', 'Alzheimer\'s Awareness', 'Movember'], days: { 14: 'World Diabetes Day', 17: 'World Prematurity Day', 20: 'Great American Smokeout' } },
+    December: { month: ['Impaired Driving Prevention Month'], days: { 1: 'World AIDS Day', 3: 'International Day of Persons with Disabilities' } }
+  };
+
+  // Check for major holidays first (highest priority)
+  const holidayEvents = majorHolidays[currentMonth] || {};
+  const todayHoliday = holidayEvents[currentDay] || null;
+  const upcomingHolidays = Object.entries(holidayEvents)
+    .filter(([day]) => parseInt(day) > currentDay && parseInt(day) <= currentDay + 7)
+    .map(([day, event]) => `${event} (${currentMonth} ${day})`)
+    .slice(0, 1);
+
+  // Then check health events
+  const monthEvents = healthCalendar[currentMonth] || { month: [], days: {} };
+  const todayHealthEvent = monthEvents.days[currentDay] || null;
+  const upcomingHealthEvents = Object.entries(monthEvents.days)
+    .filter(([day]) => parseInt(day) > currentDay && parseInt(day) <= currentDay + 7)
+    .map(([day, event]) => `${event} (${currentMonth} ${day})`)
+    .slice(0, 2);
+
+  // Build context with correct priority: Holidays > Health Events > Seasonal
+  let hookContext;
+  if (todayHoliday) {
+    hookContext = `TODAY IS: ${todayHoliday}. This is the TOP PRIORITY for your hook.`;
+  } else if (upcomingHolidays.length > 0) {
+    hookContext = `UPCOMING HOLIDAY: ${upcomingHolidays[0]}. Prioritize this.`;
+  } else if (todayHealthEvent) {
+    hookContext = `TODAY IS: ${todayHealthEvent}. Feature this health awareness day.`;
+  } else if (upcomingHealthEvents.length > 0) {
+    hookContext = `UPCOMING: ${upcomingHealthEvents.join(', ')}. Consider mentioning.`;
+  } else {
+    hookContext = `This month: ${monthEvents.month[0] || 'seasonal content'}. Focus on timely, relatable observations.`;
+  }
+
+  // System message - built from config files (edit src/config/*.json to customize)
+  const systemMessage = `You write for Renewal Weekly, a health newsletter about stem cells, regenerative medicine, AND general health/wellness.
+Date: ${today}.
+
+${getAudienceContext()}
+
+⚠️ CRITICAL OUTPUT RULES - FOLLOW EXACTLY:
+1. Output ONLY the final newsletter content. NOTHING ELSE.
+2. NO preamble like "Based on my search...", "I found a story...", "Let me write...", "Perfect!", "Great!"
+3. NO thinking out loud. NO commentary. NO meta-discussion about what you found.
+4. Start IMMEDIATELY with the headline or requested content.
+5. JSON requests return ONLY valid JSON - no explanation, no markdown code blocks.
+6. NEVER include citation artifacts like <cite index="..."> or [AI Generated, ...]
+7. Content must be READER-READY - as if going directly into the newsletter.
+
+⚠️ DATE REQUIREMENT - STRICTLY ENFORCED:
+- ONLY use sources from the PAST 14 DAYS (since ${new Date(date.getTime() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })})
+- REJECT any source older than 14 days
+- If you cannot find recent sources, say so - do NOT use old content
+
+⚠️ CONTENT MIX - Balance these (not just scientific papers):
+- 40% accessible health news (CNN Health, NPR, Men's Health, Healthline, WebMD)
+- 30% stem cell/regenerative medicine (still accessible, not overly technical)
+- 30% lifestyle/wellness/longevity (trending, practical, actionable)
+
+⚠️ PLAIN ENGLISH REQUIRED:
+- Write for a general audience, not scientists
+- If you must use a technical term, explain it: "autophagy (your body's cellular cleanup system)"
+- Use conversational language like Men's Health or Healthline
+
+${getStyleRules()}
+
+${getSourceGuidance()}
+
+REMINDER: Today is ${today}. Only cite articles from the past 14 days.`;
+
+  // Section-specific configurations - uses Haiku in test mode (12x cheaper)
+
+  const sectionConfig = {
+    openingHook: { maxTokens: 400, needsWebSearch: true, tier },
+    leadStory: { maxTokens: 1500, needsWebSearch: true, tier },
+    researchRoundup: { maxTokens: 800, needsWebSearch: true, tier },
+    livingWell: { maxTokens: 600, needsWebSearch: true, tier },
+    secondaryStories: { maxTokens: 1500, needsWebSearch: true, tier },
+    deepDive: { maxTokens: 1000, needsWebSearch: true, tier },
+    statSection: { maxTokens: 800, needsWebSearch: true, tier },
+    thePulse: { maxTokens: 1000, needsWebSearch: true, tier },
+    recommendations: { maxTokens: 600, needsWebSearch: true, tier },
+    gameTrivia: { maxTokens: 400, needsWebSearch: false, tier: 'test' }, // Always Haiku
+    bottomLine: { maxTokens: 400, needsWebSearch: true, tier },
+    subjectLine: { maxTokens: 400, needsWebSearch: false, tier },
+    worthKnowing: { maxTokens: 600, needsWebSearch: true, tier },
+    wordOfDay: { maxTokens: 200, needsWebSearch: false, tier: 'test' } // Always Haiku
+  };
+
+  // Detailed prompts with exact formatting instructions
+  const sectionPrompts = {
+    openingHook: `Write a SHORT opening hook for ${today} (2-3 sentences, 40-60 words MAX).
+${hookContext}
+PRIORITY ORDER: National holidays > Health awareness days > Seasonal/weather > General observations.
+IMPORTANT: Keep it warm, relatable, and BRIEF. Thank the reader or connect on a human level.
+DO NOT mention stem cells, regenerative medicine, or newsletter content.
+DO NOT end with a sign-off - that comes later in the template.
+
+EXAMPLE (follow this exact length and tone):
+As we head into the weekend, we're reminded why we started this newsletter - to keep you informed about the science that could change your life. Thank you for being part of our community. Here's to another week of discovery and hope.`,
+
+    leadStory: `Search for a BROADLY ACCESSIBLE health/wellness story related to stem cells or regenerative medicine.
+
+⚠️ DATE REQUIREMENT - THIS IS CRITICAL:
+TODAY'S DATE: ${today}
+CUTOFF DATE: ${new Date(date.getTime() - 7*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
+ONLY use articles published AFTER the cutoff date. If an article doesn't show a date within the last 7 days, DO NOT USE IT.
+If you cannot find any articles from the past 7 days, respond with "NO RECENT ARTICLES FOUND" instead of using old content.
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs that appear in your web search results - NEVER fabricate or guess URLs
+- Every URL must link to the SPECIFIC ARTICLE page, never a homepage
+- If a search result doesn't have a working article URL, don't use that story
+
+⚠️ CONTENT RULES:
+- NO ANIMAL STUDIES - Only human clinical trials, treatments, or research
+- Stories must be from reputable health/medical sources
+
+⚠️ SOURCE GUIDANCE:
+- PRIORITIZE: Mainstream health publications (CNN Health, WebMD, Healthline, Medical News Today, NPR Health)
+- PRIORITIZE: Stories with wide appeal (affecting millions: diabetes, heart disease, joint pain, aging, vision loss)
+- AVOID: Highly technical scientific journal articles (save those for Research Roundup)
+
+${customPrompt && customPrompt.startsWith('AVOID_TOPIC:') ? `
+⚠️ DO NOT write about: "${customPrompt.split('|')[0].replace('AVOID_TOPIC:', '')}"
+Find a COMPLETELY DIFFERENT story - different condition, different institution.
+${customPrompt.split('|')[1] ? `Focus on: ${customPrompt.split('|')[1]}` : ''}` : (customPrompt ? `Focus on: ${customPrompt}` : '')}
+
+STRICT WORD LIMIT: 280-320 words total.
+
+OUTPUT FORMAT:
+Line 1: TEASER HEADLINE (3-5 words max, no markdown)
+- GOOD: "Ups and mostly downs", "Back in business", "Seeing clearly now"
+- BAD: "Stem Cell Research Update", "New Treatment Found"
+
+Then write TIGHT, PUNCHY prose:
+
+Para 1 (2 sentences max): "For [X million] Americans with [condition], the prognosis has always been the same: [limitation]."
+
+Para 2 (1 sentence): "That changed this week."
+
+Para 3: **Here's what happened:** Key findings in 2-3 sentences. Embed link naturally: "Researchers at {{LINK:Johns Hopkins|url}} found..."
+
+Para 4: **Why this matters now:** 2 sentences.
+
+Para 5: **What's next:** 1-2 sentences.
+
+Para 6: One short quote from researcher.
+
+Para 7: **The zoom out:** 1-2 sentences. Embed link naturally in the text.
+
+LINK FORMAT: Embed links in natural reading flow on meaningful words:
+✅ GOOD: "A {{LINK:new clinical trial|url}} showed patients improved..."
+✅ GOOD: "Researchers at {{LINK:Mayo Clinic|url}} published..."
+❌ BAD: "Source: Mayo Clinic" or "{{LINK:Mayo Clinic|url}}" at end of paragraph
+
+Total: 280-320 words.`,
+
+    researchRoundup: `Find SCIENTIFIC RESEARCH from peer-reviewed journals.
+
+⚠️ DATE REQUIREMENT - THIS IS CRITICAL:
+TODAY'S DATE: ${today}
+CUTOFF DATE: ${new Date(date.getTime() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
+ONLY use research published AFTER the cutoff date. CHECK THE PUBLICATION DATE.
+If you cannot find research from the past 14 days, respond with "NO RECENT RESEARCH FOUND" instead of using old content.
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
+- Every URL must link to the SPECIFIC ARTICLE/PAPER, never a journal homepage
+- If you don't have a real URL from search, don't include that story
+
+⚠️ CONTENT RULES:
+- NO ANIMAL STUDIES - Only human clinical trials or research with direct human relevance
+- Must be from: Nature, Cell, Science, NEJM, The Lancet, JAMA, Stem Cell Reports
+
+${customPrompt && customPrompt.startsWith('AVOID_TOPIC:') ? `
+⚠️ AVOID: "${customPrompt.split('|')[0].replace('AVOID_TOPIC:', '')}"
+${customPrompt.split('|')[1] ? `Focus on: ${customPrompt.split('|')[1]}` : ''}` : (customPrompt ? `Focus on: ${customPrompt}` : '')}
+
+STRICT FORMAT (120-150 words total):
+
+[TEASER HEADLINE - 3-5 words, clever and curiosity-inducing]
+- GOOD: "Nerves fighting back", "The myelin fix", "Joints on the mend"
+- BAD: "MS Treatment Update", "New Research Shows"
+
+If you or someone you love has [condition], this is worth reading twice.
+
+[KEY FINDINGS - 2 sentences. Embed link naturally: "A {{LINK:new study in Nature|url}} found..."]
+
+**What you should know:** [Practical info - cost, availability, access]
+
+**The catch:** [One honest limitation]
+
+**Bottom line:** [One actionable next step]
+
+LINK FORMAT: Embed links naturally in the text:
+✅ GOOD: "{{LINK:Researchers at Harvard|url}} discovered..."
+✅ GOOD: "A {{LINK:Phase 2 trial|url}} showed..."
+❌ BAD: Ending with "Source: Nature" or bare links
+
+START DIRECTLY WITH THE HEADLINE. No introduction.`,
+
+    livingWell: `Write a LIGHTHEARTED lifestyle/wellness tip for a health newsletter. This should feel like friendly advice from a knowledgeable friend, NOT heavy medical research.
+
+⚠️ TOPIC FOCUS - Choose ONE of these areas:
+- Simple daily habits (walking, sleep, hydration)
+- Easy nutrition swaps (not diets, just small improvements)
+- Stress reduction techniques
+- Movement and flexibility
+- Social connection and mental wellness
+- Practical tips for aging well
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
+- Every URL must link to a SPECIFIC ARTICLE, never a homepage
+- If you don't have a real URL from search, don't include a link
+
+⚠️ TONE REQUIREMENTS:
+- Warm, encouraging, accessible
+- NO medical jargon or complex science
+- Focus on ONE actionable tip that anyone can do TODAY
+- Make it feel achievable, not overwhelming
+
+STRICT FORMAT (100-150 words):
+
+[CATCHY HEADLINE - 4-6 words, friendly and intriguing]
+- GOOD: "The 10-Minute Evening Habit", "Why Your Grandma Was Right"
+- BAD: "Health Study Reveals", "New Research on Walking"
+
+Sometimes the best health advice isn't about breakthroughs—it's about the basics done right.
+
+**This week's lifestyle pick:** [One specific habit/tip with brief explanation. Embed link naturally: "A {{LINK:recent study|url}} confirms..."]
+
+**Why it works:** [1-2 sentences, simple explanation]
+
+**Make it stick:** [One practical implementation tip]
+
+**Bonus:** [One extra benefit to motivate]
+
+LINK FORMAT: {{LINK:text|url}}
+START DIRECTLY WITH THE HEADLINE. No introduction.`,
+
+    secondaryStories: `Search for 3 different recent stem cell/regenerative medicine stories. Each story MUST be from a DIFFERENT WEBSITE.
+
+⚠️ DATE REQUIREMENT - CRITICAL:
+TODAY'S DATE: ${today}
+CUTOFF DATE: ${new Date(date.getTime() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
+ONLY use articles published AFTER the cutoff date. If no date visible or date is older, DO NOT USE.
+If you cannot find 3 recent articles, include fewer rather than using old content.
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs that appear in your web search results - NEVER fabricate or guess URLs
+- Every URL must link to the SPECIFIC ARTICLE page (must have /article/ or /news/ or similar path)
+- URLs that end in just .com or .org are HOMEPAGES - do not use them
+- If you don't have a real article URL from search, don't include that story
+
+⚠️ SOURCE DIVERSITY - REQUIRED:
+- Each of the 3 stories MUST be from a DIFFERENT website/domain
+- Do NOT use the same source (e.g., sciencedaily.com) more than once
+- Mix: 1 mainstream (CNN, NPR), 1 health publication (Healthline, WebMD), 1 scientific/institution
+
+⚠️ CONTENT RULES:
+- NO ANIMAL STUDIES - Only human clinical trials, treatments, or research
+- Each story must be about a DIFFERENT topic/condition
+
+⚠️ OUTPUT ONLY THE JSON ARRAY. No preamble. Start with [
+
+[
+{
+  "boldLead": "TEASER HEADLINE (3-5 words)",
+  "content": "75-100 words. Embed link naturally: 'A {{LINK:new trial at Mayo|url}} showed...'",
+  "sources": [{"title": "Publisher Name", "url": "https://example.com/full-path/to-specific-article", "date": "Nov 20, 2025"}]
+},
+{
+  "boldLead": "Different headline (DIFFERENT website)",
+  "content": "75-100 words with natural embedded link.",
+  "sources": [{"title": "Different Publisher", "url": "https://different-site.com/specific-article-path", "date": "Nov 18, 2025"}]
+},
+{
+  "boldLead": "Third headline (THIRD different website)",
+  "content": "75-100 words with natural embedded link.",
+  "sources": [{"title": "Third Publisher", "url": "https://third-site.com/article-path", "date": "Nov 15, 2025"}]
+}
+]
+
+LINK FORMAT in content:
+✅ GOOD: "{{LINK:Researchers at Stanford|url}} found that patients..."
+✅ GOOD: "A {{LINK:Phase 3 trial|url}} demonstrated..."
+❌ BAD: "Source: CNN" at end, or homepage URLs like "cnn.com"
+
+HEADLINES: 3-5 words, curiosity-inducing. NO animal references.`,
+
+    deepDive: `Search for a practical nutrition/wellness topic.
+${customPrompt && customPrompt.startsWith('AVOID_TOPIC:') ? `
+⚠️ DO NOT write about: "${customPrompt.split('|')[0].replace('AVOID_TOPIC:', '')}"
+Find a DIFFERENT topic entirely.
+${customPrompt.split('|')[1] ? `Topic: ${customPrompt.split('|')[1]}` : ''}` : (customPrompt ? `Topic: ${customPrompt}` : '')}
+
+⚠️ DATE REQUIREMENT - CRITICAL:
+TODAY'S DATE: ${today}
+CUTOFF DATE: ${new Date(date.getTime() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
+ONLY use articles published AFTER the cutoff date. CHECK THE DATE.
+If no recent articles found, respond with "NO RECENT ARTICLES FOUND" instead of using old content.
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
+- URL must be the SPECIFIC ARTICLE page (with /article/ or /health/ path), NOT a homepage
+- Example of VALID URL: healthline.com/nutrition/anti-inflammatory-foods
+- Example of INVALID URL: healthline.com (this is a homepage - NEVER use)
+- If you don't have a real article URL from search, don't include a link
+
+⚠️ CONTENT RULES:
+- NO ANIMAL STUDIES - Only human research
+- Plain English - explain like you're talking to your neighbor
+
+⚠️ PREFERRED SOURCES: Harvard Health, Mayo Clinic, Healthline, WebMD, Men's Health, Prevention
+
+STRICT WORD LIMIT: 180-220 words.
+
+OUTPUT FORMAT:
+Line 1: TEASER HEADLINE (3-5 words)
+- GOOD: "The inflammation myth", "Your gut's secret weapon"
+- BAD: "Anti-Inflammatory Foods Guide"
+
+Para 1: Contrarian hook (1-2 sentences).
+
+Para 2: What the research says. Embed link naturally: "A {{LINK:recent Harvard study|specific-url}} found..." (2 sentences)
+
+Para 3: **What to add:** (use • bullets)
+• Food/habit — specific amount
+• Food/habit — specific amount
+• Food/habit — specific amount
+
+Para 4: **What to skip:**
+• Item (and why)
+• Item
+
+Para 5: **Why it matters for healthy aging:** (1-2 sentences)
+
+Para 6: Actionable takeaway with natural embedded link.
+
+LINK FORMAT:
+✅ GOOD: "According to {{LINK:new research from Cleveland Clinic|url}}, eating..."
+✅ GOOD: "{{LINK:Nutritionists recommend|url}} adding..."
+❌ BAD: "Source: Healthline" or links to homepage URLs
+
+Use • for bullets, — for em dashes. Total: 180-220 words.`,
+
+    statSection: `Search for a compelling statistic about health, wellness, longevity, OR regenerative medicine.
+
+⚠️ DATE REQUIREMENT - CRITICAL:
+TODAY'S DATE: ${today}
+CUTOFF DATE: ${new Date(date.getTime() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
+ONLY use statistics from articles published AFTER the cutoff date.
+If no recent stats found, respond with "NO RECENT STATISTICS FOUND".
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs from your web search results - NEVER fabricate URLs
+- URL must be SPECIFIC ARTICLE (with path like /article/ or /news/), NOT homepage
+- If you don't have a real article URL, don't include a link
+
+⚠️ CONTENT RULES:
+- NO ANIMAL STUDIES - Only human-relevant statistics
+- Mix topics: health, longevity, regenerative medicine, wellness
+
+Return ONLY valid JSON with this EXACT structure:
+{
+"primeNumber": "$403.86B",
+"headline": "where the regenerative medicine market is headed by 2032",
+"content": "That's not a typo. [Explain the statistic in plain English - 2 sentences max]
+
+**Why it matters for you:** [Personal relevance - 2 sentences]
+
+For context: [Supporting data that makes it relatable - 2 sentences]
+
+**The backstory:** [Embed link naturally: 'According to {{LINK:a new report from Grand View Research|specific-article-url}}, the market...' - 2 sentences]
+
+Translation: [What this means practically] Learn more from {{LINK:the full analysis|url}}."
+}
+
+CRITICAL:
+- primeNumber format: $403B, 67%, 2,400, 47 days (visually impactful)
+- headline: lowercase, creates curiosity
+- content: Embed links naturally in sentences, NOT as citations at the end
+- Plain English - explain like talking to a friend
+
+LINK FORMAT:
+✅ GOOD: "According to {{LINK:a recent JAMA study|url}}, patients who..."
+❌ BAD: "Source: JAMA" or homepage URLs`,
+
+    thePulse: `Search for 7 FRESH health/wellness/biotech news items.
+
+⚠️ DATE REQUIREMENT - CRITICAL:
+TODAY'S DATE: ${today}
+CUTOFF DATE: ${new Date(date.getTime() - 14*24*60*60*1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
+ONLY use news from AFTER the cutoff date. CHECK EACH ARTICLE'S DATE.
+If you can't find 7 recent items, include fewer rather than using old content.
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs from your web search results - NEVER fabricate or guess URLs
+- URLs must be SPECIFIC ARTICLES (with /article/ or /news/ path), NOT homepages
+- Example VALID: cnn.com/health/article/stem-cell-treatment-2025
+- Example INVALID: cnn.com or cnn.com/health (these are homepages)
+- If no real article URL exists, don't include that item
+
+⚠️ SOURCE DIVERSITY - REQUIRED:
+- Each item from a DIFFERENT website - do NOT repeat sciencedaily.com or any source
+- Mix: 2-3 mainstream (CNN, NPR, Healthline), 2-3 biotech (STAT, Endpoints), 1-2 scientific
+
+${customPrompt ? `⚠️ ${customPrompt}` : ''}
+
+⚠️ CONTENT RULES:
+- NO ANIMAL STUDIES
+- Each item must be a DIFFERENT topic
+
+Return ONLY valid JSON array. Each item has:
+- text: brief news (under 25 words) with the link embedded naturally: {{LINK:meaningful text|specific-article-url}}
+- source: the publisher name
+
+EXAMPLE:
+[
+{"text": "{{LINK:Mayo Clinic researchers|https://cnn.com/health/mayo-stem-cell-trial}} launched a new stem cell treatment for knee arthritis", "source": "CNN Health"},
+{"text": "Adults over 50 who {{LINK:walk 7,000 steps daily|https://healthline.com/health-news/walking-longevity}} show 50% lower mortality risk", "source": "Healthline"}
+]
+
+CRITICAL:
+- 7 items from 7 DIFFERENT websites
+- Every URL must be a real search result, never fabricated
+- Every URL must be a specific article path, never a homepage`,
+
+    recommendations: `Search for FRESH, NEW content to recommend. Find REAL, WORKING URLs.
+
+⚠️ CRITICAL RULES:
+- ALL URLs must link to SPECIFIC content (articles, videos, podcasts, tools), never to homepages
+- Each refresh MUST return COMPLETELY DIFFERENT recommendations. Never repeat the same links.
+
+${customPrompt ? `⚠️ AVOID THESE (already used): ${customPrompt}` : ''}
+
+CONTENT STYLE - Mix of:
+- Accessible health/wellness (Men's Health, Healthline, WebMD style)
+- Lifestyle and longevity content
+- Practical, actionable resources
+
+Return ONLY valid JSON:
+{
+"read": {
+  "prefix": "Short intro text ",
+  "linkText": "the linked part",
+  "suffix": " context or source",
+  "url": "https://REAL-working-url.com/specific-article"
+},
+"watch": {
+  "prefix": "",
+  "linkText": "Descriptive video title",
+  "suffix": " (Source/Channel)",
+  "url": "https://youtube.com/watch?v=specific-video"
+},
+"try": {
+  "prefix": "The ",
+  "linkText": "tool or resource name",
+  "suffix": " (credible source)",
+  "url": "https://REAL-resource-url.com/specific-tool"
+},
+"listen": {
+  "prefix": "",
+  "linkText": "Podcast name or episode",
+  "suffix": " podcast",
+  "url": "https://specific-podcast-episode-url.com"
+}
+}
+
+REQUIREMENTS:
+- READ: Must be from PAST 14 DAYS (freshness required)
+- WATCH, TRY, LISTEN: Can be evergreen/older content (no freshness requirement)
+- ALL URLs must be real, working, and link to SPECIFIC content (not homepages)
+- Content must be accessible to general audience (not just scientists)
+- Mix health, longevity, wellness, and lifestyle topics
+- Genuinely useful for adults 40-80 interested in living healthier`,
+
+    gameTrivia: `Create fun health trivia game. Return JSON:
+{"title":"","intro":"1-2 sentences","content":"questions","answer":"answers"}`,
+
+    worthKnowing: `Create 4 "Worth Knowing" items for a health/wellness newsletter.
+
+⚠️ URL RULES - CRITICAL:
+- ONLY use URLs from your web search results - NEVER fabricate URLs
+- URLs must be SPECIFIC pages (with /article/ or /guide/ path), NOT homepages
+- If you don't have a real URL from search, set link to null
+
+⚠️ TITLES: 3-5 words, creates curiosity
+- GOOD: "The clinic checklist", "Mark your calendar"
+- BAD: "Health Awareness Event", "Important Tips"
+
+⚠️ FORMATTING: Use proper bulleted lists with line breaks
+
+${customPrompt ? `⚠️ ${customPrompt}` : ''}
+
+Return ONLY valid JSON array:
+[
+{
+  "type": "awareness",
+  "title": "TEASER HEADLINE",
+  "date": "Specific date range",
+  "description": "What readers can do - specific and actionable.",
+  "link": null
+},
+{
+  "type": "guide",
+  "title": "TEASER HEADLINE",
+  "date": "",
+  "description": "Format as bulleted list:\\n• First tip — explanation\\n• Second tip — explanation\\n• Third tip — explanation\\n\\nLearn more from {{LINK:this Mayo Clinic guide|specific-article-url}}",
+  "link": "https://mayoclinic.org/healthy-lifestyle/specific-article"
+},
+{
+  "type": "resource",
+  "title": "TEASER HEADLINE",
+  "date": "",
+  "description": "What it is and why useful. Check out {{LINK:this helpful tool|url}} for more.",
+  "link": "https://site.com/specific-resource-page"
+},
+{
+  "type": "tip",
+  "title": "TEASER HEADLINE",
+  "date": "",
+  "description": "Practical health tip:\\n• Item one\\n• Item two\\n\\nBased on {{LINK:recent research|url}}",
+  "link": "https://site.com/specific-article"
+}
+]
+
+LINK FORMAT in descriptions:
+✅ GOOD: "Learn more from {{LINK:this Harvard guide|url}}"
+✅ GOOD: "Based on {{LINK:recent Cleveland Clinic research|url}}"
+❌ BAD: "Source: Harvard Health" or homepage URLs
+
+REQUIREMENTS:
+- 4 items from 4 DIFFERENT websites
+- awareness: Upcoming health event
+- guide/resource/tip: Practical, plain English
+- ALL links to SPECIFIC pages, never homepages
+
+NO preamble. Start directly with [`
+  };
+
+  const config = sectionConfig[sectionType] || { maxTokens: 800, needsWebSearch: useWebSearch, tier: 'production' };
+
+  return {
+    section: sectionType,
+    tier: config.tier,
+    maxTokens: config.maxTokens,
+    system: systemMessage, // Cached by the provider (90% savings on cached tokens)
+    prompt: sectionPrompts[sectionType] || customPrompt,
+    // Only add web search for sections that need it
+    webSearch: useWebSearch && config.needsWebSearch,
+    maxSearches: 5 // Good balance of quality vs rate limits
+  };
+};
+
+/**
+ * Article context for the sections written from pool articles - sent as the section's custom prompt
+ * @param {string} sectionType - researchRoundup, deepDive or worthKnowing
+ * @param {Object|Array} articleData - The article (an array of them for worthKnowing)
+ * @returns {string} Prompt context
+ */
+export const buildArticleContext = (sectionType, articleData) => {
+  switch (sectionType) {
+    case 'researchRoundup':
+      return `USE THIS ARTICLE FROM OUR CURATED RSS FEED:
+  Title: "${articleData.title}"
+  Source: ${articleData.source} (${articleData.dateFormatted || articleData.date})
+  URL: ${articleData.url}
+  Summary: ${articleData.summary}${formatFullText(articleData)}
+
+  CRITICAL: This URL is VERIFIED and REAL. Use it exactly as provided.
+  Embed naturally: "A {{LINK:new study from ${articleData.source}|${articleData.url}}} found..."
+
+  Write the research roundup based on this article.`;
+    case 'deepDive':
+      return `
+  USE THIS ARTICLE FROM OUR CURATED RSS FEED:
+
+  Title: "${articleData.title}"
+  Source: ${articleData.source} (${articleData.dateFormatted || articleData.date})
+  URL: ${articleData.url}
+  Summary: ${articleData.summary}${formatFullText(articleData)}
+
+  CRITICAL RULES:
+  1. This URL is VERIFIED and REAL from our RSS feed - use it exactly as provided
+  2. This is a deep-dive on wellness, nutrition, or lifestyle content
+  3. Embed the link naturally in your text using {{LINK:meaningful text|${articleData.url}}}
+   Example: "According to {{LINK:new research from ${articleData.source}|${articleData.url}}}, the benefits include..."
+  4. Do NOT use "Source: Publisher" format - the link should flow naturally within sentences
+  5. Extract actionable tips and practical takeaways for readers
+
+  Write the deep dive based on this article.`;
+    case 'worthKnowing':
+      return `
+  REWRITE these RSS articles as "Worth Knowing" items. You MUST use ONLY the URLs provided.
+
+  ${articleData.map((a, i) => `ARTICLE ${i+1}:
+  Title: "${a.title}"
+  Source: ${a.source}
+  URL: ${a.url}
+  Summary: ${a.summary}${formatFullText(a, { maxChars: SHORT_EXCERPT_CHARS })}
+  `).join('\n')}
+
+  CRITICAL RULES:
+  1. ONLY use the URLs listed above - do NOT invent or guess URLs
+  2. Each item must reference its corresponding article URL
+  3. Keep descriptions to 1-2 sentences
+
+  Return JSON array: [{"type": "tip/resource/fact/event", "title": "Short title", "description": "1-2 sentence description", "link": "EXACT URL from above", "date": ""}]`;
+    default:
+      throw new Error(`No article context for "${sectionType}"`);
+  }
+};
+
+/**
+ * Build the request for writing a section straight from pre-researched article(s)
+ * @param {string} sectionType - Section key
+ * @param {Object|Array} articleData - Article or articles from the pool
+ * @param {string} additionalContext - Extra instructions appended to the prompt
+ * @param {Object} options - { tier, date }
+ * @returns {Object} Provider request
+ */
+export const buildWriteRequest = (sectionType, articleData, additionalContext = '', { tier = 'production', date = new Date() } = {}) => {
+  const today = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+  // Build article context
+  // With an excerpt of each article's text when its page was read (fullText.js)
+  const articleContext = Array.isArray(articleData)
+    ? articleData.map(a => `- "${a.title}" (${a.source}, ${a.date}): ${a.summary} [${a.url}]${formatFullText(a, { maxChars: SHORT_EXCERPT_CHARS })}`).join('\n')
+    : `"${articleData.title}" (${articleData.source}, ${articleData.date}): ${articleData.summary} [${articleData.url}]${formatFullText(articleData)}`;
+
+  const writePrompt = `Write the ${sectionType} section using this pre-researched article(s):
+
+=== ARTICLE(S) TO USE ===
+${articleContext}
+
+=== AUDIENCE REMINDER ===
+${getAudienceContext()}
+
+=== WRITING STYLE ===
+${getStyleRules()}
+
+${additionalContext}
+
+Write the section NOW. Start immediately with the content - no preamble.`;
+
+  return {
+    section: sectionType,
+    tier,
+    maxTokens: 1500,
+    system: `You write for Renewal Weekly. Date: ${today}. Output ONLY the requested content. No preamble. No "Based on..." or "I found...". Start immediately with the headline or content.`,
+    prompt: writePrompt
+  };
+};
+
+export default {
+  buildSectionRequest,
+  buildArticleContext,
+  buildWriteRequest
+};
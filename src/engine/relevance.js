@@ -0,0 +1,179 @@
+/**
+ * Audience relevance scoring - how well each pool article fits the readers in audience.json
+ *
+ * distributeArticles ranks articles by audienceScore, which used to exist only on the model's
+ * picks (a flat 9). Every article now gets a 1-10 score from local keyword signals - the
+ * readers' conditions, high-engagement topics, audience segments and what they don't want -
+ * and, when asked, a batched model rating blended in. The breakdown is kept on the article
+ * (`audienceRelevance`) so editors can see why it ranked where it did.
+ * Terms and weights live in src/config/audience.json (`relevanceScoring`).
+ */
+
+import { audience, getAudienceContext } from '../config/index.js';
+import { generateText } from '../services/llm/index.js';
+import { termRegex } from '../services/termMatch.js';
+import { withOutputSchema, parseJsonOutput, validateOutput } from './schemas.js';
+
+const settings = audience.relevanceScoring || {};
+const WEIGHTS = { conditions: 2, highEngagement: 2, segments: 1.5, dontWant: -3, ...settings.weights };
+const LLM_WEIGHT = settings.llmWeight ?? 0.5;
+const BATCH_SIZE = settings.llmBatchSize || 20;
+const SEGMENT_PRIORITY = settings.segmentPriority || {};
+
+// What distributeArticles assumed for every unscored article
+const NEUTRAL = 5;
+
+// Segment terms (treatment, trial...) are common - a segment counts from this many different terms
+const SEGMENT_MIN_TERMS = 2;
+
+const compile = (entries = {}) => Object.entries(entries).map(([entry, terms]) => ({ entry, regexes: terms.map(termRegex) }));
+
+const FACTORS = {
+  conditions: compile(settings.conditions),
+  highEngagement: compile(settings.highEngagement),
+  segments: compile(settings.segments),
+  dontWant: compile(settings.dontWant)
+};
+
+// Entries with at least one matching term, and how many of their terms matched
+const matchEntries = (factor, text) => FACTORS[factor]
+  .map(({ entry, regexes }) => ({ entry, hits: regexes.filter(regex => regex.test(text)).length }))
+  .filter(match => match.hits > 0);
+
+// One match counts 0.7, two 0.91 - a second condition matters less than the first
+const saturate = (count) => 1 - Math.pow(0.3, count);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const clampScore = (value) => round(Math.min(10, Math.max(1, value)));
+
+const factor = (name, value, matches) => ({ value: round(value), points: round(WEIGHTS[name] * value), matches });
+
+/**
+ * Score one article from local signals
+ * @param {Object} article - Pool article ({ title, summary })
+ * @returns {Object} { score (1-10), local, llm: null, reason: null, factors: { conditions, highEngagement, segments, dontWant } }
+ *   - each factor: { value (0-1), points (its share of the score), matches: entries from audience.json }
+ */
+export const scoreArticle = (article) => {
+  const text = `${article.title || ''}\n${article.summary || ''}`;
+
+  const conditions = matchEntries('conditions', text).map(match => match.entry);
+  const engagement = matchEntries('highEngagement', text).map(match => match.entry);
+  const avoided = matchEntries('dontWant', text).map(match => match.entry);
+
+  // The strongest segment counts, weighted by its priority in audienceSegments
+  const segments = matchEntries('segments', text).filter(match => match.hits >= SEGMENT_MIN_TERMS);
+  const segmentValue = Math.max(0, ...segments.map(match => {
+    const priority = SEGMENT_PRIORITY[audience.audienceSegments?.[match.entry]?.priority] ?? 0.5;
+    return priority * Math.min(1, match.hits / 3);
+  }));
+
+  const factors = {
+    conditions: factor('conditions', saturate(conditions.length), conditions),
+    highEngagement: factor('highEngagement', saturate(engagement.length), engagement),
+    segments: factor('segments', segmentValue, segments.sort((a, b) => b.hits - a.hits).map(match => match.entry)),
+    dontWant: factor('dontWant', saturate(avoided.length), avoided)
+  };
+  const local = clampScore(NEUTRAL + Object.values(factors).reduce((total, { points }) => total + points, 0));
+  return { score: local, local, llm: null, reason: null, factors };
+};
+
+/**
+ * How well an article fits one audience segment - the segment's terms from relevanceScoring
+ * @param {Object} article - Pool article ({ title, summary })
+ * @param {string} segment - audienceSegments key (activePatients, caregivers, ...)
+ * @returns {number} 0-1, from how many of the segment's terms it mentions (three or more is a full fit)
+ */
+export const scoreSegmentFit = (article, segment) => {
+  const entry = FACTORS.segments.find(({ entry }) => entry === segment);
+  if (!entry) return 0;
+  const text = `${article.title || ''}\n${article.summary || ''}`;
+  return Math.min(1, entry.regexes.filter(regex => regex.test(text)).length / 3);
+};
+
+/**
+ * Score every article from local signals
+ * @param {Array} articles - Pool articles
+ * @returns {Array} Articles with `audienceRelevance` (scoreArticle) and `audienceScore` (its score)
+ */
+export const scoreArticles = (articles = []) => articles.map(article => {
+  const relevance = scoreArticle(article);
+  return { ...article, audienceRelevance: relevance, audienceScore: relevance.score };
+});
+
+/**
+ * Build the request that has the model rate a batch of articles for this audience
+ * @param {Array} articles - Up to llmBatchSize articles
+ * @param {Object} options - { tier }
+ * @returns {Object} Provider request with the relevanceRatings output schema
+ */
+export const buildRelevanceRequest = (articles, { tier = 'production' } = {}) => {
+  const list = articles.map((article, i) => `[${i + 1}] "${article.title}" (${article.source}, ${article.category})
+    Summary: ${(article.summary || '').slice(0, 300)}`).join('\n\n');
+
+  return withOutputSchema({
+    section: 'relevanceRatings',
+    tier,
+    maxTokens: Math.min(4000, 80 * articles.length + 200),
+    webSearch: false,
+    system: 'You rate articles for Renewal Weekly, a health newsletter. Rate how much these readers would want each one. Be strict - most articles are a 4-7.',
+    prompt: `${getAudienceContext()}
+
+Rate every article below from 1 (irrelevant to these readers) to 10 (a must-read), with one short reason each.
+
+ARTICLES (${articles.length}):
+${list}`
+  }, 'relevanceRatings');
+};
+
+/**
+ * Have the model rate articles in batches and blend its rating into each local score
+ * A batch that fails or doesn't match the schema keeps its local scores.
+ * @param {Array} articles - Articles from scoreArticles
+ * @param {Object} options - { provider, tier, scheduler, onUsage, onStatus }
+ * @returns {Promise<Array>} The articles, rated ones with `audienceRelevance.llm` / `reason` set and the blended score
+ */
+export const rateArticles = async (articles, { provider, tier = 'production', scheduler, onUsage, onStatus = () => {} }) => {
+  const rated = [...articles];
+
+  for (let start = 0; start < articles.length; start += BATCH_SIZE) {
+    const batch = articles.slice(start, start + BATCH_SIZE);
+    const request = buildRelevanceRequest(batch, { tier });
+    try {
+      const result = await generateText(provider, request, { scheduler, onUsage, onStatus });
+      const value = result.output ?? parseJsonOutput(result.text);
+      const errors = validateOutput(value, request.output.schema);
+      if (errors.length > 0) {
+        console.warn('Relevance ratings failed validation:', errors);
+        onStatus(`⚠️ Relevance ratings for articles ${start + 1}-${start + batch.length} didn't match their format - keeping keyword scores`);
+        continue;
+      }
+
+      value.forEach(({ index, score, reason }) => {
+        const article = batch[index - 1];
+        if (!article) return;
+        const relevance = article.audienceRelevance || scoreArticle(article);
+        const blended = clampScore(relevance.local * (1 - LLM_WEIGHT) + score * LLM_WEIGHT);
+        rated[start + index - 1] = {
+          ...article,
+          audienceRelevance: { ...relevance, llm: score, reason, score: blended },
+          audienceScore: blended
+        };
+      });
+    } catch (error) {
+      console.warn('Relevance rating failed:', error);
+      onStatus(`⚠️ Relevance rating failed (${error.message}) - keeping keyword scores`);
+    }
+  }
+
+  return rated;
+};
+
+export default {
+  scoreArticle,
+  scoreArticles,
+  scoreSegmentFit,
+  buildRelevanceRequest,
+  rateArticles
+};
@@ -0,0 +1,409 @@
+/**
+ * Issue Renderers
+ *
+ * Turn a finished newsletterData into the formats we publish:
+ * - renderHTML      → Beehiiv HTML (pasted into the HTML editor)
+ * - renderPlainText → plain-text version for the email fallback and archives
+ */
+
+// ===== V5.2 UPDATE: BRAND PURPLE COLOR PALETTE =====
+export const colors = {
+  primary: '#7C3AED',      // Main brand purple
+  secondary: '#5B21B6',    // Deeper violet
+  accent: '#EDE9FE',       // Soft lavender
+  link: '#8B5CF6',         // Link underline purple
+  dark: '#1E1B4B',         // Headers/footers
+  text: '#1F2937',         // Charcoal
+  muted: '#6B7280',        // Gray
+  border: '#E5E7EB',       // Light gray
+  white: '#FFFFFF'
+};
+
+/**
+ * Strip link syntax for plain text export
+ * @param {string} content - Text containing {{LINK:text|url}} markers
+ * @returns {string} Text with only the link text kept
+ */
+export const stripLinkSyntax = (content) => {
+  if (!content) return '';
+  return content.replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '$1');
+};
+
+// Convert link syntax to HTML links - charcoal text with 2px purple underline only
+const convertLinksToHTML = (content) => {
+  if (!content) return '';
+  return content
+    .replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '<a href="$2" style="text-decoration: none; color: #1F2937; border-bottom: 2px solid #8B5CF6; padding-bottom: 1px;">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+};
+
+/**
+ * Where a recruiting trial can be joined - "Boston, Massachusetts; Houston, Texas +2 more"
+ * @param {Object} trial - A Trials Recruiting Now card
+ * @returns {string}
+ */
+export const formatTrialSites = (trial) => {
+  const more = trial.siteCount - trial.sites.length;
+  return `${trial.sites.join('; ')}${more > 0 ? ` +${more} more` : ''}`;
+};
+
+// One line of trial facts - phase, ages, sponsor - for both renderers
+const trialFacts = (trial) => [trial.phase, trial.ages, trial.sponsor].filter(Boolean).join(' · ');
+
+// Third-party text (ClinicalTrials.gov records) going into the HTML - never markup of its own
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render the Beehiiv HTML for an issue
+ * @param {Object} newsletterData - Complete issue
+ * @param {Object} game - Trivia game ({ title, intro, content, answer })
+ * @returns {string} HTML ready to paste into Beehiiv
+ */
+export const renderHTML = (newsletterData, game) => {
+  const d = newsletterData;
+
+  return `<!-- Renewal Weekly Newsletter HTML - v5.2 -->
+<!-- Paste this into Beehiiv's HTML editor -->
+
+<style>
+  .rw-section { border: 1px solid ${colors.border}; border-radius: 12px; padding: 24px; margin-bottom: 24px; background: ${colors.white}; }
+  .rw-label { color: ${colors.primary}; font-size: 12px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 8px; }
+  .rw-headline { font-size: 24px; font-weight: 700; color: ${colors.text}; margin: 0 0 16px 0; line-height: 1.3; }
+  .rw-image { width: 100%; border-radius: 8px; margin: 16px 0; }
+  .rw-credit { font-size: 12px; color: ${colors.muted}; font-style: italic; margin-bottom: 16px; }
+  .rw-body { font-size: 16px; line-height: 1.7; color: #374151; }
+  .rw-source { font-size: 12px; color: ${colors.muted}; margin-top: 16px; padding-top: 12px; border-top: 1px solid ${colors.border}; }
+  .rw-link { color: ${colors.text}; text-decoration: none; border-bottom: 2px solid ${colors.link}; padding-bottom: 1px; }
+</style>
+
+<!-- OPENING HOOK + IN TODAY'S EDITION -->
+<div class="rw-section">
+  <div class="rw-body" style="white-space: pre-line;">
+${d.openingHook.content}
+  </div>
+  <div style="margin-top: 16px;">
+    <p style="font-size: 15px; font-weight: 600; color: ${colors.text}; margin-bottom: 12px;">In today's edition:</p>
+    <ul style="list-style: none; padding: 0; margin: 0;">
+      ${d.bottomLine.items.map(item => `
+      <li style="margin-bottom: 6px; font-size: 15px; color: ${colors.text};">
+        ${item}
+      </li>`).join('')}
+    </ul>
+    <p style="font-size: 15px; font-weight: 500; color: ${colors.text}; margin-top: 16px;">—Renewal Weekly Team</p>
+  </div>
+</div>
+
+<!-- METRICS DASHBOARD -->
+<div class="rw-section" style="background: linear-gradient(135deg, ${colors.dark} 0%, #0F172A 100%); color: white;">
+  <p class="rw-label" style="color: ${colors.accent};">${d.metricsDashboard.title}</p>
+  <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 16px; margin-top: 16px;">
+    ${d.metricsDashboard.metrics.map(m => `
+    <div style="text-align: center; padding: 12px;">
+      <p style="font-size: 24px; font-weight: 700; margin: 0;">${m.value}</p>
+      ${m.change ? `<p style="font-size: 12px; color: ${colors.accent}; margin: 4px 0;">${m.change}</p>` : ''}
+      <p style="font-size: 11px; color: #94A3B8; margin: 4px 0 0 0;">${m.label}</p>
+    </div>`).join('')}
+  </div>
+  <p style="font-size: 10px; color: #64748B; text-align: center; margin-top: 16px;">As of ${d.metricsDashboard.asOfDate}</p>
+</div>
+
+<!-- LEAD STORY -->
+<div class="rw-section">
+  <p class="rw-label">${d.leadStory.sectionLabel}</p>
+  <h2 class="rw-headline">${d.leadStory.headline}</h2>
+  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
+  <p class="rw-credit">${d.leadStory.image.credit}</p>
+  <div class="rw-body">
+    ${d.leadStory.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
+  </div>
+  <p class="rw-source">Sources: ${d.leadStory.sources.map(s => `<a href="${s.url}" class="rw-link">${s.title}</a>`).join(' | ')}</p>
+</div>
+
+<!-- RESEARCH ROUNDUP -->
+<div class="rw-section">
+  <p class="rw-label">${d.yourOptionsThisWeek.sectionLabel}</p>
+  <h2 class="rw-headline">${d.yourOptionsThisWeek.title}</h2>
+  ${d.yourOptionsThisWeek.subtitle ? `<h3 style="font-size: 18px; color: #4B5563; margin-bottom: 16px;">${d.yourOptionsThisWeek.subtitle}</h3>` : ''}
+  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
+  <p class="rw-credit">${d.yourOptionsThisWeek.image.credit}</p>
+  <div class="rw-body">
+    ${d.yourOptionsThisWeek.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
+  </div>
+</div>
+
+<!-- LIVING WELL -->
+<div class="rw-section">
+  <p class="rw-label">${d.livingWell.sectionLabel}</p>
+  <h2 class="rw-headline">${d.livingWell.headline}</h2>
+  <div class="rw-body">
+    ${d.livingWell.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
+  </div>
+  ${d.livingWell.sources && d.livingWell.sources[0] ? `<p style="font-size: 12px; color: ${colors.muted};">Source: <a href="${d.livingWell.sources[0].url}" class="rw-link">${d.livingWell.sources[0].title}</a></p>` : ''}
+</div>
+
+<!-- SPONSOR 1 -->
+<div class="rw-section" style="background: ${colors.accent}; border: 2px dashed ${colors.primary};">
+  <p style="text-align: center; color: ${colors.primary}; font-weight: 600;">📢 SPONSOR PLACEHOLDER</p>
+</div>
+
+<!-- ON OUR RADAR -->
+<div class="rw-section">
+  <p class="rw-label">${d.secondaryStories.sectionLabel}</p>
+  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
+  <p class="rw-credit">${d.secondaryStories.image.credit}</p>
+  ${d.secondaryStories.stories.map(story => `
+  <div style="border-left: 3px solid ${colors.primary}; padding-left: 16px; margin-bottom: 20px;">
+    <p class="rw-body"><strong>${story.boldLead}</strong> ${convertLinksToHTML(story.content)}</p>
+    ${story.sources && story.sources[0] ? `<p style="font-size: 12px; color: ${colors.muted};">Source: <a href="${story.sources[0].url}" class="rw-link">${story.sources[0].title}</a>, ${story.sources[0].date}</p>` : ''}
+  </div>`).join('')}
+</div>
+
+<!-- DEEP DIVE -->
+<div class="rw-section">
+  <p class="rw-label">${d.industryDeepDive.sectionLabel}</p>
+  <h2 class="rw-headline">${d.industryDeepDive.headline}</h2>
+  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
+  <p class="rw-credit">${d.industryDeepDive.image.credit}</p>
+  <div class="rw-body">
+    ${d.industryDeepDive.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p).replace(/• /g, '&bull; ')}</p>`).join('')}
+  </div>
+</div>
+
+<!-- SPONSOR 2 -->
+<div class="rw-section" style="background: ${colors.accent};">
+  <p style="text-align: center; color: ${colors.primary}; font-weight: 600;">TOGETHER WITH ${d.quickCalendar.sponsorName}</p>
+</div>
+
+<!-- WORTH KNOWING -->
+<div class="rw-section">
+  <p class="rw-label">${d.worthKnowing.sectionLabel}</p>
+  <h3 style="font-size: 18px; color: ${colors.text}; margin-bottom: 16px;">${d.worthKnowing.title}</h3>
+  ${d.worthKnowing.items.map(item => `
+  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; margin-bottom: 12px;">
+    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;">${item.title} ${item.date ? `<span style="font-size: 12px; background: ${colors.accent}; color: ${colors.primary}; padding: 2px 8px; border-radius: 4px; margin-left: 8px;">${item.date}</span>` : ''}</p>
+    <p style="font-size: 14px; color: #4B5563; margin: 0;">${item.description}</p>
+  </div>`).join('')}
+</div>
+
+${d.trialsRecruiting?.trials?.length ? `<!-- TRIALS RECRUITING NOW -->
+<div class="rw-section">
+  <p class="rw-label">${d.trialsRecruiting.sectionLabel}</p>
+  <h3 style="font-size: 18px; color: ${colors.text}; margin-bottom: 8px;">${d.trialsRecruiting.title}</h3>
+  <p style="font-size: 14px; color: #4B5563; margin: 0 0 16px 0;">${d.trialsRecruiting.intro}</p>
+  ${d.trialsRecruiting.trials.map(trial => `
+  <div style="border: 1px solid ${colors.border}; border-left: 3px solid ${colors.primary}; border-radius: 8px; padding: 16px; margin-bottom: 12px;">
+    <p style="font-size: 12px; margin: 0 0 8px 0;"><span style="background: ${colors.accent}; color: ${colors.primary}; padding: 2px 8px; border-radius: 4px; font-weight: 600;">${escapeHtml(trial.conditionLabel)}</span></p>
+    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;"><a href="${escapeHtml(trial.url)}" class="rw-link">${escapeHtml(trial.title)}</a></p>
+    <p style="font-size: 14px; color: #4B5563; margin: 0 0 8px 0;">${escapeHtml(trial.summary)}</p>
+    ${trial.interventions.length ? `<p style="font-size: 13px; color: #4B5563; margin: 0 0 4px 0;"><strong>Testing:</strong> ${escapeHtml(trial.interventions.join(', '))}</p>` : ''}
+    <p style="font-size: 13px; color: #4B5563; margin: 0 0 4px 0;"><strong>Where:</strong> ${escapeHtml(formatTrialSites(trial))}</p>
+    <p style="font-size: 12px; color: ${colors.muted}; margin: 0;">${escapeHtml(trialFacts(trial))} · ${escapeHtml(trial.nctId)}</p>
+  </div>`).join('')}
+  <p style="font-size: 12px; color: ${colors.muted}; margin-top: 16px; padding-top: 12px; border-top: 1px solid ${colors.border};">${d.trialsRecruiting.disclaimer} As of ${d.trialsRecruiting.asOfDate}.</p>
+</div>
+
+` : ''}<!-- STAT OF THE WEEK -->
+<div class="rw-section" style="text-align: center;">
+  <p class="rw-label">${d.statSection.sectionLabel}</p>
+  <p style="font-size: 48px; font-weight: 800; color: ${colors.primary}; margin: 16px 0;">${d.statSection.primeNumber}</p>
+  <p style="font-size: 18px; color: #4B5563; margin-bottom: 16px;">${d.statSection.headline}</p>
+  <img src="[YOUR_IMAGE_URL]" alt="" class="rw-image" />
+  <div class="rw-body" style="text-align: left;">
+    ${d.statSection.content.split('\n\n').map(p => `<p>${convertLinksToHTML(p)}</p>`).join('')}
+  </div>
+</div>
+
+<!-- THE PULSE -->
+<div class="rw-section">
+  <p class="rw-label">${d.thePulse.sectionLabel}</p>
+  <h3 style="font-size: 18px; color: ${colors.text}; margin-bottom: 16px;">${d.thePulse.title}</h3>
+  <ul style="list-style: none; padding: 0;">
+    ${d.thePulse.items.map(item => `<li style="padding: 8px 0; border-bottom: 1px solid #F3F4F6;">&bull; ${convertLinksToHTML(item.text)} <span style="font-size: 12px; color: ${colors.muted};">[${item.source}, ${item.date}]</span></li>`).join('')}
+  </ul>
+</div>
+
+<!-- RECS -->
+<div class="rw-section">
+  <p class="rw-label">${d.recommendations.sectionLabel}</p>
+  <p style="margin: 8px 0;"><strong>Read:</strong> ${d.recommendations.read.prefix}<a href="${d.recommendations.read.url}" class="rw-link">${d.recommendations.read.linkText}</a>${d.recommendations.read.suffix}**</p>
+  <p style="margin: 8px 0;"><strong>Watch:</strong> ${d.recommendations.watch.prefix}<a href="${d.recommendations.watch.url}" class="rw-link">${d.recommendations.watch.linkText}</a>${d.recommendations.watch.suffix}</p>
+  <p style="margin: 8px 0;"><strong>Try:</strong> ${d.recommendations.try.prefix}<a href="${d.recommendations.try.url}" class="rw-link">${d.recommendations.try.linkText}</a>${d.recommendations.try.suffix}</p>
+  <p style="margin: 8px 0;"><strong>Listen:</strong> ${d.recommendations.listen.prefix}<a href="${d.recommendations.listen.url}" class="rw-link">${d.recommendations.listen.linkText}</a>${d.recommendations.listen.suffix}</p>
+  <p style="font-size: 12px; color: ${colors.muted}; margin-top: 16px; padding-top: 12px; border-top: 1px solid ${colors.border};">
+    ${d.recommendations.sponsorMessage}<br/>
+    ${d.recommendations.affiliateDisclosure}
+  </p>
+</div>
+
+<!-- PLAY -->
+<div class="rw-section">
+  <p class="rw-label">${d.interactiveElement.sectionLabel}</p>
+  <h3 style="font-size: 20px; font-weight: 600; color: ${colors.text}; margin-bottom: 8px;">${game.title}</h3>
+  <p style="color: #4B5563; margin-bottom: 16px;">${game.intro}</p>
+  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; white-space: pre-wrap; font-family: inherit;">
+${game.content}
+  </div>
+</div>
+
+<!-- REFERRAL -->
+<div class="rw-section" style="text-align: center; background: linear-gradient(135deg, ${colors.accent} 0%, #F0F9FF 100%);">
+  <p class="rw-label">${d.referralProgram.sectionLabel}</p>
+  <p style="font-size: 18px; color: ${colors.text}; margin-bottom: 8px;">${d.referralProgram.headline}</p>
+  <p style="font-size: 14px; color: ${colors.muted}; margin-bottom: 16px;">${d.referralProgram.subtext}</p>
+  <p style="margin-bottom: 16px;">Your referral count: <strong>${d.referralProgram.referralCountTag}</strong></p>
+  <a href="${d.referralProgram.referralLinkTag}" style="display: inline-block; padding: 12px 32px; background: ${colors.primary}; color: white; border-radius: 8px; text-decoration: none; font-weight: 600;">Share Now</a>
+</div>
+
+<!-- FOOTER -->
+<div class="rw-section">
+  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
+    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;">ANSWER</p>
+    <p style="font-size: 14px; color: #4B5563; margin: 0;">${game.answer}</p>
+  </div>
+  <div style="background: #F9FAFB; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
+    <p style="font-weight: 600; color: ${colors.text}; margin: 0 0 8px 0;">Word of the Day</p>
+    <p style="font-size: 14px; color: #4B5563; margin: 0;"><strong>${d.signOff.wordOfTheDay.word}</strong>: ${d.signOff.wordOfTheDay.definition}</p>
+  </div>
+  <div style="text-align: center; padding-top: 16px; border-top: 1px solid ${colors.border};">
+    <p style="font-size: 14px; color: ${colors.muted};">Written by ${d.signOff.writtenBy}</p>
+    <p style="font-size: 12px; color: ${colors.muted}; margin-top: 16px;">${d.signOff.copyright}</p>
+  </div>
+</div>
+`;
+};
+
+// Plain text never carries markdown bold or link markers
+const toPlainText = (content) => stripLinkSyntax(content).replace(/\*\*([^*]+)\*\*/g, '$1');
+
+/**
+ * Render the plain-text version of an issue - same section order as the HTML
+ * @param {Object} newsletterData - Complete issue
+ * @param {Object} game - Trivia game ({ title, intro, content, answer })
+ * @returns {string} Plain text with links written as "text (url)" in source lines
+ */
+export const renderPlainText = (newsletterData, game) => {
+  const d = newsletterData;
+  const rule = '─'.repeat(40);
+  const source = (s) => s && s.url ? `${s.title} (${s.url})` : '';
+  const rec = (label, r) => `${label}: ${r.prefix}${r.linkText}${r.suffix} (${r.url})`;
+
+  const sections = [
+    [
+      toPlainText(d.openingHook.content),
+      `In today's edition:\n${d.bottomLine.items.join('\n')}`,
+      '—Renewal Weekly Team'
+    ],
+    [
+      d.metricsDashboard.title,
+      d.metricsDashboard.metrics.map(m => `${m.label}: ${m.value}${m.change ? ` (${m.change})` : ''}`).join('\n'),
+      `As of ${d.metricsDashboard.asOfDate}`
+    ],
+    [
+      d.leadStory.sectionLabel,
+      d.leadStory.headline,
+      toPlainText(d.leadStory.content),
+      d.leadStory.sources.length ? `Sources: ${d.leadStory.sources.map(source).join(' | ')}` : ''
+    ],
+    [
+      d.yourOptionsThisWeek.sectionLabel,
+      d.yourOptionsThisWeek.title,
+      d.yourOptionsThisWeek.subtitle,
+      toPlainText(d.yourOptionsThisWeek.content)
+    ],
+    [
+      d.livingWell.sectionLabel,
+      d.livingWell.headline,
+      toPlainText(d.livingWell.content),
+      d.livingWell.sources && d.livingWell.sources[0] ? `Source: ${source(d.livingWell.sources[0])}` : ''
+    ],
+    [
+      d.secondaryStories.sectionLabel,
+      d.secondaryStories.stories.map(story => [
+        `${story.boldLead} ${toPlainText(story.content)}`,
+        story.sources && story.sources[0] ? `Source: ${source(story.sources[0])}, ${story.sources[0].date}` : ''
+      ].filter(Boolean).join('\n')).join('\n\n')
+    ],
+    [
+      d.industryDeepDive.sectionLabel,
+      d.industryDeepDive.headline,
+      toPlainText(d.industryDeepDive.content)
+    ],
+    [`TOGETHER WITH ${d.quickCalendar.sponsorName}`],
+    [
+      d.worthKnowing.sectionLabel,
+      d.worthKnowing.title,
+      d.worthKnowing.items.map(item => `${item.title}${item.date ? ` [${item.date}]` : ''}\n${item.description}`).join('\n\n')
+    ],
+    d.trialsRecruiting?.trials?.length ? [
+      d.trialsRecruiting.sectionLabel,
+      d.trialsRecruiting.title,
+      d.trialsRecruiting.intro,
+      d.trialsRecruiting.trials.map(trial => [
+        `[${trial.conditionLabel}] ${trial.title} (${trial.url})`,
+        trial.summary,
+        trial.interventions.length ? `Testing: ${trial.interventions.join(', ')}` : '',
+        `Where: ${formatTrialSites(trial)}`,
+        `${trialFacts(trial)} · ${trial.nctId}`
+      ].filter(Boolean).join('\n')).join('\n\n'),
+      `${d.trialsRecruiting.disclaimer} As of ${d.trialsRecruiting.asOfDate}.`
+    ] : [],
+    [
+      d.statSection.sectionLabel,
+      d.statSection.primeNumber,
+      d.statSection.headline,
+      toPlainText(d.statSection.content)
+    ],
+    [
+      d.thePulse.sectionLabel,
+      d.thePulse.title,
+      d.thePulse.items.map(item => `• ${toPlainText(item.text)} [${item.source}, ${item.date}]`).join('\n')
+    ],
+    [
+      d.recommendations.sectionLabel,
+      [
+        rec('Read', d.recommendations.read),
+        rec('Watch', d.recommendations.watch),
+        rec('Try', d.recommendations.try),
+        rec('Listen', d.recommendations.listen)
+      ].join('\n'),
+      `${d.recommendations.sponsorMessage}\n${d.recommendations.affiliateDisclosure}`
+    ],
+    [
+      d.interactiveElement.sectionLabel,
+      game.title,
+      game.intro,
+      game.content
+    ],
+    [
+      d.referralProgram.sectionLabel,
+      d.referralProgram.headline,
+      d.referralProgram.subtext,
+      `Your referral count: ${d.referralProgram.referralCountTag}`,
+      `Share: ${d.referralProgram.referralLinkTag}`
+    ],
+    [
+      `ANSWER\n${game.answer}`,
+      `Word of the Day\n${d.signOff.wordOfTheDay.word}: ${d.signOff.wordOfTheDay.definition}`,
+      `Written by ${d.signOff.writtenBy}`,
+      d.signOff.copyright
+    ]
+  ];
+
+  return sections
+    .map(parts => parts.filter(Boolean).join('\n\n'))
+    .filter(Boolean)
+    .join(`\n\n${rule}\n\n`) + '\n';
+};
+
+export default {
+  colors,
+  stripLinkSyntax,
+  formatTrialSites,
+  renderHTML,
+  renderPlainText
+};
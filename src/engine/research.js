@@ -0,0 +1,334 @@
+/**
+ * Research and distribution phases of the newsletter engine
+ * Phase 1 fetches the article pool and has the model pick articles for each section;
+ * Phase 2 assigns those articles to sections without any AI calls.
+ */
+
+import { audience } from '../config/index.js';
+import { fetchArticlePool, buildMatchingPrompt, fitsSection } from '../services/rss.js';
+import { generateText } from '../services/llm/index.js';
+import { flagPoolDuplicates } from './duplicates.js';
+import { scoreArticles, rateArticles } from './relevance.js';
+import { createMixBudget } from './sourceMix.js';
+import { getSourceTier } from '../services/sourceRegistry.js';
+
+/**
+ * PHASE 1: Research - Fetch articles from curated RSS feeds (no web search!)
+ * @param {Object} options - { provider, tier, usedUrls, covered (collectCoveredStories), rateRelevance (also have the model rate articles), fetchArticles(daysBack, date), daysBack, date, onStatus }
+ * @returns {Promise<Object>} { selected: articles picked by the model (or null), pool: every fetched article, near-duplicates flagged with `duplicate`,
+ *   candidates: the fresh articles the model chose from - distributeArticles' `reserve` }
+ *   - every article carries its audience relevance (`audienceScore`, breakdown in `audienceRelevance`)
+ */
+export const researchArticles = async ({
+  provider,
+  tier = 'production',
+  usedUrls = [],
+  covered = [],
+  rateRelevance = false,
+  fetchArticles = fetchArticlePool,
+  daysBack = 7,
+  date = new Date(),
+  scheduler,
+  onUsage,
+  onStatus = () => {}
+}) => {
+  onStatus('📡 Phase 1: Fetching articles from RSS feeds...');
+
+  try {
+    // Step 1: Fetch articles from RSS feed (real URLs guaranteed!)
+    const articlePool = await fetchArticles(daysBack, date); // Last 7 days by default
+
+    if (!articlePool || articlePool.length === 0) {
+      onStatus('⚠️ No articles found in RSS feed');
+      return { selected: null, pool: [], candidates: [] };
+    }
+
+    onStatus(`📰 Found ${articlePool.length} articles, AI is selecting best matches...`);
+
+    // Flag stories past issues already covered (and syndicated copies within the pool)
+    let flaggedPool = scoreArticles(flagPoolDuplicates(articlePool, covered));
+    const duplicates = flaggedPool.filter(a => a.duplicate).length;
+    if (duplicates > 0) {
+      onStatus(`🔁 ${duplicates} article${duplicates === 1 ? ' repeats' : 's repeat'} a past issue or another article in the pool - left out of selection`);
+    }
+
+    // Sources the registry marks avoid (clinics, sellers) are never selected
+    const isSelectable = (a) => a.sourceTier !== 'avoid';
+    const avoided = flaggedPool.filter(a => !isSelectable(a)).length;
+    if (avoided > 0) {
+      onStatus(`⛔ ${avoided} article${avoided === 1 ? ' is' : 's are'} from sources we avoid - left out of selection`);
+    }
+
+    // Filter out previously used URLs and near-duplicates
+    const isFresh = (a) => isSelectable(a) && !usedUrls.includes(a.url) && !a.duplicate;
+
+    // Only articles that can still be picked are worth a model rating
+    if (rateRelevance) {
+      onStatus(`⭐ Rating ${flaggedPool.filter(isFresh).length} articles for audience relevance...`);
+      const rated = await rateArticles(flaggedPool.filter(isFresh), { provider, tier, scheduler, onUsage, onStatus });
+      const ratedByUrl = new Map(rated.map(a => [a.url, a]));
+      flaggedPool = flaggedPool.map(a => ratedByUrl.get(a.url) || a);
+    }
+
+    const freshArticles = flaggedPool.filter(isFresh);
+
+    if (freshArticles.length < 5) {
+      onStatus('⚠️ Not enough fresh articles (most already used)');
+      // Fall back to all articles if too few fresh ones
+    }
+
+    const articlesToUse = freshArticles.length >= 5 ? freshArticles : flaggedPool.filter(isSelectable);
+
+    // Step 2: AI matches articles to newsletter sections (no web search needed)
+    const matchingPrompt = buildMatchingPrompt(articlesToUse, audience);
+
+    const { text: content } = await generateText(provider, {
+      section: 'articleMatching',
+      tier,
+      maxTokens: 2000,
+      system: 'You are selecting articles for a health newsletter. Match articles to sections based on audience relevance. Return ONLY valid JSON.',
+      // NO web search tool - just reasoning!
+      prompt: matchingPrompt
+    }, { scheduler, onUsage, onStatus });
+
+    // Parse the AI's selection
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const selections = JSON.parse(jsonMatch[0]);
+
+      // Convert selections to article objects with real data
+      const selectedArticles = [];
+
+      // Helper to get article by index
+      const getArticle = (sel) => {
+        if (!sel || !sel.index) return null;
+        const article = articlesToUse[sel.index - 1]; // 1-indexed in prompt
+        if (article) {
+          return {
+            ...article,
+            reason: sel.reason || null,
+            audienceScore: Math.max(article.audienceScore || 0, PICK_MIN_SCORE)
+          };
+        }
+        return null;
+      };
+
+      // Lead Story
+      if (selections.leadStory) {
+        const a = getArticle(selections.leadStory);
+        if (a) selectedArticles.push({ ...a, suggestedSection: 'leadStory' });
+      }
+
+      // Research Roundup
+      if (selections.researchRoundup) {
+        const a = getArticle(selections.researchRoundup);
+        if (a) selectedArticles.push({ ...a, suggestedSection: 'researchRoundup' });
+      }
+
+      // On Our Radar (3 articles)
+      if (selections.onOurRadar && Array.isArray(selections.onOurRadar)) {
+        selections.onOurRadar.forEach(sel => {
+          const a = getArticle(sel);
+          if (a) selectedArticles.push({ ...a, suggestedSection: 'onOurRadar' });
+        });
+      }
+
+      // Deep Dive
+      if (selections.deepDive) {
+        const a = getArticle(selections.deepDive);
+        if (a) selectedArticles.push({ ...a, suggestedSection: 'deepDive' });
+      }
+
+      // Stat of Week
+      if (selections.statOfWeek) {
+        const a = getArticle(selections.statOfWeek);
+        if (a) selectedArticles.push({ ...a, suggestedSection: 'statOfWeek' });
+      }
+
+      // Quick Hits (5-7 articles)
+      if (selections.quickHits && Array.isArray(selections.quickHits)) {
+        selections.quickHits.forEach(sel => {
+          const a = getArticle(sel);
+          if (a) selectedArticles.push({ ...a, suggestedSection: 'quickHits' });
+        });
+      }
+
+      onStatus(`✓ Selected ${selectedArticles.length} articles for newsletter`);
+
+      return { selected: selectedArticles, pool: flaggedPool, candidates: articlesToUse };
+    }
+
+    return { selected: null, pool: flaggedPool, candidates: articlesToUse };
+  } catch (error) {
+    console.error('RSS research error:', error);
+    onStatus(`RSS error: ${error.message}`);
+    return { selected: null, pool: [], candidates: [] };
+  }
+};
+
+/**
+ * Score an article the model picked ranks at, at least - high enough for the Lead Story.
+ * Its computed audienceScore stays when it's already higher
+ */
+export const PICK_MIN_SCORE = 8;
+
+/**
+ * Distribution slots in issue order - { key, label (section it feeds), max (articles) }
+ */
+export const DISTRIBUTION_SLOTS = [
+  { key: 'leadStory', label: 'Lead Story', max: 1 },
+  { key: 'researchRoundup', label: 'Research Roundup', max: 1 },
+  { key: 'livingWell', label: 'Living Well', max: 1 },
+  { key: 'onOurRadar', label: 'On Our Radar', max: 3 },
+  { key: 'deepDive', label: 'Deep Dive', max: 1 },
+  { key: 'statOfWeek', label: 'Stat of the Week', max: 1 },
+  { key: 'worthKnowing', label: 'Worth Knowing', max: 4 },
+  { key: 'quickHits', label: 'The Pulse', max: 7 }
+];
+
+/**
+ * Every article a distribution uses, once each
+ * @param {Object} distribution - From distributeArticles (or assembled by hand)
+ * @returns {Array} Articles in slot order
+ */
+export const getDistributedArticles = (distribution) => {
+  if (!distribution) return [];
+  const seen = new Set();
+  return DISTRIBUTION_SLOTS
+    .flatMap(({ key }) => [distribution[key]].flat())
+    .filter(article => article && !seen.has(article.url) && seen.add(article.url));
+};
+
+/**
+ * PHASE 2: Distribute - Assign articles to newsletter sections
+ * @param {Array} articles - Selected articles (with audienceScore / category)
+ * @param {Function} onStatus - Status message callback
+ * @param {Object} options - { pinned: slots an editor fixed in the Article Pool ({ leadStory: article, onOurRadar: [articles], ... }) - kept as they are, the rest filled around them,
+ *   reserve: fresh pool articles the model didn't select - sections fill up from them once the selection runs out }
+ *   Avoid-tier sources get no slot. The story sections stay inside the source mix limits (sources.json → mix); Worth Knowing
+ *   and The Pulse take what fits the mix first and then whatever is left, so the limits never leave them empty
+ * @returns {Object|null} Distribution: { leadStory, researchRoundup, livingWell, onOurRadar[], deepDive, worthKnowing[], quickHits[], statOfWeek }
+ */
+export const distributeArticles = (articles, onStatus = () => {}, { pinned = {}, reserve = [] } = {}) => {
+  const pinnedUrls = new Set(getDistributedArticles(pinned).map(a => a.url));
+  const available = (articles || []).filter(a => !pinnedUrls.has(a.url));
+  if (available.length === 0 && pinnedUrls.size === 0) return null;
+
+  onStatus('📋 Phase 2: Distributing articles to sections...');
+
+  // Sort by audience score
+  const byScore = (a, b) => (b.audienceScore || 5) - (a.audienceScore || 5);
+  const sorted = [...available].sort(byScore);
+  const pins = (key) => [pinned[key]].flat().filter(Boolean);
+
+  // The rest of the fresh pool, behind the selection - for On Our Radar and Deep Dive when the selection has nothing
+  // inside the mix limits, and for the filler sections
+  const isAvoided = (a) => getSourceTier(a.url) === 'avoid';
+  const selectedUrls = new Set(available.map(a => a.url));
+  const spare = reserve.filter(a => !pinnedUrls.has(a.url) && !selectedUrls.has(a.url) && !isAvoided(a)).sort(byScore);
+
+  // Pinned articles count toward the mix first; every other pick has to fit what's left of it
+  const mix = createMixBudget(getDistributedArticles(pinned));
+  const pick = (candidates) => {
+    const article = candidates.find(a => mix.fits(a.url));
+    if (article) mix.add(article.url);
+    return article;
+  };
+  const pickMany = (candidates, count) => {
+    const picked = [];
+    for (const article of candidates) {
+      if (picked.length >= count) break;
+      if (mix.fits(article.url)) {
+        mix.add(article.url);
+        picked.push(article);
+      }
+    }
+    return picked;
+  };
+  // Filler sections: what fits the mix first, then the best of the rest (never avoid-tier sources)
+  const pickFiller = (candidates, count) => {
+    const picked = pickMany(candidates, count);
+    const room = Math.max(0, count - picked.length);
+    const rest = candidates.filter(a => !picked.includes(a) && !isAvoided(a)).slice(0, room);
+    rest.forEach(a => mix.add(a.url));
+    return [...picked, ...rest];
+  };
+
+  // Distribute to sections
+  const distribution = {
+    leadStory: null,
+    researchRoundup: null,
+    livingWell: null,
+    onOurRadar: [],
+    deepDive: null,
+    worthKnowing: [],
+    quickHits: [],
+    statOfWeek: null
+  };
+
+  // Lead Story: Highest scoring article with a lead-worthy label (sectionFit in FEED_CATEGORIES) that every reader can open and trust -
+  // no preprints or paywalls (source registry flags)
+  const leadCandidates = sorted.filter(a => (fitsSection(a, 'leadStory') || a.audienceScore >= PICK_MIN_SCORE) && !a.preprint && !a.paywall);
+  distribution.leadStory = pinned.leadStory || pick(leadCandidates) || pick(sorted);
+
+  // Research Roundup: Best scientific/stem cell article
+  const researchCandidates = sorted.filter(a => fitsSection(a, 'researchRoundup')).filter(a => a !== distribution.leadStory);
+  distribution.researchRoundup = pinned.researchRoundup || pick(researchCandidates) || pick(sorted.filter(a => a !== distribution.leadStory));
+
+  // Living Well: Lifestyle/nutrition article (lighthearted)
+  const livingWellCandidates = sorted.filter(a => fitsSection(a, 'livingWell')).filter(a => a !== distribution.leadStory && a !== distribution.researchRoundup);
+  distribution.livingWell = pinned.livingWell || pick(livingWellCandidates);
+
+  // On Our Radar: 3 diverse articles
+  const radarCandidates = sorted.filter(a =>
+    a !== distribution.leadStory && a !== distribution.researchRoundup && a !== distribution.livingWell
+  );
+  distribution.onOurRadar = [...pins('onOurRadar'), ...pickMany([...radarCandidates, ...spare], 3 - pins('onOurRadar').length)].slice(0, 3);
+
+  // Deep Dive: Best wellness/nutrition/supplements article (different from Living Well)
+  const deepDiveCandidates = sorted.filter(a => fitsSection(a, 'deepDive')).filter(a => !distribution.onOurRadar.includes(a) && a !== distribution.leadStory && a !== distribution.researchRoundup && a !== distribution.livingWell);
+  distribution.deepDive = pinned.deepDive || pick(deepDiveCandidates) || pick([...radarCandidates, ...spare].filter(a => !distribution.onOurRadar.includes(a)));
+
+  // Worth Knowing: 4 diverse articles for brief mentions
+  const usedSoFar = [
+    distribution.leadStory,
+    distribution.researchRoundup,
+    distribution.livingWell,
+    ...distribution.onOurRadar,
+    distribution.deepDive
+  ].filter(Boolean);
+  const worthKnowingCandidates = [...sorted, ...spare].filter(a => !usedSoFar.includes(a));
+  distribution.worthKnowing = [...pins('worthKnowing'), ...pickFiller(worthKnowingCandidates, 4 - pins('worthKnowing').length)].slice(0, 4);
+
+  // Quick Hits / The Pulse: 7 remaining diverse articles
+  const usedArticles = [...usedSoFar, ...distribution.worthKnowing].filter(Boolean);
+  const quickHitCandidates = [...sorted, ...spare].filter(a => !usedArticles.includes(a));
+  distribution.quickHits = [...pins('quickHits'), ...pickFiller(quickHitCandidates, 7 - pins('quickHits').length)].slice(0, 7);
+
+  // Stat of Week: Look for article with compelling number or clinical trials
+  const statCandidates = sorted.filter(a =>
+    fitsSection(a, 'statOfWeek') || /\$|%|billion|million|[0-9]{3,}/.test(a.summary || '')
+  ).filter(a => !usedArticles.includes(a));
+  distribution.statOfWeek = pinned.statOfWeek || pick(statCandidates) || pick(quickHitCandidates) || pick([...sorted].reverse());
+
+  console.log('Article distribution:', {
+    leadStory: distribution.leadStory?.title,
+    researchRoundup: distribution.researchRoundup?.title,
+    livingWell: distribution.livingWell?.title,
+    onOurRadar: distribution.onOurRadar.map(a => a?.title),
+    deepDive: distribution.deepDive?.title,
+    worthKnowing: distribution.worthKnowing.map(a => a?.title),
+    statOfWeek: distribution.statOfWeek?.title,
+    quickHits: distribution.quickHits.length
+  });
+
+  onStatus('✓ Articles distributed to sections');
+  return distribution;
+};
+
+export default {
+  DISTRIBUTION_SLOTS,
+  researchArticles,
+  distributeArticles,
+  getDistributedArticles
+};
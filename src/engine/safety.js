@@ -0,0 +1,164 @@
+/**
+ * Medical-claims safety review - run after writing, acknowledged by an editor before export
+ *
+ * Readers are 45-75 and many live with MS, Parkinson's or diabetes (audience.json), so
+ * overclaiming does real harm. Each section is checked for cure/miracle language, doses with
+ * no caveat, clinics presented without a warning, animal or lab results passed off as human
+ * results, and advice with no pointer to the reader's own clinician.
+ * Patterns live in src/config/safety.json.
+ */
+
+import { safety } from '../config/index.js';
+import { PRECLINICAL_TERMS } from '../services/rss.js';
+import { parseLinks } from './links.js';
+
+const regex = (pattern, flags = 'i') => new RegExp(pattern, flags);
+
+const CURE_PATTERNS = (safety.cureLanguage?.patterns || []).map(pattern => regex(pattern, 'gi'));
+const DOSE_PATTERNS = (safety.dosing?.patterns || []).map(pattern => regex(pattern, 'gi'));
+const DOSE_CAVEATS = regex(safety.dosing?.caveats || 'doctor');
+const CLINIC_MENTIONS = regex(safety.clinics?.mentions || '\\bclinics?\\b');
+const CLINIC_PROMOTION = regex(safety.clinics?.promotion || '\\b(book|visit|offers?)\\b');
+const CLINIC_WARNINGS = regex(safety.clinics?.warnings || 'unproven|red flags?');
+const PRECLINICAL = regex(`\\b(${[...PRECLINICAL_TERMS, ...(safety.preclinical?.terms || [])].join('|')})\\b`, 'gi');
+const ADVICE = regex(safety.doctorFraming?.advice || '\\b(treatments?|therapy)\\b');
+const FRAMING = regex(safety.doctorFraming?.framing || '\\byour doctor\\b');
+const FRAMING_SECTIONS = safety.doctorFraming?.sections || [];
+
+// "There's no cure for MS" is accurate - only flag claims, not denials
+const NEGATED = /\b(no|not|isn't|aren't|never|without|nor)\b[\w\s'-]{0,14}$/i;
+
+// The cited article has to dwell on animals or cells - one mention is usually background
+const SOURCE_PRECLINICAL_MENTIONS = 3;
+
+const HEADLINE_FIELDS = ['headline', 'title', 'boldLead', 'subjectLine'];
+
+const visibleText = (text) => (text || '').replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '$1').replace(/\*\*/g, '');
+
+const paragraphs = (text) => visibleText(text).split(/\n+/).map(line => line.trim()).filter(Boolean);
+
+const excerpt = (text, index, length) => {
+  const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, index - 40)) + 1);
+  const end = text.indexOf(' ', Math.min(text.length, index + length + 40));
+  return `${start > 0 ? '…' : ''}${text.slice(start, end === -1 ? text.length : end)}${end === -1 ? '' : '…'}`;
+};
+
+// Pieces of the issue that are reviewed: { section, index, fields: { name: text }, body, urls }
+const reviewUnits = (d) => {
+  const units = [];
+  const unit = (section, index, fields, body, sources = []) => {
+    const urls = new Set();
+    Object.values(fields).forEach(text => parseLinks(text).forEach(link => urls.add(link.url)));
+    sources.forEach(source => source?.url && urls.add(source.url));
+    units.push({ section, index, fields, body, urls: [...urls].filter(url => url !== '#') });
+  };
+
+  if (d.preHeader) unit('preHeader', null, { subjectLine: d.preHeader.subjectLine, previewText: d.preHeader.previewText }, 'previewText');
+  if (d.openingHook) unit('openingHook', null, { content: d.openingHook.content }, 'content');
+  (d.bottomLine?.items || []).forEach((item, index) => unit('bottomLine', index, { text: item }, 'text'));
+  if (d.leadStory) unit('leadStory', null, { headline: d.leadStory.headline, content: d.leadStory.content }, 'content', d.leadStory.sources);
+  if (d.yourOptionsThisWeek) unit('yourOptionsThisWeek', null, { title: d.yourOptionsThisWeek.title, content: d.yourOptionsThisWeek.content }, 'content', d.yourOptionsThisWeek.sources);
+  if (d.livingWell) unit('livingWell', null, { headline: d.livingWell.headline, content: d.livingWell.content }, 'content', d.livingWell.sources);
+  (d.secondaryStories?.stories || []).forEach((story, index) => {
+    unit('secondaryStories', index, { boldLead: story.boldLead, content: story.content }, 'content', story.sources);
+  });
+  if (d.industryDeepDive) unit('industryDeepDive', null, { headline: d.industryDeepDive.headline, content: d.industryDeepDive.content }, 'content', d.industryDeepDive.sources);
+  if (d.statSection) unit('statSection', null, { headline: d.statSection.headline, content: d.statSection.content }, 'content', d.statSection.sources);
+  (d.thePulse?.items || []).forEach((item, index) => unit('thePulse', index, { text: typeof item === 'string' ? item : item.text }, 'text'));
+  (d.worthKnowing?.items || []).forEach((item, index) => unit('worthKnowing', index, { title: item.title, description: item.description }, 'description'));
+
+  return units;
+};
+
+// Short, stable id for a set of findings - a new finding means the report needs acknowledging again
+const fingerprint = (findings) => {
+  let hash = 5381;
+  const key = findings.map(finding => `${finding.rule}|${finding.section}|${finding.index}|${finding.text}`).join('\n');
+  for (let i = 0; i < key.length; i++) hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+  return `${findings.length}-${hash.toString(16)}`;
+};
+
+/**
+ * Review an issue for medical claims a doctor would object to
+ * @param {Object} newsletterData - Issue content
+ * @param {Object} options
+ * @param {Object} options.sourceTexts - url → cited article text (from /api/extract) - enables the "source is an animal study" check
+ * @returns {Object} { high, medium, findings, bySection: { [section]: { high, medium, findings } }, fingerprint }
+ *   - each finding: { rule, severity: 'high'|'medium', section, index, field, text, message }
+ *   - rule: 'cureLanguage'|'dosing'|'clinics'|'preclinical'|'doctorFraming'
+ */
+export const reviewSafety = (newsletterData, { sourceTexts = {} } = {}) => {
+  const findings = [];
+  const add = (rule, unit, field, text, message) => findings.push({
+    rule,
+    severity: safety[rule]?.severity || 'high',
+    section: unit.section,
+    index: unit.index,
+    field,
+    text,
+    message
+  });
+
+  reviewUnits(newsletterData).forEach(unit => {
+    Object.entries(unit.fields).forEach(([field, raw]) => {
+      if (!raw) return;
+      const text = visibleText(raw);
+
+      // "miracle cures" is one claim, not two
+      const claims = CURE_PATTERNS
+        .flatMap(pattern => [...text.matchAll(pattern)])
+        .filter(match => !NEGATED.test(text.slice(0, match.index)))
+        .sort((a, b) => a.index - b.index);
+      claims.forEach((match, i) => {
+        const previous = claims[i - 1];
+        if (previous && match.index - (previous.index + previous[0].length) < 20) return;
+        add('cureLanguage', unit, field, match[0], `Overclaims: "${excerpt(text, match.index, match[0].length)}"`);
+      });
+
+      paragraphs(raw).forEach(paragraph => {
+        const doses = DOSE_PATTERNS.flatMap(pattern => [...paragraph.matchAll(pattern)]);
+        if (doses.length > 0 && !DOSE_CAVEATS.test(paragraph)) {
+          add('dosing', unit, field, doses[0][0], `Dose with no "check with your doctor" caveat: "${excerpt(paragraph, doses[0].index, doses[0][0].length)}"`);
+        }
+        if (CLINIC_MENTIONS.test(paragraph) && CLINIC_PROMOTION.test(paragraph) && !CLINIC_WARNINGS.test(paragraph)) {
+          add('clinics', unit, field, paragraph, `Clinic mentioned with no warning about unproven treatments: "${excerpt(paragraph, 0, 80)}"`);
+        }
+      });
+    });
+
+    // Animal / lab results: the body says so but the headline reads like a human result
+    const body = visibleText(unit.fields[unit.body]);
+    const headlineField = HEADLINE_FIELDS.find(field => unit.fields[field]);
+    const bodyTerm = body.match(PRECLINICAL)?.[0];
+    if (bodyTerm && headlineField && !visibleText(unit.fields[headlineField]).match(PRECLINICAL)) {
+      add('preclinical', unit, headlineField, unit.fields[headlineField], `Results are from "${bodyTerm}" research but the ${headlineField} doesn't say so`);
+    }
+
+    // ...or the cited article is an animal / lab study and the section never says so
+    const allText = Object.values(unit.fields).map(visibleText).join('\n');
+    if (!allText.match(PRECLINICAL)) {
+      const preclinicalSource = unit.urls.find(url => (sourceTexts[url]?.match(PRECLINICAL) || []).length >= SOURCE_PRECLINICAL_MENTIONS);
+      if (preclinicalSource) {
+        add('preclinical', unit, unit.body, preclinicalSource, 'The cited article describes animal or lab research - the section presents it without saying so');
+      }
+    }
+
+    // Advice needs a pointer to the reader's own clinician
+    if (FRAMING_SECTIONS.includes(unit.section) && ADVICE.test(allText) && !FRAMING.test(allText)) {
+      add('doctorFraming', unit, unit.body, null, 'Gives treatment or health advice without telling readers who to check with (e.g. "ask your neurologist about...")');
+    }
+  });
+
+  const summary = { high: 0, medium: 0, findings, bySection: {}, fingerprint: fingerprint(findings) };
+  findings.forEach(finding => {
+    const section = summary.bySection[finding.section] ||= { high: 0, medium: 0, findings: [] };
+    summary[finding.severity]++;
+    section[finding.severity]++;
+    section.findings.push(finding);
+  });
+  return summary;
+};
+
+export default {
+  reviewSafety
+};
@@ -0,0 +1,155 @@
+/**
+ * Structured section output - a JSON schema per section instead of scraping text
+ *
+ * Schemas live in src/config/structure.json (`outputSchemas`). A request carrying
+ * `output: { name, description, schema }` is sent to the model as a tool to call
+ * (tool-use JSON mode), the answer is validated here, and a section that doesn't
+ * match gets one repair re-ask with the validation errors.
+ */
+
+import { structure } from '../config/index.js';
+
+// Longest previous answer quoted back in a repair request
+const MAX_REPAIR_ANSWER_LENGTH = 8000;
+
+/**
+ * Output schema for a section
+ * @param {string} key - Key in structure.json outputSchemas (leadStory, thePulse, teasers, ...)
+ * @returns {Object|null} { name, description, schema } - name is the tool the model calls
+ */
+export const getOutputSchema = (key) => {
+  const entry = structure.outputSchemas?.[key];
+  if (!entry?.schema) return null;
+  return { name: `submit_${key}`, description: entry.description || `Submit the ${key} section`, schema: entry.schema };
+};
+
+/**
+ * Ask for a request's answer in a section's schema
+ * @param {Object} request - Provider request from buildSectionRequest
+ * @param {string} key - Output schema key
+ * @returns {Object} Request with `output` set and the prompt told to use the tool
+ */
+export const withOutputSchema = (request, key) => {
+  const output = getOutputSchema(key);
+  if (!output) throw new Error(`No output schema for "${key}" in structure.json`);
+
+  const when = request.webSearch ? 'When you have finished searching, submit' : 'Submit';
+  return {
+    ...request,
+    output,
+    prompt: `${request.prompt}
+
+RESPONSE FORMAT: ${when} your answer by calling the \`${output.name}\` tool. Its fields replace the text/JSON format described above - put the same content in them.`
+  };
+};
+
+/**
+ * Parse a JSON answer given as text (models without tool use, or a tool call that was skipped)
+ * @param {string} text - Model text, possibly wrapped in a ```json fence
+ * @returns {*} Parsed value, or undefined if the text isn't JSON
+ */
+export const parseJsonOutput = (text) => {
+  if (!text) return undefined;
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Validate a value against a schema (the subset of JSON Schema used in structure.json)
+ * @param {*} value - Parsed answer
+ * @param {Object} schema - type, required, properties, items, minItems, maxItems, minLength, maxLength, minimum, maximum, enum, pattern
+ * @param {string} path - Location for error messages (used when recursing)
+ * @returns {Array<string>} Problems found - empty when the value matches
+ */
+export const validateOutput = (value, schema, path = 'response') => {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      return [`${path}: expected ${allowed.join(' or ')}, got ${value === undefined ? 'no JSON answer' : actual}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path}: too short (min ${schema.minLength} characters)`);
+    if (schema.maxLength && value.length > schema.maxLength) errors.push(`${path}: too long (max ${schema.maxLength} characters)`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: doesn't match ${schema.pattern}`);
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items, got ${value.length}`);
+    if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items, got ${value.length}`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateOutput(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validateOutput(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Build the one repair re-ask for an answer that failed validation
+ * No web search - the model fixes the structure of what it already wrote, so the tool is forced.
+ * @param {Object} request - The original request (with `output`)
+ * @param {string} answer - What the model returned (tool input as JSON, or its text)
+ * @param {Array<string>} errors - From validateOutput
+ * @returns {Object} Provider request
+ */
+export const buildRepairRequest = (request, answer, errors) => {
+  const text = answer || '';
+  const previous = text.length > MAX_REPAIR_ANSWER_LENGTH ? `${text.slice(0, MAX_REPAIR_ANSWER_LENGTH)}…` : text;
+  return {
+    ...request,
+    webSearch: false,
+    prompt: `${request.prompt}
+
+---
+Your previous answer didn't match the required format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+PREVIOUS ANSWER:
+${previous || '(empty)'}
+
+Fix these problems and call the \`${request.output.name}\` tool with the corrected answer. Keep the same content and links - only change what's needed to fit the format.`
+  };
+};
+
+export default {
+  getOutputSchema,
+  withOutputSchema,
+  parseJsonOutput,
+  validateOutput,
+  buildRepairRequest
+};
@@ -0,0 +1,132 @@
+/**
+ * Source mix - does the issue lean too hard on journals, preprints or paywalls?
+ *
+ * Counts the distinct articles the issue cites by source registry tier and flags
+ * (src/services/sourceRegistry.js) and checks them against the per-issue limits in
+ * src/config/sources.json (`mix`). Listing sections (Trials Recruiting Now) and homepage links are left out.
+ */
+
+import { collectIssueLinks } from './links.js';
+import { lookupSource, getSourceName, getSourceMixRules } from '../services/sourceRegistry.js';
+
+// A site's homepage (a Recs "try this" link) points readers at the site, not at an article
+const isHomepage = (url) => {
+  try {
+    const { pathname, search } = new URL(url);
+    return pathname === '/' && !search;
+  } catch {
+    return true;
+  }
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Check an issue's cited articles against the source mix limits
+ * @param {Object} newsletterData - Issue content
+ * @returns {Object} { articles, tiers: { mainstream, industry, scientific, avoid, unknown }, preprints, paywalled,
+ *   bySource: { [name]: count }, problems: [{ rule, message, urls }], links: [{ url, sections, source, tier, preprint, paywall }] }
+ */
+export const checkSourceMix = (newsletterData) => {
+  const rules = getSourceMixRules();
+
+  // One entry per article, however many sections cite it
+  const byUrl = new Map();
+  collectIssueLinks(newsletterData)
+    .filter(link => !rules.ignoreSections.includes(link.section) && !isHomepage(link.url))
+    .forEach(link => {
+      const existing = byUrl.get(link.url);
+      if (existing) {
+        if (!existing.sections.includes(link.section)) existing.sections.push(link.section);
+        return;
+      }
+      const entry = lookupSource(link.url);
+      byUrl.set(link.url, {
+        url: link.url,
+        sections: [link.section],
+        source: getSourceName(link.url),
+        tier: entry?.tier || 'unknown',
+        preprint: Boolean(entry?.preprint),
+        paywall: Boolean(entry?.paywall)
+      });
+    });
+
+  const links = [...byUrl.values()];
+  const tiers = { mainstream: 0, industry: 0, scientific: 0, avoid: 0, unknown: 0 };
+  const bySource = {};
+  links.forEach(link => {
+    tiers[link.tier] = (tiers[link.tier] || 0) + 1;
+    bySource[link.source] = (bySource[link.source] || 0) + 1;
+  });
+  const urlsWhere = (test) => links.filter(test).map(link => link.url);
+  const preprints = urlsWhere(link => link.preprint);
+  const paywalled = urlsWhere(link => link.paywall);
+
+  const problems = [];
+  if (tiers.avoid > 0) {
+    problems.push({ rule: 'avoid', message: `Cites ${plural(tiers.avoid, 'article')} from sources we avoid`, urls: urlsWhere(link => link.tier === 'avoid') });
+  }
+  if (tiers.scientific > rules.maxScientific) {
+    problems.push({ rule: 'maxScientific', message: `${plural(tiers.scientific, 'scientific source')} - at most ${rules.maxScientific} per issue`, urls: urlsWhere(link => link.tier === 'scientific') });
+  }
+  if (preprints.length > rules.maxPreprints) {
+    problems.push({ rule: 'maxPreprints', message: `${plural(preprints.length, 'preprint')} - at most ${rules.maxPreprints} per issue`, urls: preprints });
+  }
+  if (paywalled.length > rules.maxPaywalled) {
+    problems.push({ rule: 'maxPaywalled', message: `${plural(paywalled.length, 'paywalled article')} - at most ${rules.maxPaywalled} per issue`, urls: paywalled });
+  }
+  if (links.length > 0 && tiers.mainstream < rules.minMainstream) {
+    problems.push({ rule: 'minMainstream', message: `Only ${plural(tiers.mainstream, 'mainstream source')} - at least ${rules.minMainstream} per issue`, urls: [] });
+  }
+  Object.entries(bySource)
+    .filter(([, count]) => count > rules.maxPerSource)
+    .forEach(([source, count]) => {
+      problems.push({ rule: 'maxPerSource', message: `${plural(count, 'article')} from ${source} - at most ${rules.maxPerSource} from one source`, urls: urlsWhere(link => link.source === source) });
+    });
+
+  return { articles: links.length, tiers, preprints: preprints.length, paywalled: paywalled.length, bySource, problems, links };
+};
+
+/**
+ * Running count of the source mix while articles are placed, so selection stays inside the limits
+ * checkSourceMix holds the finished issue to. Avoid-tier sources never fit.
+ * @param {Array} placed - Articles or issue links ({ url, section }) already in the issue - links in
+ *   the mix's ignoreSections and homepage links don't count, as in checkSourceMix
+ * @returns {Object} { fits(url), add(url) } - fits is true for a URL already placed
+ */
+export const createMixBudget = (placed = []) => {
+  const rules = getSourceMixRules();
+  const urls = new Set();
+  const counts = { scientific: 0, preprints: 0, paywalled: 0, bySource: {} };
+
+  const fits = (url) => {
+    if (urls.has(url)) return true;
+    const entry = lookupSource(url);
+    return entry?.tier !== 'avoid'
+      && (entry?.tier !== 'scientific' || counts.scientific < rules.maxScientific)
+      && (!entry?.preprint || counts.preprints < rules.maxPreprints)
+      && (!entry?.paywall || counts.paywalled < rules.maxPaywalled)
+      && (counts.bySource[getSourceName(url)] || 0) < rules.maxPerSource;
+  };
+
+  const add = (url) => {
+    if (!url || urls.has(url) || isHomepage(url)) return;
+    urls.add(url);
+    const entry = lookupSource(url);
+    if (entry?.tier === 'scientific') counts.scientific += 1;
+    if (entry?.preprint) counts.preprints += 1;
+    if (entry?.paywall) counts.paywalled += 1;
+    const source = getSourceName(url);
+    counts.bySource[source] = (counts.bySource[source] || 0) + 1;
+  };
+
+  placed
+    .filter(item => item?.url && !rules.ignoreSections.includes(item.section))
+    .forEach(item => add(item.url));
+  return { fits, add };
+};
+
+export default {
+  checkSourceMix,
+  createMixBudget
+};
@@ -0,0 +1,233 @@
+/**
+ * Style linter - scores each generated section against the style guide
+ *
+ * The rules in src/config/style-guide.json used to reach the model only as prompt text
+ * (getStyleRules). This checks the answer: banned words (wordsToAvoid), word counts
+ * (sectionWordLimits), sentence length, hype and missing bold leads (`lint`).
+ * A section's violations can be sent back to the model to fix (buildStyleFixRequest).
+ */
+
+import { styleGuide } from '../config/index.js';
+import { escapeRegex } from '../services/termMatch.js';
+import { withOutputSchema } from './schemas.js';
+
+const settings = styleGuide.lint || {};
+const MAX_SENTENCE_WORDS = settings.maxSentenceWords || 35;
+const PENALTIES = { bannedWord: 10, hype: 10, wordCount: 15, sentenceLength: 5, boldLead: 10, ...settings.penalties };
+
+// "cure" also catches "cures"; multi-word entries match as phrases
+const phraseRegex = (phrase) => new RegExp(`(?<![\\w-])${escapeRegex(phrase).replace(/\s+/g, '\\s+')}(?:s|es)?(?![\\w-])`, 'gi');
+
+const BANNED = (styleGuide.wordsToAvoid || []).map(phraseRegex);
+const HYPE = (settings.hypePhrases || []).map(phraseRegex);
+
+// Visible text: link syntax replaced by its text
+const visibleText = (text) => (text || '').replace(/\{\{LINK:([^|]+)\|([^}]+)\}\}/g, '$1');
+
+const countWords = (text) => visibleText(text).replace(/\*\*/g, '').split(/\s+/).filter(word => /\w/.test(word)).length;
+
+// One sentence per entry - bullets and paragraphs never run together
+const sentences = (text) => visibleText(text)
+  .replace(/\*\*/g, '')
+  .split('\n')
+  .flatMap(line => line.split(/(?<=[.!?]["”]?)\s+(?=["“]?[A-Z0-9•$])/))
+  .map(sentence => sentence.replace(/^•\s*/, '').trim())
+  .filter(Boolean);
+
+const excerpt = (text, words = 8) => {
+  const parts = text.split(/\s+/);
+  return parts.length > words ? `${parts.slice(0, words).join(' ')}…` : text;
+};
+
+// What gets linted per section: { index (story / item, else null), fields: { name: text }, body: field word counts and bold labels use }
+const SECTION_UNITS = {
+  openingHook: (d) => [{ index: null, fields: { content: d.openingHook?.content }, body: 'content' }],
+  leadStory: (d) => [{ index: null, fields: { headline: d.leadStory?.headline, content: d.leadStory?.content }, body: 'content' }],
+  yourOptionsThisWeek: (d) => [{ index: null, fields: { title: d.yourOptionsThisWeek?.title, content: d.yourOptionsThisWeek?.content }, body: 'content' }],
+  livingWell: (d) => [{ index: null, fields: { headline: d.livingWell?.headline, content: d.livingWell?.content }, body: 'content' }],
+  secondaryStories: (d) => (d.secondaryStories?.stories || []).map((story, index) => ({ index, fields: { boldLead: story.boldLead, content: story.content }, body: 'content' })),
+  industryDeepDive: (d) => [{ index: null, fields: { headline: d.industryDeepDive?.headline, content: d.industryDeepDive?.content }, body: 'content' }],
+  statSection: (d) => [{ index: null, fields: { headline: d.statSection?.headline, content: d.statSection?.content }, body: 'content' }],
+  thePulse: (d) => (d.thePulse?.items || []).map((item, index) => ({ index, fields: { text: typeof item === 'string' ? item : item.text }, body: 'text' })),
+  worthKnowing: (d) => (d.worthKnowing?.items || []).map((item, index) => ({ index, fields: { title: item.title, description: item.description }, body: 'description' }))
+};
+
+/**
+ * Sections the linter checks, in issue order
+ * @returns {Array<string>} newsletterData keys
+ */
+export const getLintSections = () => Object.keys(settings.sections || {}).filter(section => SECTION_UNITS[section]);
+
+/**
+ * Lint one section
+ * @param {Object} newsletterData - Issue content
+ * @param {string} section - newsletterData key (leadStory, thePulse, ...)
+ * @returns {Object} { section, score (0-100), violations: [{ rule, section, index, field, text, message }] }
+ *   - rule: 'bannedWord'|'hype'|'wordCount'|'sentenceLength'|'boldLead'
+ */
+export const lintSection = (newsletterData, section) => {
+  const rules = settings.sections?.[section] || {};
+  const limits = rules.limits ? styleGuide.sectionWordLimits?.[rules.limits] : null;
+  const violations = [];
+  const add = (rule, unit, field, text, message) => violations.push({ rule, section, index: unit.index, field, text, message });
+
+  (SECTION_UNITS[section]?.(newsletterData) || []).forEach(unit => {
+    Object.entries(unit.fields).forEach(([field, text]) => {
+      if (!text) return;
+      const visible = visibleText(text);
+
+      BANNED.forEach(regex => {
+        for (const match of visible.matchAll(regex)) add('bannedWord', unit, field, match[0], `"${match[0]}" is on the words-to-avoid list`);
+      });
+      HYPE.forEach(regex => {
+        for (const match of visible.matchAll(regex)) add('hype', unit, field, match[0], `"${match[0]}" reads as hype`);
+      });
+      if (settings.flagExclamations) {
+        sentences(text).filter(sentence => sentence.endsWith('!')).forEach(sentence => add('hype', unit, field, sentence, `Exclamation mark: "${excerpt(sentence)}"`));
+      }
+      sentences(text).forEach(sentence => {
+        const words = countWords(sentence);
+        if (words > MAX_SENTENCE_WORDS) add('sentenceLength', unit, field, sentence, `${words}-word sentence (max ${MAX_SENTENCE_WORDS}): "${excerpt(sentence)}"`);
+      });
+    });
+
+    const body = unit.fields[unit.body];
+    if (limits && body) {
+      const words = countWords(body);
+      if (limits.min && words < limits.min) add('wordCount', unit, unit.body, null, `${words} words - aim for ${limits.min}-${limits.max}`);
+      if (limits.max && words > limits.max) add('wordCount', unit, unit.body, null, `${words} words - ${limits.min ? `aim for ${limits.min}-${limits.max}` : `max ${limits.max}`}`);
+    }
+
+    if (rules.boldLabels && body) {
+      const labels = (body.match(/\*\*[^*]+\*\*/g) || []).length;
+      if (labels < rules.boldLabels) add('boldLead', unit, unit.body, null, `${labels} bold label${labels === 1 ? '' : 's'} - needs at least ${rules.boldLabels} (e.g. **Here's what happened:**)`);
+    }
+    if (rules.boldLead && !unit.fields.boldLead?.trim()) {
+      add('boldLead', unit, 'boldLead', null, 'Missing its bold lead sentence');
+    }
+  });
+
+  const score = Math.max(0, 100 - violations.reduce((total, violation) => total + (PENALTIES[violation.rule] || 0), 0));
+  return { section, score, violations };
+};
+
+/**
+ * Lint every section in the issue
+ * @param {Object} newsletterData - Issue content
+ * @returns {Object} { score (average of sections), violations (count), bySection: { [section]: { score, violations } } }
+ */
+export const lintIssue = (newsletterData) => {
+  const bySection = {};
+  let violations = 0;
+  getLintSections().forEach(section => {
+    const result = lintSection(newsletterData, section);
+    bySection[section] = { score: result.score, violations: result.violations };
+    violations += result.violations.length;
+  });
+  const scores = Object.values(bySection).map(result => result.score);
+  const score = scores.length ? Math.round(scores.reduce((total, value) => total + value, 0) / scores.length) : 100;
+  return { score, violations, bySection };
+};
+
+// How each section goes to the model for a fix and comes back: { schema (structure.json outputSchemas key, null = plain text), toInput, apply }
+const FIXES = {
+  openingHook: {
+    schema: null,
+    toInput: (d) => d.openingHook.content,
+    apply: (d, value) => ({ ...d.openingHook, content: value })
+  },
+  leadStory: {
+    schema: 'leadStory',
+    toInput: (d) => ({ headline: d.leadStory.headline, content: d.leadStory.content }),
+    apply: (d, value) => ({ ...d.leadStory, headline: value.headline, content: value.content })
+  },
+  yourOptionsThisWeek: {
+    schema: 'researchRoundup',
+    toInput: (d) => ({ headline: d.yourOptionsThisWeek.title, content: d.yourOptionsThisWeek.content }),
+    apply: (d, value) => ({ ...d.yourOptionsThisWeek, title: value.headline, content: value.content })
+  },
+  livingWell: {
+    schema: 'livingWell',
+    toInput: (d) => ({ headline: d.livingWell.headline, content: d.livingWell.content }),
+    apply: (d, value) => ({ ...d.livingWell, headline: value.headline, content: value.content })
+  },
+  secondaryStories: {
+    schema: 'secondaryStories',
+    toInput: (d) => d.secondaryStories.stories.map(story => ({ boldLead: story.boldLead, content: story.content, sources: story.sources || [] })),
+    apply: (d, value) => ({
+      ...d.secondaryStories,
+      stories: value.map((story, index) => ({ ...d.secondaryStories.stories[index], boldLead: story.boldLead, content: story.content }))
+    })
+  },
+  industryDeepDive: {
+    schema: 'deepDive',
+    toInput: (d) => ({ headline: d.industryDeepDive.headline, content: d.industryDeepDive.content }),
+    apply: (d, value) => ({ ...d.industryDeepDive, headline: value.headline, content: value.content })
+  },
+  statSection: {
+    schema: 'statSection',
+    toInput: (d) => ({ primeNumber: d.statSection.primeNumber, headline: d.statSection.headline, content: d.statSection.content }),
+    apply: (d, value) => ({ ...d.statSection, primeNumber: value.primeNumber, headline: value.headline, content: value.content })
+  },
+  thePulse: {
+    schema: 'thePulse',
+    toInput: (d) => d.thePulse.items.map(item => ({ text: item.text, source: item.source })),
+    apply: (d, value) => ({ ...d.thePulse, items: value.map((item, index) => ({ ...d.thePulse.items[index], text: item.text, source: item.source })) })
+  },
+  worthKnowing: {
+    schema: 'worthKnowing',
+    toInput: (d) => d.worthKnowing.items.map(item => ({ type: item.type, title: item.title, date: item.date || '', description: item.description, link: item.link || null })),
+    apply: (d, value) => ({ ...d.worthKnowing, items: value.map((item, index) => ({ ...d.worthKnowing.items[index], ...item })) })
+  }
+};
+
+/**
+ * Build the request that asks the model to fix a section's style violations - and nothing else
+ * @param {Object} newsletterData - Issue content
+ * @param {string} section - newsletterData key
+ * @param {Array} violations - From lintSection
+ * @param {Object} options - { tier }
+ * @returns {Object} Provider request (with `output` for sections that have a schema)
+ */
+export const buildStyleFixRequest = (newsletterData, section, violations, { tier = 'production' } = {}) => {
+  const fix = FIXES[section];
+  if (!fix) throw new Error(`Style fixes aren't supported for "${section}"`);
+
+  const input = fix.toInput(newsletterData);
+  const where = (violation) => violation.index === null ? violation.field : `item ${violation.index + 1} ${violation.field}`;
+  const request = {
+    section: fix.schema || section,
+    tier,
+    maxTokens: 2000,
+    webSearch: false,
+    system: 'You edit copy for Renewal Weekly, a health newsletter. Output ONLY the corrected section. No preamble, no commentary.',
+    prompt: `Fix the style problems listed below in this section. Change only what's needed to fix them - keep the facts, numbers, names, quotes and every {{LINK:text|url}} exactly as they are, and keep the same structure.
+
+PROBLEMS:
+${violations.map(violation => `- ${where(violation)}: ${violation.message}`).join('\n')}
+
+WORDS TO AVOID: ${(styleGuide.wordsToAvoid || []).join(', ')}
+
+CURRENT SECTION:
+${typeof input === 'string' ? input : JSON.stringify(input, null, 2)}`
+  };
+
+  return fix.schema ? withOutputSchema(request, fix.schema) : request;
+};
+
+/**
+ * Merge a fixed answer back into the section
+ * @param {Object} newsletterData - Issue content
+ * @param {string} section - newsletterData key
+ * @param {*} value - Validated answer to buildStyleFixRequest (text for the opening hook)
+ * @returns {Object} New value for newsletterData[section]
+ */
+export const applyStyleFix = (newsletterData, section, value) => FIXES[section].apply(newsletterData, value);
+
+export default {
+  getLintSections,
+  lintSection,
+  lintIssue,
+  buildStyleFixRequest,
+  applyStyleFix
+};
@@ -0,0 +1,209 @@
+/**
+ * Segment variants - one version of the issue per audience segment
+ *
+ * Everyone gets the same lead story, but the segments in audience.json (audienceSegments)
+ * read for different reasons: active patients want treatments and trials, caregivers want
+ * explanations they can pass on. A variant swaps the Research Roundup, Deep Dive and Worth
+ * Knowing picks for the pool articles that fit its segment best and frames them for those
+ * readers. Each variant exports on its own, tagged with the segment's emailTag so Beehiiv
+ * sends it to the right list.
+ */
+
+import { audience } from '../config/index.js';
+import { fitsSection } from '../services/rss.js';
+import { generateMidjourneyPrompt } from './content.js';
+import { collectIssueLinks, parseLinks } from './links.js';
+import { scoreSegmentFit } from './relevance.js';
+import { renderHTML } from './render.js';
+import { createMixBudget } from './sourceMix.js';
+
+/**
+ * Sections that differ between variants - everything else is shared with the main issue
+ * key: newsletterData key, slot: article distribution slot it's written from
+ */
+export const VARIANT_SECTIONS = [
+  { key: 'yourOptionsThisWeek', slot: 'researchRoundup', label: 'Research Roundup' },
+  { key: 'industryDeepDive', slot: 'deepDive', label: 'Deep Dive' },
+  { key: 'worthKnowing', slot: 'worthKnowing', label: 'Worth Knowing' }
+];
+
+const WORTH_KNOWING_ITEMS = 4;
+
+// A full segment fit outranks three points of general audience relevance
+const SEGMENT_WEIGHT = 3;
+
+/**
+ * Audience segments, in audience.json order
+ * @returns {Array} { key, label, description, priority, contentNeed, emailTag }
+ */
+export const getSegments = () => Object.entries(audience.audienceSegments || {}).map(([key, segment]) => ({
+  key,
+  ...segment,
+  label: segment.label || key,
+  emailTag: segment.emailTag || key
+}));
+
+/**
+ * Pick the pool articles that fit a segment best for the variant sections
+ * @param {Array} pool - Pool articles (scored - see relevance.js)
+ * @param {string} segment - audienceSegments key
+ * @param {Object} options - { exclude: URLs already used in the shared sections or past issues,
+ *   shared: the shared sections' links (getSharedLinks) - picks have to fit the source mix left over by them }
+ * @returns {Object} { researchRoundup, deepDive, worthKnowing: [] } - articles carry their `segmentFit` (0-1)
+ */
+export const pickSegmentArticles = (pool = [], segment, { exclude = [], shared = [] } = {}) => {
+  const excluded = new Set(exclude);
+  const ranked = pool
+    .filter(article => article.url && !article.duplicate && !excluded.has(article.url))
+    .map(article => ({ ...article, segmentFit: scoreSegmentFit(article, segment) }))
+    .sort((a, b) => ((b.audienceScore || 5) + SEGMENT_WEIGHT * b.segmentFit) - ((a.audienceScore || 5) + SEGMENT_WEIGHT * a.segmentFit));
+
+  const taken = new Set();
+  const mix = createMixBudget(shared);
+  // Articles whose labels fit the slot first (FEED_CATEGORIES sectionFit), then anything - inside the source mix limits
+  const take = (slot = null) => {
+    const available = ranked.filter(article => !taken.has(article.url) && mix.fits(article.url));
+    const pick = (slot && available.find(article => fitsSection(article, slot))) || available[0] || null;
+    if (pick) {
+      taken.add(pick.url);
+      mix.add(pick.url);
+    }
+    return pick;
+  };
+
+  return {
+    researchRoundup: take('researchRoundup'),
+    deepDive: take('deepDive'),
+    worthKnowing: Array.from({ length: WORTH_KNOWING_ITEMS }, () => take()).filter(Boolean)
+  };
+};
+
+/**
+ * Instructions that point a section at one segment - appended to its article context
+ * @param {Object} segment - From getSegments
+ * @returns {string} Prompt text
+ */
+export const buildSegmentFraming = (segment) => `
+  THIS VERSION GOES TO ONE READER SEGMENT - ${segment.label.toUpperCase()}:
+  Who they are: ${segment.description}
+  What they need from us: ${segment.contentNeed}
+
+  Choose the angle, examples and takeaways for these readers. The facts and the article URL stay exactly as given.`;
+
+/**
+ * Merge a segment's written sections into a copy of the main issue
+ * A section that failed to write keeps the main issue's version.
+ * @param {Object} newsletterData - Main issue
+ * @param {Object} picks - From pickSegmentArticles
+ * @param {Object} written - { researchRoundup, deepDive, worthKnowing } validated answers (null = failed)
+ * @returns {Object} Variant newsletterData
+ */
+export const applyVariantSections = (newsletterData, picks, { researchRoundup, deepDive, worthKnowing }) => {
+  const variant = { ...newsletterData };
+
+  if (researchRoundup) {
+    variant.yourOptionsThisWeek = {
+      ...newsletterData.yourOptionsThisWeek,
+      title: researchRoundup.headline,
+      subtitle: '',
+      content: researchRoundup.content,
+      image: { ...newsletterData.yourOptionsThisWeek.image, midjourneyPrompt: generateMidjourneyPrompt(researchRoundup.headline) }
+    };
+  }
+  if (deepDive) {
+    variant.industryDeepDive = {
+      ...newsletterData.industryDeepDive,
+      headline: deepDive.headline,
+      content: deepDive.content,
+      image: { ...newsletterData.industryDeepDive.image, midjourneyPrompt: generateMidjourneyPrompt(deepDive.headline) }
+    };
+  }
+  if (worthKnowing) {
+    variant.worthKnowing = {
+      ...newsletterData.worthKnowing,
+      // Links always come from the picked articles, never the model - one item per pick
+      items: worthKnowing.slice(0, picks.worthKnowing.length).map((item, idx) => ({
+        type: item.type,
+        title: item.title,
+        date: picks.worthKnowing[idx]?.dateFormatted || item.date || '',
+        description: item.description,
+        link: picks.worthKnowing[idx]?.url
+      }))
+    };
+  }
+  return variant;
+};
+
+/**
+ * Links in the sections every variant shares with the main issue
+ * @param {Object} newsletterData - Main issue
+ * @returns {Array} { url, section, ... } from collectIssueLinks
+ */
+export const getSharedLinks = (newsletterData) => {
+  const variantKeys = VARIANT_SECTIONS.map(section => section.key);
+  return collectIssueLinks(newsletterData).filter(link => !variantKeys.includes(link.section));
+};
+
+/**
+ * URLs the variant sections can't reuse - everything the shared sections link to
+ * @param {Object} newsletterData - Main issue
+ * @returns {Array<string>} URLs
+ */
+export const getSharedUrls = (newsletterData) => [...new Set(getSharedLinks(newsletterData).map(link => link.url))];
+
+// Headline(s) and links of one variant section
+const summarizeSection = (newsletterData, key) => {
+  if (key === 'worthKnowing') {
+    const items = newsletterData.worthKnowing?.items || [];
+    return { titles: items.map(item => item.title), urls: items.map(item => item.link).filter(Boolean) };
+  }
+  const section = newsletterData[key] || {};
+  return { titles: [section.title || section.headline || ''], urls: [...new Set(parseLinks(section.content).map(link => link.url))] };
+};
+
+/**
+ * What each variant changes from the main issue
+ * @param {Object} newsletterData - Main issue
+ * @param {Array} variants - From buildVariants ({ segment, label, newsletterData })
+ * @returns {Array} One row per variant section: { key, label, main: { titles, urls }, variants: [{ segment, label, titles, urls, changed, newUrls }] }
+ */
+export const compareVariants = (newsletterData, variants = []) => VARIANT_SECTIONS.map(({ key, label }) => {
+  const main = summarizeSection(newsletterData, key);
+  return {
+    key,
+    label,
+    main,
+    variants: variants.map(variant => {
+      const section = summarizeSection(variant.newsletterData, key);
+      const newUrls = section.urls.filter(url => !main.urls.includes(url));
+      return {
+        segment: variant.segment,
+        label: variant.label,
+        ...section,
+        newUrls,
+        changed: newUrls.length > 0 || section.titles.join('\n') !== main.titles.join('\n')
+      };
+    })
+  };
+});
+
+/**
+ * Beehiiv HTML for a variant - a comment on top names the segment and its tags
+ * @param {Object} variant - From buildVariants
+ * @param {Object} game - Trivia game (shared)
+ * @returns {string} HTML
+ */
+export const renderVariantHTML = (variant, game) => `<!-- Renewal Weekly #${variant.newsletterData.preHeader?.issueNumber} · ${variant.label} version · Beehiiv segment tags: ${variant.tags.join(', ')} -->
+${renderHTML(variant.newsletterData, game)}`;
+
+export default {
+  VARIANT_SECTIONS,
+  getSegments,
+  pickSegmentArticles,
+  buildSegmentFraming,
+  applyVariantSections,
+  getSharedLinks,
+  getSharedUrls,
+  compareVariants,
+  renderVariantHTML
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyVariantSections } from './variants.js';
+import { createDefaultNewsletter } from './defaultNewsletter.js';
+
+const item = (title) => ({ type: 'tip', title, description: `${title}, in a sentence.`, date: '', link: 'https://model.example/made-up' });
+
+test('Worth Knowing items link to the picked articles and stop when the picks do', () => {
+  const picks = {
+    researchRoundup: null,
+    deepDive: null,
+    worthKnowing: [
+      { url: 'https://www.lifespan.io/news/fixture-ls-001/', dateFormatted: 'Oct 17' },
+      { url: 'https://www.sciencedaily.com/releases/2026/10/fixture-sd-002.htm', dateFormatted: 'Oct 13' }
+    ]
+  };
+  const variant = applyVariantSections(createDefaultNewsletter(), picks, {
+    researchRoundup: null,
+    deepDive: null,
+    worthKnowing: [item('Walk with purpose'), item('Transplants after 65'), item('One too many')]
+  });
+
+  assert.deepEqual(variant.worthKnowing.items.map(({ title, link, date }) => ({ title, link, date })), [
+    { title: 'Walk with purpose', link: 'https://www.lifespan.io/news/fixture-ls-001/', date: 'Oct 17' },
+    { title: 'Transplants after 65', link: 'https://www.sciencedaily.com/releases/2026/10/fixture-sd-002.htm', date: 'Oct 13' }
+  ]);
+});
+
+test('a section that failed to write keeps the main issue\'s version', () => {
+  const main = createDefaultNewsletter();
+  const variant = applyVariantSections(main, { worthKnowing: [] }, { researchRoundup: null, deepDive: null, worthKnowing: null });
+  assert.equal(variant.worthKnowing, main.worthKnowing);
+  assert.equal(variant.industryDeepDive, main.industryDeepDive);
+});
@@ -0,0 +1,44 @@
+/**
+ * Access token for our own API routes (api/_lib/auth.js)
+ * The editor enters it once in Settings → AI; it's kept in localStorage and sent with every
+ * call to a route that spends money or fetches pages (generate, extract, links, custom sources).
+ */
+
+const STORAGE_KEY = 'renewalWeekly_apiAccessToken';
+
+/**
+ * The saved access token
+ * @returns {string} Token ('' when none is saved, or outside the browser)
+ */
+export const getAccessToken = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Save (or, with an empty value, forget) the access token
+ * @param {string} token - Token from the server's API_ACCESS_TOKEN
+ */
+export const setAccessToken = (token) => {
+  if (token) localStorage.setItem(STORAGE_KEY, token.trim());
+  else localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Request headers with the access token added
+ * @param {Object} headers - Other headers
+ * @returns {Object} Headers
+ */
+export const withAccessToken = (headers = {}) => {
+  const token = getAccessToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
+
+export default {
+  getAccessToken,
+  setAccessToken,
+  withAccessToken
+};
@@ -0,0 +1,122 @@
+/**
+ * Article classifier - a confidence for every FEED_CATEGORIES category, not just the first match
+ *
+ * "Stem cell therapy for diabetes enters a trial" is a stem cell story, a chronic disease story
+ * and a clinical trial story at once. Each category scores its keywords and phrases in the
+ * headline and summary (headline matches count more), after removing the negation phrases
+ * that use its terms in another sense ("Food and Drug Administration" isn't about food).
+ * The feed an article came from adds a prior for the category it's filed under in
+ * rss-sources.json - for bundle articles, the categories of curated feeds on the same site.
+ * Rules live in src/config/classifier.json.
+ */
+
+import rssSources from '../config/rss-sources.json' with { type: 'json' };
+import { classifier } from '../config/index.js';
+import { escapeRegex, termRegex } from './termMatch.js';
+
+const THRESHOLD = classifier.threshold ?? 0.3;
+const SCALE = classifier.scale || 2.5;
+const PHRASE_WEIGHT = classifier.phraseWeight ?? 2;
+const TITLE_WEIGHT = classifier.titleWeight ?? 1.5;
+const SOURCE_PRIOR = classifier.sourcePrior ?? 0.25;
+const SITE_PRIOR = classifier.sitePrior ?? 0.15;
+
+const RULES = Object.entries(classifier.categories || {}).map(([key, rules]) => ({
+  key,
+  terms: [
+    ...(rules.keywords || []).map(term => ({ term, regex: termRegex(term), weight: 1 })),
+    ...(rules.phrases || []).map(term => ({ term, regex: termRegex(term), weight: PHRASE_WEIGHT }))
+  ],
+  negations: (rules.negations || []).map(phrase => new RegExp(escapeRegex(phrase), 'gi'))
+}));
+
+/**
+ * Category keys the rules cover, in rules order (ties go to the earlier one)
+ * @returns {Array<string>} FEED_CATEGORIES keys
+ */
+export const getClassifierCategories = () => RULES.map(rule => rule.key);
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+// Site → { category: share of its curated feeds filed there } - nature.com has feeds in three categories
+const SITE_PRIORS = (() => {
+  const counts = {};
+  rssSources.feeds.forEach(feed => {
+    const site = hostnameOf(feed.url);
+    if (!site || !feed.category) return;
+    counts[site] ||= {};
+    counts[site][feed.category] = (counts[site][feed.category] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts).map(([site, categories]) => {
+    const total = Object.values(categories).reduce((sum, count) => sum + count, 0);
+    return [site, Object.fromEntries(Object.entries(categories).map(([category, count]) => [category, count / total]))];
+  }));
+})();
+
+// Prior per category: the feed's own category, else what curated feeds from the same site are filed under
+const sourcePriors = (url, feedCategory) => {
+  if (feedCategory) return { [feedCategory]: SOURCE_PRIOR };
+  const shares = SITE_PRIORS[hostnameOf(url)] || {};
+  return Object.fromEntries(Object.entries(shares).map(([category, share]) => [category, SITE_PRIOR * share]));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Classify an article into every category
+ * @param {Object} article - { title, summary, url }
+ * @param {Object} options - { feedCategory: the category its curated feed is filed under in rss-sources.json }
+ * @returns {Object} { category, categories, confidence, matches }
+ *   - confidence: { [category]: 0-1 } for every category in the rules
+ *   - categories: labels at or above the threshold, most confident first
+ *   - category: the most confident label ('general' when nothing matched and there's no feed category)
+ *   - matches: { [category]: terms that matched }
+ */
+export const classifyArticle = ({ title = '', summary = '', url = '' }, { feedCategory = null } = {}) => {
+  const priors = sourcePriors(url, feedCategory);
+  const confidence = {};
+  const matches = {};
+
+  RULES.forEach(rule => {
+    const mask = (text) => rule.negations.reduce((masked, negation) => masked.replace(negation, match => ' '.repeat(match.length)), text || '');
+    const maskedTitle = mask(title);
+    const maskedSummary = mask(summary);
+
+    let evidence = 0;
+    const matched = [];
+    rule.terms.forEach(({ term, regex, weight }) => {
+      if (regex.test(maskedTitle)) evidence += weight * TITLE_WEIGHT;
+      else if (regex.test(maskedSummary)) evidence += weight;
+      else return;
+      matched.push(term);
+    });
+
+    // Text and source are independent evidence: 1 - (1 - text)(1 - prior)
+    const text = 1 - Math.exp(-evidence / SCALE);
+    confidence[rule.key] = round(1 - (1 - text) * (1 - (priors[rule.key] || 0)));
+    if (matched.length > 0) matches[rule.key] = matched;
+  });
+
+  const ranked = RULES.map(rule => rule.key).sort((a, b) => confidence[b] - confidence[a]);
+  const categories = ranked.filter(key => confidence[key] >= THRESHOLD);
+  // Below the threshold, the best-matching category still beats 'general' - a site prior alone doesn't count
+  const category = categories[0] || feedCategory || ranked.find(key => matches[key]) || 'general';
+
+  return {
+    category,
+    categories: categories.length > 0 ? categories : category === 'general' ? [] : [category],
+    confidence,
+    matches
+  };
+};
+
+export default {
+  getClassifierCategories,
+  classifyArticle
+};
@@ -0,0 +1,49 @@
+/**
+ * Client for the /api/extract route (api/extract.js)
+ * Reads articles on the server - browsers can't fetch other sites' pages.
+ */
+
+import { withAccessToken } from './apiAccess.js';
+
+const EXTRACT_API_URL = '/api/extract';
+
+// The route's per-request limit
+const MAX_URLS_PER_REQUEST = 50;
+
+/**
+ * Read each URL's article - text plus byline, publish time and canonical URL
+ * @param {Array<string>} urls - Article URLs
+ * @returns {Promise<Array>} One result per URL, in order: { url, finalUrl, canonicalUrl, title, author, published, siteName, description, text, error }
+ */
+export const fetchArticleDetails = async (urls) => {
+  const results = [];
+  for (let i = 0; i < urls.length; i += MAX_URLS_PER_REQUEST) {
+    const response = await fetch(EXTRACT_API_URL, {
+      method: 'POST',
+      headers: withAccessToken({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ urls: urls.slice(i, i + MAX_URLS_PER_REQUEST) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Article fetch failed (${response.status})`);
+    }
+    results.push(...data.results);
+  }
+  return results;
+};
+
+/**
+ * Fetch the article text of each URL
+ * @param {Array<string>} urls - Article URLs
+ * @returns {Promise<Object>} url → text (null for pages that couldn't be read)
+ */
+export const fetchArticleTexts = async (urls) => {
+  const results = await fetchArticleDetails(urls);
+  return Object.fromEntries(results.map(result => [result.url, result.text]));
+};
+
+export default {
+  fetchArticleDetails,
+  fetchArticleTexts
+};
@@ -0,0 +1,169 @@
+/**
+ * Feed Parser for Renewal Weekly
+ * Parses RSS 2.0 / RSS 1.0 (RDF), Atom and JSON Feed documents into a common entry shape.
+ * Regex-based on purpose so it runs the same in the browser and in Node (no DOMParser).
+ */
+
+import { escapeRegex } from './termMatch.js';
+
+/**
+ * Detect the format of a feed document
+ * @param {string} body - Raw feed body
+ * @returns {'json'|'atom'|'rss'|null} Detected format
+ */
+export const detectFeedFormat = (body) => {
+  const text = (body || '').trim();
+  if (text.startsWith('{')) return 'json';
+  if (/<feed[\s>]/i.test(text)) return 'atom';
+  if (/<rss[\s>]/i.test(text) || /<rdf:RDF[\s>]/i.test(text) || /<item[\s>]/i.test(text)) return 'rss';
+  return null;
+};
+
+/**
+ * Parse a feed document into entries
+ * @param {string} body - Raw feed body (XML or JSON)
+ * @returns {Array} Entries: { id, title, url, date, content }
+ */
+export const parseFeed = (body) => {
+  switch (detectFeedFormat(body)) {
+    case 'json':
+      return parseJsonFeed(body);
+    case 'atom':
+      return parseAtomFeed(body);
+    case 'rss':
+      return parseRssFeed(body);
+    default:
+      throw new Error('Unrecognized feed format');
+  }
+};
+
+/**
+ * JSON Feed (jsonfeed.org) - also the format RSS.app bundles use
+ */
+const parseJsonFeed = (body) => {
+  const data = JSON.parse(body);
+  if (!Array.isArray(data.items)) {
+    throw new Error('Invalid JSON feed structure');
+  }
+
+  return data.items
+    .map(item => ({
+      id: item.id || null,
+      title: item.title || '',
+      url: item.url || item.external_url || '',
+      date: item.date_published || item.date_modified || null,
+      content: item.content_text || item.summary || item.content_html || ''
+    }))
+    .filter(entry => entry.url);
+};
+
+/**
+ * RSS 2.0 and RSS 1.0 (RDF) - both use <item> blocks
+ */
+const parseRssFeed = (body) => {
+  return getBlocks(body, 'item')
+    .map(block => {
+      const guid = getTagText(block, 'guid');
+      const link = getTagText(block, 'link') || getAttr(block, 'item', 'rdf:about') || (/^https?:\/\//.test(guid) ? guid : '');
+      return {
+        id: guid || null,
+        title: getTagText(block, 'title'),
+        url: link,
+        date: toIsoDate(getTagText(block, 'pubDate') || getTagText(block, 'dc:date') || getTagText(block, 'prism:publicationDate')),
+        content: getTagText(block, 'description') || getTagText(block, 'content:encoded')
+      };
+    })
+    .filter(entry => entry.url);
+};
+
+/**
+ * Atom - <entry> blocks, link is an attribute
+ */
+const parseAtomFeed = (body) => {
+  return getBlocks(body, 'entry')
+    .map(block => ({
+      id: getTagText(block, 'id') || null,
+      title: getTagText(block, 'title'),
+      url: getAtomLink(block),
+      date: toIsoDate(getTagText(block, 'published') || getTagText(block, 'updated')),
+      content: getTagText(block, 'summary') || getTagText(block, 'content')
+    }))
+    .filter(entry => entry.url);
+};
+
+/**
+ * Get inner XML of every <tag>...</tag> block
+ */
+const getBlocks = (xml, tag) => {
+  const regex = new RegExp(`<${escapeRegex(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeRegex(tag)}>`, 'gi');
+  const blocks = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    blocks.push(match[0]);
+  }
+  return blocks;
+};
+
+/**
+ * Get decoded text content of the first <tag> inside a block
+ */
+const getTagText = (block, tag) => {
+  const regex = new RegExp(`<${escapeRegex(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeRegex(tag)}>`, 'i');
+  const match = block.match(regex);
+  if (!match) return '';
+  return decodeEntities(unwrapCdata(match[1])).trim();
+};
+
+/**
+ * Get an attribute value from the opening <tag> of a block
+ */
+const getAttr = (block, tag, attr) => {
+  const open = block.match(new RegExp(`<${escapeRegex(tag)}\\s[^>]*>`, 'i'));
+  if (!open) return '';
+  const match = open[0].match(new RegExp(`${escapeRegex(attr)}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return match ? decodeEntities(match[1]) : '';
+};
+
+/**
+ * Atom entries can have several <link> elements - prefer rel="alternate"
+ */
+const getAtomLink = (block) => {
+  const links = block.match(/<link\b[^>]*>/gi) || [];
+  let fallback = '';
+  for (const link of links) {
+    const href = (link.match(/href\s*=\s*["']([^"']*)["']/i) || [])[1];
+    if (!href) continue;
+    const rel = (link.match(/rel\s*=\s*["']([^"']*)["']/i) || [])[1];
+    if (!rel || rel === 'alternate') return decodeEntities(href);
+    if (!fallback) fallback = decodeEntities(href);
+  }
+  return fallback;
+};
+
+const unwrapCdata = (text) => text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+
+const decodeEntities = (text) => {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Feed dates come in RFC 822 (RSS) or ISO 8601 (Atom/RDF) - normalize to ISO
+ */
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export default {
+  detectFeedFormat,
+  parseFeed
+};
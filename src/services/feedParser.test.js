@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { detectFeedFormat, parseFeed } from './feedParser.js';
+
+const readFeedFixture = (name) => readFile(new URL(`../../fixtures/feeds/${name}`, import.meta.url), 'utf8');
+
+test('RSS 2.0 items keep their link, RFC 822 date and full content', async () => {
+  const entries = parseFeed(await readFeedFixture('lifespan-io.xml'));
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries[0], {
+    id: null,
+    title: 'Daily walking pace linked to slower biological aging',
+    url: 'https://www.lifespan.io/news/fixture-ls-001/',
+    date: '2026-10-17T10:00:00.000Z',
+    content: '<p>Adults who walked briskly for 20 minutes a day had epigenetic clocks about 2 years younger than slow walkers.</p>'
+  });
+  // Numeric entities are decoded
+  assert.equal(entries[1].title, 'What the latest senolytic trial does and doesn’t show');
+});
+
+test('RSS 1.0 (RDF) items read CDATA titles and dc:date', async () => {
+  const body = await readFeedFixture('nature-stem-cells.xml');
+  assert.equal(detectFeedFormat(body), 'rss');
+  const [first, second] = parseFeed(body);
+  assert.equal(first.title, 'Stem cell-derived islets restore insulin production in people with type 1 diabetes');
+  assert.equal(first.date, '2026-10-16T00:00:00.000Z');
+  assert.equal(second.title, 'Mesenchymal stromal cells & knee cartilage: two-year follow-up');
+});
+
+test('Atom entries use the alternate link, not the related one', async () => {
+  const body = await readFeedFixture('regenerative-medicine-journal.xml');
+  assert.equal(detectFeedFormat(body), 'atom');
+  const [entry] = parseFeed(body);
+  assert.equal(entry.id, 'tag:futuremedicine.com,2026:fixture-rm-001');
+  assert.equal(entry.url, 'https://www.futuremedicine.com/doi/fixture-rm-001');
+  assert.equal(entry.date, '2026-10-15T08:00:00.000Z');
+});
+
+test('RSS guids that are URLs stand in for a missing link', () => {
+  const [entry] = parseFeed(`<rss><channel><item>
+    <title>Guid only</title><guid>https://example.org/guid-only</guid><pubDate>not a date</pubDate>
+  </item></channel></rss>`);
+  assert.equal(entry.url, 'https://example.org/guid-only');
+  assert.equal(entry.date, null);
+});
+
+test('JSON Feed items map to the same shape and items without a URL are dropped', () => {
+  const entries = parseFeed(JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    items: [
+      { id: '1', title: 'Kept', external_url: 'https://example.org/kept', date_published: '2026-10-15T08:00:00Z', summary: 'Summary' },
+      { id: '2', title: 'No link' }
+    ]
+  }));
+  assert.deepEqual(entries, [
+    { id: '1', title: 'Kept', url: 'https://example.org/kept', date: '2026-10-15T08:00:00Z', content: 'Summary' }
+  ]);
+});
+
+test('a page that is not a feed is refused', async () => {
+  const body = await readFeedFixture('fda-press-announcements.html');
+  assert.equal(detectFeedFormat(body), null);
+  assert.throws(() => parseFeed(body), /Unrecognized feed format/);
+});
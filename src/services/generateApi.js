@@ -0,0 +1,57 @@
+/**
+ * Client for the /api/generate route (api/generate.js)
+ * The Anthropic key stays on the server - the browser only ever talks to our own API.
+ */
+
+import { parseRateLimitHeaders } from './llm/scheduler.js';
+import { withAccessToken } from './apiAccess.js';
+
+const GENERATE_API_URL = '/api/generate';
+
+/**
+ * Send a Messages API request through the server
+ * @param {Object} requestBody - Anthropic Messages API body (model, max_tokens, system, messages, tools)
+ * @param {string} issue - Issue number the call is billed against
+ * @returns {Promise<Object>} { data, rateLimit } - Anthropic response plus the rate-limit headers passed through
+ */
+export const createMessage = async (requestBody, issue) => {
+  const response = await fetch(GENERATE_API_URL, {
+    method: 'POST',
+    headers: withAccessToken({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ ...requestBody, issue })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  const rateLimit = parseRateLimitHeaders(response.headers);
+
+  if (!response.ok) {
+    const error = new Error(data.error?.message || `AI request failed (${response.status})`);
+    error.status = response.status;
+    error.type = data.error?.type;
+    error.retryAfter = rateLimit.retryAfter;
+    error.rateLimit = rateLimit;
+    throw error;
+  }
+
+  return { data, rateLimit };
+};
+
+/**
+ * Whether the server has a key configured and accepts our access token, plus models and the issue's and today's budgets
+ * @param {string} issue - Issue number
+ * @returns {Promise<Object|null>} Server status, or null if the route is unreachable
+ */
+export const getGenerateStatus = async (issue) => {
+  try {
+    const response = await fetch(`${GENERATE_API_URL}?issue=${encodeURIComponent(issue)}`, { headers: withAccessToken() });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch {
+    return null;
+  }
+};
+
+export default {
+  createMessage,
+  getGenerateStatus
+};
@@ -0,0 +1,31 @@
+/**
+ * Client for the /api/links route (api/links.js)
+ * Pages on other sites can't be read from the browser, so link checks run on the server.
+ */
+
+import { withAccessToken } from './apiAccess.js';
+
+const LINKS_API_URL = '/api/links';
+
+/**
+ * Check links through the server
+ * @param {Array} links - { url, text } - from linksToCheck in src/engine/links.js
+ * @returns {Promise<Object>} { checkedAt, results } - one result per link
+ */
+export const checkLinks = async (links) => {
+  const response = await fetch(LINKS_API_URL, {
+    method: 'POST',
+    headers: withAccessToken({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ links })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Link check failed (${response.status})`);
+  }
+  return data;
+};
+
+export default {
+  checkLinks
+};
@@ -0,0 +1,161 @@
+/**
+ * Anthropic (Claude) provider
+ * In the browser requests go through /api/generate so the key stays on the server.
+ * Pass `apiKey` (Node only - CLI, cron) to call the Messages API directly.
+ */
+
+import models from '../../config/models.json' with { type: 'json' };
+import { createMessage } from '../generateApi.js';
+import { parseRateLimitHeaders } from './scheduler.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} options - { apiKey, issue } - issue is a function returning the issue number calls are billed to
+ * @returns {Object} Provider
+ */
+export const createAnthropicProvider = ({ apiKey = null, issue = () => 'unassigned' } = {}) => {
+  const send = apiKey
+    ? (body) => sendDirect(body, apiKey)
+    : (body) => createMessage(body, issue());
+
+  return {
+    name: 'anthropic',
+    // Real API - results carry the rate-limit headers so the scheduler can pace requests
+    rateLimited: true,
+    generate: async (request) => {
+      const body = buildRequestBody(request);
+      const { data, rateLimit } = await send(body);
+      return {
+        text: getResponseText(data),
+        output: getResponseOutput(data, request),
+        model: data.model || body.model,
+        usage: data.usage || null,
+        rateLimit
+      };
+    }
+  };
+};
+
+/**
+ * Turn a provider-neutral request into a Messages API body
+ * @param {Object} request - { system, prompt, maxTokens, tier, model, webSearch, maxSearches, output }
+ *   - output { name, description, schema } is sent as a tool the model must call with its answer
+ * @returns {Object} Messages API body
+ */
+export const buildRequestBody = (request) => {
+  const body = {
+    model: request.model || models[request.tier || 'production'],
+    max_tokens: request.maxTokens || 800,
+    messages: [{ role: 'user', content: request.prompt }]
+  };
+
+  if (request.system) {
+    // Array format with cache_control for prompt caching (90% savings on cached tokens)
+    body.system = [{
+      type: 'text',
+      text: request.system,
+      cache_control: { type: 'ephemeral' }
+    }];
+  }
+
+  if (request.webSearch) {
+    body.tools = [{
+      type: 'web_search_20250305',
+      name: 'web_search',
+      max_uses: request.maxSearches || models.limits.maxWebSearchesPerRequest
+    }];
+  }
+
+  if (request.output) {
+    body.tools = [...(body.tools || []), {
+      name: request.output.name,
+      description: request.output.description,
+      input_schema: toInputSchema(request.output.schema)
+    }];
+    // Forcing the tool would rule out searching first - with web search the prompt asks for it instead
+    body.tool_choice = request.webSearch ? { type: 'auto' } : { type: 'tool', name: request.output.name };
+  }
+
+  return body;
+};
+
+// Tool input has to be an object - arrays and strings are wrapped in { result }
+const toInputSchema = (schema) => schema.type === 'object'
+  ? schema
+  : { type: 'object', properties: { result: schema }, required: ['result'] };
+
+/**
+ * Answer the model gave through the output tool
+ * @param {Object} data - Anthropic response
+ * @param {Object} request - The request (its `output` names the tool)
+ * @returns {*} Tool input (unwrapped from { result } for non-object schemas), or undefined if the tool wasn't called
+ */
+export const getResponseOutput = (data, request) => {
+  if (!request.output) return undefined;
+  const block = (data.content || []).find(b => b.type === 'tool_use' && b.name === request.output.name);
+  if (!block) return undefined;
+  return request.output.schema.type === 'object' ? block.input : block.input?.result;
+};
+
+/**
+ * Does a Messages API body use the server-side web search tool?
+ * @param {Object} body - Messages API body
+ * @returns {boolean}
+ */
+export const usesWebSearch = (body) => (body.tools || []).some(tool => tool.type === 'web_search_20250305');
+
+/**
+ * Join the text blocks of a Messages API response
+ * @param {Object} data - Anthropic response
+ * @returns {string} Text content
+ */
+export const getResponseText = (data) => {
+  let content = '';
+  for (const block of data.content || []) {
+    if (block.type === 'text') content += block.text;
+  }
+  return content;
+};
+
+/**
+ * Call the Messages API directly (server-side only - needs the key)
+ */
+const sendDirect = async (body, apiKey) => {
+  const response = await fetch(ANTHROPIC_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'anthropic-beta': usesWebSearch(body)
+        ? 'web-search-2025-03-05,prompt-caching-2024-07-31'
+        : 'prompt-caching-2024-07-31'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  const rateLimit = parseRateLimitHeaders(response.headers);
+
+  if (!response.ok) {
+    const error = new Error(data.error?.message || `AI request failed (${response.status})`);
+    error.status = response.status;
+    error.type = data.error?.type;
+    error.retryAfter = rateLimit.retryAfter;
+    error.rateLimit = rateLimit;
+    throw error;
+  }
+
+  return { data, rateLimit };
+};
+
+export default {
+  createAnthropicProvider,
+  buildRequestBody,
+  getResponseText,
+  getResponseOutput,
+  usesWebSearch
+};
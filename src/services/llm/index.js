@@ -0,0 +1,71 @@
+/**
+ * LLM Provider Layer for Renewal Weekly
+ *
+ * Every AI call goes through a provider with one method:
+ *
+ *   provider.generate(request) → Promise<{ text, model, usage, rateLimit? }>
+ *
+ * where request is provider-neutral:
+ *   { section, system, prompt, maxTokens, tier: 'production'|'test', webSearch, maxSearches }
+ *
+ * Providers:
+ * - anthropic → Claude via /api/generate (browser) or the API directly (Node, with an API key)
+ * - mock      → canned outputs from fixtures/llm/mock-responses.json, no network or spend
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { sharedScheduler, estimateCost } from './scheduler.js';
+import { createUsageRecord, formatCost } from './usage.js';
+
+export const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'anthropic' or 'mock'
+ * @param {Object} options - Provider-specific options (see anthropic.js / mock.js)
+ * @returns {Object} Provider
+ */
+export const createProvider = (name = 'anthropic', options = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+};
+
+/**
+ * Generate text through the shared scheduler - the one entry point the app and engine use
+ * Rate limits are handled there: requests wait for room in the token buckets and 429s retry after retry-after.
+ * Every successful call is logged as a usage record (tokens, web searches, model, section, cost).
+ * @param {Object} provider - Provider from createProvider
+ * @param {Object} request - { section, system, prompt, maxTokens, tier, webSearch, maxSearches }
+ * @param {Object} options - { scheduler } (default: sharedScheduler), { onStatus, onQueue, onUsage } callbacks
+ * @returns {Promise<Object>} { text, model, usage, usageRecord, rateLimit? }
+ */
+export const generateText = async (provider, request, { scheduler = sharedScheduler, onStatus = null, onQueue = null, onUsage = null } = {}) => {
+  const result = await scheduler.schedule(() => provider.generate(request), {
+    cost: estimateCost(request),
+    label: request.section || 'request',
+    onStatus,
+    onQueue
+  });
+
+  const usageRecord = createUsageRecord(request, result);
+  console.log(`Usage: ${usageRecord.section} (${usageRecord.model}) - ${usageRecord.inputTokens} in / ${usageRecord.outputTokens} out, ${usageRecord.webSearches} searches, ${formatCost(usageRecord.cost)}`);
+  if (onUsage) onUsage(usageRecord);
+
+  return { ...result, usageRecord };
+};
+
+export { createScheduler, sharedScheduler, isRetryableError } from './scheduler.js';
+export { createUsageRecord, summarizeUsage, priceUsage, formatCost } from './usage.js';
+
+export default {
+  PROVIDERS,
+  createProvider,
+  generateText
+};
@@ -0,0 +1,63 @@
+/**
+ * Mock provider - deterministic canned outputs for offline runs
+ *
+ * Responses come from fixtures/llm/mock-responses.json. Each entry has a `section` and
+ * optionally a `match` regex tested against the prompt; the first matching entry wins.
+ * `{{url1}}`, `{{url2}}`, ... in a response are replaced with the 1st, 2nd, ... article URL
+ * in the prompt (the `URL: ...` lines), so canned sections link to the articles actually fed in.
+ * For requests with an output schema the text is the JSON the model would pass to the output tool.
+ */
+
+import mockResponses from '../../../fixtures/llm/mock-responses.json' with { type: 'json' };
+
+/**
+ * Create a mock provider
+ * @param {Object} options - { responses } to override the fixture file, { latencyMs } to simulate slow calls
+ * @returns {Object} Provider
+ */
+export const createMockProvider = ({ responses = mockResponses.responses, latencyMs = 0 } = {}) => {
+  return {
+    name: 'mock',
+    rateLimited: false,
+    generate: async (request) => {
+      if (latencyMs) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+
+      const entry = responses.find(r =>
+        r.section === request.section && (!r.match || new RegExp(r.match, 'i').test(request.prompt || ''))
+      );
+      if (!entry) {
+        throw new Error(`No mock response for section "${request.section}"`);
+      }
+
+      const text = fillUrls(entry.text, request.prompt || '');
+      return {
+        text,
+        output: request.output ? parseJson(text) : undefined,
+        model: `mock-${request.tier || 'production'}`,
+        usage: { input_tokens: Math.ceil((request.prompt || '').length / 4), output_tokens: Math.ceil(text.length / 4) }
+      };
+    }
+  };
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Replace {{urlN}} placeholders with the article URLs listed in the prompt
+ */
+const fillUrls = (text, prompt) => {
+  const urls = [...new Set([...prompt.matchAll(/^\s*URL:\s*(\S+)/gm)].map(m => m[1]))];
+  return text.replace(/\{\{url(\d+)\}\}/g, (_, n) => urls[Number(n) - 1] || '#');
+};
+
+export default {
+  createMockProvider
+};
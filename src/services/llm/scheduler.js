@@ -0,0 +1,232 @@
+/**
+ * Request scheduler - one queue for every AI call, paced by Anthropic's rate-limit headers
+ *
+ * Each response carries anthropic-ratelimit-{requests,tokens,input-tokens,output-tokens}-{limit,remaining,reset}.
+ * The scheduler keeps a token bucket per limit, refilling it linearly until its reset time, and only
+ * starts a queued request when every bucket has room for it - so independent sections run side by
+ * side while there's budget, and queue up when there isn't. A 429's retry-after pauses the whole queue.
+ * Buckets start unlimited and learn the real limits from the first response.
+ */
+
+// Header name → bucket key
+const BUCKET_HEADERS = {
+  requests: 'requests',
+  tokens: 'tokens',
+  'input-tokens': 'inputTokens',
+  'output-tokens': 'outputTokens'
+};
+
+// Rough input cost of one web search (results are fed back to the model as input)
+const WEB_SEARCH_INPUT_TOKENS = 2500;
+
+/**
+ * Is this error worth retrying? (rate limits and overloaded API)
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (error.status === 429 || error.status === 529) return true;
+  const message = error.message?.toLowerCase() || '';
+  return message.includes('rate limit') || message.includes('429') || message.includes('overloaded');
+};
+
+/**
+ * Read rate-limit headers from a fetch Response
+ * @param {Headers} headers - Response headers
+ * @returns {Object} { retryAfter (seconds or null), buckets: { requests, tokens, inputTokens, outputTokens } }
+ *   - each bucket is { limit, remaining, resetAt (ms) }, only present when the headers were sent
+ */
+export const parseRateLimitHeaders = (headers) => {
+  const buckets = {};
+  Object.entries(BUCKET_HEADERS).forEach(([name, key]) => {
+    const limit = Number(headers.get(`anthropic-ratelimit-${name}-limit`));
+    const remaining = Number(headers.get(`anthropic-ratelimit-${name}-remaining`));
+    const reset = Date.parse(headers.get(`anthropic-ratelimit-${name}-reset`) || '');
+    if (limit > 0 && Number.isFinite(remaining)) {
+      buckets[key] = { limit, remaining, resetAt: Number.isNaN(reset) ? null : reset };
+    }
+  });
+
+  return {
+    retryAfter: Number(headers.get('retry-after')) || null,
+    buckets
+  };
+};
+
+/**
+ * Estimate what a request will take out of each bucket
+ * @param {Object} request - Provider-neutral request ({ system, prompt, maxTokens, webSearch, maxSearches })
+ * @returns {Object} { requests, inputTokens, outputTokens, tokens }
+ */
+export const estimateCost = (request) => {
+  const textLength = (request.system || '').length + (request.prompt || '').length;
+  const inputTokens = Math.ceil(textLength / 4) + (request.webSearch ? (request.maxSearches || 5) * WEB_SEARCH_INPUT_TOKENS : 0);
+  const outputTokens = request.maxTokens || 800;
+  return { requests: 1, inputTokens, outputTokens, tokens: inputTokens + outputTokens };
+};
+
+/**
+ * Create a scheduler
+ * @param {Object} options
+ * @param {number} options.maxConcurrent - Most requests in flight at once (default 3)
+ * @param {number} options.maxRetries - Attempts per request on 429/529 (default 3)
+ * @param {number} options.fallbackDelay - Backoff base when a 429 has no retry-after (default 15s, doubles each retry)
+ * @returns {Object} { schedule, getState }
+ */
+export const createScheduler = ({ maxConcurrent = 3, maxRetries = 3, fallbackDelay = 15000 } = {}) => {
+  const queue = [];
+  const buckets = {};
+  let active = 0;
+  let blockedUntil = 0;
+  let timer = null;
+  let nextId = 1;
+
+  // Tokens available in a bucket right now - refills linearly from the last reading until reset
+  const available = (bucket, now) => {
+    if (!bucket.resetAt || now >= bucket.resetAt) return bucket.limit;
+    const elapsed = now - bucket.observedAt;
+    const refillWindow = bucket.resetAt - bucket.observedAt;
+    return Math.min(bucket.limit, bucket.remaining + (bucket.limit - bucket.remaining) * (elapsed / refillWindow));
+  };
+
+  // Milliseconds until every bucket can cover `cost` (0 if it can go now)
+  const waitFor = (cost, now) => {
+    let wait = Math.max(0, blockedUntil - now);
+    Object.entries(buckets).forEach(([key, bucket]) => {
+      const need = Math.min(cost[key] || 0, bucket.limit);
+      const have = available(bucket, now);
+      if (have >= need) return;
+      if (!bucket.resetAt || bucket.resetAt <= now) return;
+      const refillPerMs = (bucket.limit - bucket.remaining) / (bucket.resetAt - bucket.observedAt);
+      const bucketWait = refillPerMs > 0 ? (need - have) / refillPerMs : bucket.resetAt - now;
+      wait = Math.max(wait, Math.ceil(bucketWait));
+    });
+    return wait;
+  };
+
+  // Take a request's estimated cost out of the buckets so parallel starts don't overshoot
+  const reserve = (cost, now) => {
+    Object.entries(buckets).forEach(([key, bucket]) => {
+      buckets[key] = { ...bucket, remaining: Math.max(0, available(bucket, now) - (cost[key] || 0)), observedAt: now };
+    });
+  };
+
+  // The server's numbers replace our estimates
+  const observe = (rateLimit, now) => {
+    if (!rateLimit) return;
+    Object.entries(rateLimit.buckets || {}).forEach(([key, bucket]) => {
+      buckets[key] = { ...bucket, observedAt: now };
+    });
+    if (rateLimit.retryAfter) {
+      blockedUntil = Math.max(blockedUntil, now + rateLimit.retryAfter * 1000);
+    }
+  };
+
+  // Tell every waiting job where it stands - the wait counts everything queued ahead of it
+  const reportQueue = (now) => {
+    const ahead = { requests: 0, inputTokens: 0, outputTokens: 0, tokens: 0 };
+    queue.forEach((job, index) => {
+      Object.keys(ahead).forEach(key => { ahead[key] += job.cost[key]; });
+      if (job.onQueue) {
+        job.onQueue({ position: index + 1, queued: queue.length, active, waitMs: waitFor(ahead, now) });
+      }
+    });
+  };
+
+  const pump = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    const now = Date.now();
+    while (queue.length > 0 && active < maxConcurrent && waitFor(queue[0].cost, now) === 0) {
+      const job = queue.shift();
+      reserve(job.cost, now);
+      start(job);
+    }
+
+    reportQueue(now);
+
+    // Wake up when the head of the queue should fit (finishing requests also call pump)
+    if (queue.length > 0 && active < maxConcurrent) {
+      timer = setTimeout(pump, Math.max(250, waitFor(queue[0].cost, now)));
+    }
+  };
+
+  const start = async (job) => {
+    active++;
+    if (job.onQueue) job.onQueue({ position: 0, queued: queue.length, active, waitMs: 0 });
+
+    try {
+      const result = await job.run();
+      observe(result?.rateLimit, Date.now());
+      job.resolve(result);
+    } catch (error) {
+      observe(error.rateLimit, Date.now());
+      job.attempts++;
+
+      if (isRetryableError(error) && job.attempts < maxRetries) {
+        // No retry-after from the server - back off 15s, 30s, 60s...
+        if (!error.rateLimit?.retryAfter) {
+          blockedUntil = Math.max(blockedUntil, Date.now() + fallbackDelay * Math.pow(2, job.attempts - 1));
+        }
+        const waitSeconds = Math.round(Math.max(0, blockedUntil - Date.now()) / 1000);
+        console.log(`Rate limit hit, retrying ${job.label} in ${waitSeconds}s (${job.attempts}/${maxRetries - 1})`);
+        if (job.onStatus) {
+          job.onStatus(`⏳ Rate limit - waiting ${waitSeconds}s then retrying ${job.label} (${job.attempts}/${maxRetries - 1})...`);
+        }
+        queue.unshift(job); // Keep its place at the front
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      active--;
+      pump();
+    }
+  };
+
+  /**
+   * Queue a request
+   * @param {Function} run - Makes the call; resolves to a provider result (its `rateLimit` is read if present)
+   * @param {Object} options - { cost } from estimateCost, { label } for messages, { onQueue, onStatus } callbacks
+   *   - onQueue({ position, queued, active, waitMs }) - position 0 means the request just started
+   * @returns {Promise<*>} Result of run
+   */
+  const schedule = (run, { cost = estimateCost({}), label = `request ${nextId}`, onQueue = null, onStatus = null } = {}) => {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, run, cost, label, onQueue, onStatus, resolve, reject, attempts: 0 });
+      pump();
+    });
+  };
+
+  /**
+   * Current scheduler state (for status displays)
+   * @returns {Object} { active, queued, blockedForMs, buckets }
+   */
+  const getState = () => {
+    const now = Date.now();
+    return {
+      active,
+      queued: queue.length,
+      blockedForMs: Math.max(0, blockedUntil - now),
+      buckets: Object.fromEntries(Object.entries(buckets).map(([key, bucket]) => [key, {
+        limit: bucket.limit,
+        available: Math.floor(available(bucket, now))
+      }]))
+    };
+  };
+
+  return { schedule, getState };
+};
+
+// Rate limits belong to the API key, so every caller in this process shares one queue
+export const sharedScheduler = createScheduler();
+
+export default {
+  createScheduler,
+  sharedScheduler,
+  parseRateLimitHeaders,
+  estimateCost,
+  isRetryableError
+};
@@ -0,0 +1,109 @@
+/**
+ * Usage accounting - what each AI call consumed and what it cost
+ *
+ * generateText turns every response's `usage` block into a record:
+ *   { section, model, tier, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, webSearches, cost, at }
+ * (the engine adds `mode` - the run's test/production setting, since some sections always use Haiku)
+ * and summarizeUsage rolls an issue's records up for the History tab.
+ * Prices come from src/config/models.json (list prices - check them against your invoice).
+ */
+
+import models from '../../config/models.json' with { type: 'json' };
+
+/**
+ * Dollar cost of one call
+ * @param {Object} record - Usage record (tokens, webSearches, model)
+ * @returns {number} USD - 0 for models without a price (e.g. the mock provider)
+ */
+export const priceUsage = (record) => {
+  const price = models.pricing.models[record.model];
+  const searchCost = record.webSearches * models.pricing.webSearchPer1000 / 1000;
+  if (!price) return searchCost;
+
+  return (
+    record.inputTokens * price.input +
+    record.outputTokens * price.output +
+    record.cacheWriteTokens * price.cacheWrite +
+    record.cacheReadTokens * price.cacheRead
+  ) / 1000000 + searchCost;
+};
+
+/**
+ * Build a usage record from a provider result
+ * @param {Object} request - The provider-neutral request (section, tier)
+ * @param {Object} result - Provider result ({ model, usage })
+ * @returns {Object} Usage record
+ */
+export const createUsageRecord = (request, result) => {
+  const usage = result.usage || {};
+  const record = {
+    section: request.section || 'unknown',
+    model: result.model || 'unknown',
+    tier: request.tier || 'production',
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    webSearches: usage.server_tool_use?.web_search_requests || 0,
+    at: new Date().toISOString()
+  };
+  record.cost = priceUsage(record);
+  return record;
+};
+
+const emptyTotals = () => ({
+  calls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cacheWriteTokens: 0,
+  cacheReadTokens: 0,
+  webSearches: 0,
+  cost: 0
+});
+
+const addTo = (totals, record) => {
+  totals.calls++;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.cacheWriteTokens += record.cacheWriteTokens;
+  totals.cacheReadTokens += record.cacheReadTokens;
+  totals.webSearches += record.webSearches;
+  totals.cost += record.cost;
+};
+
+/**
+ * Roll usage records up into a per-issue summary
+ * @param {Array} records - Usage records for one issue
+ * @returns {Object} Totals plus { mode: 'production'|'test'|'mixed'|null, byModel, bySection }
+ */
+export const summarizeUsage = (records = []) => {
+  const summary = { ...emptyTotals(), byModel: {}, bySection: {} };
+  const modes = new Set();
+
+  records.forEach(record => {
+    addTo(summary, record);
+    modes.add(record.mode || record.tier);
+    addTo(summary.byModel[record.model] ||= emptyTotals(), record);
+    addTo(summary.bySection[record.section] ||= emptyTotals(), record);
+  });
+
+  summary.mode = modes.size === 0 ? null : modes.size === 1 ? [...modes][0] : 'mixed';
+  return summary;
+};
+
+/**
+ * Format a dollar amount - cents for small numbers, so test runs don't all show $0.00
+ * @param {number} cost - USD
+ * @returns {string}
+ */
+export const formatCost = (cost) => {
+  if (!cost) return '$0.00';
+  return cost < 0.1 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+};
+
+export default {
+  priceUsage,
+  createUsageRecord,
+  summarizeUsage,
+  formatCost
+};
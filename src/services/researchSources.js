@@ -0,0 +1,333 @@
+/**
+ * PubMed and ClinicalTrials.gov as article sources
+ *
+ * The /api/research route (api/research.js) returns raw esummary docs and ClinicalTrials.gov v2
+ * studies; this turns them into feed entries that normalizeFeedEntry (rss.js) finishes like any
+ * other pool article, and pulls out the counts for the metrics dashboard.
+ * Papers keep their journal and PMID; trials keep what readers need to act on them (`trial`).
+ * The US trials recruiting now become the cards of the Trials Recruiting Now section.
+ */
+
+import audience from '../config/audience.json' with { type: 'json' };
+import researchSources from '../config/research-sources.json' with { type: 'json' };
+import { escapeRegex } from './termMatch.js';
+
+const RESEARCH_API_URL = '/api/research';
+
+// Both APIs in one request, and PubMed's are spaced out - give it longer than a feed
+const RESEARCH_TIMEOUT_MS = 30000;
+
+// The pool, the dashboard and the trials section all ask within seconds of each other - one request serves them
+const SHARED_FOR_MS = 5 * 60 * 1000;
+
+// url → { promise, startedAt }
+const pending = new Map();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "2026/10/15 06:42" (E-utilities) → ISO
+const parsePubMedDate = (value) => {
+  const match = (value || '').match(/^(\d{4})\/(\d{2})\/(\d{2})(?: (\d{2}):(\d{2}))?/);
+  if (!match) return null;
+  const [, year, month, day, hour = '12', minute = '00'] = match;
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute))).toISOString();
+};
+
+// "2026-10-14" or "2026-10" (ClinicalTrials.gov) → ISO at noon UTC, so the day doesn't shift in US time zones
+const parseTrialDate = (value) => {
+  const match = (value || '').match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  return match ? `${match[1]}-${match[2]}-${match[3] || '01'}T12:00:00.000Z` : null;
+};
+
+const PHASE_LABELS = { EARLY_PHASE1: 'Early phase 1', PHASE1: 'Phase 1', PHASE2: 'Phase 2', PHASE3: 'Phase 3', PHASE4: 'Phase 4' };
+
+/**
+ * Readable trial phase - ['PHASE1', 'PHASE2'] → "Phase 1/2"
+ * @param {Array<string>} phases - designModule.phases
+ * @returns {string} '' for studies without a phase (observational, device)
+ */
+export const formatTrialPhase = (phases = []) => {
+  const labels = phases.filter(phase => PHASE_LABELS[phase]).map(phase => PHASE_LABELS[phase]);
+  if (labels.length === 0) return '';
+  return labels.length === 1 ? labels[0] : `${labels[0]}/${labels.slice(1).map(label => label.replace('Phase ', '')).join('/')}`;
+};
+
+/**
+ * Readable recruitment status - 'NOT_YET_RECRUITING' → "not yet recruiting"
+ * @param {string} status - statusModule.overallStatus
+ * @returns {string}
+ */
+export const formatTrialStatus = (status = '') => status.toLowerCase().replace(/_/g, ' ');
+
+/**
+ * A PubMed esummary doc as a feed entry
+ * @param {Object} doc - esummary result for one PMID
+ * @returns {Object} { entry: for normalizeFeedEntry, feed: its pseudo-feed, fields: set on the normalized article }
+ */
+export const toPubMedEntry = (doc) => {
+  const added = doc.history?.find(event => event.pubstatus === 'entrez')?.date;
+  const authors = (doc.authors || []).filter(author => author.authtype === 'Author' || !author.authtype).map(author => author.name);
+  const types = (doc.pubtype || []).filter(type => type !== 'Journal Article');
+  const journal = doc.fulljournalname || doc.source || '';
+
+  return {
+    entry: {
+      id: `pmid-${doc.uid}`,
+      title: (doc.title || '').replace(/\.$/, ''),
+      url: `https://pubmed.ncbi.nlm.nih.gov/${doc.uid}/`,
+      date: parsePubMedDate(added) || parsePubMedDate(doc.sortpubdate),
+      // esummary has no abstract - the paper's type, journal and authors stand in for a summary
+      content: `${types.length ? types.join(', ') : 'Study'} published in ${journal || 'a peer-reviewed journal'}${authors.length ? ` by ${authors[0]}${authors.length > 1 ? ' et al.' : ''}` : ''}.`
+    },
+    feed: { name: 'PubMed', category: null },
+    fields: {
+      source: 'PubMed',
+      origin: 'pubmed',
+      journal: journal || null,
+      pubmed: {
+        pmid: doc.uid,
+        doi: doc.articleids?.find(id => id.idtype === 'doi')?.value || null,
+        publicationTypes: doc.pubtype || [],
+        authors: authors.slice(0, 3)
+      }
+    }
+  };
+};
+
+/**
+ * A ClinicalTrials.gov v2 study as a feed entry
+ * @param {Object} study - One of the API's `studies`
+ * @returns {Object} { entry, feed, fields } - fields.trial: { nctId, status, phase, phases, studyType, conditions, interventions,
+ *   enrollment, sponsor, minimumAge, maximumAge, healthyVolunteers, countries, usSites, recruitingSites, firstPosted, lastUpdated }
+ */
+export const toTrialEntry = (study) => {
+  const protocol = study.protocolSection || {};
+  const { nctId, briefTitle, officialTitle } = protocol.identificationModule || {};
+  const status = protocol.statusModule || {};
+  const design = protocol.designModule || {};
+  const eligibility = protocol.eligibilityModule || {};
+  const locations = protocol.contactsLocationsModule?.locations || [];
+  const country = researchSources.trialsRecruiting?.country || 'United States';
+  const phase = formatTrialPhase(design.phases);
+  const statusLabel = formatTrialStatus(status.overallStatus);
+
+  return {
+    entry: {
+      id: nctId,
+      title: briefTitle || officialTitle || nctId,
+      url: `https://clinicaltrials.gov/study/${nctId}`,
+      date: parseTrialDate(status.studyFirstPostDateStruct?.date),
+      content: `${phase ? `${phase} trial` : 'Study'}${statusLabel ? `, ${statusLabel}` : ''}. ${protocol.descriptionModule?.briefSummary || ''}`
+    },
+    feed: { name: 'ClinicalTrials.gov', category: researchSources.clinicalTrials?.category || 'clinicalTrials' },
+    fields: {
+      source: 'ClinicalTrials.gov',
+      origin: 'clinicalTrials',
+      trial: {
+        nctId,
+        status: status.overallStatus || null,
+        phase,
+        phases: design.phases || [],
+        studyType: design.studyType || null,
+        conditions: protocol.conditionsModule?.conditions || [],
+        interventions: (protocol.armsInterventionsModule?.interventions || []).map(intervention => intervention.name),
+        enrollment: design.enrollmentInfo?.count ?? null,
+        sponsor: protocol.sponsorCollaboratorsModule?.leadSponsor?.name || null,
+        minimumAge: eligibility.minimumAge || null,
+        maximumAge: eligibility.maximumAge || null,
+        healthyVolunteers: eligibility.healthyVolunteers ?? null,
+        countries: [...new Set(locations.map(location => location.country).filter(Boolean))],
+        usSites: locations.filter(location => location.country === 'United States').length,
+        // Sites a reader can sign up at - recruiting (or not saying) and in the country we cover
+        recruitingSites: locations
+          .filter(location => location.country === country && (!location.status || location.status === 'RECRUITING'))
+          .map(location => [location.city, location.state].filter(Boolean).join(', ')),
+        firstPosted: status.studyFirstPostDateStruct?.date || null,
+        lastUpdated: status.lastUpdatePostDateStruct?.date || null
+      }
+    }
+  };
+};
+
+/**
+ * Every record in an /api/research response as feed entries
+ * @param {Object} research - From /api/research (or fetchResearch in api/_lib/researchApis.js)
+ * @returns {Array} { entry, feed, fields } - records without a title or ID are skipped
+ */
+export const getResearchEntries = (research) => [
+  ...(research?.pubmed?.records || []).filter(doc => doc.uid && doc.title).map(toPubMedEntry),
+  ...(research?.clinicalTrials?.records || []).filter(study => study.protocolSection?.identificationModule?.nctId).map(toTrialEntry)
+];
+
+/**
+ * Counts for the metrics dashboard
+ * @param {Object} research - From /api/research
+ * @param {number} daysBack - The window the counts cover
+ * @returns {Object} { days, pubmedCount, newTrials, recruitingTrials } - null for a source that failed
+ */
+export const getResearchCounts = (research, daysBack) => ({
+  days: daysBack,
+  pubmedCount: research?.pubmed?.count ?? null,
+  newTrials: research?.clinicalTrials?.newCount ?? null,
+  recruitingTrials: research?.clinicalTrials?.recruitingCount ?? null
+});
+
+// "\"heart failure\" OR cardiomyopathy" (Essie) → ['heart failure', 'cardiomyopathy']
+const splitTerms = (expression = '') => expression.split(/\s+OR\s+/).map(term => term.replace(/"/g, '').trim()).filter(Boolean);
+
+// audience.json conditions that have ClinicalTrials.gov terms, in the profile's order
+const READER_CONDITIONS = (audience.conditions || [])
+  .filter(condition => researchSources.conditions?.[condition]?.clinicalTrials)
+  .map(condition => ({
+    condition,
+    // "Joint issues (arthritis, cartilage damage)" → "Joint issues"
+    label: condition.replace(/\s*\(.*\)\s*$/, ''),
+    patterns: splitTerms(researchSources.conditions[condition].clinicalTrials).map(term => new RegExp(`\\b${escapeRegex(term)}`, 'i'))
+  }));
+
+/**
+ * The reader condition a trial is for - matched against its listed conditions, then its title
+ * @param {Object} trial - `trial` from toTrialEntry, plus its title
+ * @returns {Object|null} { condition, label } - null when none of our readers' conditions match
+ */
+export const matchReaderCondition = (trial) => {
+  const texts = [...(trial.conditions || []), trial.title || ''];
+  const match = READER_CONDITIONS.find(({ patterns }) => texts.some(text => patterns.some(pattern => pattern.test(text))));
+  return match ? { condition: match.condition, label: match.label } : null;
+};
+
+const formatAge = (age) => (age || '').replace(/\s*Years?$/i, '');
+
+/**
+ * Readable age range - "50 Years" / "75 Years" → "Ages 50-75"
+ * @param {string} minimumAge - eligibilityModule.minimumAge
+ * @param {string} maximumAge - eligibilityModule.maximumAge
+ * @returns {string}
+ */
+export const formatAgeRange = (minimumAge, maximumAge) => {
+  const min = formatAge(minimumAge);
+  const max = formatAge(maximumAge);
+  if (min && max) return `Ages ${min}-${max}`;
+  if (min) return `Ages ${min}+`;
+  if (max) return `Up to age ${max}`;
+  return 'All ages';
+};
+
+// The first sentence of the registry summary - the rest is protocol detail
+const firstSentence = (text = '') => {
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+  return sentence.length > 240 ? `${sentence.slice(0, 240).replace(/\s+\S*$/, '')} …` : sentence;
+};
+
+/**
+ * Cards for the Trials Recruiting Now section
+ * Only interventional studies (testing a treatment - the registry only lists human studies) that are
+ * recruiting and have a site open in the country we cover, for one of our readers' conditions.
+ * Each condition gets one trial before any gets a second; within a condition the most recently updated wins.
+ * @param {Object} research - From /api/research (recruitingTrials)
+ * @param {Object} options - { maxTrials } (default research-sources.json → trialsRecruiting.maxTrials)
+ * @returns {Array} { nctId, title, url, condition, conditionLabel, phase, summary, interventions, sponsor, ages, sites, siteCount, lastUpdated }
+ */
+export const pickRecruitingTrials = (research, { maxTrials = researchSources.trialsRecruiting?.maxTrials || 5 } = {}) => {
+  const candidates = (research?.recruitingTrials?.records || [])
+    .filter(study => study.protocolSection?.identificationModule?.nctId)
+    .map(study => ({ study, ...toTrialEntry(study) }))
+    .map(({ study, entry, fields: { trial } }) => ({ study, entry, trial, reader: matchReaderCondition({ ...trial, title: entry.title }) }))
+    .filter(({ trial, reader }) => reader && trial.studyType === 'INTERVENTIONAL' && trial.status === 'RECRUITING' && trial.recruitingSites.length > 0);
+
+  // Round-robin over the readers' conditions in profile order
+  const byCondition = READER_CONDITIONS
+    .map(({ condition }) => candidates.filter(candidate => candidate.reader.condition === condition))
+    .filter(group => group.length > 0);
+  const picked = [];
+  for (let round = 0; picked.length < maxTrials && byCondition.some(group => group.length > round); round++) {
+    byCondition.forEach(group => {
+      if (group[round] && picked.length < maxTrials) picked.push(group[round]);
+    });
+  }
+
+  return picked.map(({ study, entry, trial, reader }) => ({
+    nctId: trial.nctId,
+    title: entry.title,
+    url: entry.url,
+    condition: reader.condition,
+    conditionLabel: reader.label,
+    phase: trial.phase,
+    summary: firstSentence(study.protocolSection.descriptionModule?.briefSummary),
+    // What's being tested - the comparison arm isn't
+    interventions: trial.interventions.filter(name => !/placebo|sham/i.test(name)),
+    sponsor: trial.sponsor,
+    ages: formatAgeRange(trial.minimumAge, trial.maximumAge),
+    sites: trial.recruitingSites.slice(0, 3),
+    siteCount: trial.recruitingSites.length,
+    lastUpdated: trial.lastUpdated
+  }));
+};
+
+/**
+ * Fetch new PubMed papers and ClinicalTrials.gov trials through /api/research
+ * @param {number} daysBack - Window in days
+ * @param {Date} now - Issue date the window counts back from
+ * @returns {Promise<Object>} The route's response - each source has its own status and error
+ */
+export const fetchResearchSources = (daysBack = 7, now = new Date()) => {
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const url = `${RESEARCH_API_URL}?daysBack=${daysBack}&date=${date}`;
+
+  const shared = pending.get(url);
+  if (shared && Date.now() - shared.startedAt < SHARED_FOR_MS) return shared.promise;
+
+  const promise = (async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RESEARCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error?.message || `Research fetch failed (${response.status})`);
+      }
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  })();
+  // A failed request isn't shared - the next caller tries again
+  promise.catch(() => pending.delete(url));
+  pending.set(url, { promise, startedAt: Date.now() });
+  return promise;
+};
+
+/**
+ * Dashboard counts for an issue - the engine's default fetchStats
+ * @param {number} daysBack - Window in days
+ * @param {Date} now - Issue date
+ * @returns {Promise<Object>} From getResearchCounts
+ */
+export const fetchResearchCounts = async (daysBack = 7, now = new Date()) => getResearchCounts(await fetchResearchSources(daysBack, now), daysBack);
+
+/**
+ * Trials Recruiting Now cards for an issue - the engine's default fetchTrials
+ * @param {number} daysBack - Window in days (shares the request with the pool and the counts)
+ * @param {Date} now - Issue date
+ * @returns {Promise<Array>} From pickRecruitingTrials - throws when ClinicalTrials.gov couldn't be reached
+ */
+export const fetchTrialsRecruiting = async (daysBack = 7, now = new Date()) => {
+  const research = await fetchResearchSources(daysBack, now);
+  if (research.recruitingTrials?.status === 'error') throw new Error(research.recruitingTrials.error);
+  return pickRecruitingTrials(research);
+};
+
+export default {
+  formatTrialPhase,
+  formatTrialStatus,
+  toPubMedEntry,
+  toTrialEntry,
+  getResearchEntries,
+  getResearchCounts,
+  matchReaderCondition,
+  formatAgeRange,
+  pickRecruitingTrials,
+  fetchResearchSources,
+  fetchResearchCounts,
+  fetchTrialsRecruiting
+};
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { getResearchCounts, getResearchEntries, pickRecruitingTrials } from './researchSources.js';
+
+const readResearchFixture = async (name) => JSON.parse(await readFile(new URL(`../../fixtures/research/${name}.json`, import.meta.url), 'utf8'));
+
+// The shape /api/research returns for the recorded responses
+const loadResearch = async () => {
+  const [search, summary, posted, recruiting, recruitingUs] = await Promise.all(
+    ['pubmed-esearch', 'pubmed-esummary', 'clinicaltrials-new', 'clinicaltrials-recruiting', 'clinicaltrials-recruiting-us'].map(readResearchFixture)
+  );
+  return {
+    pubmed: { status: 'fixture', count: Number(search.esearchresult.count), records: summary.result.uids.map(uid => summary.result[uid]) },
+    clinicalTrials: { status: 'fixture', newCount: posted.totalCount, recruitingCount: recruiting.totalCount, records: posted.studies },
+    recruitingTrials: { status: 'fixture', count: recruitingUs.totalCount, records: recruitingUs.studies }
+  };
+};
+
+test('metrics counts come straight from the API totals, null for a source that failed', async () => {
+  const research = await loadResearch();
+  assert.deepEqual(getResearchCounts(research, 14), { days: 14, pubmedCount: 186, newTrials: 17, recruitingTrials: 1342 });
+  assert.deepEqual(getResearchCounts({ pubmed: { status: 'error', count: null } }, 7), { days: 7, pubmedCount: null, newTrials: null, recruitingTrials: null });
+});
+
+test('papers and new trials become feed entries with their source links and dates', async () => {
+  const entries = getResearchEntries(await loadResearch()).map(({ entry, fields }) => ({ ...entry, source: fields.source }));
+  assert.equal(entries.length, 7);
+
+  const [paper] = entries;
+  assert.equal(paper.url, 'https://pubmed.ncbi.nlm.nih.gov/99000001/');
+  assert.equal(paper.title, 'Autologous mesenchymal stem cell injections for knee osteoarthritis: a randomized, placebo-controlled trial');
+  assert.equal(paper.source, 'PubMed');
+  assert.ok(paper.date);
+
+  const trial = entries.find(entry => entry.id === 'NCT99000011');
+  assert.equal(trial.url, 'https://clinicaltrials.gov/study/NCT99000011');
+  assert.equal(trial.source, 'ClinicalTrials.gov');
+  assert.match(trial.content, /^Phase 2 trial, recruiting\. /);
+});
+
+test('recruiting trials need a recruiting site in the country and an interventional design, one per condition first', async () => {
+  const trials = pickRecruitingTrials(await loadResearch());
+  assert.deepEqual(trials.map(trial => trial.nctId), ['NCT99000021', 'NCT99000023', 'NCT99000026', 'NCT99000011', 'NCT99000027']);
+  // Observational (24) and sites that aren't recruiting in the US yet (25) never qualify
+  assert.ok(!trials.some(trial => ['NCT99000024', 'NCT99000025'].includes(trial.nctId)));
+
+  const [parkinson] = trials;
+  assert.equal(parkinson.conditionLabel, 'Degenerative diseases');
+  assert.equal(parkinson.ages, 'Ages 50-75');
+  assert.deepEqual(parkinson.sites, ['Boston, Massachusetts', 'Houston, Texas']);
+
+  assert.equal(pickRecruitingTrials(await loadResearch(), { maxTrials: 2 }).length, 2);
+});
@@ -1,12 +1,28 @@
 /**
  * RSS Feed Service for Renewal Weekly
- * Fetches articles from RSS.app bundle feed (aggregates multiple sources)
+ * Fetches articles from the RSS.app bundle feed plus the curated feeds in rss-sources.json,
+ * new PubMed papers and ClinicalTrials.gov trials (src/services/researchSources.js), and the
+ * custom sources added in Settings (feeds, sitemaps or news pages - api/_lib/customSources.js)
  */
 
+import rssSources from '../config/rss-sources.json' with { type: 'json' };
+import { parseFeed } from './feedParser.js';
+import { classifyArticle } from './classifier.js';
+import { fetchResearchSources, getResearchEntries } from './researchSources.js';
+import { getSourceName, getSourceFlags, getSourceMixRules } from './sourceRegistry.js';
+import { withAccessToken } from './apiAccess.js';
+
 // RSS.app bundle feed URL - aggregates all your curated sources
 const RSS_APP_BUNDLE_URL = 'https://rss.app/feeds/v1.1/_LuMwsuTISMoZcOMw.json';
 
+// Server-side feed proxy (api/feeds.js) - avoids CORS blocks on publisher feeds
+const FEED_PROXY_URL = '/api/feeds';
+
+// Per-feed timeout so one slow publisher can't stall the whole pool
+const FEED_TIMEOUT_MS = 15000;
+
 // Category metadata for AI matching (keywords are guidelines, not filters)
+// sectionFit: the distribution slots an article with this label can fill (src/engine/research.js)
 export const FEED_CATEGORIES = {
   stemCells: {
     name: 'Stem Cells',
@@ -21,22 +37,22 @@ export const FEED_CATEGORIES = {
   longevity: {
     name: 'Anti-Aging & Longevity',
     guidelines: ['daily habit', 'practical longevity', 'affordable option', 'aging independence'],
-    sectionFit: ['leadStory', 'deepDive', 'onOurRadar', 'quickHits']
+    sectionFit: ['leadStory', 'researchRoundup', 'livingWell', 'deepDive', 'onOurRadar', 'quickHits']
   },
   chronicDisease: {
     name: 'Chronic Disease Management',
     guidelines: ['patient recovery', 'daily symptom ease', 'home management', 'remission story'],
-    sectionFit: ['leadStory', 'onOurRadar', 'quickHits']
+    sectionFit: ['leadStory', 'deepDive', 'onOurRadar', 'quickHits']
   },
   nutrition: {
     name: 'Nutrition',
     guidelines: ['daily diet', 'food for health', 'eating habits', 'meal planning'],
-    sectionFit: ['deepDive', 'worthKnowing', 'quickHits']
+    sectionFit: ['livingWell', 'deepDive', 'worthKnowing', 'quickHits']
   },
   supplements: {
     name: 'Supplements & Vitamins',
     guidelines: ['daily dose', 'supplement for joints', 'vitamin benefits', 'evidence-based'],
-    sectionFit: ['deepDive', 'worthKnowing', 'quickHits']
+    sectionFit: ['livingWell', 'deepDive', 'worthKnowing', 'quickHits']
   },
   clinicalTrials: {
     name: 'Clinical Trials & Research',
@@ -45,170 +61,351 @@ export const FEED_CATEGORIES = {
   }
 };
 
-// Content to avoid (for AI guidance)
+/**
+ * Whether an article can fill a distribution slot - any of its labels will do
+ * @param {Object} article - Pool article (`categories` from the classifier; older articles only have `category`)
+ * @param {string} section - Slot key (leadStory, researchRoundup, deepDive, ...)
+ * @returns {boolean}
+ */
+export const fitsSection = (article, section) => (article.categories?.length ? article.categories : [article.category])
+  .some(category => FEED_CATEGORIES[category]?.sectionFit.includes(section));
+
+// Content to avoid (for AI guidance) - the preclinical terms also drive the safety review (src/engine/safety.js)
+export const PRECLINICAL_TERMS = ['animal study', 'mouse model', 'in vitro', 'preclinical'];
+
 export const CONTENT_TO_AVOID = [
-  'animal study', 'mouse model', 'in vitro', 'preclinical',
+  ...PRECLINICAL_TERMS,
   'molecular mechanism', 'gene expression', 'biomarker',
   'venture capital', 'funding round', 'pipeline abstract'
 ];
 
 /**
- * Fetch articles from RSS.app bundle feed
+ * Fetch the full article pool: RSS.app bundle + every curated feed in rss-sources.json + PubMed and ClinicalTrials.gov
+ * + the enabled custom sources from Settings
  * @param {number} daysBack - How many days of articles to include (default 14)
+ * @param {Date} now - Reference date the window counts back from (default: now)
+ * @param {Object} options - { customSources: [{ url, name, type, category, enabled }], onSourceHealth: (results from fetchCustomSources) → void }
  * @returns {Promise<Array>} Array of normalized article objects
  */
-export const fetchArticlePool = async (daysBack = 14) => {
-  try {
-    console.log('RSS: Fetching from RSS.app bundle feed...');
+export const fetchArticlePool = async (daysBack = 14, now = new Date(), { customSources = [], onSourceHealth } = {}) => {
+  const [bundleArticles, feedArticles, researchArticles, customResults] = await Promise.all([
+    fetchBundleArticles(),
+    fetchCuratedFeeds(),
+    fetchResearchArticles(daysBack, now),
+    fetchCustomSources(customSources.filter(source => source.enabled && !getBuiltInSource(source.url)))
+  ]);
+  onSourceHealth?.(customResults);
+
+  // After the curated feeds, so a curated feed's category wins when both have the same URL
+  return buildArticlePool([...feedArticles, ...researchArticles, ...normalizeCustomSourceResults(customResults)], bundleArticles, daysBack, now);
+};
 
-    const response = await fetch(RSS_APP_BUNDLE_URL);
+// How a custom source is read (api/_lib/customSources.js) - 'auto' sniffs the response
+export const CUSTOM_SOURCE_TYPES = {
+  auto: 'Auto-detect',
+  feed: 'RSS / Atom feed',
+  sitemap: 'Sitemap',
+  page: 'News page'
+};
 
-    if (!response.ok) {
-      throw new Error(`RSS.app fetch failed: ${response.status}`);
-    }
+// Sites the pool already reads without a custom source
+const BUILT_IN_HOSTS = {
+  'pubmed.ncbi.nlm.nih.gov': 'PubMed',
+  'clinicaltrials.gov': 'ClinicalTrials.gov',
+  'www.clinicaltrials.gov': 'ClinicalTrials.gov'
+};
 
-    const data = await response.json();
+/**
+ * Why a custom source isn't fetched - the pool already has it
+ * @param {string} url - Custom source URL
+ * @returns {string|null} Reason to show in Settings, or null when the source is fetched
+ */
+export const getBuiltInSource = (url) => {
+  const curated = rssSources.feeds.find(feed => feed.url === url);
+  if (curated) return `Already a curated feed (${curated.name})`;
+  try {
+    const builtIn = BUILT_IN_HOSTS[new URL(url).hostname];
+    if (builtIn) return `Built in - ${builtIn} is searched for every issue`;
+  } catch {
+    // Not a URL - the proxy reports it
+  }
+  return null;
+};
 
-    if (!data.items || !Array.isArray(data.items)) {
-      throw new Error('Invalid RSS.app feed structure');
+/**
+ * Fetch custom sources through the /api/feeds proxy (POST) - publisher pages need it for CORS
+ * @param {Array} sources - { url, name, type, category }
+ * @returns {Promise<Array>} One result per source: { url, name, category, type, feedUrl?, status, entries, fetchedAt, error? } -
+ *   every source gets status 'error' when the proxy can't be reached
+ */
+export const fetchCustomSources = async (sources) => {
+  if (sources.length === 0) return [];
+  console.log(`RSS: Fetching ${sources.length} custom sources...`);
+
+  const controller = new AbortController();
+  // Sitemap indexes take a second round trip
+  const timer = setTimeout(() => controller.abort(), FEED_TIMEOUT_MS * 2);
+  try {
+    const response = await fetch(FEED_PROXY_URL, {
+      method: 'POST',
+      headers: withAccessToken({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ sources: sources.map(({ url, name, type, category }) => ({ url, name, type, category })) }),
+      signal: controller.signal
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !Array.isArray(data.sources)) {
+      throw new Error(data.error?.message || `Feed proxy returned ${response.status}`);
     }
+    data.sources
+      .filter(result => result.status === 'error')
+      .forEach(result => console.warn(`RSS: ${result.name} failed - ${result.error}`));
+    return data.sources;
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Feed proxy timed out' : error.message;
+    console.warn(`RSS: Custom sources unavailable (${message})`);
+    return sources.map(({ url, name, type, category }) => ({ url, name, category, type, status: 'error', error: message, entries: [] }));
+  } finally {
+    clearTimeout(timer);
+  }
+};
 
-    console.log(`RSS: Received ${data.items.length} items from RSS.app`);
+/**
+ * Normalize custom source results into pool articles, tagged with the category chosen in Settings
+ * @param {Array} results - From fetchCustomSources
+ * @returns {Array} Normalized articles ('auto' leaves the category to the classifier)
+ */
+export const normalizeCustomSourceResults = (results) => results.flatMap(result => result.entries
+  .filter(entry => entry.url)
+  .map(entry => normalizeFeedEntry(entry, { name: result.name, category: result.category && result.category !== 'auto' ? result.category : null })));
 
-    // Calculate cutoff date
-    const cutoffDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
+/**
+ * Health per custom source for Settings - a failed fetch keeps the last good fetch's time and count
+ * @param {Object} previous - Earlier health, by URL
+ * @param {Array} results - From fetchCustomSources
+ * @param {Date} checkedAt - When the results came in
+ * @returns {Object} { [url]: { checkedAt, lastFetched, count, type, feedUrl, status, error } }
+ */
+export const updateSourceHealth = (previous, results, checkedAt = new Date()) => {
+  const next = { ...previous };
+  results.forEach(result => {
+    const before = previous[result.url] || {};
+    const failed = result.status === 'error';
+    next[result.url] = {
+      checkedAt: checkedAt.toISOString(),
+      lastFetched: failed ? before.lastFetched || null : new Date(result.fetchedAt || checkedAt).toISOString(),
+      count: failed ? before.count ?? null : result.entries.length,
+      type: result.type || before.type || null,
+      feedUrl: result.feedUrl || null,
+      status: result.status,
+      // A stale copy still counts, but the editor should know the site didn't answer
+      error: result.error || null
+    };
+  });
+  return next;
+};
 
-    // Normalize and filter articles
-    const articles = data.items
-      .map(item => normalizeRssAppArticle(item))
-      .filter(article => {
-        const articleDate = new Date(article.date);
-        return articleDate > cutoffDate;
-      })
-      .sort((a, b) => new Date(b.date) - new Date(a.date)); // Newest first
+/**
+ * Normalize an /api/research response into pool articles
+ * Papers and trials go through normalizeFeedEntry like feed items, then keep their own fields
+ * (source, journal / trial details - see researchSources.js).
+ * @param {Object} research - From /api/research (or fetchResearch in api/_lib/researchApis.js)
+ * @returns {Array} Normalized articles
+ */
+export const normalizeResearchResults = (research) => getResearchEntries(research)
+  .filter(({ entry }) => entry.url && entry.date)
+  .map(({ entry, feed, fields }) => ({ ...normalizeFeedEntry(entry, feed), ...fields }));
 
-    console.log(`RSS: ${articles.length} articles from past ${daysBack} days`);
+/**
+ * Fetch new PubMed papers and ClinicalTrials.gov trials for the readers' conditions
+ * @param {number} daysBack - Window in days
+ * @param {Date} now - Reference date the window counts back from
+ * @returns {Promise<Array>} Normalized articles (empty if /api/research is unavailable)
+ */
+export const fetchResearchArticles = async (daysBack = 14, now = new Date()) => {
+  try {
+    const research = await fetchResearchSources(daysBack, now);
+    [['PubMed', research.pubmed], ['ClinicalTrials.gov', research.clinicalTrials]]
+      .filter(([, result]) => result?.status === 'error')
+      .forEach(([name, result]) => console.warn(`Research: ${name} failed - ${result.error}`));
 
+    const articles = normalizeResearchResults(research);
+    console.log(`Research: ${articles.length} items (${research.pubmed?.records?.length || 0} PubMed, ${research.clinicalTrials?.records?.length || 0} ClinicalTrials.gov)`);
     return articles;
-
   } catch (error) {
-    console.error('RSS fetch error:', error);
+    console.warn(`Research: /api/research unavailable (${error.message}) - pool is feeds only`);
     return [];
   }
 };
 
 /**
- * Normalize article from RSS.app JSON format
+ * Merge curated + bundle articles into a deduplicated, date-windowed pool
+ * @param {Array} feedArticles - Normalized articles from curated feeds
+ * @param {Array} bundleArticles - Normalized articles from the RSS.app bundle
+ * @param {number} daysBack - How many days of articles to include
+ * @param {Date} now - Reference date the window counts back from
+ * @returns {Array} Articles inside the window, newest first
  */
-const normalizeRssAppArticle = (item) => {
-  // Extract source from URL
-  let source = 'Unknown';
-  try {
-    const url = new URL(item.url);
-    source = getSourceName(url.hostname);
-  } catch (e) {
-    // Keep default
-  }
+export const buildArticlePool = (feedArticles, bundleArticles = [], daysBack = 14, now = new Date()) => {
+  // Curated feeds first so their configured category wins when both have the same URL
+  const seenUrls = new Set();
+  const merged = [...feedArticles, ...bundleArticles].filter(article => {
+    if (!article.url || seenUrls.has(article.url)) return false;
+    seenUrls.add(article.url);
+    return true;
+  });
 
-  return {
-    id: item.id || btoa(item.url).slice(0, 16),
-    title: item.title || 'Untitled',
-    url: item.url,  // REAL URL from RSS.app!
-    date: item.date_published || new Date().toISOString(),
-    dateFormatted: formatDate(item.date_published),
-    source: source,
-    summary: cleanSummary(item.content_text || item.content_html || ''),
-    category: detectCategory(item.title, item.content_text || ''),
-    audienceRelevance: null
-  };
+  // Calculate cutoff date
+  const cutoffDate = new Date(now.getTime() - daysBack * 24 * 60 * 60 * 1000);
+
+  const articles = merged
+    .filter(article => new Date(article.date) > cutoffDate)
+    .sort((a, b) => new Date(b.date) - new Date(a.date)); // Newest first
+
+  console.log(`RSS: ${articles.length} articles from past ${daysBack} days (${bundleArticles.length} bundle, ${feedArticles.length} curated)`);
+
+  return articles;
 };
 
 /**
- * Get friendly source name from hostname
+ * Fetch articles from RSS.app bundle feed
+ * @returns {Promise<Array>} Normalized articles (empty if the bundle is unavailable)
  */
-const getSourceName = (hostname) => {
-  const sourceMap = {
-    'www.sciencedaily.com': 'ScienceDaily',
-    'sciencedaily.com': 'ScienceDaily',
-    'www.nature.com': 'Nature',
-    'nature.com': 'Nature',
-    'www.cell.com': 'Cell',
-    'cell.com': 'Cell',
-    'stemcells.nih.gov': 'NIH Stem Cell',
-    'www.nih.gov': 'NIH',
-    'nih.gov': 'NIH',
-    'www.statnews.com': 'STAT News',
-    'statnews.com': 'STAT News',
-    'www.healthline.com': 'Healthline',
-    'healthline.com': 'Healthline',
-    'www.mayoclinic.org': 'Mayo Clinic',
-    'mayoclinic.org': 'Mayo Clinic',
-    'newsnetwork.mayoclinic.org': 'Mayo Clinic',
-    'www.biospace.com': 'BioSpace',
-    'biospace.com': 'BioSpace',
-    'longevity.technology': 'Longevity Technology',
-    'www.lifespan.io': 'Lifespan.io',
-    'lifespan.io': 'Lifespan.io',
-    'www.fightaging.org': 'Fight Aging!',
-    'fightaging.org': 'Fight Aging!',
-    'www.healthrising.org': 'Health Rising',
-    'healthrising.org': 'Health Rising',
-    'www.parkinson.org': "Parkinson's Foundation",
-    'parkinson.org': "Parkinson's Foundation",
-    'www.alzforum.org': 'ALZFORUM',
-    'alzforum.org': 'ALZFORUM',
-    'www.nutraingredients.com': 'NutraIngredients',
-    'nutraingredients.com': 'NutraIngredients',
-    'examine.com': 'Examine.com',
-    'www.examine.com': 'Examine.com',
-    'nutritionfacts.org': 'NutritionFacts.org',
-    'www.nutritionfacts.org': 'NutritionFacts.org',
-    'newsinhealth.nih.gov': 'NIH News in Health',
-    'www.cnn.com': 'CNN Health',
-    'cnn.com': 'CNN Health',
-    'www.npr.org': 'NPR',
-    'npr.org': 'NPR'
-  };
+export const fetchBundleArticles = async () => {
+  try {
+    console.log('RSS: Fetching from RSS.app bundle feed...');
+
+    const body = await fetchFeedBody(RSS_APP_BUNDLE_URL);
+    const entries = parseFeed(body);
 
-  return sourceMap[hostname] || hostname.replace('www.', '').split('.')[0];
+    console.log(`RSS: Received ${entries.length} items from RSS.app`);
+
+    return entries.map(entry => normalizeFeedEntry(entry));
+  } catch (error) {
+    console.error('RSS.app fetch error:', error);
+    return [];
+  }
 };
 
 /**
- * Auto-detect category from content (fallback if not set in config)
+ * Fetch and parse every curated feed in rss-sources.json
+ * Goes through the /api/feeds proxy when it's reachable (no CORS, server-side caching),
+ * otherwise fetches each feed directly. Failed feeds are logged and skipped.
+ * @param {Array} feeds - Feed configs ({ url, category, name }), defaults to rss-sources.json
+ * @returns {Promise<Array>} Normalized articles tagged with each feed's configured category
  */
-const detectCategory = (title, content) => {
-  const text = `${title} ${content}`.toLowerCase();
-
-  // Stem cells specific
-  if (text.includes('stem cell')) {
-    return 'stemCells';
-  }
-  // Regenerative medicine (broader)
-  if (text.includes('regenerat') || text.includes('tissue engineer') || text.includes('cell therapy')) {
-    return 'regenerativeMedicine';
-  }
-  // Clinical trials
-  if (text.includes('clinical trial') || text.includes('phase 1') || text.includes('phase 2') || text.includes('phase 3') || text.includes('fda approv')) {
-    return 'clinicalTrials';
-  }
-  // Longevity/anti-aging
-  if (text.includes('longevity') || text.includes('anti-aging') || text.includes('lifespan') || text.includes('senolytic') || text.includes('aging')) {
-    return 'longevity';
-  }
-  // Supplements
-  if (text.includes('supplement') || text.includes('vitamin') || text.includes('omega-3') || text.includes('probiotic')) {
-    return 'supplements';
+export const fetchCuratedFeeds = async (feeds = rssSources.feeds) => {
+  console.log(`RSS: Fetching ${feeds.length} curated feeds...`);
+
+  // The proxy only serves rss-sources.json - custom feed lists go direct
+  if (feeds === rssSources.feeds) {
+    try {
+      return await fetchCuratedFeedsViaProxy();
+    } catch (error) {
+      console.warn(`RSS: Feed proxy unavailable (${error.message}) - fetching feeds directly`);
+    }
   }
-  // Nutrition
-  if (text.includes('nutrition') || text.includes('diet') || text.includes('eating') || text.includes('food')) {
-    return 'nutrition';
+
+  const results = await Promise.allSettled(
+    feeds.map(async (feed) => {
+      const body = await fetchFeedBody(feed.url);
+      return parseFeed(body).map(entry => normalizeFeedEntry(entry, feed));
+    })
+  );
+
+  const articles = [];
+  let failed = 0;
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      articles.push(...result.value);
+    } else {
+      failed++;
+      console.warn(`RSS: ${feeds[i].name} failed - ${result.reason?.message || result.reason}`);
+    }
+  });
+
+  console.log(`RSS: ${articles.length} items from ${feeds.length - failed}/${feeds.length} curated feeds`);
+
+  return articles;
+};
+
+/**
+ * Fetch all curated feeds through the /api/feeds proxy (api/feeds.js)
+ */
+const fetchCuratedFeedsViaProxy = async () => {
+  // The proxy fans out to every feed itself, so give it longer than a single feed
+  const body = await fetchFeedBody(FEED_PROXY_URL, FEED_TIMEOUT_MS * 2);
+  const data = JSON.parse(body);
+  if (!Array.isArray(data.feeds)) {
+    throw new Error('Invalid feed proxy response');
   }
-  // Chronic disease
-  if (text.includes('diabetes') || text.includes('parkinson') || text.includes('alzheimer') || text.includes('chronic') || text.includes('arthritis') || text.includes('heart disease')) {
-    return 'chronicDisease';
+
+  const articles = [];
+  let failed = 0;
+  data.feeds.forEach(feed => {
+    if (feed.status === 'error') {
+      failed++;
+      console.warn(`RSS: ${feed.name} failed - ${feed.error}`);
+      return;
+    }
+    articles.push(...feed.entries.map(entry => normalizeFeedEntry(entry, feed)));
+  });
+
+  console.log(`RSS: ${articles.length} items from ${data.feeds.length - failed}/${data.feeds.length} curated feeds (via proxy)`);
+
+  return articles;
+};
+
+/**
+ * Fetch raw feed body with a timeout
+ */
+const fetchFeedBody = async (url, timeoutMs = FEED_TIMEOUT_MS) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Feed fetch failed: ${response.status}`);
+    }
+    return await response.text();
+  } finally {
+    clearTimeout(timer);
   }
+};
+
+/**
+ * Normalize a parsed feed entry into the article shape used across the app
+ * @param {Object} entry - Entry from parseFeed ({ id, title, url, date, content })
+ * @param {Object} feed - Feed config from rss-sources.json (optional - bundle items have none)
+ * @returns {Object} Normalized article
+ */
+export const normalizeFeedEntry = (entry, feed = null) => {
+  // Display name from the source registry (src/config/sources.json)
+  const source = getSourceName(entry.url);
 
-  return 'general';
+  const title = cleanSummary(entry.title) || 'Untitled';
+  const summary = cleanSummary(entry.content);
+  const classified = classifyArticle({ title, summary, url: entry.url }, { feedCategory: feed?.category });
+
+  return {
+    id: entry.id || generateId(entry.url),
+    title,
+    url: entry.url,
+    date: entry.date || new Date().toISOString(),
+    // The feed gave no date - `date` above is just when we saw it, so freshness checks don't trust it
+    undated: !entry.date,
+    dateFormatted: formatDate(entry.date),
+    source: source,
+    // Registry tier and preprint / paywall flags - drive selection and the source mix check
+    ...getSourceFlags(entry.url),
+    feedName: feed?.name || null,
+    summary,
+    // Most confident label, every label over the threshold, and the confidence per category (src/services/classifier.js)
+    category: classified.category,
+    categories: classified.categories,
+    categoryConfidence: classified.confidence,
+    // Set by the relevance scorer (src/engine/relevance.js)
+    audienceRelevance: null
+  };
 };
 
 /**
@@ -254,10 +451,11 @@ const generateId = (url) => {
  * @returns {string} Prompt for AI matching
  */
 export const buildMatchingPrompt = (articles, audience) => {
+  const mix = getSourceMixRules();
   const articleList = articles.map((a, i) =>
-    `[${i + 1}] "${a.title}" (${a.source}, ${a.dateFormatted})
+    `[${i + 1}] "${a.title}" (${[a.source, a.sourceTier, a.preprint && 'preprint', a.paywall && 'paywall'].filter(Boolean).join(' · ')}, ${a.dateFormatted})
     URL: ${a.url}
-    Category: ${a.category}
+    Category: ${(a.categories?.length ? a.categories : [a.category]).join(', ')}${a.audienceRelevance ? `\n    Audience relevance: ${a.audienceScore}/10` : ''}
     Summary: ${a.summary.slice(0, 200)}...`
   ).join('\n\n');
 
@@ -285,6 +483,8 @@ RULES:
 - Prefer articles about HUMAN research (not animal studies)
 - Each "On Our Radar" story must be from a DIFFERENT website
 - Prioritize articles your audience would find personally relevant
+- Source mix across all picks: at least ${mix.minMainstream} mainstream, at most ${mix.maxScientific} scientific, at most ${mix.maxPreprints} preprint, at most ${mix.maxPaywalled} paywall
+- The lead story should not be a preprint or behind a paywall
 
 Return ONLY valid JSON:
 {
@@ -309,7 +509,17 @@ Return ONLY valid JSON:
 
 export default {
   fetchArticlePool,
+  fetchCuratedFeeds,
+  fetchResearchArticles,
+  normalizeResearchResults,
+  fetchCustomSources,
+  normalizeCustomSourceResults,
+  updateSourceHealth,
+  getBuiltInSource,
+  CUSTOM_SOURCE_TYPES,
   buildMatchingPrompt,
+  fitsSection,
   FEED_CATEGORIES,
+  PRECLINICAL_TERMS,
   CONTENT_TO_AVOID
 };
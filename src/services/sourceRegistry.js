@@ -0,0 +1,120 @@
+/**
+ * Source registry - what we know about every outlet we cite
+ *
+ * One entry per domain in src/config/sources.json: display name, tier
+ * (mainstream / industry / scientific / avoid), preprint and paywall flags, topics.
+ * Article selection, the source guidance in prompts, attribution labels and the
+ * per-issue source mix check all read it from here. A subdomain inherits its parent
+ * (newsnetwork.mayoclinic.org → mayoclinic.org) unless it has its own entry.
+ */
+
+import { sources } from '../config/index.js';
+
+export const SOURCE_TIERS = Object.keys(sources.tiers);
+
+const hostnameOf = (urlOrHostname) => {
+  if (!urlOrHostname) return null;
+  try {
+    return new URL(urlOrHostname.includes('://') ? urlOrHostname : `https://${urlOrHostname}`).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Registry entry for a URL or hostname
+ * @param {string} urlOrHostname - Article URL or bare hostname
+ * @returns {Object|null} { domain, name, tier, preprint, paywall, topics } - null for unlisted sites
+ */
+export const lookupSource = (urlOrHostname) => {
+  const hostname = hostnameOf(urlOrHostname);
+  if (!hostname) return null;
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.');
+    if (sources.domains[domain]) return { domain, ...sources.domains[domain] };
+  }
+  return null;
+};
+
+/**
+ * Display name for a source - the registry name, else the site's name from its hostname ("agingcell.org" → "Agingcell")
+ * @param {string} urlOrHostname - Article URL or bare hostname
+ * @returns {string} Source name ('Unknown' for anything that isn't a URL)
+ */
+export const getSourceName = (urlOrHostname) => {
+  const entry = lookupSource(urlOrHostname);
+  if (entry) return entry.name;
+  const hostname = hostnameOf(urlOrHostname);
+  if (!hostname) return 'Unknown';
+  const site = hostname.split('.')[0];
+  return site.charAt(0).toUpperCase() + site.slice(1);
+};
+
+/**
+ * Tier of a source
+ * @param {string} urlOrHostname - Article URL or bare hostname
+ * @returns {string} 'mainstream' | 'industry' | 'scientific' | 'avoid' | 'unknown'
+ */
+export const getSourceTier = (urlOrHostname) => lookupSource(urlOrHostname)?.tier || 'unknown';
+
+/**
+ * Attribution label for a Sources line - the source name, marked when readers should know
+ * the paper hasn't been peer reviewed yet
+ * @param {string} url - Article URL
+ * @returns {string} e.g. "STAT News", "bioRxiv (preprint)"
+ */
+export const getAttributionLabel = (url) => {
+  const entry = lookupSource(url);
+  const name = getSourceName(url);
+  return entry?.preprint ? `${name} (preprint)` : name;
+};
+
+/**
+ * Registry fields an article carries through the pool
+ * @param {string} url - Article URL
+ * @returns {Object} { sourceTier, preprint, paywall }
+ */
+export const getSourceFlags = (url) => {
+  const entry = lookupSource(url);
+  return {
+    sourceTier: entry?.tier || 'unknown',
+    preprint: Boolean(entry?.preprint),
+    paywall: Boolean(entry?.paywall)
+  };
+};
+
+/**
+ * Registry domains, optionally only some tiers or topics
+ * @param {Object} options - { tiers, topics } (sources.json → topics keys)
+ * @returns {Array<string>} Domains in registry order
+ */
+export const getSourceDomains = ({ tiers = null, topics = null } = {}) => Object.entries(sources.domains)
+  .filter(([, entry]) => !tiers || tiers.includes(entry.tier))
+  .filter(([, entry]) => !topics || entry.topics.some(topic => topics.includes(topic)))
+  .map(([domain]) => domain);
+
+/**
+ * Per-issue source mix limits (sources.json → mix)
+ * @returns {Object} { maxScientific, maxPreprints, maxPaywalled, minMainstream, maxPerSource, ignoreSections }
+ */
+export const getSourceMixRules = () => ({
+  maxScientific: Infinity,
+  maxPreprints: Infinity,
+  maxPaywalled: Infinity,
+  minMainstream: 0,
+  maxPerSource: Infinity,
+  ignoreSections: [],
+  ...sources.mix
+});
+
+export default {
+  SOURCE_TIERS,
+  lookupSource,
+  getSourceName,
+  getSourceTier,
+  getAttributionLabel,
+  getSourceFlags,
+  getSourceDomains,
+  getSourceMixRules
+};
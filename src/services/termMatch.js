@@ -0,0 +1,24 @@
+/**
+ * Matching configured terms in text - one convention for the classifier (classifier.json),
+ * the relevance scorer (audience.json → relevanceScoring) and the style lint (style-guide.json)
+ */
+
+/**
+ * Escape text so it matches literally inside a RegExp
+ * @param {string} text - Any text
+ * @returns {string} Pattern source
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex for a configured term - "regenerat" matches "regenerative"; a trailing $ ends the word
+ * there ("clinic$" isn't "clinical"); all-caps terms (FDA, MS) match only that exact word
+ * @param {string} term - Term from a config file
+ * @returns {RegExp}
+ */
+export const termRegex = (term) => {
+  if (/^[A-Z0-9]+$/.test(term)) return new RegExp(`\\b${escapeRegex(term)}\\b`);
+  return term.endsWith('$')
+    ? new RegExp(`(?<![a-z0-9])${escapeRegex(term.slice(0, -1))}(?![a-z0-9])`, 'i')
+    : new RegExp(`(?<![a-z0-9])${escapeRegex(term)}`, 'i');
+};
@@ -1,7 +1,37 @@
-import { defineConfig } from 'vite'
+import { existsSync } from 'node:fs'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Serve the Vercel functions in api/ from the dev server too, so /api/* works under `npm run dev`
+const devApi = () => ({
+  name: 'renewal-weekly-dev-api',
+  configureServer(server) {
+    server.middlewares.use(async (req, res, next) => {
+      const match = req.url.match(/^\/api\/([a-z0-9-]+)(?:[/?]|$)/i)
+      if (!match || !existsSync(`api/${match[1]}.js`)) return next()
+      try {
+        const { default: handler } = await server.ssrLoadModule(`/api/${match[1]}.js`)
+        await handler(req, res)
+      } catch (error) {
+        server.config.logger.error(`/api/${match[1]}: ${error.stack || error.message}`)
+        if (!res.headersSent) {
+          res.statusCode = 500
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      }
+    })
+  },
+})
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // API routes read secrets like ANTHROPIC_API_KEY from process.env - pick them up from .env.local in dev
+  for (const [key, value] of Object.entries(loadEnv(mode, process.cwd(), ''))) {
+    if (process.env[key] === undefined) process.env[key] = value
+  }
+
+  return {
+    plugins: [react(), devApi()],
+  }
 })